@@ -1,9 +1,23 @@
 var util = require('util');
 
 module.exports = function(grunt) {
+    grunt.loadNpmTasks('grunt-browserify');
     grunt.loadNpmTasks('grunt-release');
 
     grunt.initConfig({
+        // Bundle the REST API wrappers for use in the browser. The bundle exposes the API as the global `oaeRest`
+        // when it's not loaded through a module loader. See `lib/browser.js` for more information
+        'browserify': {
+            'dist': {
+                'src': ['./lib/browser.js'],
+                'dest': './dist/oae-rest.js',
+                'options': {
+                    'browserifyOptions': {
+                        'standalone': 'oaeRest'
+                    }
+                }
+            }
+        },
         'release': {
             'options': {
                 'github': {
@@ -0,0 +1,41 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { ActivityStream, Callback } from './types';
+
+/**
+ * The options with which an activity or notification stream can be paged and formatted
+ */
+export interface ActivityStreamOptions {
+    start?: number | string;
+    limit?: number;
+    format?: 'activitystreams' | 'internal';
+}
+
+/** Get the activity stream of the user in context */
+export function getCurrentUserActivityStream(restCtx: RestContext, opts: ActivityStreamOptions | null | undefined, callback: Callback<ActivityStream>): void;
+
+/** Get an activity stream by its id */
+export function getActivityStream(restCtx: RestContext, activityStreamId: string, opts: ActivityStreamOptions | null | undefined, callback: Callback<ActivityStream>): void;
+
+/** Get the notifications of the user in context */
+export function getNotificationStream(restCtx: RestContext, opts: ActivityStreamOptions | null | undefined, callback: Callback<ActivityStream>): void;
+
+/** Mark all notifications of the user in context as read */
+export function markNotificationsRead(restCtx: RestContext, callback: Callback<{ lastReadTime: number }>): void;
+
+/** Perform a collection of the activities that have been queued for aggregation */
+export function collect(restCtx: RestContext, callback: Callback): void;
@@ -14,6 +14,7 @@
  */
 
 var RestUtil = require('./util');
+var Validator = require('./validator').Validator;
 
 /**
  * Get the activity stream of the user in context.
@@ -28,6 +29,12 @@ var RestUtil = require('./util');
  * @param  {ActivityStream} callback.activityStream The stream of activities
  */
 var getCurrentUserActivityStream = module.exports.getCurrentUserActivityStream = function(restCtx, opts, callback) {
+    var validator = new Validator();
+    validator.check(opts && opts.limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/activity', 'GET', opts, callback);
 };
 
@@ -45,6 +52,13 @@ var getCurrentUserActivityStream = module.exports.getCurrentUserActivityStream =
  * @param  {ActivityStream} callback.activityStream The stream of activities
  */
 var getActivityStream = module.exports.getActivityStream = function(restCtx, activityStreamId, opts, callback) {
+    var validator = new Validator();
+    validator.check(activityStreamId, 'An activity stream id must be provided').notEmpty();
+    validator.check(opts && opts.limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/activity/' + RestUtil.encodeURIComponent(activityStreamId), 'GET', opts, callback);
 };
 
@@ -61,6 +75,12 @@ var getActivityStream = module.exports.getActivityStream = function(restCtx, act
  * @param  {ActivityStream} callback.notificationStream The stream of notifications
  */
 var getNotificationStream = module.exports.getNotificationStream = function(restCtx, opts, callback) {
+    var validator = new Validator();
+    validator.check(opts && opts.limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/notifications', 'GET', opts, callback);
 };
 
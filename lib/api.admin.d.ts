@@ -0,0 +1,36 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestError } from './error';
+import { RestContext } from './model';
+import { Callback, FileGenerator, SignedRequestInfo } from './types';
+
+/** Get the request info required for a global administrator to log in to a user tenant */
+export function getSignedTenantAuthenticationRequestInfo(globalAdminRestCtx: RestContext, tenantAlias: string, callback: Callback<SignedRequestInfo>): void;
+
+/** Get the request info required for an administrator to log in as a specified user */
+export function getSignedBecomeUserAuthenticationRequestInfo(adminRestCtx: RestContext, becomeUserId: string, callback: Callback<SignedRequestInfo>): void;
+
+/** Perform a signed authentication request with a body that was acquired through one of the `getSigned*AuthenticationRequestInfo` functions */
+export function doSignedAuthentication(restCtx: RestContext, body: SignedRequestInfo['body'], callback: (err?: RestError | null) => void): void;
+
+/** Request a signed "become user" authentication request and invoke it against the tenant of the user */
+export function loginAsUser(adminRestCtx: RestContext, becomeUserId: string, targetInternalBaseUrl: string | null | undefined, callback: (err: RestError | null, restCtx: RestContext) => void): void;
+
+/** Request a signed tenant authentication request and invoke it against the tenant */
+export function loginOnTenant(globalAdminRestCtx: RestContext, tenantAlias: string, targetInternalBaseUrl: string | null | undefined, callback: (err: RestError | null, restCtx: RestContext) => void): void;
+
+/** Import a batch of users from a CSV file */
+export function importUsers(restCtx: RestContext, tenantAlias: string | null | undefined, csvGenerator: FileGenerator, authenticationStrategy: string, forceProfileUpdate: boolean | null | undefined, callback: Callback): void;
@@ -13,10 +13,12 @@
  * permissions and limitations under the License.
  */
 
+var _ = require('underscore');
 var url = require('url');
 var util = require('util');
 
 var RestContext = require('./model').RestContext;
+var RestError = require('./error').RestError;
 var RestUtil = require('./util');
 
 // This file aggregates those REST calls that are only beneficial to a global and/or tenant administrators.
@@ -65,7 +67,7 @@ var doSignedAuthentication = module.exports.doSignedAuthentication = function(re
         if (err) {
             return callback(err);
         } else if (response.statusCode !== 302) {
-            return callback({'code': response.statusCode, 'msg': 'Unexpected response code'});
+            return callback(RestError.fromResponse(response, body, 'Unexpected response code'));
         }
 
         return callback();
@@ -83,13 +85,11 @@ var doSignedAuthentication = module.exports.doSignedAuthentication = function(re
  * @param  {RestContext}    callback.restCtx        The authenticated request context that is impostering the specified `becomeUserId`
  */
 var loginAsUser = module.exports.loginAsUser = function(adminRestCtx, becomeUserId, targetInternalBaseUrl, callback) {
-    getSignedBecomeUserAuthenticationRequestInfo(adminRestCtx, becomeUserId, function(err, requestInfo) {
-        if (err) {
-            return callback(err);
-        }
+    var getRequestInfo = function(callback) {
+        getSignedBecomeUserAuthenticationRequestInfo(adminRestCtx, becomeUserId, callback);
+    };
 
-        return _doSignedAuthenticationWithRequestInfo(requestInfo, targetInternalBaseUrl, adminRestCtx.strictSSL, callback);
-    });
+    return _doSignedLogin(getRequestInfo, targetInternalBaseUrl, _getConnectionOptions(adminRestCtx), callback);
 };
 
 /**
@@ -103,13 +103,11 @@ var loginAsUser = module.exports.loginAsUser = function(adminRestCtx, becomeUser
  * @param  {RestContext}    callback.restCtx        A REST Context for the global administrator that is authenticated to the specified tenant
  */
 var loginOnTenant = module.exports.loginOnTenant = function(globalAdminRestCtx, tenantAlias, targetInternalBaseUrl, callback) {
-    getSignedTenantAuthenticationRequestInfo(globalAdminRestCtx, tenantAlias, function(err, requestInfo) {
-        if (err) {
-            return callback(err);
-        }
+    var getRequestInfo = function(callback) {
+        getSignedTenantAuthenticationRequestInfo(globalAdminRestCtx, tenantAlias, callback);
+    };
 
-        return _doSignedAuthenticationWithRequestInfo(requestInfo, targetInternalBaseUrl, globalAdminRestCtx.strictSSL, callback);
-    });
+    return _doSignedLogin(getRequestInfo, targetInternalBaseUrl, _getConnectionOptions(globalAdminRestCtx), callback);
 };
 
 /**
@@ -142,6 +140,45 @@ var importUsers = module.exports.importUsers = function(restCtx, tenantAlias, cs
     RestUtil.RestRequest(restCtx, '/api/user/import', 'POST', params, callback);
 };
 
+/**
+ * Acquire a signed authentication request and invoke it against the target tenant. The resulting context will hold on to
+ * the means to acquire a new signed authentication request, so it can be logged in again when its session expires
+ *
+ * @param  {Function}       getRequestInfo              Function that acquires the signed authentication request info
+ * @param  {Function}       getRequestInfo.callback     Standard callback function that should be invoked with an error, if any, and the request info object
+ * @param  {String}         internalBaseUrl             The reachable base url to use (protocol, host, port) to connect to the server instead of the target tenant host. This is useful if the real host name of the tenant is not actually reachable (e.g., it was mocked in unit tests)
+ * @param  {Object}         connectionOpts              The options that determine how to connect to the server. See `_getConnectionOptions` for more information
+ * @param  {Function}       callback                    Standard callback function
+ * @param  {Object}         callback.err                An error that occurred, if any
+ * @param  {RestContext}    callback.restCtx            A REST context that is authenticated using the signed request info
+ * @api private
+ */
+var _doSignedLogin = function(getRequestInfo, internalBaseUrl, connectionOpts, callback) {
+    getRequestInfo(function(err, requestInfo) {
+        if (err) {
+            return callback(err);
+        }
+
+        _doSignedAuthenticationWithRequestInfo(requestInfo, internalBaseUrl, connectionOpts, function(err, authenticatedRestCtx) {
+            if (err) {
+                return callback(err);
+            }
+
+            authenticatedRestCtx.authenticator = function(restCtx, callback) {
+                getRequestInfo(function(err, requestInfo) {
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    return doSignedAuthentication(restCtx, requestInfo.body, callback);
+                });
+            };
+
+            return callback(null, authenticatedRestCtx);
+        });
+    });
+};
+
 /**
  * Perform the signed authentication request as described by the request info object
  *
@@ -149,17 +186,17 @@ var importUsers = module.exports.importUsers = function(restCtx, tenantAlias, cs
  * @param  {String}         requestInfo.url     The url that should be POSTed to in order to complete the authentication
  * @param  {Object}         requestInfo.body    The signed body to use in the POST request to complete the authentication
  * @param  {String}         internalBaseUrl     The reachable base url to use (protocol, host, port) to connect to the server instead of the target tenant host. This is useful if the real host name of the tenant is not actually reachable (e.g., it was mocked in unit tests)
- * @param  {Boolean}        strictSSL           Whether or not we should use strict SSL validation
+ * @param  {Object}         connectionOpts      The options that determine how to connect to the server. See `_getConnectionOptions` for more information
  * @param  {Function}       callback            Standard callback function
  * @param  {Object}         callback.err        An error that occurred, if any
  * @param  {RestContext}    callback.restCtx    A REST context that is authenticated using the signed request info
  * @api private
  */
-var _doSignedAuthenticationWithRequestInfo = function(requestInfo, internalBaseUrl, strictSSL, callback) {
+var _doSignedAuthenticationWithRequestInfo = function(requestInfo, internalBaseUrl, connectionOpts, callback) {
     var parsedUrl = url.parse(requestInfo.url);
 
     var baseUrl = internalBaseUrl || util.format('%s//%s', parsedUrl.protocol, parsedUrl.host);
-    var authenticatingRestCtx = new RestContext(baseUrl, {'hostHeader': parsedUrl.host, 'strictSSL': strictSSL});
+    var authenticatingRestCtx = new RestContext(baseUrl, _.extend({'hostHeader': parsedUrl.host}, connectionOpts));
     doSignedAuthentication(authenticatingRestCtx, requestInfo.body, function(err) {
         if (err) {
             return callback(err);
@@ -167,4 +204,16 @@ var _doSignedAuthenticationWithRequestInfo = function(requestInfo, internalBaseU
 
         return callback(null, authenticatingRestCtx);
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Get the options of an administrator's context that determine how to connect to the server, so the contexts that
+ * are authenticated on behalf of the administrator can connect to the server the same way
+ *
+ * @param  {RestContext}    adminRestCtx    The rest context of the administrator
+ * @return {Object}                         The `strictSSL`, `proxy`, `ca`, `cert`, `key`, `passphrase` and `agent` options of the context, as well as its `dryRun`
+ * @api private
+ */
+var _getConnectionOptions = function(adminRestCtx) {
+    return _.pick(adminRestCtx, 'strictSSL', 'proxy', 'ca', 'cert', 'key', 'passphrase', 'agent', 'dryRun');
+};
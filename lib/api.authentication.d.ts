@@ -0,0 +1,71 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback } from './types';
+
+/** Log a user in */
+export function login(restCtx: RestContext, username: string, password: string, callback: Callback): void;
+
+/** Log a user out */
+export function logout(restCtx: RestContext, callback: Callback): void;
+
+/** Change the password of a user */
+export function changePassword(restCtx: RestContext, userId: string, oldPassword: string, newPassword: string, callback: Callback): void;
+
+/** Check whether or not a login id exists */
+export function exists(restCtx: RestContext, username: string, callback: Callback): void;
+
+/** Check whether or not a login id exists on a tenant. Only global administrators can check other tenants */
+export function existsOnTenant(restCtx: RestContext, tenantAlias: string, username: string, callback: Callback): void;
+
+/** Initiate the OAuth authorization steps for Twitter authentication */
+export function twitterRedirect(restCtx: RestContext, callback: Callback<string>): void;
+
+/** Send a request to the callback endpoint for Twitter authentication */
+export function twitterCallback(restCtx: RestContext, params: { [key: string]: any }, callback: Callback<string>): void;
+
+/** Initiate the OAuth authorization steps for Facebook authentication */
+export function facebookRedirect(restCtx: RestContext, callback: Callback<string>): void;
+
+/** Send a request to the callback endpoint for Facebook authentication */
+export function facebookCallback(restCtx: RestContext, params: { [key: string]: any }, callback: Callback<string>): void;
+
+/** Initiate the OAuth authorization steps for Google authentication */
+export function googleRedirect(restCtx: RestContext, callback: Callback<string>): void;
+
+/** Send a request to the callback endpoint for Google authentication */
+export function googleCallback(restCtx: RestContext, params: { [key: string]: any }, callback: Callback<string>): void;
+
+/** Initiate authentication with a CAS server */
+export function casRedirect(restCtx: RestContext, callback: Callback<string>): void;
+
+/** Send a request to the callback endpoint for CAS authentication */
+export function casCallback(restCtx: RestContext, params: { [key: string]: any }, callback: Callback<string>): void;
+
+/** Redirect a user from a tenant to the Shibboleth SP */
+export function shibbolethTenantRedirect(restCtx: RestContext, redirectUrl: string | null | undefined, callback: Callback<string>): void;
+
+/** Redirect a user from the Shibboleth SP to the IdP */
+export function shibbolethSPRedirect(restCtx: RestContext, params: { tenantAlias: string; signature: string; expires: number }, callback: Callback<string>): void;
+
+/** Make the request mod_shib would make to the app server once a user authenticates */
+export function shibbolethSPCallback(restCtx: RestContext, attributes: { [key: string]: string }, callback: Callback<string>): void;
+
+/** Send a request to the tenant callback endpoint for Shibboleth authentication */
+export function shibbolethTenantCallback(restCtx: RestContext, params: { userId: string; signature: string; expires: number }, callback: Callback<string>): void;
+
+/** Log a user in with LDAP credentials */
+export function ldapLogin(restCtx: RestContext, username: string, password: string, callback: Callback): void;
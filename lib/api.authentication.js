@@ -13,10 +13,13 @@
  * permissions and limitations under the License.
  */
 
+var _ = require('underscore');
 var url = require('url');
 
 var RestContext = require('./model').RestContext;
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 /**
  * Log a user in through the REST API
@@ -53,6 +56,12 @@ var logout = module.exports.logout = function(restCtx, callback) {
  * @param  {Object}         callback.err    Error object containing error code and error message
  */
 var changePassword = module.exports.changePassword = function(restCtx, userId, oldPassword, newPassword, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'oldPassword': oldPassword,
         'newPassword': newPassword
@@ -70,6 +79,12 @@ var changePassword = module.exports.changePassword = function(restCtx, userId, o
  * @param  {Object}         callback.err    Error object containing error code and error message
  */
 var exists = module.exports.exists = function(restCtx, username, callback) {
+    var validator = new Validator();
+    validator.check(username, MESSAGES.USERNAME).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/auth/exists/' + RestUtil.encodeURIComponent(username), 'GET', null, callback);
 };
 
@@ -83,6 +98,13 @@ var exists = module.exports.exists = function(restCtx, username, callback) {
  * @param  {Object}         callback.err    Error object containing error code and error message
  */
 var existsOnTenant = module.exports.existsOnTenant = function(restCtx, tenantAlias, username, callback) {
+    var validator = new Validator();
+    validator.check(tenantAlias, MESSAGES.TENANT_ALIAS).notEmpty();
+    validator.check(username, MESSAGES.USERNAME).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/auth/' + RestUtil.encodeURIComponent(tenantAlias) + '/exists/' + RestUtil.encodeURIComponent(username), 'GET', null, callback);
 };
 
@@ -240,11 +262,11 @@ var shibbolethSPRedirect = module.exports.shibbolethSPRedirect = function(restCt
  * @param  {Object}         callback.response   The HTTP response object
  */
 var shibbolethSPCallback = module.exports.shibbolethSPCallback = function(restCtx, attributes, callback) {
-    restCtx.additionalHeaders = attributes;
-    RestUtil.RestRequest(restCtx, '/api/auth/shibboleth/sp/callback', 'GET', null, function() {
-        delete restCtx.additionalHeaders;
-        return callback.apply(this, arguments);
+    // The attributes are sent as headers on this request only, the session is still shared with the given context
+    var attributesRestCtx = RestUtil.withRequestOptions(restCtx, {
+        'additionalHeaders': _.extend({}, restCtx.additionalHeaders, attributes)
     });
+    RestUtil.RestRequest(attributesRestCtx, '/api/auth/shibboleth/sp/callback', 'GET', null, callback);
 };
 
 /**
@@ -0,0 +1,29 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback } from './types';
+
+/** Get the config schema. Only available to administrators */
+export function getSchema(restCtx: RestContext, callback: Callback<{ [module: string]: any }>): void;
+
+/** Get the global or tenant config */
+export function getTenantConfig(restCtx: RestContext, tenantAlias: string | null | undefined, callback: Callback<{ [module: string]: any }>): void;
+
+/** Update config values. The keys of the update are of the form `oae-authentication/twitter/enabled` */
+export function updateConfig(restCtx: RestContext, tenantAlias: string | null | undefined, update: { [key: string]: any }, callback: Callback): void;
+
+/** Clear config values, so they fall back to their default */
+export function clearConfig(restCtx: RestContext, tenantAlias: string | null | undefined, configFields: string[], callback: Callback): void;
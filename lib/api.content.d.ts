@@ -0,0 +1,87 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestError } from './error';
+import { RestContext } from './model';
+import { Callback, Comment, Content, FileBody, FileGenerator, Member, MemberUpdates, PagedResults, Response, Revision, Visibility } from './types';
+
+/** Get the full profile of a content item */
+export function getContent(restCtx: RestContext, contentId: string, callback: Callback<Content>): void;
+
+/** Create a link */
+export function createLink(restCtx: RestContext, displayName: string, description: string | null | undefined, visibility: Visibility | null | undefined, link: string, managers: string[] | null | undefined, viewers: string[] | null | undefined, folders: string[] | null | undefined, callback: Callback<Content>): void;
+
+/** Create a file */
+export function createFile(restCtx: RestContext, displayName: string, description: string | null | undefined, visibility: Visibility | null | undefined, fileGenerator: FileGenerator | FileBody, managers: string[] | null | undefined, viewers: string[] | null | undefined, folders: string[] | null | undefined, callback: Callback<Content>): void;
+
+/** Create a collaborative document */
+export function createCollabDoc(restCtx: RestContext, displayName: string, description: string | null | undefined, visibility: Visibility | null | undefined, managers: string[] | null | undefined, editors: string[] | null | undefined, viewers: string[] | null | undefined, folders: string[] | null | undefined, callback: Callback<Content>): void;
+
+/** Update the metadata of a content item */
+export function updateContent(restCtx: RestContext, contentId: string, params: { [field: string]: any }, callback: Callback<Content>): void;
+
+/** Delete a content item */
+export function deleteContent(restCtx: RestContext, contentId: string, callback: Callback): void;
+
+/** Get the viewers and managers of a content item */
+export function getMembers(restCtx: RestContext, contentId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Member>>): void;
+
+/** Change the members of a content item. Use `false` as the role to remove a member */
+export function updateMembers(restCtx: RestContext, contentId: string, updatedMembers: MemberUpdates, callback: Callback): void;
+
+/** Share a content item */
+export function shareContent(restCtx: RestContext, contentId: string, principals: string | string[], callback: Callback): void;
+
+/** Create a comment on a content item, or a reply to another comment */
+export function createComment(restCtx: RestContext, contentId: string, body: string, replyTo: string | number | null | undefined, callback: Callback<Comment>): void;
+
+/** Delete a comment. Comments that have replies are flagged as deleted and returned instead */
+export function deleteComment(restCtx: RestContext, contentId: string, created: string | number, callback: Callback<Comment | undefined>): void;
+
+/** Get the comments on a content item */
+export function getComments(restCtx: RestContext, contentId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Comment>>): void;
+
+/** Get the content library of a user or group */
+export function getLibrary(restCtx: RestContext, principalId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Content>>): void;
+
+/** Remove a content item from the library of a user or group */
+export function removeContentFromLibrary(restCtx: RestContext, principalId: string, contentId: string, callback: Callback): void;
+
+/** Get the revisions of a content item */
+export function getRevisions(restCtx: RestContext, contentId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Revision>>): void;
+
+/** Get a revision of a content item */
+export function getRevision(restCtx: RestContext, contentId: string, revisionId: string, callback: Callback<Revision>): void;
+
+/** Restore a revision of a content item */
+export function restoreRevision(restCtx: RestContext, contentId: string, revisionId: string, callback: Callback<Revision>): void;
+
+/** Upload a new version of a file */
+export function updateFileBody(restCtx: RestContext, contentId: string, file: FileGenerator | FileBody, callback: Callback<Content>): void;
+
+/** Download the body of a file to a path. Not available in browser builds */
+export function download(restCtx: RestContext, contentId: string, revisionId: string | null | undefined, path: string, callback: (err: RestError | null, response: Response) => void): void;
+
+/** Join a collaborative document */
+export function joinCollabDoc(restCtx: RestContext, contentId: string, callback: Callback<{ url: string }>): void;
+
+/** Set one or more preview items of a revision */
+export function setPreviewItems(restCtx: RestContext, contentId: string, revisionId: string, status: 'error' | 'done' | 'pending' | 'ignored', files: { [filename: string]: FileGenerator }, sizes: { [filename: string]: string }, contentMetadata: { [key: string]: any } | null | undefined, previewMetadata: { [key: string]: any } | null | undefined, callback: Callback): void;
+
+/** Get the preview items of a revision, with a signature to download each one of them */
+export function getPreviewItems(restCtx: RestContext, contentId: string, revisionId: string, callback: Callback<{ files: Array<{ [key: string]: any }>; signature: { signature: string; expires: number; lastModified: number } }>): void;
+
+/** Download a preview item */
+export function downloadPreviewItem(restCtx: RestContext, contentId: string, revisionId: string, previewItem: string, signature: { signature: string; expires: number; lastModified?: number }, callback: Callback): void;
@@ -15,9 +15,18 @@
 
 var _ = require('underscore');
 var fs = require('fs');
-var request = require('request');
+var util = require('util');
 
+var Redact = require('./redact');
+var RestError = require('./error').RestError;
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
+
+/*!
+ * The roles the members of a content item can have
+ */
+var ROLES = ['manager', 'editor', 'viewer'];
 
 /**
  * Get a full content profile through the REST API.
@@ -29,6 +38,12 @@ var RestUtil = require('./util');
  * @param  {Content}      callback.content    Content object representing the retrieved content
  */
 var getContent = module.exports.getContent = function(restCtx, contentId, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId), 'GET', null, callback);
 };
 
@@ -48,6 +63,12 @@ var getContent = module.exports.getContent = function(restCtx, contentId, callba
  * @param  {Content}        callback.content    Content object representing the created content
  */
 var createLink = module.exports.createLink = function(restCtx, displayName, description, visibility, link, managers, viewers, folders, callback) {
+    var validator = new Validator();
+    validator.check(visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'resourceSubType': 'link',
         'displayName': displayName,
@@ -77,6 +98,12 @@ var createLink = module.exports.createLink = function(restCtx, displayName, desc
  * @param  {Content}        callback.content    Content object representing the created content
  */
 var createFile = module.exports.createFile = function(restCtx, displayName, description, visibility, fileGenerator, managers, viewers, folders, callback) {
+    var validator = new Validator();
+    validator.check(visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'resourceSubType': 'file',
         'displayName': displayName,
@@ -106,6 +133,12 @@ var createFile = module.exports.createFile = function(restCtx, displayName, desc
  * @param  {Content}      callback.content    Content object representing the created content
  */
 var createCollabDoc = module.exports.createCollabDoc = function(restCtx, displayName, description, visibility, managers, editors, viewers, folders, callback) {
+    var validator = new Validator();
+    validator.check(visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'resourceSubType': 'collabdoc',
         'displayName': displayName,
@@ -130,6 +163,13 @@ var createCollabDoc = module.exports.createCollabDoc = function(restCtx, display
  * @param  {Content}      callback.content    The updated content object
  */
 var updateContent = module.exports.updateContent = function(restCtx, contentId, params, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(params && params.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId), 'POST', params, callback);
 };
 
@@ -142,6 +182,12 @@ var updateContent = module.exports.updateContent = function(restCtx, contentId,
  * @param  {Object}        callback.err        Error object containing error code and error message
  */
 var deleteContent = module.exports.deleteContent = function(restCtx, contentId, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId), 'DELETE', null, callback);
 };
 
@@ -157,6 +203,13 @@ var deleteContent = module.exports.deleteContent = function(restCtx, contentId,
  * @param  {User[]|Group[]}  callback.members    Array that contains an object for each member. Each object has a role property that contains the role of the member and a profile property that contains the principal profile of the member
  */
 var getMembers = module.exports.getMembers = function(restCtx, contentId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -174,20 +227,34 @@ var getMembers = module.exports.getMembers = function(restCtx, contentId, start,
  * @param  {Object}       callback.err        Error object containing error code and error message
  */
 var updateMembers = module.exports.updateMembers = function(restCtx, contentId, updatedMembers, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(updatedMembers).isValidMemberUpdates(ROLES);
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/members', 'POST', updatedMembers, callback);
 };
 
 /**
  * Share a content item through the REST API.
  *
- * @param  {RestContext}  restCtx             Standard REST Context object that contains the current tenant URL and the current user credentials
- * @param  {String}       contentId           Content id of the content item we're trying to share
- * @param  {String[]}     principals          Array of principal ids with who the content should be shared
- * @param  {Function}     callback            Standard callback method
- * @param  {Object}       callback.err        Error object containing error code and error message
+ * @param  {RestContext}      restCtx       Standard REST Context object that contains the current tenant URL and the current user credentials
+ * @param  {String}           contentId     Content id of the content item we're trying to share
+ * @param  {String|String[]}  principals    The id or array of principal ids with who the content should be shared
+ * @param  {Function}         callback      Standard callback method
+ * @param  {Object}           callback.err  Error object containing error code and error message
  */
 var shareContent = module.exports.shareContent = function(restCtx, contentId, principals, callback) {
-    RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/share', 'POST', {'viewers': principals}, callback);
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(principals, MESSAGES.PRINCIPAL_IDS).notEmpty().isStringOrArray();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
+    RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/share', 'POST', {'viewers': [].concat(principals)}, callback);
 };
 
 /**
@@ -202,6 +269,12 @@ var shareContent = module.exports.shareContent = function(restCtx, contentId, pr
  * @param  {Comment}      callback.comment    The created comment
  */
 var createComment = module.exports.createComment = function(restCtx, contentId, body, replyTo, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/messages', 'POST', {'body': body, 'replyTo': replyTo}, callback);
 };
 
@@ -216,6 +289,13 @@ var createComment = module.exports.createComment = function(restCtx, contentId,
  * @param  {Comment}      [callback.softDeleted]   If the comment is not deleted, but instead flagged as deleted because it has replies, this will return a stripped down comment object representing the deleted comment will be returned, with the `deleted` parameter set to `false`.. If the comment has been properly deleted, no comment will be returned.
  */
 var deleteComment = module.exports.deleteComment = function(restCtx, contentId, created, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(created, 'The creation timestamp of the comment must be provided').notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/messages/' + RestUtil.encodeURIComponent(created), 'DELETE', null, callback);
 };
 
@@ -231,6 +311,13 @@ var deleteComment = module.exports.deleteComment = function(restCtx, contentId,
  * @param  {Comment[]}    callback.comments   Array of comments on the content item
  */
 var getComments = module.exports.getComments = function(restCtx, contentId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -250,6 +337,13 @@ var getComments = module.exports.getComments = function(restCtx, contentId, star
  * @param  {Content[]}      callback.items      Array of content items representing the content items present in the library
  */
 var getLibrary = module.exports.getLibrary = function(restCtx, principalId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(principalId, MESSAGES.PRINCIPAL_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -267,6 +361,13 @@ var getLibrary = module.exports.getLibrary = function(restCtx, principalId, star
  * @param  {Object}         callback.err        Error object containing error code and error message
  */
 var removeContentFromLibrary = module.exports.removeContentFromLibrary = function(restCtx, principalId, contentId, callback) {
+    var validator = new Validator();
+    validator.check(principalId, MESSAGES.PRINCIPAL_ID).notEmpty();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/content/library/' + RestUtil.encodeURIComponent(principalId) + '/' + RestUtil.encodeURIComponent(contentId);
     RestUtil.RestRequest(restCtx, url, 'DELETE', null, callback);
 };
@@ -283,6 +384,13 @@ var removeContentFromLibrary = module.exports.removeContentFromLibrary = functio
  * @param  {Revision[]}     callback.items      Array of revisions
  */
 var getRevisions = module.exports.getRevisions = function(restCtx, contentId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -301,6 +409,13 @@ var getRevisions = module.exports.getRevisions = function(restCtx, contentId, st
  * @param  {Revision}       callback.revision   Revision object representing the retrieved revision.
  */
 var getRevision = module.exports.getRevision = function(restCtx, contentId, revisionId, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(revisionId, MESSAGES.REVISION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/revisions/' + RestUtil.encodeURIComponent(revisionId);
     RestUtil.RestRequest(restCtx, url, 'GET', null, callback);
 };
@@ -315,6 +430,13 @@ var getRevision = module.exports.getRevision = function(restCtx, contentId, revi
  * @param  {Object}         callback.err        Error object containing error code and error message
  */
 var restoreRevision = module.exports.restoreRevision = function(restCtx, contentId, revisionId, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(revisionId, MESSAGES.REVISION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/revisions/' + RestUtil.encodeURIComponent(revisionId) + '/restore';
     RestUtil.RestRequest(restCtx, url, 'POST', null, callback);
 };
@@ -330,6 +452,12 @@ var restoreRevision = module.exports.restoreRevision = function(restCtx, content
  * @param  {Content}        callback.content    The full content profile of the content item updated
  */
 var updateFileBody = module.exports.updateFileBody = function(restCtx, contentId, file, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'file': file
     };
@@ -345,9 +473,15 @@ var updateFileBody = module.exports.updateFileBody = function(restCtx, contentId
  * @param  {String}         path                The path where the file can be stored. It's up to the caller to remove the file (if any) on errors.
  * @param  {Function}       callback            Standard callback method
  * @param  {Object}         callback.err        Error object containing error code and error message
- * @param  {Response}       callback.response   The requestjs response object.
+ * @param  {Response}       callback.response   The response object that was returned by the transport
  */
 var download = module.exports.download = function(restCtx, contentId, revisionId, path, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     /*!
      * Performs the correct HTTP request to download a file.
      * This function assumes a proper cookiejar can be found on the RestContext objext.
@@ -362,15 +496,37 @@ var download = module.exports.download = function(restCtx, contentId, revisionId
             'url': url,
             'method': 'GET',
             'jar': restCtx.cookieJar,
-            'strictSSL': restCtx.strictSSL
+            'strictSSL': restCtx.strictSSL,
+            'timeout': restCtx.timeout,
+            'headers': {}
         };
         if (restCtx.hostHeader) {
-            requestParams.headers = {
-                'host': restCtx.hostHeader
-            };
+            requestParams.headers.host = restCtx.hostHeader;
         }
+        requestParams.headers[RestUtil.CORRELATION_ID_HEADER] = RestUtil.generateCorrelationId();
+        _.extend(requestParams, RestUtil.getTransportOptions(restCtx));
         var called = false;
         var response = null;
+
+        // Let the listeners of the `exchange` event know about the download once it completes. The body is
+        // not included as it has been written to disk
+        var timings = {'start': Date.now(), 'response': null, 'end': null};
+        var bodySize = 0;
+        callback = _.wrap(callback, function(callback, err) {
+            timings.end = Date.now();
+            RestUtil.emit('exchange', Redact.redactExchange({
+                'request': req.getRequestInfo(),
+                'data': null,
+                'multipart': false,
+                'err': err,
+                'response': response,
+                'body': null,
+                'bodySize': bodySize,
+                'timings': timings
+            }));
+            return callback.apply(null, _.rest(arguments));
+        });
+
         var writeStream = fs.createWriteStream(path);
         writeStream.once('close', function() {
             // We got the file successfully.
@@ -383,38 +539,98 @@ var download = module.exports.download = function(restCtx, contentId, revisionId
             }
         });
 
-        writeStream.once('error', function(err) {
+        writeStream.on('error', function(err) {
             // Something went wrong with trying to store the file on disk.
-            // Destroy the stream and notify the caller.
-            writeStream.removeAllListeners();
+            // Destroy the stream and notify the caller. The error listener is kept, as the transport re-throws errors
+            // of the stream it pipes into when nothing else is listening for them
+            writeStream.removeAllListeners('close');
             writeStream.destroy();
 
             if (!called) {
                 called = true;
-                callback(err, response);
+                callback(new RestError(500, util.format('Unable to write the file to %s: %s', path, err.message), {
+                    'method': requestParams.method,
+                    'url': requestParams.url,
+                    'host': restCtx.hostHeader,
+                    'cause': err
+                }), response);
             }
         });
 
         // Make the request
-        var req = request(requestParams);
+        var req = RestUtil.getTransport(restCtx).stream(requestParams);
 
         // Pipe the response to the stream.
         req.pipe(writeStream);
 
-        // requestjs emits a 'response' event with the response object.
-        // In combination with the writeStream and requestjs `end` event we can call the callback with the
+        // The transport emits a 'response' event with the response object.
+        // In combination with the writeStream and the `end` event of the transport we can call the callback with the
         // appropriate error and response parameters.
         req.on('response', function(_response) {
             response = _response;
+            response.request = response.request || {
+                'method': requestParams.method,
+                'uri': {'href': requestParams.url},
+                'headers': requestParams.headers
+            };
+            timings.response = Date.now();
+        });
+
+        req.on('data', function(chunk) {
+            bodySize += chunk.length;
         });
 
         req.on('end', function() {
             // If we get anything besides a 200 or 204, it's an error.
             if ([200, 204].indexOf(response.statusCode) === -1 && !called) {
                 called = true;
-                callback({'code': response.statusCode, 'msg': 'Unable to download the file.'});
+                callback(RestError.fromResponse(response, null, 'Unable to download the file.'));
+            }
+        });
+
+        var requestInfo = {
+            'method': requestParams.method,
+            'url': requestParams.url,
+            'host': restCtx.hostHeader
+        };
+
+        // The server could not be contacted at all or did not respond in time
+        req.on('error', function(err) {
+            writeStream.removeAllListeners();
+            writeStream.destroy();
+
+            if (!called) {
+                called = true;
+                callback(RestError.fromTransportError(err, requestInfo));
             }
         });
+
+        // Abort the download when the caller cancels it
+        var cancelToken = restCtx.cancelToken;
+        if (cancelToken) {
+            var onCancel = function() {
+                req.abort();
+                writeStream.removeAllListeners();
+                writeStream.destroy();
+
+                if (!called) {
+                    called = true;
+                    callback(RestError.fromCancellation(requestInfo));
+                }
+            };
+
+            if (cancelToken.isCancelled) {
+                return onCancel();
+            }
+
+            cancelToken.once('cancel', onCancel);
+            req.on('end', function() {
+                cancelToken.removeListener('cancel', onCancel);
+            });
+            writeStream.once('close', function() {
+                cancelToken.removeListener('cancel', onCancel);
+            });
+        }
     };
 
     // We can't use the RestUtil.RestRequest utility to wrap our requests as we're dealing with streams.
@@ -425,7 +641,7 @@ var download = module.exports.download = function(restCtx, contentId, revisionId
         downloadFile();
     } else {
         // No jar was present, create one.
-        restCtx.cookieJar = request.jar();
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
 
         // If the restContext is not anonymous, we need to fill it up.
         RestUtil.fillCookieJar(restCtx, function(err) {
@@ -447,6 +663,12 @@ var download = module.exports.download = function(restCtx, contentId, revisionId
  * @param  {String}         callback.url        The URL where the etherpad instance for the collaborative document is available.
  */
 var joinCollabDoc = module.exports.joinCollabDoc = function(restCtx, contentId, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/join', 'POST', null, callback);
 };
 
@@ -467,6 +689,13 @@ var joinCollabDoc = module.exports.joinCollabDoc = function(restCtx, contentId,
  * @param  {Object}         callback.err        Error object containing error code and error message
  */
 var setPreviewItems = module.exports.setPreviewItems = function(restCtx, contentId, revisionId, status, files, sizes, contentMetadata, previewMetadata, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(revisionId, MESSAGES.REVISION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     previewMetadata = previewMetadata || {};
     contentMetadata = contentMetadata || {};
     var params = {
@@ -502,6 +731,13 @@ var setPreviewItems = module.exports.setPreviewItems = function(restCtx, content
  * @param  {Object}         callback.err        Error object containing error code and error message
  */
 var getPreviewItems = module.exports.getPreviewItems = function(restCtx, contentId, revisionId, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(revisionId, MESSAGES.REVISION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/revisions/' + RestUtil.encodeURIComponent(revisionId) + '/previews';
     RestUtil.RestRequest(restCtx, url, 'GET', {}, callback);
 };
@@ -522,6 +758,14 @@ var getPreviewItems = module.exports.getPreviewItems = function(restCtx, content
  * @param  {Object}         callback.body           The body of the response.
  */
 var downloadPreviewItem = module.exports.downloadPreviewItem = function(restCtx, contentId, revisionId, previewItem, signature, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(revisionId, MESSAGES.REVISION_ID).notEmpty();
+    validator.check(previewItem, 'A preview item must be provided').notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/content/' + RestUtil.encodeURIComponent(contentId) + '/revisions/' + RestUtil.encodeURIComponent(revisionId) + '/previews/';
     url += RestUtil.encodeURIComponent(previewItem);
     var params = {
@@ -0,0 +1,20 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback, Group, SelectedArea, User } from './types';
+
+/** Crop the large picture of a user or group */
+export function cropPicture(restCtx: RestContext, principalId: string, selectedArea: SelectedArea, callback: Callback<User | Group>): void;
@@ -14,6 +14,8 @@
  */
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 /**
  * Crop the large picture that is associated with a user.
@@ -30,6 +32,13 @@ var RestUtil = require('./util');
  */
 
 var cropPicture = module.exports.cropPicture = function(restCtx, principalId, selectedArea, callback) {
+    var validator = new Validator();
+    validator.check(principalId, MESSAGES.PRINCIPAL_ID).notEmpty();
+    validator.check(selectedArea, MESSAGES.SELECTED_AREA).notNull().isValidSelectedArea();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'principalId': principalId,
         'x': selectedArea.x,
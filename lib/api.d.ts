@@ -0,0 +1,111 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import * as Activity from './api.activity';
+import * as Admin from './api.admin';
+import * as Authentication from './api.authentication';
+import * as Config from './api.config';
+import * as Content from './api.content';
+import * as Crop from './api.crop';
+import * as Discussions from './api.discussions';
+import * as Doc from './api.doc';
+import * as Folders from './api.folders';
+import * as Following from './api.following';
+import * as Group from './api.group';
+import * as MediaCore from './api.mediacore';
+import * as OAuth from './api.oauth';
+import * as Previews from './api.previews';
+import * as Search from './api.search';
+import * as Telemetry from './api.telemetry';
+import * as Tenants from './api.tenants';
+import * as UI from './api.ui';
+import * as User from './api.user';
+import * as Uservoice from './api.uservoice';
+
+import * as Cache from './cache';
+import * as Cassette from './cassette';
+import * as Client from './client';
+import * as DryRun from './dryrun';
+import * as Har from './har';
+import * as Model from './model';
+import * as Paging from './paging';
+import { PromisifiedModules, PromisifiedModulesWithResponse } from './promises';
+import * as Redact from './redact';
+import * as Session from './session';
+import * as Transport from './transport';
+
+/**
+ * The REST API modules, keyed by the name they are exported under
+ */
+export interface Modules {
+    Activity: typeof Activity;
+    Admin: typeof Admin;
+    Authentication: typeof Authentication;
+    Config: typeof Config;
+    Content: typeof Content;
+    Crop: typeof Crop;
+    Discussions: typeof Discussions;
+    Doc: typeof Doc;
+    Folders: typeof Folders;
+    Following: typeof Following;
+    Group: typeof Group;
+    MediaCore: typeof MediaCore;
+    OAuth: typeof OAuth;
+    Previews: typeof Previews;
+    Search: typeof Search;
+    Telemetry: typeof Telemetry;
+    Tenants: typeof Tenants;
+    UI: typeof UI;
+    User: typeof User;
+    Uservoice: typeof Uservoice;
+}
+
+export {
+    Activity,
+    Admin,
+    Authentication,
+    Config,
+    Content,
+    Crop,
+    Discussions,
+    Doc,
+    Folders,
+    Following,
+    Group,
+    MediaCore,
+    OAuth,
+    Previews,
+    Search,
+    Telemetry,
+    Tenants,
+    UI,
+    User,
+    Uservoice
+};
+
+/**
+ * Promise-based variants of all of the REST wrappers. See `lib/api.js` for more information
+ */
+export const promises: PromisifiedModules<Modules> & { withResponse: PromisifiedModulesWithResponse<Modules> };
+
+/**
+ * Iterators over all of the items of the paged listings. See `lib/api.js` for more information
+ */
+export const iterators: Paging.Iterators<Modules>;
+
+export { Cache, Cassette, Client, DryRun, Har, Model, Paging, Redact, Session, Transport };
+export { RestError } from './error';
+export type { RestContext, RestContextOptions } from './model';
+export type * as Types from './types';
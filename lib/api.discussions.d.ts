@@ -0,0 +1,53 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback, Discussion, Member, MemberUpdates, Message, PagedResults, Visibility } from './types';
+
+/** Create a discussion */
+export function createDiscussion(restCtx: RestContext, displayName: string, description: string | null | undefined, visibility: Visibility | null | undefined, managers: string[] | null | undefined, members: string[] | null | undefined, callback: Callback<Discussion>): void;
+
+/** Get the full profile of a discussion */
+export function getDiscussion(restCtx: RestContext, discussionId: string, callback: Callback<Discussion>): void;
+
+/** Update the metadata of a discussion */
+export function updateDiscussion(restCtx: RestContext, discussionId: string, profileFields: { displayName?: string; description?: string; visibility?: Visibility }, callback: Callback<Discussion>): void;
+
+/** Delete a discussion */
+export function deleteDiscussion(restCtx: RestContext, discussionId: string, callback: Callback): void;
+
+/** Get the discussion library of a user or group */
+export function getDiscussionsLibrary(restCtx: RestContext, principalId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Discussion>>): void;
+
+/** Get the members of a discussion with their roles */
+export function getDiscussionMembers(restCtx: RestContext, discussionId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Member>>): void;
+
+/** Update the members of a discussion. Use `false` as the role to remove a member */
+export function updateDiscussionMembers(restCtx: RestContext, discussionId: string, memberUpdates: MemberUpdates, callback: Callback): void;
+
+/** Share a discussion with users and groups */
+export function shareDiscussion(restCtx: RestContext, discussionId: string, principalIds: string | string[], callback: Callback): void;
+
+/** Remove a discussion from the library of a user or group */
+export function removeDiscussionFromLibrary(restCtx: RestContext, libraryOwnerId: string, discussionId: string, callback: Callback): void;
+
+/** Post a message in a discussion, or a reply to another message */
+export function createMessage(restCtx: RestContext, discussionId: string, body: string, replyTo: string | number | null | undefined, callback: Callback<Message>): void;
+
+/** Get the messages of a discussion */
+export function getMessages(restCtx: RestContext, discussionId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Message>>): void;
+
+/** Delete a message. Messages that have replies are flagged as deleted and returned instead */
+export function deleteMessage(restCtx: RestContext, discussionId: string, messageCreated: string | number, callback: Callback<Message | undefined>): void;
@@ -14,6 +14,13 @@
  */
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
+
+/*!
+ * The roles the members of a discussion can have
+ */
+var ROLES = ['manager', 'member'];
 
 /**
  * Create a new discussion.
@@ -29,6 +36,12 @@ var RestUtil = require('./util');
  * @param  {Discussion}     callback.discussion The discussion object that was created
  */
 var createDiscussion = module.exports.createDiscussion = function(restCtx, displayName, description, visibility, managers, members, callback) {
+    var validator = new Validator();
+    validator.check(visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'displayName': displayName,
         'description': description,
@@ -54,6 +67,12 @@ var createDiscussion = module.exports.createDiscussion = function(restCtx, displ
  * @param  {Boolean}        callback.discussion.canPost     Specifies if the current user in context is allowed to post messages to the discussion
  */
 var getDiscussion = module.exports.getDiscussion = function(restCtx, discussionId, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/discussion/' + RestUtil.encodeURIComponent(discussionId), 'GET', null, callback);
 };
 
@@ -68,6 +87,13 @@ var getDiscussion = module.exports.getDiscussion = function(restCtx, discussionI
  * @param  {Discussion}     callback.discussion The updated discussion object
  */
 var updateDiscussion = module.exports.updateDiscussion = function(restCtx, discussionId, profileFields, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    validator.check(profileFields && profileFields.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/discussion/' + RestUtil.encodeURIComponent(discussionId), 'POST', profileFields, callback);
 };
 
@@ -80,6 +106,12 @@ var updateDiscussion = module.exports.updateDiscussion = function(restCtx, discu
  * @param  {Object}         callback.err                    An error that occurred, if any
  */
 var deleteDiscussion = module.exports.deleteDiscussion = function(restCtx, discussionId, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/discussion/' + RestUtil.encodeURIComponent(discussionId), 'DELETE', null, callback);
 };
 
@@ -97,6 +129,13 @@ var deleteDiscussion = module.exports.deleteDiscussion = function(restCtx, discu
  * @param  {String}         [callback.nextToken]    The token that can be used as the `start` parameter to fetch the next set of tokens (exclusively). If not specified, indicates that the query fetched all remaining results.
  */
 var getDiscussionsLibrary = module.exports.getDiscussionsLibrary = function(restCtx, principalId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(principalId, MESSAGES.PRINCIPAL_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -118,6 +157,13 @@ var getDiscussionsLibrary = module.exports.getDiscussionsLibrary = function(rest
  * @param  {User|Group}     callback.members[i].profile The principal profile of the member at index `i`
  */
 var getDiscussionMembers = module.exports.getDiscussionMembers = function(restCtx, discussionId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -136,6 +182,13 @@ var getDiscussionMembers = module.exports.getDiscussionMembers = function(restCt
  * @param  {Object}         callback.err            An error that occurred, if any
  */
 var updateDiscussionMembers = module.exports.updateDiscussionMembers = function(restCtx, discussionId, memberUpdates, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    validator.check(memberUpdates).isValidMemberUpdates(ROLES);
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/discussion/' + RestUtil.encodeURIComponent(discussionId) + '/members', 'POST', memberUpdates, callback);
 };
 
@@ -144,15 +197,22 @@ var updateDiscussionMembers = module.exports.updateDiscussionMembers = function(
  * any principals in the list already have the discussion in their library, then this will have no impact for
  * that user with no error. Only those who do not have the discussion in their library will be impacted.
  *
- * @param  {RestContext}    restCtx         The context of the current request
- * @param  {String}         discussionId    The id of the discussion to share
- * @param  {String[]}       principalIds    The ids of the principals with which the discussion will be shared
- * @param  {Function}       callback        Invoked when the process completes
- * @param  {Object}         callback.err    An error that occurred, if any
+ * @param  {RestContext}      restCtx       The context of the current request
+ * @param  {String}           discussionId  The id of the discussion to share
+ * @param  {String|String[]}  principalIds  The id or ids of the principals with which the discussion will be shared
+ * @param  {Function}         callback      Invoked when the process completes
+ * @param  {Object}           callback.err  An error that occurred, if any
  */
 var shareDiscussion = module.exports.shareDiscussion = function(restCtx, discussionId, principalIds, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    validator.check(principalIds, MESSAGES.PRINCIPAL_IDS).notEmpty().isStringOrArray();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
-        'members': principalIds
+        'members': [].concat(principalIds)
     };
     RestUtil.RestRequest(restCtx, '/api/discussion/' + RestUtil.encodeURIComponent(discussionId) + '/share', 'POST', params, callback);
 };
@@ -171,6 +231,13 @@ var shareDiscussion = module.exports.shareDiscussion = function(restCtx, discuss
  * @param  {Object}         callback.err    An error that occurred, if any
  */
 var removeDiscussionFromLibrary = module.exports.removeDiscussionFromLibrary = function(restCtx, libraryOwnerId, discussionId, callback) {
+    var validator = new Validator();
+    validator.check(libraryOwnerId, MESSAGES.PRINCIPAL_ID).notEmpty();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/discussion/library/' + RestUtil.encodeURIComponent(libraryOwnerId) + '/' + RestUtil.encodeURIComponent(discussionId), 'DELETE', null, callback);
 };
 
@@ -187,6 +254,12 @@ var removeDiscussionFromLibrary = module.exports.removeDiscussionFromLibrary = f
  * @param  {Message}        callback.message            The message object that was created
  */
 var createMessage = module.exports.createMessage = function(restCtx, discussionId, body, replyTo, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'body': body,
         'replyTo': replyTo
@@ -207,6 +280,13 @@ var createMessage = module.exports.createMessage = function(restCtx, discussionI
  * @param  {Message[]}      callback.messages.results   The list of messages retrieved
  */
 var getMessages = module.exports.getMessages = function(restCtx, discussionId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -226,6 +306,13 @@ var getMessages = module.exports.getMessages = function(restCtx, discussionId, s
  * @param  {Comment}        [callback.softDeleted]  When the message has been soft deleted (because it has replies), a stripped down message object representing the deleted message will be returned, with the `deleted` parameter set to `false`. If the message has been deleted from the index, no message object will be returned.
  */
 var deleteMessage = module.exports.deleteMessage = function(restCtx, discussionId, messageCreated, callback) {
+    var validator = new Validator();
+    validator.check(discussionId, MESSAGES.DISCUSSION_ID).notEmpty();
+    validator.check(messageCreated, MESSAGES.MESSAGE_CREATED).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/discussion/' + RestUtil.encodeURIComponent(discussionId) + '/messages/' + RestUtil.encodeURIComponent(messageCreated), 'DELETE', null, callback);
 };
 
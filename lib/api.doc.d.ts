@@ -0,0 +1,29 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback } from './types';
+
+/** Get the names of the available modules of a type */
+export function getModules(restCtx: RestContext, type: 'backend' | 'frontend', callback: Callback<string[]>): void;
+
+/** Get the documentation of a module */
+export function getModuleDocumentation(restCtx: RestContext, type: 'backend' | 'frontend', moduleId: string, callback: Callback<{ [file: string]: any }>): void;
+
+/** Get the API resources that are documented with swagger */
+export function getSwaggerResources(restCtx: RestContext, callback: Callback<{ [key: string]: any }>): void;
+
+/** Get the swagger documentation of an API */
+export function getSwaggerApi(restCtx: RestContext, id: string, callback: Callback<{ [key: string]: any }>): void;
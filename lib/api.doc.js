@@ -14,6 +14,8 @@
  */
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 /**
  * Get a list of all of the available modules of a certain type through the REST API.
@@ -25,6 +27,12 @@ var RestUtil = require('./util');
  * @param  {String[]}     callback.modules    Array containing the names of all of the available modules
  */
 var getModules = module.exports.getModules = function(restCtx, type, callback) {
+    var validator = new Validator();
+    validator.check(type, MESSAGES.MODULE_TYPE).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/doc/' + RestUtil.encodeURIComponent(type), 'GET', null, callback);
 };
 
@@ -39,6 +47,13 @@ var getModules = module.exports.getModules = function(restCtx, type, callback) {
  * @param  {Dox}          callback.doc        Dox object containing the JSDoc information for the requested module
  */
 var getModuleDocumentation = module.exports.getModuleDocumentation = function(restCtx, type, moduleId, callback) {
+    var validator = new Validator();
+    validator.check(type, MESSAGES.MODULE_TYPE).notEmpty();
+    validator.check(moduleId, 'A module id must be provided').notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/doc/' + RestUtil.encodeURIComponent(type) + '/' + RestUtil.encodeURIComponent(moduleId), 'GET', null, callback);
 };
 
@@ -63,5 +78,11 @@ var getSwaggerResources = module.exports.getSwaggerResources = function(restCtx,
  * @param  {Object}         callback.info   The swagger information for the given api
  */
 var getSwaggerApi = module.exports.getSwaggerApi = function(restCtx, id, callback) {
+    var validator = new Validator();
+    validator.check(id, 'An API id must be provided').notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/swagger/' + id, 'GET', null, callback);
 };
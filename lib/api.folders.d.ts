@@ -0,0 +1,68 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback, Content, Folder, Member, MemberUpdates, Message, PagedResults, Visibility } from './types';
+
+/** Get a folder */
+export function getFolder(restCtx: RestContext, folderId: string, callback: Callback<Folder>): void;
+
+/** Create a folder */
+export function createFolder(restCtx: RestContext, displayName: string, description: string | null | undefined, visibility: Visibility | null | undefined, managers: string[] | null | undefined, viewers: string[] | null | undefined, callback: Callback<Folder>): void;
+
+/** Update the metadata of a folder */
+export function updateFolder(restCtx: RestContext, folderId: string, updates: { displayName?: string; description?: string; visibility?: Visibility; applyVisibilityOn?: 'folder' | 'folderAndContent' }, callback: Callback<Folder>): void;
+
+/** Update the visibility of the content items in a folder */
+export function updateFolderContentVisibility(restCtx: RestContext, folderId: string, visibility: Visibility, callback: Callback): void;
+
+/** Delete a folder, and optionally the content items in it */
+export function deleteFolder(restCtx: RestContext, folderId: string, deleteContent: boolean, callback: Callback): void;
+
+/** Share a folder with users and groups */
+export function shareFolder(restCtx: RestContext, folderId: string, principalIds: string | string[], callback: Callback): void;
+
+/** Update the members of a folder. Use `false` as the role to remove a member */
+export function updateFolderMembers(restCtx: RestContext, folderId: string, memberUpdates: MemberUpdates, callback: Callback): void;
+
+/** Get the members of a folder with their roles */
+export function getFolderMembers(restCtx: RestContext, folderId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Member>>): void;
+
+/** Get the folder library of a user or group */
+export function getFoldersLibrary(restCtx: RestContext, principalId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Folder>>): void;
+
+/** Get the folders the user in context manages */
+export function getManagedFolders(restCtx: RestContext, callback: Callback<PagedResults<Folder>>): void;
+
+/** Remove a folder from the library of a user or group */
+export function removeFolderFromLibrary(restCtx: RestContext, principalId: string, folderId: string, callback: Callback): void;
+
+/** Add content items to a folder */
+export function addContentItemsToFolder(restCtx: RestContext, folderId: string, contentIds: string | string[], callback: Callback): void;
+
+/** Remove content items from a folder */
+export function removeContentItemsFromFolder(restCtx: RestContext, folderId: string, contentIds: string | string[], callback: Callback): void;
+
+/** Get the content items in a folder */
+export function getFolderContentLibrary(restCtx: RestContext, folderId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Content>>): void;
+
+/** Post a message in a folder, or a reply to another message */
+export function createMessage(restCtx: RestContext, folderId: string, body: string, replyTo: string | number | null | undefined, callback: Callback<Message>): void;
+
+/** Get the messages of a folder */
+export function getMessages(restCtx: RestContext, folderId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Message>>): void;
+
+/** Delete a message. Messages that have replies are flagged as deleted and returned instead */
+export function deleteMessage(restCtx: RestContext, folderId: string, messageCreated: string | number, callback: Callback<Message | undefined>): void;
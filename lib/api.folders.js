@@ -16,6 +16,13 @@
 var _ = require('underscore');
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
+
+/*!
+ * The roles the members of a folder can have
+ */
+var ROLES = ['manager', 'viewer'];
 
 /**
  * Get a folder by its id
@@ -27,6 +34,12 @@ var RestUtil = require('./util');
  * @param  {Folder}         callback.folder     The retrieved folder
  */
 var getFolder = module.exports.getFolder = function(restCtx, folderId, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId), 'GET', null, callback);
 };
 
@@ -44,6 +57,12 @@ var getFolder = module.exports.getFolder = function(restCtx, folderId, callback)
  * @param  {Folder}         callback.folder     The created folder
  */
 var createFolder = module.exports.createFolder = function(restCtx, displayName, description, visibility, managers, viewers, callback) {
+    var validator = new Validator();
+    validator.check(visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'displayName': displayName,
         'description': description,
@@ -68,6 +87,13 @@ var createFolder = module.exports.createFolder = function(restCtx, displayName,
  * @param  {Object}         callback.err                    An error object, if any
  */
 var updateFolder = module.exports.updateFolder = function(restCtx, folderId, updates, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(updates && updates.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId), 'POST', updates, callback);
 };
 
@@ -81,6 +107,13 @@ var updateFolder = module.exports.updateFolder = function(restCtx, folderId, upd
  * @param  {Object}         callback.err                    An error object, if any
  */
 var updateFolderContentVisibility = module.exports.updateFolderContentVisibility = function(restCtx, folderId, visibility, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(visibility, MESSAGES.VISIBILITY).notNull().isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {'visibility': visibility};
     var url = '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/contentvisibility';
     RestUtil.RestRequest(restCtx, url, 'POST', params, callback);
@@ -96,6 +129,12 @@ var updateFolderContentVisibility = module.exports.updateFolderContentVisibility
  * @param  {Object}         callback.err                    An error object, if any
  */
 var deleteFolder = module.exports.deleteFolder = function(restCtx, folderId, deleteContent, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'deleteContent': deleteContent
     };
@@ -105,14 +144,21 @@ var deleteFolder = module.exports.deleteFolder = function(restCtx, folderId, del
 /**
  * Share a folder with one or more users and groups
  *
- * @param  {RestContext}    restCtx             The context of the current request
- * @param  {String}         folderId            The id of the folder that should be shared
- * @param  {String[]}       principalIds        The ids of the users and/or groups with whom the folder should be shared
- * @param  {Function}       callback            Standard callback function
- * @param  {Object}         callback.err        An error object, if any
+ * @param  {RestContext}      restCtx       The context of the current request
+ * @param  {String}           folderId      The id of the folder that should be shared
+ * @param  {String|String[]}  principalIds  The id or ids of the users and/or groups with whom the folder should be shared
+ * @param  {Function}         callback      Standard callback function
+ * @param  {Object}           callback.err  An error object, if any
  */
 var shareFolder = module.exports.shareFolder = function(restCtx, folderId, principalIds, callback) {
-    RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/share', 'POST', {'viewers': principalIds}, callback);
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(principalIds, MESSAGES.PRINCIPAL_IDS).notEmpty().isStringOrArray();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
+    RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/share', 'POST', {'viewers': [].concat(principalIds)}, callback);
 };
 
 /**
@@ -125,6 +171,13 @@ var shareFolder = module.exports.shareFolder = function(restCtx, folderId, princ
  * @param  {Object}         callback.err        An error object, if any
  */
 var updateFolderMembers = module.exports.updateFolderMembers = function(restCtx, folderId, memberUpdates, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(memberUpdates).isValidMemberUpdates(ROLES);
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/members', 'POST', memberUpdates, callback);
 };
 
@@ -142,6 +195,13 @@ var updateFolderMembers = module.exports.updateFolderMembers = function(restCtx,
  * @param  {User|Group}     callback.members[i].profile     The principal profile of the member at index `i`
  */
 var getFolderMembers = module.exports.getFolderMembers = function(restCtx, folderId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -163,6 +223,13 @@ var getFolderMembers = module.exports.getFolderMembers = function(restCtx, folde
  * @param  {String}         callback.result.nextToken       Holds the folder id that should be used if the next page of folders needs to be retrieved
  */
 var getFoldersLibrary = module.exports.getFoldersLibrary = function(restCtx, principalId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(principalId, MESSAGES.PRINCIPAL_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -193,6 +260,13 @@ var getManagedFolders = module.exports.getManagedFolders = function(restCtx, cal
  * @param  {Object}         callback.err    An error object, if any
  */
 var removeFolderFromLibrary = module.exports.removeFolderFromLibrary = function(restCtx, principalId, folderId, callback) {
+    var validator = new Validator();
+    validator.check(principalId, MESSAGES.PRINCIPAL_ID).notEmpty();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/folder/library';
     url += '/' + RestUtil.encodeURIComponent(principalId);
     url += '/' + RestUtil.encodeURIComponent(folderId);
@@ -202,27 +276,41 @@ var removeFolderFromLibrary = module.exports.removeFolderFromLibrary = function(
 /**
  * Add one or more content items to a folder
  *
- * @param  {RestContext}    restCtx         The context of the current request
- * @param  {String}         folderId        The id of the folder that the content items need to be added to
- * @param  {String[]}       contentIds      One or more ids of content items that should be added to the folder
- * @param  {Function}       callback        Standard callback function
- * @param  {Object}         callback.err    An error object, if any
+ * @param  {RestContext}      restCtx       The context of the current request
+ * @param  {String}           folderId      The id of the folder that the content items need to be added to
+ * @param  {String|String[]}  contentIds    One or more ids of content items that should be added to the folder
+ * @param  {Function}         callback      Standard callback function
+ * @param  {Object}           callback.err  An error object, if any
  */
 var addContentItemsToFolder = module.exports.addContentItemsToFolder = function(restCtx, folderId, contentIds, callback) {
-    RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/library', 'POST', {'contentIds': contentIds}, callback);
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(contentIds, MESSAGES.CONTENT_IDS).notEmpty().isStringOrArray();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
+    RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/library', 'POST', {'contentIds': [].concat(contentIds)}, callback);
 };
 
 /**
  * Remove one or more content items from a folder
  *
- * @param  {RestContext}    restCtx         The context of the current request
- * @param  {String}         folderId        The id of the folder that the content items need to be removed from
- * @param  {String[]}       contentIds      One or more ids of content items that should be removed from the folder
- * @param  {Function}       callback        Standard callback function
- * @param  {Object}         callback.err    An error object, if any
+ * @param  {RestContext}      restCtx       The context of the current request
+ * @param  {String}           folderId      The id of the folder that the content items need to be removed from
+ * @param  {String|String[]}  contentIds    One or more ids of content items that should be removed from the folder
+ * @param  {Function}         callback      Standard callback function
+ * @param  {Object}           callback.err  An error object, if any
  */
 var removeContentItemsFromFolder = module.exports.removeContentItemsFromFolder = function(restCtx, folderId, contentIds, callback) {
-    RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/library', 'DELETE', {'contentIds': contentIds}, callback);
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(contentIds, MESSAGES.CONTENT_IDS).notEmpty().isStringOrArray();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
+    RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/library', 'DELETE', {'contentIds': [].concat(contentIds)}, callback);
 };
 
 /**
@@ -239,6 +327,13 @@ var removeContentItemsFromFolder = module.exports.removeContentItemsFromFolder =
  * @param  {String}         callback.result.nextToken       Holds the content id that should be used if the next page of content items needs to be retrieved
  */
 var getFolderContentLibrary = module.exports.getFolderContentLibrary = function(restCtx, folderId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -259,6 +354,12 @@ var getFolderContentLibrary = module.exports.getFolderContentLibrary = function(
  * @param  {Message}        callback.message            The message object that was created
  */
 var createMessage = module.exports.createMessage = function(restCtx, folderId, body, replyTo, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'body': body,
         'replyTo': replyTo
@@ -279,6 +380,13 @@ var createMessage = module.exports.createMessage = function(restCtx, folderId, b
  * @param  {Message[]}      callback.messages.results   The list of messages retrieved
  */
 var getMessages = module.exports.getMessages = function(restCtx, folderId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -298,5 +406,12 @@ var getMessages = module.exports.getMessages = function(restCtx, folderId, start
  * @param  {Comment}        [callback.softDeleted]  When the message has been soft deleted (because it has replies), a stripped down message object representing the deleted message will be returned, with the `deleted` parameter set to `false`. If the message has been deleted from the index, no message object will be returned.
  */
 var deleteMessage = module.exports.deleteMessage = function(restCtx, folderId, messageCreated, callback) {
+    var validator = new Validator();
+    validator.check(folderId, MESSAGES.FOLDER_ID).notEmpty();
+    validator.check(messageCreated, MESSAGES.MESSAGE_CREATED).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/folder/' + RestUtil.encodeURIComponent(folderId) + '/messages/' + RestUtil.encodeURIComponent(messageCreated), 'DELETE', null, callback);
 };
@@ -0,0 +1,29 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback, PagedResults, User } from './types';
+
+/** Get the followers of a user */
+export function getFollowers(restCtx: RestContext, userId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<User>>): void;
+
+/** Get the users a user follows */
+export function getFollowing(restCtx: RestContext, userId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<User>>): void;
+
+/** Start following a user */
+export function follow(restCtx: RestContext, userId: string, callback: Callback): void;
+
+/** Stop following a user */
+export function unfollow(restCtx: RestContext, userId: string, callback: Callback): void;
@@ -14,6 +14,8 @@
  */
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 /**
  * Get the list of followers of a user
@@ -29,6 +31,13 @@ var RestUtil = require('./util');
  * @param  {String}         callback.response.nextToken The token to use as the `start` parameter for the next page of followers
  */
 var getFollowers = module.exports.getFollowers = function(restCtx, userId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/following/' + RestUtil.encodeURIComponent(userId) + '/followers', 'GET', {'start': start, 'limit': limit}, callback);
 };
 
@@ -46,6 +55,13 @@ var getFollowers = module.exports.getFollowers = function(restCtx, userId, start
  * @param  {String}         callback.response.nextToken The token to use as the `start` parameter for the next page of followed users
  */
 var getFollowing = module.exports.getFollowing = function(restCtx, userId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/following/' + RestUtil.encodeURIComponent(userId) + '/following', 'GET', {'start': start, 'limit': limit}, callback);
 };
 
@@ -58,6 +74,12 @@ var getFollowing = module.exports.getFollowing = function(restCtx, userId, start
  * @param  {Object}         callback.err    An error that occurred, if any
  */
 var follow = module.exports.follow = function(restCtx, userId, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/following/' + RestUtil.encodeURIComponent(userId) + '/follow', 'POST', null, callback);
 };
 
@@ -70,5 +92,11 @@ var follow = module.exports.follow = function(restCtx, userId, callback) {
  * @param  {Object}         callback.err    An error that occurred, if any
  */
 var unfollow = module.exports.unfollow = function(restCtx, userId, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/following/' + RestUtil.encodeURIComponent(userId) + '/unfollow', 'POST', null, callback);
 };
@@ -0,0 +1,55 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/// <reference types="node" />
+
+import { RestContext } from './model';
+import { Callback, FileBody, FileGenerator, Group, Joinable, MemberUpdates, PagedResults, SelectedArea, User, Visibility } from './types';
+
+/** Create a group */
+export function createGroup(restCtx: RestContext, displayName: string, description: string | null | undefined, visibility: Visibility | null | undefined, joinable: Joinable | null | undefined, managers: string[] | null | undefined, members: string[] | null | undefined, callback: Callback<Group>): void;
+
+/** Delete a group */
+export function deleteGroup(restCtx: RestContext, groupId: string, callback: Callback): void;
+
+/** Restore a group that was deleted */
+export function restoreGroup(restCtx: RestContext, groupId: string, callback: Callback): void;
+
+/** Get a group */
+export function getGroup(restCtx: RestContext, groupId: string, callback: Callback<Group>): void;
+
+/** Update the metadata of a group */
+export function updateGroup(restCtx: RestContext, groupId: string, profileFields: { displayName?: string; description?: string; visibility?: Visibility; joinable?: Joinable }, callback: Callback<Group>): void;
+
+/** Get the members of a group */
+export function getGroupMembers(restCtx: RestContext, groupId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<{ profile: User | Group; role: string }>>): void;
+
+/** Update the members of a group. Use `false` as the role to remove a member */
+export function setGroupMembers(restCtx: RestContext, groupId: string, members: MemberUpdates, callback: Callback): void;
+
+/** Join a group as the user in context */
+export function joinGroup(restCtx: RestContext, groupId: string, callback: Callback): void;
+
+/** Leave a group as the user in context */
+export function leaveGroup(restCtx: RestContext, groupId: string, callback: Callback): void;
+
+/** Get the groups a user is a direct or indirect member of */
+export function getMembershipsLibrary(restCtx: RestContext, userId: string, start: string | null | undefined, limit: number | null | undefined, callback: Callback<PagedResults<Group>>): void;
+
+/** Upload a new picture for a group and optionally crop it */
+export function uploadPicture(restCtx: RestContext, groupId: string, file: FileGenerator | FileBody, selectedArea: SelectedArea | null | undefined, callback: Callback<Group>): void;
+
+/** Download the picture of a group */
+export function downloadPicture(restCtx: RestContext, groupId: string, size: 'small' | 'medium' | 'large', callback: Callback<Buffer>): void;
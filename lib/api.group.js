@@ -14,7 +14,15 @@
  */
 
 var CropAPI = require('./api.crop');
+var RestError = require('./error').RestError;
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
+
+/*!
+ * The roles the members of a group can have
+ */
+var ROLES = ['manager', 'member'];
 
 /**
  * Creates a group through the REST API. Optional arguments will only be added if they are defined
@@ -32,6 +40,12 @@ var RestUtil = require('./util');
  * @param  {Group}             callback.response   A Group object representing the created group
  */
 var createGroup = module.exports.createGroup = function(restCtx, displayName, description, visibility, joinable, managers, members, callback) {
+    var validator = new Validator();
+    validator.check(visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var postData = {
         'displayName': displayName,
         'description': description,
@@ -52,6 +66,12 @@ var createGroup = module.exports.createGroup = function(restCtx, displayName, de
  * @param  {Object}         callback.err    An error that occurred, if any
  */
 var deleteGroup = module.exports.deleteGroup = function(restCtx, groupId, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     return RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId), 'DELETE', null, callback);
 };
 
@@ -64,6 +84,12 @@ var deleteGroup = module.exports.deleteGroup = function(restCtx, groupId, callba
  * @param  {Object}         callback.err    An error that occurred, if any
  */
 var restoreGroup = module.exports.restoreGroup = function(restCtx, groupId, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     return RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId) + '/restore', 'POST', null, callback);
 };
 
@@ -77,6 +103,12 @@ var restoreGroup = module.exports.restoreGroup = function(restCtx, groupId, call
  * @param  {Group}        callback.response   The group object representing the requested group
  */
 var getGroup = module.exports.getGroup = function(restCtx, groupId, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId), 'GET', null, callback);
 };
 
@@ -96,6 +128,13 @@ var getGroup = module.exports.getGroup = function(restCtx, groupId, callback) {
  * @param  {Group}          callback.updatedGroup         Group object representing the updated group
  */
 var updateGroup = module.exports.updateGroup = function (restCtx, groupId, profileFields, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    validator.check(profileFields && profileFields.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId), 'POST', profileFields, callback);
 };
 
@@ -111,6 +150,13 @@ var updateGroup = module.exports.updateGroup = function (restCtx, groupId, profi
  * @param  {Object}             callback.response   An object with key 'results', whose value is a mixed array of User and Group objects that are members of the group
  */
 var getGroupMembers = module.exports.getGroupMembers = function(restCtx, groupId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -128,6 +174,13 @@ var getGroupMembers = module.exports.getGroupMembers = function(restCtx, groupId
  * @param  {Object}         callback.err        An error that occurred, if any
  */
 var setGroupMembers = module.exports.setGroupMembers = function(restCtx, groupId, members, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    validator.check(members).isValidMemberUpdates(ROLES);
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId) + '/members', 'POST', members, callback);
 };
 
@@ -140,6 +193,12 @@ var setGroupMembers = module.exports.setGroupMembers = function(restCtx, groupId
  * @param  {Object}         callback.err        An error that occurred, if any
  */
 var joinGroup = module.exports.joinGroup = function(restCtx, groupId, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId) + '/join', 'POST', null, callback);
 };
 
@@ -152,6 +211,12 @@ var joinGroup = module.exports.joinGroup = function(restCtx, groupId, callback)
  * @param  {Object}         callback.err        An error that occurred, if any
  */
 var leaveGroup = module.exports.leaveGroup = function(restCtx, groupId, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId) + '/leave', 'POST', null, callback);
 };
 
@@ -167,6 +232,13 @@ var leaveGroup = module.exports.leaveGroup = function(restCtx, groupId, callback
  * @param  {Group[]}      callback.response   An array of groups representing the direct and indirect memberships of the provided user
  */
 var getMembershipsLibrary = module.exports.getMembershipsLibrary = function(restCtx, userId, start, limit, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    validator.check(limit).isValidLimit();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'start': start,
         'limit': limit
@@ -190,6 +262,13 @@ var getMembershipsLibrary = module.exports.getMembershipsLibrary = function(rest
  * @param  {Object}          callback.principal      The updated principal object.
  */
 var uploadPicture = module.exports.uploadPicture = function(restCtx, groupId, file, selectedArea, callback) {
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    validator.check(selectedArea).isValidSelectedArea();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {'file': file};
     if (!selectedArea) {
         RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId) + '/picture', 'POST', params, callback);
@@ -215,15 +294,19 @@ var uploadPicture = module.exports.uploadPicture = function(restCtx, groupId, fi
  * @param  {Object}          callback.picture    The raw picture for this group.
  */
 var downloadPicture = module.exports.downloadPicture = function(restCtx, groupId, size, callback) {
-    if (!size) {
-        return callback({'code': 400, 'msg': 'Missing size parameter'});
+    var validator = new Validator();
+    validator.check(groupId, MESSAGES.GROUP_ID).notEmpty();
+    validator.check(size, MESSAGES.SIZE).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
     }
+
     RestUtil.RestRequest(restCtx, '/api/group/' + RestUtil.encodeURIComponent(groupId), 'GET', null, function(err, group) {
         if (err) {
             return callback(err);
         }
         if (!group.picture[size]) {
-            return callback({'code': 404, 'msg': 'This group has no picture.'});
+            return callback(new RestError(404, 'This group has no picture.'));
         }
         var url = group.picture[size];
         RestUtil.RestRequest(restCtx, url, 'GET', null, callback);
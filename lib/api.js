@@ -46,3 +46,91 @@ module.exports.Tenants = require('./api.tenants');
 module.exports.UI = require('./api.ui');
 module.exports.User = require('./api.user');
 module.exports.Uservoice = require('./api.uservoice');
+
+/*!
+ * Promise-based variants of all of the REST wrappers above. Each function takes the same arguments as
+ * its callback-based counterpart (without the callback) and returns a Promise that resolves with the
+ * parsed response body, e.g.:
+ *
+ *     `require('oae-rest').promises.Content.getContent(restCtx, contentId).then(...)`
+ *
+ * When access to the raw response is needed, the functions under `promises.withResponse` resolve with
+ * an object of the form `{'body': ..., 'response': ...}` instead.
+ */
+var Promises = require('./promises');
+var promisifiedModules = Promises.promisifyModules(module.exports);
+promisifiedModules.withResponse = Promises.promisifyModules(module.exports, true);
+module.exports.promises = promisifiedModules;
+
+/*!
+ * Iterators over all of the items of the paged listings above (e.g., `Content.getLibrary`). Each iterator takes the
+ * same arguments as its REST wrapper without the paging parameters and callback, and follows the `nextToken` of each
+ * page automatically. The iterators can be used with `for await`, e.g.:
+ *
+ *     `for await (var item of require('oae-rest').iterators.Content.getLibrary(restCtx, principalId)) {...}`
+ *
+ * Use `Paging.collectAll` to gather all items of a listing at once. See `lib/paging.js` for more information
+ */
+var Paging = require('./paging');
+module.exports.iterators = Paging.createIterators(module.exports);
+
+/*!
+ * Iterate over paged listings and gather all of their items. See `lib/paging.js` for more information
+ */
+module.exports.Paging = Paging;
+
+/*!
+ * Work with the REST wrappers through handles on the resources they act on, e.g.,
+ * `Client.createClient(restCtx).content(contentId).share(principalIds, callback)`. See `lib/client.js` for more
+ * information
+ */
+module.exports.Client = require('./client');
+
+/*!
+ * Hydrate the objects that are returned by the REST wrappers into models with accessors and convenience methods. See
+ * `lib/model.js` for more information
+ */
+module.exports.Model = require('./model');
+
+/*!
+ * The error type that is returned by all of the REST wrappers when a request fails
+ */
+module.exports.RestError = require('./error').RestError;
+
+/*!
+ * Capture the traffic that is issued through the library as a HAR file. See `lib/har.js` for more information
+ */
+module.exports.Har = require('./har');
+
+/*!
+ * Record the traffic that is issued through the library to a fixture file and replay it without a server. See
+ * `lib/cassette.js` for more information
+ */
+module.exports.Cassette = require('./cassette');
+
+/*!
+ * Cache the responses of GET requests. See `lib/cache.js` for more information
+ */
+module.exports.Cache = require('./cache');
+
+/*!
+ * Log the requests that would modify something on the server rather than sending them. See `lib/dryrun.js` for more
+ * information
+ */
+module.exports.DryRun = require('./dryrun');
+
+/*!
+ * Mask passwords, cookies and other sensitive values in the events and recordings of the library. See `lib/redact.js`
+ * for more information
+ */
+module.exports.Redact = require('./redact');
+
+/*!
+ * Persist authenticated rest contexts and restore them later. See `lib/session.js` for more information
+ */
+module.exports.Session = require('./session');
+
+/*!
+ * The transports that can perform the HTTP requests of the library. See `lib/transport.js` for more information
+ */
+module.exports.Transport = require('./transport');
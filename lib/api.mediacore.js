@@ -14,6 +14,8 @@
  */
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 /**
  * Gets the embed code for a mediacore media item.
@@ -25,6 +27,12 @@ var RestUtil = require('./util');
  * @param  {Object}         callback.response   An object with property `html` that holds the embed HTML source that can be used to embed the video
  */
 var getEmbedCode = module.exports.getEmbedCode = function(restCtx, contentId, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/mediacore/embed/' + RestUtil.encodeURIComponent(contentId), 'GET', null, callback);
 };
 
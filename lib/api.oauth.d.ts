@@ -0,0 +1,29 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback, OAuthClient } from './types';
+
+/** Create an OAuth client for a user */
+export function createClient(restCtx: RestContext, userId: string, displayName: string, callback: Callback<OAuthClient>): void;
+
+/** Get the OAuth clients of a user */
+export function getClients(restCtx: RestContext, userId: string, callback: Callback<{ results: OAuthClient[] }>): void;
+
+/** Update an OAuth client of a user */
+export function updateClient(restCtx: RestContext, userId: string, clientId: string, displayName: string | null | undefined, secret: string | null | undefined, callback: Callback<OAuthClient>): void;
+
+/** Delete an OAuth client of a user */
+export function deleteClient(restCtx: RestContext, userId: string, clientId: string, callback: Callback): void;
@@ -14,6 +14,8 @@
  */
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 /**
  * Create an OAuth Client
@@ -26,6 +28,12 @@ var RestUtil = require('./util');
  * @param  {Client}         callback.client     The created OAuth client
  */
 var createClient = module.exports.createClient = function(restCtx, userId, displayName, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/auth/oauth/clients/' + RestUtil.encodeURIComponent(userId), 'POST', {'displayName': displayName}, callback);
 };
 
@@ -39,6 +47,12 @@ var createClient = module.exports.createClient = function(restCtx, userId, displ
  * @param  {Client}         callback.clients    The retrieved OAuth clients
  */
 var getClients = module.exports.getClients = function(restCtx, userId, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/auth/oauth/clients/' + RestUtil.encodeURIComponent(userId), 'GET', null, callback);
 };
 
@@ -54,6 +68,13 @@ var getClients = module.exports.getClients = function(restCtx, userId, callback)
  * @param  {Object}         callback.err    Standard error object, if any
  */
 var updateClient = module.exports.updateClient = function(restCtx, userId, clientId, displayName, secret, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    validator.check(clientId, MESSAGES.CLIENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/auth/oauth/clients/' + RestUtil.encodeURIComponent(userId) + '/' + RestUtil.encodeURIComponent(clientId);
     var params = {
         'displayName': displayName,
@@ -72,6 +93,13 @@ var updateClient = module.exports.updateClient = function(restCtx, userId, clien
  * @param  {Object}         callback.err    Standard error object, if any
  */
 var deleteClient = module.exports.deleteClient = function(restCtx, userId, clientId, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    validator.check(clientId, MESSAGES.CLIENT_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/auth/oauth/clients/' + RestUtil.encodeURIComponent(userId) + '/' + RestUtil.encodeURIComponent(clientId);
     RestUtil.RestRequest(restCtx, url, 'DELETE', null, callback);
 };
@@ -0,0 +1,36 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback } from './types';
+
+/**
+ * The filters that select the content items and revisions whose previews should be reprocessed
+ */
+export interface ReprocessPreviewsFilters {
+    content_createdBy?: string[];
+    content_resourceSubType?: Array<'file' | 'link' | 'collabdoc'>;
+    content_previewsStatus?: Array<'error' | 'done' | 'pending' | 'ignored'>;
+    revision_mime?: string[];
+    revision_createdAfter?: number;
+    revision_createdBefore?: number;
+    revision_createdBy?: string[];
+}
+
+/** Reprocess the preview of a revision */
+export function reprocessPreview(restCtx: RestContext, contentId: string, revisionId: string, callback: Callback): void;
+
+/** Reprocess the previews of the content items and revisions that match the filters */
+export function reprocessPreviews(globalAdminRestContext: RestContext, filters: ReprocessPreviewsFilters, callback: Callback): void;
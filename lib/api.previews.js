@@ -14,6 +14,8 @@
  */
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 /**
  * Reprocess the preview of a revision of a particular content item.
@@ -25,6 +27,13 @@ var RestUtil = require('./util');
  * @param  {Object}         callback.err    An error that occurred, if any
  */
 var reprocessPreview = module.exports.reprocessPreview = function(restCtx, contentId, revisionId, callback) {
+    var validator = new Validator();
+    validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+    validator.check(revisionId, MESSAGES.REVISION_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     contentId = RestUtil.encodeURIComponent(contentId);
     revisionId = RestUtil.encodeURIComponent(revisionId);
     RestUtil.RestRequest(restCtx, '/api/content/' + contentId + '/revision/'+ revisionId + '/reprocessPreview', 'POST', null, callback);
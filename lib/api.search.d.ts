@@ -0,0 +1,37 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback, SearchResult } from './types';
+
+/**
+ * The options of a search
+ */
+export interface SearchOptions {
+    q?: string;
+    limit?: number;
+    start?: number;
+    sort?: 'asc' | 'desc';
+    [key: string]: any;
+}
+
+/** Perform a search */
+export function search(restCtx: RestContext, searchType: string, params: string[] | null | undefined, opts: SearchOptions | null | undefined, callback: Callback<SearchResult>): void;
+
+/** Refresh the search index, so all documents that have been indexed so far can be searched */
+export function refresh(restCtx: RestContext, callback: Callback): void;
+
+/** Reindex all items in storage. Only available to global administrators */
+export function reindexAll(globalAdminRestCtx: RestContext, callback: Callback): void;
@@ -15,6 +15,7 @@
 
 var _ = require('underscore');
 var RestUtil = require('./util');
+var Validator = require('./validator').Validator;
 
 /**
  * Perform a search.
@@ -32,6 +33,12 @@ var RestUtil = require('./util');
  * @param  {SearchResult}            callback.result     SearchResult object representing the search result
  */
 var search = module.exports.search = function(restCtx, searchType, params, opts, callback) {
+    var validator = new Validator();
+    validator.check(searchType, 'A search type must be provided').notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     params = params || [];
     opts = opts || {};
 
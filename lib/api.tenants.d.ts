@@ -0,0 +1,56 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback, Tenant, TenantNetwork } from './types';
+
+/** Create a tenant network */
+export function createTenantNetwork(restCtx: RestContext, displayName: string, callback: Callback<TenantNetwork>): void;
+
+/** Get all tenant networks and their tenants, keyed by tenant network id */
+export function getTenantNetworks(restCtx: RestContext, callback: Callback<{ [tenantNetworkId: string]: TenantNetwork }>): void;
+
+/** Update a tenant network */
+export function updateTenantNetwork(restCtx: RestContext, id: string, displayName: string, callback: Callback<TenantNetwork>): void;
+
+/** Delete a tenant network */
+export function deleteTenantNetwork(restCtx: RestContext, id: string, callback: Callback): void;
+
+/** Add tenants to a tenant network */
+export function addTenantAliases(restCtx: RestContext, tenantNetworkId: string, tenantAliases: string[], callback: Callback): void;
+
+/** Remove tenants from a tenant network */
+export function removeTenantAliases(restCtx: RestContext, tenantNetworkId: string, tenantAliases: string[], callback: Callback): void;
+
+/** Get all tenants, keyed by tenant alias */
+export function getTenants(restCtx: RestContext, callback: Callback<{ [tenantAlias: string]: Tenant }>): void;
+
+/** Get a tenant. When no alias is provided, the tenant of the rest context is returned */
+export function getTenant(restCtx: RestContext, alias: string | null | undefined, callback: Callback<Tenant>): void;
+
+/** Create a tenant */
+export function createTenant(restCtx: RestContext, alias: string, displayName: string, host: string, callback: Callback<Tenant>): void;
+
+/** Update the metadata of a tenant */
+export function updateTenant(restCtx: RestContext, alias: string | null | undefined, tenantUpdates: { displayName?: string; host?: string; [key: string]: any }, callback: Callback): void;
+
+/** Stop a running tenant */
+export function stopTenant(restCtx: RestContext, alias: string, callback: Callback): void;
+
+/** Start a stopped tenant */
+export function startTenant(restCtx: RestContext, tenantAlias: string, callback: Callback): void;
+
+/** Get the landing page information of the tenant */
+export function getLandingPage(restCtx: RestContext, callback: Callback<Array<{ [key: string]: any }>>): void;
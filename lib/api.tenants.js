@@ -14,6 +14,8 @@
  */
 
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 // Stopping a server is async, this variable
 // holds how long we should wait before returning on start/stop/delete
@@ -61,6 +63,12 @@ var getTenantNetworks = module.exports.getTenantNetworks = function(restCtx, cal
  * @param  {TenantNetwork}  callback.tenantNetwork  The new tenant network, after update
  */
 var updateTenantNetwork = module.exports.updateTenantNetwork = function(restCtx, id, displayName, callback) {
+    var validator = new Validator();
+    validator.check(id, MESSAGES.TENANT_NETWORK_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/tenantNetwork/' + RestUtil.encodeURIComponent(id), 'POST', {'displayName': displayName}, callback);
 };
 
@@ -73,6 +81,12 @@ var updateTenantNetwork = module.exports.updateTenantNetwork = function(restCtx,
  * @param  {Object}         callback.err    An error that occurred, if any
  */
 var deleteTenantNetwork = module.exports.deleteTenantNetwork = function(restCtx, id, callback) {
+    var validator = new Validator();
+    validator.check(id, MESSAGES.TENANT_NETWORK_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/tenantNetwork/' + RestUtil.encodeURIComponent(id), 'DELETE', null, callback);
 };
 
@@ -86,6 +100,12 @@ var deleteTenantNetwork = module.exports.deleteTenantNetwork = function(restCtx,
  * @param  {Object}         callback.err        An error that occurred, if any
  */
 var addTenantAliases = module.exports.addTenantAliases = function(restCtx, tenantNetworkId, tenantAliases, callback) {
+    var validator = new Validator();
+    validator.check(tenantNetworkId, MESSAGES.TENANT_NETWORK_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/tenantNetwork/' + RestUtil.encodeURIComponent(tenantNetworkId) + '/addTenants', 'POST', {'alias': tenantAliases}, callback);
 };
 
@@ -99,6 +119,12 @@ var addTenantAliases = module.exports.addTenantAliases = function(restCtx, tenan
  * @param  {Object}         callback.err        An error that occurred, if any
  */
 var removeTenantAliases = module.exports.removeTenantAliases = function(restCtx, tenantNetworkId, tenantAliases, callback) {
+    var validator = new Validator();
+    validator.check(tenantNetworkId, MESSAGES.TENANT_NETWORK_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/tenantNetwork/' + RestUtil.encodeURIComponent(tenantNetworkId) + '/removeTenants', 'POST', {'alias': tenantAliases}, callback);
 };
 
@@ -197,6 +223,12 @@ var updateTenant = module.exports.updateTenant = function(restCtx, alias, tenant
  * @param  {Object}           callback.err        Error object containing error code and error message
  */
 var stopTenant = module.exports.stopTenant = function(restCtx, alias, callback) {
+    var validator = new Validator();
+    validator.check(alias, MESSAGES.TENANT_ALIAS).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/tenant/stop', 'POST', {'aliases': [alias]}, function(err) {
         if (err) {
             callback(err);
@@ -216,6 +248,12 @@ var stopTenant = module.exports.stopTenant = function(restCtx, alias, callback)
  * @param  {Object}           callback.err        Error object containing error code and error message
  */
 var startTenant = module.exports.startTenant = function(restCtx, tenantAlias, callback) {
+    var validator = new Validator();
+    validator.check(tenantAlias, MESSAGES.TENANT_ALIAS).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/tenant/start', 'POST', {'aliases': [tenantAlias]}, function(err) {
         if (err) {
             callback(err);
@@ -0,0 +1,29 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext } from './model';
+import { Callback } from './types';
+
+/** Get all widget manifests, keyed by widget id */
+export function getWidgetManifests(restCtx: RestContext, callback: Callback<{ [widgetId: string]: any }>): void;
+
+/** Get the content of one or more static files, keyed by their path */
+export function getStaticBatch(restCtx: RestContext, files: string | string[], callback: Callback<{ [path: string]: string | null }>): void;
+
+/** Get the CSS skin of the tenant */
+export function getSkin(restCtx: RestContext, callback: Callback<string>): void;
+
+/** Get the variables that are defined in the skin file, grouped by their section */
+export function getSkinVariables(restCtx: RestContext, tenantAlias: string | null | undefined, callback: Callback<{ results: Array<{ [key: string]: any }> }>): void;
@@ -0,0 +1,74 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/// <reference types="node" />
+
+import { RestContext } from './model';
+import { Callback, FileBody, FileGenerator, Me, SelectedArea, User, Visibility } from './types';
+
+/**
+ * The optional profile fields of a user that is being created
+ */
+export interface CreateUserOptions {
+    visibility?: Visibility;
+    email?: string;
+    locale?: string;
+    timezone?: string;
+    publicAlias?: string;
+    acceptedTC?: boolean;
+    [key: string]: any;
+}
+
+/** Create a global administrator with local authentication credentials on the global administrator tenant */
+export function createGlobalAdminUser(restCtx: RestContext, username: string, password: string, displayName: string, opts: CreateUserOptions | null | undefined, callback: Callback<User>): void;
+
+/** Create a private tenant administrator with local authentication credentials on the current tenant */
+export function createTenantAdminUser(restCtx: RestContext, username: string, password: string, displayName: string, opts: CreateUserOptions | null | undefined, callback: Callback<User>): void;
+
+/** Create a private tenant administrator with local authentication credentials on a tenant */
+export function createTenantAdminUserOnTenant(restCtx: RestContext, tenantAlias: string, username: string, password: string, displayName: string, opts: CreateUserOptions | null | undefined, callback: Callback<User>): void;
+
+/** Create a user on the current tenant */
+export function createUser(restCtx: RestContext, username: string, password: string, displayName: string, opts: CreateUserOptions | null | undefined, callback: Callback<User>): void;
+
+/** Create a user on a tenant */
+export function createUserOnTenant(restCtx: RestContext, tenantAlias: string, username: string, password: string, displayName: string, opts: CreateUserOptions | null | undefined, callback: Callback<User>): void;
+
+/** Get the me feed of the user in context */
+export function getMe(restCtx: RestContext, callback: Callback<Me>): void;
+
+/** Get the basic profile of a user */
+export function getUser(restCtx: RestContext, userId: string, callback: Callback<User>): void;
+
+/** Update the basic profile of a user */
+export function updateUser(restCtx: RestContext, userId: string, params: { [field: string]: any }, callback: Callback<User>): void;
+
+/** Upload a new picture for a user and optionally crop it */
+export function uploadPicture(restCtx: RestContext, userId: string, file: FileGenerator | FileBody, selectedArea: SelectedArea | null | undefined, callback: Callback<User>): void;
+
+/** Download the picture of a user */
+export function downloadPicture(restCtx: RestContext, userId: string, size: 'small' | 'medium' | 'large', callback: Callback<Buffer>): void;
+
+/** Set or unset a user as a tenant administrator */
+export function setTenantAdmin(restCtx: RestContext, userId: string, value: boolean, callback: Callback): void;
+
+/** Get the available timezones and their offsets from UTC */
+export function getTimezones(restCtx: RestContext, callback: Callback<{ [key: string]: any }>): void;
+
+/** Get the Terms and Conditions of the tenant */
+export function getTermsAndConditions(restCtx: RestContext, locale: string | null | undefined, callback: Callback<{ text: string; lastUpdate: number }>): void;
+
+/** Accept the Terms and Conditions on behalf of a user */
+export function acceptTermsAndConditions(restCtx: RestContext, userId: string, callback: Callback<User>): void;
@@ -17,7 +17,10 @@ var _ = require('underscore');
 var util = require('util');
 
 var CropAPI = require('./api.crop');
+var RestError = require('./error').RestError;
 var RestUtil = require('./util');
+var MESSAGES = require('./validator').MESSAGES;
+var Validator = require('./validator').Validator;
 
 /**
  * Create a global administrator user with mapped local authentication credentials in the system
@@ -32,6 +35,12 @@ var RestUtil = require('./util');
  * @param  {User}           callback.user   The user object that was created
  */
 var createGlobalAdminUser = module.exports.createGlobalAdminUser = function(restCtx, username, password, displayName, opts, callback) {
+    var validator = new Validator();
+    validator.check(opts && opts.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     opts = _.extend({}, opts, {
         'username': username,
         'password': password,
@@ -54,6 +63,12 @@ var createGlobalAdminUser = module.exports.createGlobalAdminUser = function(rest
  * @param  {User}           callback.user   The user object that was created
  */
 var createTenantAdminUser = module.exports.createTenantAdminUser = function(restCtx, username, password, displayName, opts, callback) {
+    var validator = new Validator();
+    validator.check(opts && opts.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     _createTenantAdminUser(restCtx, null, username, password, displayName, opts, callback);
 };
 
@@ -71,6 +86,13 @@ var createTenantAdminUser = module.exports.createTenantAdminUser = function(rest
  * @param  {User}           callback.user   The user object that was created
  */
 var createTenantAdminUserOnTenant = module.exports.createTenantAdminUserOnTenant = function(restCtx, tenantAlias, username, password, displayName, opts, callback) {
+    var validator = new Validator();
+    validator.check(tenantAlias, MESSAGES.TENANT_ALIAS).notEmpty();
+    validator.check(opts && opts.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     _createTenantAdminUser(restCtx, tenantAlias, username, password, displayName, opts, callback);
 };
 
@@ -92,6 +114,12 @@ var createTenantAdminUserOnTenant = module.exports.createTenantAdminUserOnTenant
  * @param  {User}           callback.response   A User object representing the created user
  */
 var createUser = module.exports.createUser = function(restCtx, username, password, displayName, opts, callback) {
+    var validator = new Validator();
+    validator.check(opts && opts.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     _createUser(restCtx, null, username, password, displayName, opts, callback);
 };
 
@@ -114,6 +142,13 @@ var createUser = module.exports.createUser = function(restCtx, username, passwor
  * @param  {User}           callback.response   A User object representing the created user
  */
 var createUserOnTenant = module.exports.createUserOnTenant = function(restCtx, tenantAlias, username, password, displayName, opts, callback) {
+    var validator = new Validator();
+    validator.check(tenantAlias, MESSAGES.TENANT_ALIAS).notEmpty();
+    validator.check(opts && opts.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     _createUser(restCtx, tenantAlias, username, password, displayName, opts, callback);
 };
 
@@ -139,6 +174,12 @@ var getMe = module.exports.getMe = function(restCtx, callback) {
  * @param  {User}            callback.response   The user's basic profile
  */
 var getUser = module.exports.getUser = function(restCtx, userId, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/user/' + RestUtil.encodeURIComponent(userId), 'GET', null, callback);
 };
 
@@ -152,6 +193,13 @@ var getUser = module.exports.getUser = function(restCtx, userId, callback) {
  * @param  {Object}          callback.err        Standard error object, if any
  */
 var updateUser = module.exports.updateUser = function(restCtx, userId, params, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    validator.check(params && params.visibility).isValidVisibility();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/user/' + RestUtil.encodeURIComponent(userId), 'POST', params, callback);
 };
 
@@ -171,6 +219,13 @@ var updateUser = module.exports.updateUser = function(restCtx, userId, params, c
  * @param  {Object}          callback.principal      The updated principal object
  */
 var uploadPicture = module.exports.uploadPicture = function(restCtx, userId, file, selectedArea, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    validator.check(selectedArea).isValidSelectedArea();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var params = {
         'file': file
     };
@@ -198,15 +253,19 @@ var uploadPicture = module.exports.uploadPicture = function(restCtx, userId, fil
  * @param  {Object}          callback.picture    The raw picture for this group
  */
 var downloadPicture = module.exports.downloadPicture = function(restCtx, userId, size, callback) {
-    if (!size) {
-        return callback({'code': 400, 'msg': 'Missing size parameter'});
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    validator.check(size, MESSAGES.SIZE).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
     }
+
     getUser(restCtx, userId, function(err, user) {
         if (err) {
             return callback(err);
         }
         if (!user.picture[size]) {
-            return callback({'code': 404, 'msg': 'This user has no picture.'});
+            return callback(new RestError(404, 'This user has no picture.'));
         }
         var url = user.picture[size];
         RestUtil.RestRequest(restCtx, url, 'GET', null, callback);
@@ -223,6 +282,12 @@ var downloadPicture = module.exports.downloadPicture = function(restCtx, userId,
  * @param  {Object}        callback.err    Standard error object, if any
  */
 var setTenantAdmin = module.exports.setTenantAdmin = function(restCtx, userId, value, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     RestUtil.RestRequest(restCtx, '/api/user/' + RestUtil.encodeURIComponent(userId) + '/admin', 'POST', {'admin': (value === true)}, callback);
 };
 
@@ -260,6 +325,12 @@ var getTermsAndConditions = module.exports.getTermsAndConditions = function(rest
  * @param  {User}           callback.user       The updated user object
  */
 var acceptTermsAndConditions = module.exports.acceptTermsAndConditions = function(restCtx, userId, callback) {
+    var validator = new Validator();
+    validator.check(userId, MESSAGES.USER_ID).notEmpty();
+    if (validator.hasErrors()) {
+        return validator.callbackWithFirstError(callback);
+    }
+
     var url = '/api/user/' + RestUtil.encodeURIComponent(userId) + '/termsAndConditions';
     RestUtil.RestRequest(restCtx, url, 'POST', {}, callback);
 };
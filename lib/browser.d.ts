@@ -0,0 +1,119 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import * as Activity from './api.activity';
+import * as Admin from './api.admin';
+import * as Authentication from './api.authentication';
+import * as Config from './api.config';
+import * as ContentModule from './api.content';
+import * as Crop from './api.crop';
+import * as Discussions from './api.discussions';
+import * as Doc from './api.doc';
+import * as Folders from './api.folders';
+import * as Following from './api.following';
+import * as Group from './api.group';
+import * as MediaCore from './api.mediacore';
+import * as OAuth from './api.oauth';
+import * as Previews from './api.previews';
+import * as Search from './api.search';
+import * as Telemetry from './api.telemetry';
+import * as Tenants from './api.tenants';
+import * as UI from './api.ui';
+import * as User from './api.user';
+import * as Uservoice from './api.uservoice';
+
+import * as Cache from './cache';
+import * as Client from './client';
+import * as DryRun from './dryrun';
+import * as Model from './model';
+import * as Paging from './paging';
+import { PromisifiedModules, PromisifiedModulesWithResponse } from './promises';
+import * as Redact from './redact';
+import * as SessionModule from './session';
+import * as Transport from './transport.browser';
+
+/**
+ * The REST API modules of the browser build, keyed by the name they are exported under
+ */
+export interface Modules {
+    Activity: typeof Activity;
+    Admin: typeof Admin;
+    Authentication: typeof Authentication;
+    Config: typeof Config;
+    Content: Omit<typeof ContentModule, 'download'>;
+    Crop: typeof Crop;
+    Discussions: typeof Discussions;
+    Doc: typeof Doc;
+    Folders: typeof Folders;
+    Following: typeof Following;
+    Group: typeof Group;
+    MediaCore: typeof MediaCore;
+    OAuth: typeof OAuth;
+    Previews: typeof Previews;
+    Search: typeof Search;
+    Telemetry: typeof Telemetry;
+    Tenants: typeof Tenants;
+    UI: typeof UI;
+    User: typeof User;
+    Uservoice: typeof Uservoice;
+}
+
+export {
+    Activity,
+    Admin,
+    Authentication,
+    Config,
+    Crop,
+    Discussions,
+    Doc,
+    Folders,
+    Following,
+    Group,
+    MediaCore,
+    OAuth,
+    Previews,
+    Search,
+    Telemetry,
+    Tenants,
+    UI,
+    User,
+    Uservoice
+};
+
+/**
+ * The content wrappers. Downloading a file is not available in browser builds
+ */
+export const Content: Modules['Content'];
+
+/**
+ * Promise-based variants of all of the REST wrappers. See `lib/api.js` for more information
+ */
+export const promises: PromisifiedModules<Modules> & { withResponse: PromisifiedModulesWithResponse<Modules> };
+
+/**
+ * Iterators over all of the items of the paged listings. See `lib/api.js` for more information
+ */
+export const iterators: Paging.Iterators<Modules>;
+
+/**
+ * Persist authenticated rest contexts and restore them later. Saving to and loading from files is not available
+ */
+export const Session: Omit<typeof SessionModule, 'save' | 'load'>;
+
+export { Cache, Client, DryRun, Model, Paging, Redact, Transport };
+export { RestContext } from './model';
+export type { RestContextOptions } from './model';
+export { RestError } from './error';
+export type * as Types from './types';
@@ -0,0 +1,114 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+/*!
+ * The entry point of the browser build of the REST API wrappers. Browser builds use this module instead of
+ * `lib/api.js` through the `browser` field in `package.json`, and can be generated with `grunt browserify`.
+ *
+ * The wrappers are the same as in node, except that:
+ *
+ *  * Requests are sent through fetch and the session is kept in the cookies of the browser. The page should be
+ *    served from the same origin as the OAE API
+ *  * Files are uploaded by passing in a `File` or `Blob` (or a function that returns one) rather than a stream
+ *  * Functions that need access to the file system, such as `Content.download`, are not available
+ */
+
+module.exports.Activity = require('./api.activity');
+module.exports.Admin = require('./api.admin');
+module.exports.Authentication = require('./api.authentication');
+module.exports.Config = require('./api.config');
+module.exports.Content = _.omit(require('./api.content'), 'download');
+module.exports.Crop = require('./api.crop');
+module.exports.Discussions = require('./api.discussions');
+module.exports.Doc = require('./api.doc');
+module.exports.Folders = require('./api.folders');
+module.exports.Following = require('./api.following');
+module.exports.Group = require('./api.group');
+module.exports.MediaCore = require('./api.mediacore');
+module.exports.OAuth = require('./api.oauth');
+module.exports.Previews = require('./api.previews');
+module.exports.Search = require('./api.search');
+module.exports.Telemetry = require('./api.telemetry');
+module.exports.Tenants = require('./api.tenants');
+module.exports.UI = require('./api.ui');
+module.exports.User = require('./api.user');
+module.exports.Uservoice = require('./api.uservoice');
+
+/*!
+ * Promise-based variants of all of the REST wrappers above. See `lib/api.js` for more information
+ */
+var Promises = require('./promises');
+var promisifiedModules = Promises.promisifyModules(module.exports);
+promisifiedModules.withResponse = Promises.promisifyModules(module.exports, true);
+module.exports.promises = promisifiedModules;
+
+/*!
+ * Iterators over all of the items of the paged listings above. See `lib/api.js` for more information
+ */
+var Paging = require('./paging');
+module.exports.iterators = Paging.createIterators(module.exports);
+module.exports.Paging = Paging;
+
+/*!
+ * Work with the REST wrappers through handles on the resources they act on, e.g.,
+ * `Client.createClient(restCtx).content(contentId).share(principalIds, callback)`. See `lib/client.js` for more
+ * information
+ */
+module.exports.Client = require('./client');
+
+/*!
+ * Hydrate the objects that are returned by the REST wrappers into models with accessors and convenience methods. See
+ * `lib/model.js` for more information
+ */
+module.exports.Model = require('./model');
+
+/*!
+ * The context with which the REST wrappers are invoked. Bundles can't reach into `lib/model.js` themselves
+ */
+module.exports.RestContext = require('./model').RestContext;
+
+/*!
+ * The error type that is returned by all of the REST wrappers when a request fails
+ */
+module.exports.RestError = require('./error').RestError;
+
+/*!
+ * Cache the responses of GET requests. See `lib/cache.js` for more information
+ */
+module.exports.Cache = require('./cache');
+
+/*!
+ * Log the requests that would modify something on the server rather than sending them. See `lib/dryrun.js` for more
+ * information
+ */
+module.exports.DryRun = require('./dryrun');
+
+/*!
+ * Mask passwords, cookies and other sensitive values in the events and recordings of the library. See `lib/redact.js`
+ * for more information
+ */
+module.exports.Redact = require('./redact');
+
+/*!
+ * Persist authenticated rest contexts and restore them later. Saving to and loading from files is not available
+ */
+module.exports.Session = _.omit(require('./session'), 'save', 'load');
+
+/*!
+ * The transports that can perform the HTTP requests of the library. See `lib/transport.browser.js` for more information
+ */
+module.exports.Transport = require('./transport');
@@ -0,0 +1,36 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import RestUtil = require('./util');
+
+/**
+ * An HTTP cache for GET requests. The cache is an interceptor, so it can be applied to all requests through
+ * `RestUtil.addInterceptor` or to the requests of a single context through its `interceptors` option
+ */
+export interface Cache extends RestUtil.Interceptor {
+    ttl: number;
+    maxEntries: number;
+    request(req: RestUtil.InterceptedRequest, callback: (err?: Error | null) => void): void;
+    response(res: RestUtil.InterceptedResponse, callback: (err?: Error | null) => void): void;
+    /** Remove the responses of the resources whose path starts with or matches `path`, or all responses */
+    invalidate(path?: string | RegExp): void;
+    /** The number of responses that are currently cached */
+    size(): number;
+}
+
+/**
+ * Create an HTTP cache for GET requests
+ */
+export function createCache(opts?: { ttl?: number; maxEntries?: number }): Cache;
@@ -0,0 +1,206 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var url = require('url');
+
+var RestUtil = require('./util');
+
+/**
+ * Create an HTTP cache for GET requests. The cache is an interceptor that can be applied to all requests through
+ * `RestUtil.addInterceptor`, or to the requests of a single context through the `interceptors` option of
+ * `RestContext`. Responses are cached per tenant and per user.
+ *
+ * Responses that carry an `ETag` or `Last-Modified` header are stored, after which subsequent requests for the same
+ * resource are sent with an `If-None-Match` or `If-Modified-Since` header. When the server responds with a `304`,
+ * the cached body is returned instead. Note that the response object will still have the `304` status code in that
+ * case. When a TTL is configured, cached responses are returned without contacting the server until they expire.
+ *
+ *     var cache = Cache.createCache({'ttl': 60000});
+ *     RestUtil.addInterceptor(cache);
+ *     ...
+ *     cache.invalidate('/api/ui/skin');
+ *
+ * @param  {Object}     [opts]                  Optional parameters for the cache
+ * @param  {Number}     [opts.ttl]              The number of milliseconds a cached response can be returned without revalidating it with the server. Default: `0`
+ * @param  {Number}     [opts.maxEntries]       The maximum number of responses that are kept in the cache. When the cache is full, the oldest response is evicted. Default: `500`
+ * @return {Cache}                              The cache
+ */
+var createCache = module.exports.createCache = function(opts) {
+    opts = opts || {};
+
+    var that = {};
+    that.ttl = opts.ttl || 0;
+    that.maxEntries = opts.maxEntries || 500;
+
+    var entries = {};
+
+    /**
+     * Serve the request from the cache if the cached response is still fresh, or add the validators of the cached
+     * response to the request otherwise
+     *
+     * @param  {Object}     req         The request that is about to be sent. See `RestUtil.addInterceptor` for more information
+     * @param  {Function}   callback    Standard callback function
+     */
+    that.request = function(req, callback) {
+        if (req.opts.method !== 'GET') {
+            return callback();
+        }
+
+        var entry = entries[_getKey(req.restCtx, req.opts, req.data)];
+        if (!entry) {
+            return callback();
+        }
+
+        if (entry.expires > Date.now()) {
+            req.response = _.pick(entry, 'statusCode', 'headers', 'body');
+            return callback();
+        }
+
+        req.opts.headers = _.clone(req.opts.headers || {});
+        if (entry.headers.etag) {
+            req.opts.headers['if-none-match'] = entry.headers.etag;
+        }
+        if (entry.headers['last-modified']) {
+            req.opts.headers['if-modified-since'] = entry.headers['last-modified'];
+        }
+        return callback();
+    };
+
+    /**
+     * Store cacheable responses and replace the empty body of `304` responses with the cached body
+     *
+     * @param  {Object}     res         The outcome of the request. See `RestUtil.addInterceptor` for more information
+     * @param  {Function}   callback    Standard callback function
+     */
+    that.response = function(res, callback) {
+        var response = res.response;
+        if (res.opts.method !== 'GET' || res.err || !response || response.intercepted) {
+            return callback();
+        }
+
+        var key = _getKey(res.restCtx, res.opts, res.data);
+        var entry = entries[key];
+        if (response.statusCode === 304 && entry) {
+            entry.expires = Date.now() + that.ttl;
+            res.body = RestUtil.decodeBody(entry.headers, entry.body);
+        } else if (response.statusCode === 200 && _isCacheable(response, that.ttl)) {
+            _evict(entries, that.maxEntries - 1);
+            entries[key] = {
+                'path': url.parse(res.opts.url).pathname,
+                'statusCode': response.statusCode,
+                'headers': response.headers,
+                'body': response.body,
+                'stored': Date.now(),
+                'expires': Date.now() + that.ttl
+            };
+        }
+
+        return callback();
+    };
+
+    /**
+     * Remove responses from the cache
+     *
+     * @param  {String|RegExp}  [path]  The path of the resources whose responses should be removed. A string matches all paths that start with it. When no path is provided, all responses are removed
+     */
+    that.invalidate = function(path) {
+        if (!path) {
+            entries = {};
+            return;
+        }
+
+        entries = _.omit(entries, _.filter(_.keys(entries), function(key) {
+            var entryPath = entries[key].path;
+            return _.isRegExp(path) ? path.test(entryPath) : (entryPath.indexOf(path) === 0);
+        }));
+    };
+
+    /**
+     * @return {Number}     The number of responses that are currently cached
+     */
+    that.size = function() {
+        return _.size(entries);
+    };
+
+    return that;
+};
+
+/**
+ * Get the key under which the response to a request is cached. The key identifies the tenant, the user and the
+ * resource, including its query string
+ *
+ * @param  {RestContext}    [restCtx]   The rest context the request is made with
+ * @param  {Object}         opts        The opts that would normally be sent to the request module
+ * @param  {Object}         data        The request data, which is sent as the query string for GET requests
+ * @return {String}                     The cache key
+ * @api private
+ */
+var _getKey = function(restCtx, opts, data) {
+    var parsedUrl = url.parse(opts.url, true);
+    var tenant = (opts.headers && opts.headers.host) || parsedUrl.host;
+
+    // Contexts that were authenticated without a username are identified by their session
+    var user = '';
+    if (restCtx) {
+        user = restCtx.username || (restCtx.cookieJar ? restCtx.cookieJar.getCookieString(opts.url) : '');
+    }
+
+    var query = _.extend({}, parsedUrl.query, data);
+    query = _.chain(query)
+        .pairs()
+        .filter(function(pair) {
+            return (pair[1] !== null && pair[1] !== undefined);
+        })
+        .sortBy(function(pair) {
+            return pair[0];
+        })
+        .value();
+
+    return JSON.stringify([tenant, user, parsedUrl.pathname, query]);
+};
+
+/**
+ * Check whether or not a response can be cached
+ *
+ * @param  {Response}   response    The response to check
+ * @param  {Number}     ttl         The number of milliseconds cached responses can be returned without revalidating them
+ * @return {Boolean}                Whether or not the response can be cached
+ * @api private
+ */
+var _isCacheable = function(response, ttl) {
+    var cacheControl = response.headers['cache-control'] || '';
+    if (/no-store/.test(cacheControl)) {
+        return false;
+    }
+
+    return (ttl > 0 || !!response.headers.etag || !!response.headers['last-modified']);
+};
+
+/**
+ * Evict the oldest responses from the cache until it holds no more than a given number of responses
+ *
+ * @param  {Object}     entries         The cached responses, keyed by cache key
+ * @param  {Number}     maxEntries      The maximum number of responses the cache can hold
+ * @api private
+ */
+var _evict = function(entries, maxEntries) {
+    var keys = _.sortBy(_.keys(entries), function(key) {
+        return entries[key].stored;
+    });
+    _.each(_.first(keys, Math.max(keys.length - maxEntries, 0)), function(key) {
+        delete entries[key];
+    });
+};
@@ -0,0 +1,39 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/**
+ * The parts of a request that can be matched against the recorded requests
+ */
+export type CassetteMatch = 'method' | 'path' | 'query' | 'body';
+
+/**
+ * A cassette that records the requests that are made through the library to a fixture file, or that replays the
+ * recorded responses without a server
+ */
+export interface Cassette {
+    path: string;
+    mode: 'record' | 'replay';
+    match: CassetteMatch[];
+    interactions: Array<{ request: { [key: string]: any }; response: { [key: string]: any } }>;
+    /** The requests that did not match any of the recorded requests while replaying */
+    unmatched: Array<{ [key: string]: any }>;
+    start(callback: (err?: Error | null) => void): void;
+    stop(callback: (err?: Error | null) => void): void;
+}
+
+/**
+ * Create a cassette for a fixture file
+ */
+export function createCassette(path: string, opts?: { mode?: 'record' | 'replay'; match?: CassetteMatch[] }): Cassette;
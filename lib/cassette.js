@@ -0,0 +1,267 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var fs = require('fs');
+var Stream = require('stream').Stream;
+var url = require('url');
+var util = require('util');
+
+var Redact = require('./redact');
+var RestError = require('./error').RestError;
+var RestUtil = require('./util');
+
+/*!
+ * The parts of a request that are compared when looking for a recorded response
+ */
+var MATCH_ALL = ['method', 'path', 'query', 'body'];
+
+/**
+ * Create a cassette that records the requests that are made through `RestUtil` to a fixture file, or that replays
+ * the responses in a fixture file without contacting a server. This allows test suites to run without a server.
+ *
+ * In replay mode, the recorded responses are matched against the requests in the order in which they were recorded.
+ * When the same request was recorded multiple times, the recorded responses are served in order, after which the last
+ * one keeps being served. Requests that do not match any recording fail with a `RestError` and are collected in the
+ * `unmatched` array of the cassette.
+ *
+ * Note that file downloads are not recorded. Passwords, cookies and other sensitive values are redacted before they're
+ * written to the fixture file, and requests are matched on their redacted values. See `lib/redact.js` for more
+ * information.
+ *
+ *     var cassette = Cassette.createCassette('/path/to/fixture.json', {'mode': 'replay'});
+ *     cassette.start(function(err) {
+ *         ...
+ *         cassette.stop(callback);
+ *     });
+ *
+ * @param  {String}     path                The path of the fixture file
+ * @param  {Object}     [opts]              Optional parameters for the cassette
+ * @param  {String}     [opts.mode]         One of `record` or `replay`. Default: `replay`
+ * @param  {String[]}   [opts.match]        The parts of a request that need to be equal for a recorded response to be served. Any combination of `method`, `path`, `query` and `body`. Default: all of them
+ * @return {Cassette}                       The cassette
+ */
+var createCassette = module.exports.createCassette = function(path, opts) {
+    opts = opts || {};
+
+    var that = {};
+    that.path = path;
+    that.mode = opts.mode || 'replay';
+    that.match = opts.match || MATCH_ALL;
+    that.interactions = [];
+    that.unmatched = [];
+
+    // Keeps track of how many times each recorded interaction has been served
+    var served = [];
+
+    var interceptor = {
+        'request': function(req, callback) {
+            if (that.mode !== 'replay') {
+                return callback();
+            }
+
+            var request = _describeRequest(req.opts, req.data);
+            var candidates = _.filter(_.range(that.interactions.length), function(index) {
+                return _matches(that.match, that.interactions[index].request, request);
+            });
+            if (_.isEmpty(candidates)) {
+                that.unmatched.push(request);
+                return callback(new RestError(500, util.format('No recorded response matches the request %s %s', request.method, request.url), {
+                    'method': request.method,
+                    'url': request.url
+                }));
+            }
+
+            var index = _.find(candidates, function(candidate) {
+                return !served[candidate];
+            });
+            if (index === undefined) {
+                index = _.last(candidates);
+            }
+
+            served[index] = (served[index] || 0) + 1;
+            var response = that.interactions[index].response;
+            req.response = _.extend(_.omit(response, 'bodyEncoding'), {
+                'body': (response.bodyEncoding === 'base64') ? RestUtil.toBuffer(response.body, 'base64') : response.body
+            });
+            return callback();
+        },
+        'response': function(res, callback) {
+            // Only responses that were received from the server can be recorded
+            if (that.mode === 'record' && res.response) {
+                that.interactions.push({
+                    'request': _describeRequest(res.opts, res.data),
+                    'response': _describeResponse(res.response)
+                });
+            }
+
+            return callback();
+        }
+    };
+
+    /**
+     * Start recording or replaying requests. In replay mode, the fixture file is loaded first
+     *
+     * @param  {Function}   callback        Standard callback function
+     * @param  {Object}     callback.err    An error that occurred, if any
+     */
+    that.start = function(callback) {
+        var done = function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            RestUtil.removeInterceptor(interceptor);
+            RestUtil.addInterceptor(interceptor);
+            return callback();
+        };
+
+        if (that.mode !== 'replay') {
+            return done();
+        }
+
+        fs.readFile(that.path, 'utf8', function(err, contents) {
+            if (err) {
+                return done(err);
+            }
+
+            try {
+                that.interactions = JSON.parse(contents).interactions;
+            } catch (ex) {
+                return done(ex);
+            }
+
+            served = [];
+            that.unmatched = [];
+            return done();
+        });
+    };
+
+    /**
+     * Stop recording or replaying requests. In record mode, the recorded requests are written to the fixture file
+     *
+     * @param  {Function}   callback        Standard callback function
+     * @param  {Object}     callback.err    An error that occurred, if any
+     */
+    that.stop = function(callback) {
+        RestUtil.removeInterceptor(interceptor);
+        if (that.mode !== 'record') {
+            return callback();
+        }
+
+        fs.writeFile(that.path, JSON.stringify({'interactions': that.interactions}, null, 4), callback);
+    };
+
+    return that;
+};
+
+/**
+ * Describe a request in a way that can be stored in a fixture file and compared to other requests
+ *
+ * @param  {Object}     opts    The opts that would normally be sent to the request module
+ * @param  {Object}     data    The request data
+ * @return {Object}             An object holding the `method`, `url`, `path`, `query` and `body` of the request
+ * @api private
+ */
+var _describeRequest = function(opts, data) {
+    var requestUrl = Redact.redactUrl(opts.url);
+    var parsedUrl = url.parse(requestUrl, true);
+    var query = _.extend({}, parsedUrl.query);
+    var method = opts.method || 'GET';
+    data = _normalizeData(Redact.redactData(data));
+
+    return {
+        'method': method,
+        'url': requestUrl,
+        'path': parsedUrl.pathname,
+        'query': (method === 'GET') ? _.extend(query, data) : query,
+        'body': (method === 'GET') ? {} : data
+    };
+};
+
+/**
+ * Describe a response in a way that can be stored in a fixture file. Binary bodies are stored base64-encoded, the
+ * sensitive values in URL-encoded and JSON bodies are redacted
+ *
+ * @param  {Response}   response    The response object
+ * @return {Object}                 An object holding the `statusCode`, `headers` and raw `body` of the response, as well as the `bodyEncoding` if the body is binary
+ * @api private
+ */
+var _describeResponse = function(response) {
+    var description = {'statusCode': response.statusCode, 'headers': Redact.redactHeaders(response.headers)};
+    description.body = null;
+    if (_.isString(response.body)) {
+        description.body = response.body;
+    } else if (Buffer.isBuffer(response.body) && RestUtil.getBodyType(response.headers) === 'binary') {
+        description.body = response.body.toString('base64');
+        description.bodyEncoding = 'base64';
+    } else if (Buffer.isBuffer(response.body)) {
+        description.body = response.body.toString('utf8');
+    }
+
+    if (!description.bodyEncoding) {
+        description.body = Redact.redactResponseBody(description.body, response.headers);
+    }
+
+    return description;
+};
+
+/**
+ * Normalise request data the same way it is sent to the server. Unspecified values are left out, files are replaced
+ * by a placeholder, nested objects are serialized as JSON and all other values are converted to strings
+ *
+ * @param  {Object}     data    The request data
+ * @return {Object}             The normalised request data
+ * @api private
+ */
+var _normalizeData = function(data) {
+    var normalizeValue = function(value) {
+        if (_.isFunction(value) || value instanceof Stream || Buffer.isBuffer(value)) {
+            return '[file]';
+        } else if (_.isObject(value)) {
+            return JSON.stringify(value);
+        }
+
+        return String(value);
+    };
+
+    var normalized = {};
+    _.each(data, function(value, key) {
+        if (_.isArray(value)) {
+            value = _.compact(value);
+            if (!_.isEmpty(value)) {
+                normalized[key] = _.map(value, normalizeValue);
+            }
+        } else if (value !== null && value !== undefined) {
+            normalized[key] = normalizeValue(value);
+        }
+    });
+    return normalized;
+};
+
+/**
+ * Check whether or not a recorded request matches a request that is being made
+ *
+ * @param  {String[]}   match       The parts of the requests that need to be equal
+ * @param  {Object}     recorded    The description of the recorded request
+ * @param  {Object}     request     The description of the request that is being made
+ * @return {Boolean}                Whether or not the requests match
+ * @api private
+ */
+var _matches = function(match, recorded, request) {
+    return _.every(match, function(part) {
+        return _.isEqual(recorded[part], request[part]);
+    });
+};
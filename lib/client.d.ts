@@ -0,0 +1,155 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestContext, ModelMethod } from './model';
+import { PageIterator, PageIteratorOptions } from './paging';
+import * as Types from './types';
+
+type Start = string | null | undefined;
+type Limit = number | null | undefined;
+type ReplyTo = string | number | null | undefined;
+
+/** Posts a message or comment. The message to reply to can be left out */
+type PostMethod = ModelMethod<[body: string, replyTo: ReplyTo], Types.Message> & ModelMethod<[body: string], Types.Message>;
+
+/**
+ * A paged listing of a resource (e.g., its members or its library)
+ */
+export interface Listing<T> {
+    /** Get a page of the listing */
+    list: ModelMethod<[start: Start, limit: Limit], Types.PagedResults<T>>;
+    /** Create an iterator over all of the items in the listing */
+    iterate(opts?: PageIteratorOptions): PageIterator<T>;
+    /** Gather all of the items in the listing. When no callback is provided, a Promise for the items is returned instead */
+    collectAll(opts: PageIteratorOptions | null | undefined, callback: (err: Error | null, items?: T[]) => void): void;
+    collectAll(callback: (err: Error | null, items?: T[]) => void): void;
+    collectAll(opts?: PageIteratorOptions | null): Promise<T[]>;
+}
+
+/**
+ * The members of a resource
+ */
+export interface MembersHandle<T = Types.Member> extends Listing<T> {
+    set: ModelMethod<[updates: Types.MemberUpdates], any>;
+}
+
+/**
+ * The messages or comments of a resource
+ */
+export interface MessagesHandle extends Listing<Types.Message> {
+    post: PostMethod;
+    delete: ModelMethod<[created: string | number], Types.Message | undefined>;
+}
+
+/**
+ * The revisions of a content item
+ */
+export interface RevisionsHandle extends Listing<Types.Revision> {
+    get: ModelMethod<[revisionId: string], Types.Revision>;
+    restore: ModelMethod<[revisionId: string], Types.Revision>;
+}
+
+export interface ContentHandle {
+    id: string;
+    get: ModelMethod<[], Types.Content>;
+    update: ModelMethod<[params: { [field: string]: any }], Types.Content>;
+    delete: ModelMethod<[], any>;
+    share: ModelMethod<[principals: string | string[]], any>;
+    updateFileBody: ModelMethod<[file: Types.FileGenerator | Types.FileBody], Types.Content>;
+    join: ModelMethod<[], { url: string }>;
+    members(): MembersHandle;
+    comments(): MessagesHandle;
+    revisions(): RevisionsHandle;
+}
+
+export interface GroupHandle {
+    id: string;
+    get: ModelMethod<[], Types.Group>;
+    update: ModelMethod<[profileFields: { displayName?: string; description?: string; visibility?: Types.Visibility; joinable?: Types.Joinable }], Types.Group>;
+    delete: ModelMethod<[], any>;
+    restore: ModelMethod<[], any>;
+    join: ModelMethod<[], any>;
+    leave: ModelMethod<[], any>;
+    uploadPicture: ModelMethod<[file: Types.FileGenerator | Types.FileBody, selectedArea: Types.SelectedArea | null | undefined], Types.Group>;
+    members(): MembersHandle<{ profile: Types.User | Types.Group; role: string }>;
+    contentLibrary(): Listing<Types.Content>;
+    discussionsLibrary(): Listing<Types.Discussion>;
+    foldersLibrary(): Listing<Types.Folder>;
+}
+
+export interface FolderHandle {
+    id: string;
+    get: ModelMethod<[], Types.Folder>;
+    update: ModelMethod<[updates: { displayName?: string; description?: string; visibility?: Types.Visibility; applyVisibilityOn?: 'folder' | 'folderAndContent' }], Types.Folder>;
+    updateContentVisibility: ModelMethod<[visibility: Types.Visibility], any>;
+    delete: ModelMethod<[deleteContent: boolean | null | undefined], any> & ModelMethod<[], any>;
+    share: ModelMethod<[principalIds: string | string[]], any>;
+    addContent: ModelMethod<[contentIds: string | string[]], any>;
+    removeContent: ModelMethod<[contentIds: string | string[]], any>;
+    contentLibrary(): Listing<Types.Content>;
+    members(): MembersHandle;
+    messages(): MessagesHandle;
+}
+
+export interface DiscussionHandle {
+    id: string;
+    get: ModelMethod<[], Types.Discussion>;
+    update: ModelMethod<[profileFields: { displayName?: string; description?: string; visibility?: Types.Visibility }], Types.Discussion>;
+    delete: ModelMethod<[], any>;
+    share: ModelMethod<[principalIds: string | string[]], any>;
+    post: PostMethod;
+    members(): MembersHandle;
+    messages(): MessagesHandle;
+}
+
+export interface UserHandle {
+    id: string;
+    get: ModelMethod<[], Types.User>;
+    update: ModelMethod<[params: { [field: string]: any }], Types.User>;
+    uploadPicture: ModelMethod<[file: Types.FileGenerator | Types.FileBody, selectedArea: Types.SelectedArea | null | undefined], Types.User>;
+    follow: ModelMethod<[], any>;
+    unfollow: ModelMethod<[], any>;
+    followers(): Listing<Types.User>;
+    following(): Listing<Types.User>;
+    memberships(): Listing<Types.Group>;
+    contentLibrary(): Listing<Types.Content>;
+    discussionsLibrary(): Listing<Types.Discussion>;
+    foldersLibrary(): Listing<Types.Folder>;
+}
+
+/**
+ * A client that makes all of its requests with the same rest context. All functions that make a request return a
+ * Promise for the response body when the callback is omitted
+ */
+export interface Client {
+    restCtx: RestContext;
+    me: ModelMethod<[], Types.Me>;
+    createLink: ModelMethod<[displayName: string, description: string | null | undefined, visibility: Types.Visibility | null | undefined, link: string, managers: string[] | null | undefined, viewers: string[] | null | undefined, folders: string[] | null | undefined], Types.Content>;
+    createFile: ModelMethod<[displayName: string, description: string | null | undefined, visibility: Types.Visibility | null | undefined, fileGenerator: Types.FileGenerator | Types.FileBody, managers: string[] | null | undefined, viewers: string[] | null | undefined, folders: string[] | null | undefined], Types.Content>;
+    createCollabDoc: ModelMethod<[displayName: string, description: string | null | undefined, visibility: Types.Visibility | null | undefined, managers: string[] | null | undefined, editors: string[] | null | undefined, viewers: string[] | null | undefined, folders: string[] | null | undefined], Types.Content>;
+    createGroup: ModelMethod<[displayName: string, description: string | null | undefined, visibility: Types.Visibility | null | undefined, joinable: Types.Joinable | null | undefined, managers: string[] | null | undefined, members: string[] | null | undefined], Types.Group>;
+    createFolder: ModelMethod<[displayName: string, description: string | null | undefined, visibility: Types.Visibility | null | undefined, managers: string[] | null | undefined, viewers: string[] | null | undefined], Types.Folder>;
+    createDiscussion: ModelMethod<[displayName: string, description: string | null | undefined, visibility: Types.Visibility | null | undefined, managers: string[] | null | undefined, members: string[] | null | undefined], Types.Discussion>;
+    content(contentId: string): ContentHandle;
+    group(groupId: string): GroupHandle;
+    folder(folderId: string): FolderHandle;
+    discussion(discussionId: string): DiscussionHandle;
+    user(userId: string): UserHandle;
+}
+
+/**
+ * Create a client that makes all of its requests with a rest context
+ */
+export function createClient(restCtx: RestContext): Client;
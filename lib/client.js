@@ -0,0 +1,702 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+var Content = require('./api.content');
+var Discussions = require('./api.discussions');
+var Folders = require('./api.folders');
+var Following = require('./api.following');
+var Group = require('./api.group');
+var Paging = require('./paging');
+var Promises = require('./promises');
+var User = require('./api.user');
+
+/**
+ * Create a client that exposes the REST wrappers as handles on the resources they act on, rather than as functions
+ * that take the rest context and resource id as their first parameters:
+ *
+ *     var client = Client.createClient(restCtx);
+ *     client.content(contentId).share(['u:cam:abc123'], callback);
+ *     client.group(groupId).members().set({'u:cam:abc123': 'manager'}, callback);
+ *     client.folder(folderId).addContent([contentId], callback);
+ *     client.discussion(discussionId).post('Hello!', null, callback);
+ *
+ * The handles delegate to the REST wrappers and take the same arguments, so refer to the wrappers for a description
+ * of the parameters and results. When the callback is omitted, a Promise for the response body is returned instead.
+ * Optional parameters that precede the callback should be passed in as `null`, with the exception of the `replyTo`
+ * parameter of `post` and the `deleteContent` parameter of `delete` on a folder, which can be left out.
+ *
+ * @param  {RestContext}    restCtx     The rest context all requests of the client should be made with
+ * @return {Client}                     The client
+ */
+var createClient = module.exports.createClient = function(restCtx) {
+    var that = {};
+    that.restCtx = restCtx;
+
+    /**
+     * @see User.getMe
+     */
+    that.me = function(callback) {
+        return _invoke(User.getMe, [restCtx], callback);
+    };
+
+    /**
+     * @see Content.createLink
+     */
+    that.createLink = function(displayName, description, visibility, link, managers, viewers, folders, callback) {
+        return _invoke(Content.createLink, [restCtx, displayName, description, visibility, link, managers, viewers, folders], callback);
+    };
+
+    /**
+     * @see Content.createFile
+     */
+    that.createFile = function(displayName, description, visibility, fileGenerator, managers, viewers, folders, callback) {
+        return _invoke(Content.createFile, [restCtx, displayName, description, visibility, fileGenerator, managers, viewers, folders], callback);
+    };
+
+    /**
+     * @see Content.createCollabDoc
+     */
+    that.createCollabDoc = function(displayName, description, visibility, managers, editors, viewers, folders, callback) {
+        return _invoke(Content.createCollabDoc, [restCtx, displayName, description, visibility, managers, editors, viewers, folders], callback);
+    };
+
+    /**
+     * @see Group.createGroup
+     */
+    that.createGroup = function(displayName, description, visibility, joinable, managers, members, callback) {
+        return _invoke(Group.createGroup, [restCtx, displayName, description, visibility, joinable, managers, members], callback);
+    };
+
+    /**
+     * @see Folders.createFolder
+     */
+    that.createFolder = function(displayName, description, visibility, managers, viewers, callback) {
+        return _invoke(Folders.createFolder, [restCtx, displayName, description, visibility, managers, viewers], callback);
+    };
+
+    /**
+     * @see Discussions.createDiscussion
+     */
+    that.createDiscussion = function(displayName, description, visibility, managers, members, callback) {
+        return _invoke(Discussions.createDiscussion, [restCtx, displayName, description, visibility, managers, members], callback);
+    };
+
+    /**
+     * Get a handle on a content item
+     *
+     * @param  {String}     contentId   The id of the content item
+     * @return {Object}                 The handle on the content item
+     */
+    that.content = function(contentId) {
+        return _createContentHandle(restCtx, contentId);
+    };
+
+    /**
+     * Get a handle on a group
+     *
+     * @param  {String}     groupId     The id of the group
+     * @return {Object}                 The handle on the group
+     */
+    that.group = function(groupId) {
+        return _createGroupHandle(restCtx, groupId);
+    };
+
+    /**
+     * Get a handle on a folder
+     *
+     * @param  {String}     folderId    The id of the folder
+     * @return {Object}                 The handle on the folder
+     */
+    that.folder = function(folderId) {
+        return _createFolderHandle(restCtx, folderId);
+    };
+
+    /**
+     * Get a handle on a discussion
+     *
+     * @param  {String}     discussionId    The id of the discussion
+     * @return {Object}                     The handle on the discussion
+     */
+    that.discussion = function(discussionId) {
+        return _createDiscussionHandle(restCtx, discussionId);
+    };
+
+    /**
+     * Get a handle on a user
+     *
+     * @param  {String}     userId      The id of the user
+     * @return {Object}                 The handle on the user
+     */
+    that.user = function(userId) {
+        return _createUserHandle(restCtx, userId);
+    };
+
+    return that;
+};
+
+/**
+ * Create a handle on a content item
+ *
+ * @param  {RestContext}    restCtx     The rest context the requests should be made with
+ * @param  {String}         contentId   The id of the content item
+ * @return {Object}                     The handle on the content item
+ * @api private
+ */
+var _createContentHandle = function(restCtx, contentId) {
+    var that = {};
+    that.id = contentId;
+
+    /**
+     * @see Content.getContent
+     */
+    that.get = function(callback) {
+        return _invoke(Content.getContent, [restCtx, contentId], callback);
+    };
+
+    /**
+     * @see Content.updateContent
+     */
+    that.update = function(params, callback) {
+        return _invoke(Content.updateContent, [restCtx, contentId, params], callback);
+    };
+
+    /**
+     * @see Content.deleteContent
+     */
+    that['delete'] = function(callback) {
+        return _invoke(Content.deleteContent, [restCtx, contentId], callback);
+    };
+
+    /**
+     * @see Content.shareContent
+     */
+    that.share = function(principals, callback) {
+        return _invoke(Content.shareContent, [restCtx, contentId, principals], callback);
+    };
+
+    /**
+     * @see Content.updateFileBody
+     */
+    that.updateFileBody = function(file, callback) {
+        return _invoke(Content.updateFileBody, [restCtx, contentId, file], callback);
+    };
+
+    /**
+     * @see Content.joinCollabDoc
+     */
+    that.join = function(callback) {
+        return _invoke(Content.joinCollabDoc, [restCtx, contentId], callback);
+    };
+
+    /**
+     * @see Content.getMembers
+     * @see Content.updateMembers
+     */
+    that.members = function() {
+        return _createMembersHandle(restCtx, contentId, Content.getMembers, Content.updateMembers);
+    };
+
+    /**
+     * @see Content.getComments
+     * @see Content.createComment
+     * @see Content.deleteComment
+     */
+    that.comments = function() {
+        return _createMessagesHandle(restCtx, contentId, Content.getComments, Content.createComment, Content.deleteComment);
+    };
+
+    /**
+     * Get a handle on the revisions of the content item. In addition to the functions of a listing, the handle has a
+     * `get(revisionId, callback)` and a `restore(revisionId, callback)` function
+     *
+     * @return {Object}     The handle on the revisions of the content item
+     */
+    that.revisions = function() {
+        var revisions = _createListing(restCtx, contentId, Content.getRevisions);
+
+        /**
+         * @see Content.getRevision
+         */
+        revisions.get = function(revisionId, callback) {
+            return _invoke(Content.getRevision, [restCtx, contentId, revisionId], callback);
+        };
+
+        /**
+         * @see Content.restoreRevision
+         */
+        revisions.restore = function(revisionId, callback) {
+            return _invoke(Content.restoreRevision, [restCtx, contentId, revisionId], callback);
+        };
+
+        return revisions;
+    };
+
+    return that;
+};
+
+/**
+ * Create a handle on a group
+ *
+ * @param  {RestContext}    restCtx     The rest context the requests should be made with
+ * @param  {String}         groupId     The id of the group
+ * @return {Object}                     The handle on the group
+ * @api private
+ */
+var _createGroupHandle = function(restCtx, groupId) {
+    var that = {};
+    that.id = groupId;
+
+    /**
+     * @see Group.getGroup
+     */
+    that.get = function(callback) {
+        return _invoke(Group.getGroup, [restCtx, groupId], callback);
+    };
+
+    /**
+     * @see Group.updateGroup
+     */
+    that.update = function(profileFields, callback) {
+        return _invoke(Group.updateGroup, [restCtx, groupId, profileFields], callback);
+    };
+
+    /**
+     * @see Group.deleteGroup
+     */
+    that['delete'] = function(callback) {
+        return _invoke(Group.deleteGroup, [restCtx, groupId], callback);
+    };
+
+    /**
+     * @see Group.restoreGroup
+     */
+    that.restore = function(callback) {
+        return _invoke(Group.restoreGroup, [restCtx, groupId], callback);
+    };
+
+    /**
+     * @see Group.joinGroup
+     */
+    that.join = function(callback) {
+        return _invoke(Group.joinGroup, [restCtx, groupId], callback);
+    };
+
+    /**
+     * @see Group.leaveGroup
+     */
+    that.leave = function(callback) {
+        return _invoke(Group.leaveGroup, [restCtx, groupId], callback);
+    };
+
+    /**
+     * @see Group.uploadPicture
+     */
+    that.uploadPicture = function(file, selectedArea, callback) {
+        return _invoke(Group.uploadPicture, [restCtx, groupId, file, selectedArea], callback);
+    };
+
+    /**
+     * @see Group.getGroupMembers
+     * @see Group.setGroupMembers
+     */
+    that.members = function() {
+        return _createMembersHandle(restCtx, groupId, Group.getGroupMembers, Group.setGroupMembers);
+    };
+
+    /**
+     * @see Content.getLibrary
+     */
+    that.contentLibrary = function() {
+        return _createListing(restCtx, groupId, Content.getLibrary);
+    };
+
+    /**
+     * @see Discussions.getDiscussionsLibrary
+     */
+    that.discussionsLibrary = function() {
+        return _createListing(restCtx, groupId, Discussions.getDiscussionsLibrary);
+    };
+
+    /**
+     * @see Folders.getFoldersLibrary
+     */
+    that.foldersLibrary = function() {
+        return _createListing(restCtx, groupId, Folders.getFoldersLibrary);
+    };
+
+    return that;
+};
+
+/**
+ * Create a handle on a folder
+ *
+ * @param  {RestContext}    restCtx     The rest context the requests should be made with
+ * @param  {String}         folderId    The id of the folder
+ * @return {Object}                     The handle on the folder
+ * @api private
+ */
+var _createFolderHandle = function(restCtx, folderId) {
+    var that = {};
+    that.id = folderId;
+
+    /**
+     * @see Folders.getFolder
+     */
+    that.get = function(callback) {
+        return _invoke(Folders.getFolder, [restCtx, folderId], callback);
+    };
+
+    /**
+     * @see Folders.updateFolder
+     */
+    that.update = function(updates, callback) {
+        return _invoke(Folders.updateFolder, [restCtx, folderId, updates], callback);
+    };
+
+    /**
+     * @see Folders.updateFolderContentVisibility
+     */
+    that.updateContentVisibility = function(visibility, callback) {
+        return _invoke(Folders.updateFolderContentVisibility, [restCtx, folderId, visibility], callback);
+    };
+
+    /**
+     * @see Folders.deleteFolder
+     */
+    that['delete'] = function(deleteContent, callback) {
+        if (_.isFunction(deleteContent)) {
+            callback = deleteContent;
+            deleteContent = false;
+        }
+
+        return _invoke(Folders.deleteFolder, [restCtx, folderId, deleteContent], callback);
+    };
+
+    /**
+     * @see Folders.shareFolder
+     */
+    that.share = function(principalIds, callback) {
+        return _invoke(Folders.shareFolder, [restCtx, folderId, principalIds], callback);
+    };
+
+    /**
+     * @see Folders.addContentItemsToFolder
+     */
+    that.addContent = function(contentIds, callback) {
+        return _invoke(Folders.addContentItemsToFolder, [restCtx, folderId, contentIds], callback);
+    };
+
+    /**
+     * @see Folders.removeContentItemsFromFolder
+     */
+    that.removeContent = function(contentIds, callback) {
+        return _invoke(Folders.removeContentItemsFromFolder, [restCtx, folderId, contentIds], callback);
+    };
+
+    /**
+     * @see Folders.getFolderContentLibrary
+     */
+    that.contentLibrary = function() {
+        return _createListing(restCtx, folderId, Folders.getFolderContentLibrary);
+    };
+
+    /**
+     * @see Folders.getFolderMembers
+     * @see Folders.updateFolderMembers
+     */
+    that.members = function() {
+        return _createMembersHandle(restCtx, folderId, Folders.getFolderMembers, Folders.updateFolderMembers);
+    };
+
+    /**
+     * @see Folders.getMessages
+     * @see Folders.createMessage
+     * @see Folders.deleteMessage
+     */
+    that.messages = function() {
+        return _createMessagesHandle(restCtx, folderId, Folders.getMessages, Folders.createMessage, Folders.deleteMessage);
+    };
+
+    return that;
+};
+
+/**
+ * Create a handle on a discussion
+ *
+ * @param  {RestContext}    restCtx         The rest context the requests should be made with
+ * @param  {String}         discussionId    The id of the discussion
+ * @return {Object}                         The handle on the discussion
+ * @api private
+ */
+var _createDiscussionHandle = function(restCtx, discussionId) {
+    var that = {};
+    that.id = discussionId;
+
+    /**
+     * @see Discussions.getDiscussion
+     */
+    that.get = function(callback) {
+        return _invoke(Discussions.getDiscussion, [restCtx, discussionId], callback);
+    };
+
+    /**
+     * @see Discussions.updateDiscussion
+     */
+    that.update = function(profileFields, callback) {
+        return _invoke(Discussions.updateDiscussion, [restCtx, discussionId, profileFields], callback);
+    };
+
+    /**
+     * @see Discussions.deleteDiscussion
+     */
+    that['delete'] = function(callback) {
+        return _invoke(Discussions.deleteDiscussion, [restCtx, discussionId], callback);
+    };
+
+    /**
+     * @see Discussions.shareDiscussion
+     */
+    that.share = function(principalIds, callback) {
+        return _invoke(Discussions.shareDiscussion, [restCtx, discussionId, principalIds], callback);
+    };
+
+    /**
+     * @see Discussions.createMessage
+     */
+    that.post = function(body, replyTo, callback) {
+        return that.messages().post(body, replyTo, callback);
+    };
+
+    /**
+     * @see Discussions.getDiscussionMembers
+     * @see Discussions.updateDiscussionMembers
+     */
+    that.members = function() {
+        return _createMembersHandle(restCtx, discussionId, Discussions.getDiscussionMembers, Discussions.updateDiscussionMembers);
+    };
+
+    /**
+     * @see Discussions.getMessages
+     * @see Discussions.createMessage
+     * @see Discussions.deleteMessage
+     */
+    that.messages = function() {
+        return _createMessagesHandle(restCtx, discussionId, Discussions.getMessages, Discussions.createMessage, Discussions.deleteMessage);
+    };
+
+    return that;
+};
+
+/**
+ * Create a handle on a user
+ *
+ * @param  {RestContext}    restCtx     The rest context the requests should be made with
+ * @param  {String}         userId      The id of the user
+ * @return {Object}                     The handle on the user
+ * @api private
+ */
+var _createUserHandle = function(restCtx, userId) {
+    var that = {};
+    that.id = userId;
+
+    /**
+     * @see User.getUser
+     */
+    that.get = function(callback) {
+        return _invoke(User.getUser, [restCtx, userId], callback);
+    };
+
+    /**
+     * @see User.updateUser
+     */
+    that.update = function(params, callback) {
+        return _invoke(User.updateUser, [restCtx, userId, params], callback);
+    };
+
+    /**
+     * @see User.uploadPicture
+     */
+    that.uploadPicture = function(file, selectedArea, callback) {
+        return _invoke(User.uploadPicture, [restCtx, userId, file, selectedArea], callback);
+    };
+
+    /**
+     * @see Following.follow
+     */
+    that.follow = function(callback) {
+        return _invoke(Following.follow, [restCtx, userId], callback);
+    };
+
+    /**
+     * @see Following.unfollow
+     */
+    that.unfollow = function(callback) {
+        return _invoke(Following.unfollow, [restCtx, userId], callback);
+    };
+
+    /**
+     * @see Following.getFollowers
+     */
+    that.followers = function() {
+        return _createListing(restCtx, userId, Following.getFollowers);
+    };
+
+    /**
+     * @see Following.getFollowing
+     */
+    that.following = function() {
+        return _createListing(restCtx, userId, Following.getFollowing);
+    };
+
+    /**
+     * @see Group.getMembershipsLibrary
+     */
+    that.memberships = function() {
+        return _createListing(restCtx, userId, Group.getMembershipsLibrary);
+    };
+
+    /**
+     * @see Content.getLibrary
+     */
+    that.contentLibrary = function() {
+        return _createListing(restCtx, userId, Content.getLibrary);
+    };
+
+    /**
+     * @see Discussions.getDiscussionsLibrary
+     */
+    that.discussionsLibrary = function() {
+        return _createListing(restCtx, userId, Discussions.getDiscussionsLibrary);
+    };
+
+    /**
+     * @see Folders.getFoldersLibrary
+     */
+    that.foldersLibrary = function() {
+        return _createListing(restCtx, userId, Folders.getFoldersLibrary);
+    };
+
+    return that;
+};
+
+/**
+ * Create a handle on a paged listing. The handle has the following functions:
+ *
+ * * `list(start, limit, [callback])`: Get a single page of the listing
+ * * `iterate([opts])`: Get an iterator over all of the items of the listing. See `Paging.createPageIterator` for the available options
+ * * `collectAll([opts], [callback])`: Gather all of the items of the listing. See `Paging.collectAll` for the available options
+ *
+ * @param  {RestContext}    restCtx     The rest context the requests should be made with
+ * @param  {String}         id          The id of the resource the listing belongs to
+ * @param  {Function}       getPage     The REST wrapper that gets a page of the listing. It should take the rest context, the id, the `start` and `limit` parameters and a callback
+ * @return {Object}                     The handle on the listing
+ * @api private
+ */
+var _createListing = function(restCtx, id, getPage) {
+    var that = {};
+
+    that.list = function(start, limit, callback) {
+        return _invoke(getPage, [restCtx, id, start, limit], callback);
+    };
+
+    that.iterate = function(opts) {
+        return Paging.createPageIterator(function(start, limit, callback) {
+            getPage(restCtx, id, start, limit, callback);
+        }, opts);
+    };
+
+    that.collectAll = function(opts, callback) {
+        if (_.isFunction(opts)) {
+            callback = opts;
+            opts = {};
+        }
+        opts = opts || {};
+
+        return Paging.collectAll(that.iterate(_.pick(opts, 'start', 'limit')), _.pick(opts, 'maxItems'), callback);
+    };
+
+    return that;
+};
+
+/**
+ * Create a handle on the members of a resource. In addition to the functions of a listing (see `_createListing`), the
+ * handle has a `set(updates, [callback])` function that updates the members
+ *
+ * @param  {RestContext}    restCtx         The rest context the requests should be made with
+ * @param  {String}         id              The id of the resource
+ * @param  {Function}       getMembers      The REST wrapper that gets a page of the members
+ * @param  {Function}       updateMembers   The REST wrapper that updates the members. It should take the rest context, the id, the member updates and a callback
+ * @return {Object}                         The handle on the members
+ * @api private
+ */
+var _createMembersHandle = function(restCtx, id, getMembers, updateMembers) {
+    var that = _createListing(restCtx, id, getMembers);
+
+    that.set = function(updates, callback) {
+        return _invoke(updateMembers, [restCtx, id, updates], callback);
+    };
+
+    return that;
+};
+
+/**
+ * Create a handle on the messages or comments of a resource. In addition to the functions of a listing (see
+ * `_createListing`), the handle has a `post(body, [replyTo], [callback])` and a `delete(created, [callback])` function
+ *
+ * @param  {RestContext}    restCtx         The rest context the requests should be made with
+ * @param  {String}         id              The id of the resource
+ * @param  {Function}       getMessages     The REST wrapper that gets a page of the messages
+ * @param  {Function}       createMessage   The REST wrapper that creates a message. It should take the rest context, the id, the body, the message to reply to and a callback
+ * @param  {Function}       deleteMessage   The REST wrapper that deletes a message. It should take the rest context, the id, the creation timestamp of the message and a callback
+ * @return {Object}                         The handle on the messages
+ * @api private
+ */
+var _createMessagesHandle = function(restCtx, id, getMessages, createMessage, deleteMessage) {
+    var that = _createListing(restCtx, id, getMessages);
+
+    that.post = function(body, replyTo, callback) {
+        if (_.isFunction(replyTo)) {
+            callback = replyTo;
+            replyTo = null;
+        }
+
+        return _invoke(createMessage, [restCtx, id, body, replyTo], callback);
+    };
+
+    that['delete'] = function(created, callback) {
+        return _invoke(deleteMessage, [restCtx, id, created], callback);
+    };
+
+    return that;
+};
+
+/**
+ * Invoke a REST wrapper. When no callback is provided, a Promise for the response body is returned instead
+ *
+ * @param  {Function}   fn          The REST wrapper to invoke
+ * @param  {Array}      args        The arguments to invoke the wrapper with, without the callback
+ * @param  {Function}   [callback]  Standard callback function
+ * @return {Promise}                A Promise for the response body, when no callback was provided
+ * @api private
+ */
+var _invoke = function(fn, args, callback) {
+    if (_.isFunction(callback)) {
+        return fn.apply(null, args.concat([callback]));
+    }
+
+    return Promises.promisify(fn).apply(null, args);
+};
@@ -0,0 +1,48 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import RestUtil = require('./util');
+
+/**
+ * A request that was not sent because of a dry run
+ */
+export interface Mutation {
+    method: string;
+    url: string;
+    host: string | null;
+    username: string | null;
+    data: { [key: string]: any };
+    time: number;
+}
+
+/**
+ * A dry run that logs the requests that would modify something on the server rather than sending them. The dry run is
+ * an interceptor, so it can also be applied to all requests through `RestUtil.addInterceptor`
+ */
+export interface DryRun extends RestUtil.Interceptor {
+    log: ((message: string) => void) | null;
+    mutations: Mutation[];
+    request(req: RestUtil.InterceptedRequest, callback: (err?: Error | null) => void): void;
+    /** Get the total number of requests that were not sent, the number of requests per method and the requests themselves */
+    getReport(): { total: number; methods: { [method: string]: number }; mutations: Mutation[] };
+    /** Get a summary of the dry run, with one line per request that was not sent */
+    formatReport(): string;
+    clear(): void;
+}
+
+/**
+ * Create a dry run
+ */
+export function createDryRun(opts?: { log?: ((message: string) => void) | null }): DryRun;
@@ -0,0 +1,157 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var Stream = require('stream').Stream;
+var util = require('util');
+
+var Redact = require('./redact');
+
+/*!
+ * The HTTP methods that don't modify anything on the server. Requests with these methods are still sent during a dry run
+ */
+var SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Create a dry run that keeps track of the requests that would modify something on the server, without sending them.
+ * A dry run is enabled for a context through its `dryRun` option. Requests with a safe method (e.g., `GET`) are still
+ * sent, all other requests are logged and answered with a `200` response that holds an empty JSON object and has the
+ * `x-dry-run` header set.
+ * Requests that log a context in are always sent, so the safe requests can be made as the user of the context.
+ *
+ *     var dryRun = DryRun.createDryRun();
+ *     var restCtx = new RestContext('http://tenant.oae.com', {..., 'dryRun': dryRun});
+ *     Group.deleteGroup(restCtx, groupId, function(err) {
+ *         console.log(dryRun.formatReport());
+ *     });
+ *
+ * @param  {Object}     [opts]          Optional parameters for the dry run
+ * @param  {Function}   [opts.log]      The function each request that is not sent will be logged with. Use `null` to not log anything. Default: `console.log`
+ * @return {DryRun}                     The dry run
+ */
+var createDryRun = module.exports.createDryRun = function(opts) {
+    opts = opts || {};
+
+    var that = {};
+    that.log = (opts.log !== undefined) ? opts.log : console.log;
+    that.mutations = [];
+
+    /**
+     * Answer requests that would modify something on the server with a synthetic response. This function is
+     * invoked as a request interceptor for the contexts that have the dry run enabled
+     *
+     * @param  {Object}     req         The request that is about to be sent. See `RestUtil.addInterceptor` for more information
+     * @param  {Function}   callback    Standard callback function
+     */
+    that.request = function(req, callback) {
+        var method = (req.opts.method || 'GET').toUpperCase();
+        if (_.contains(SAFE_METHODS, method)) {
+            return callback();
+        }
+
+        var mutation = {
+            'method': method,
+            'url': Redact.redactUrl(req.opts.url),
+            'host': (req.opts.headers && req.opts.headers.host) || null,
+            'username': (req.restCtx && req.restCtx.username) || null,
+            'data': _sanitizeData(req.data),
+            'time': Date.now()
+        };
+        that.mutations.push(mutation);
+        if (_.isFunction(that.log)) {
+            that.log(util.format('[dry run] %s %s %s', mutation.method, mutation.url, JSON.stringify(mutation.data)));
+        }
+
+        req.response = {
+            'statusCode': 200,
+            'headers': {
+                'content-type': 'application/json',
+                'x-dry-run': 'true'
+            },
+            'body': '{}'
+        };
+        return callback();
+    };
+
+    /**
+     * Summarize the requests that were not sent
+     *
+     * @return {Object}     The total number of requests that were not sent, the number of requests per method and the requests themselves
+     */
+    that.getReport = function() {
+        return {
+            'total': that.mutations.length,
+            'methods': _.countBy(that.mutations, 'method'),
+            'mutations': that.mutations
+        };
+    };
+
+    /**
+     * Summarize the requests that were not sent in a human readable way
+     *
+     * @return {String}     The summary of the dry run, with one line per request that was not sent
+     */
+    that.formatReport = function() {
+        var report = that.getReport();
+        var methods = _.map(report.methods, function(count, method) {
+            return util.format('%d %s', count, method);
+        });
+
+        var lines = [util.format('Dry run: %d request(s) were not sent%s', report.total, _.isEmpty(methods) ? '' : ' (' + methods.join(', ') + ')')];
+        _.each(report.mutations, function(mutation) {
+            lines.push(util.format('  %s %s%s %s', mutation.method, mutation.url, mutation.host ? ' (' + mutation.host + ')' : '', JSON.stringify(mutation.data)));
+        });
+        return lines.join('\n');
+    };
+
+    /**
+     * Forget about the requests that were not sent so far
+     */
+    that.clear = function() {
+        that.mutations = [];
+    };
+
+    return that;
+};
+
+/**
+ * Prepare request data for the log of a dry run. Unspecified values are left out, files are replaced by a placeholder
+ * and sensitive values are redacted. See `lib/redact.js` for more information
+ *
+ * @param  {Object}     data    The request data
+ * @return {Object}             The sanitized request data
+ * @api private
+ */
+var _sanitizeData = function(data) {
+    var sanitizeValue = function(value) {
+        if (_.isFunction(value) || value instanceof Stream || Buffer.isBuffer(value) || (typeof Blob !== 'undefined' && value instanceof Blob)) {
+            return '[file]';
+        }
+
+        return value;
+    };
+
+    var sanitized = {};
+    _.each(Redact.redactData(data), function(value, key) {
+        if (value === null || value === undefined) {
+            return;
+        } else if (_.isArray(value)) {
+            sanitized[key] = _.map(_.compact(value), sanitizeValue);
+        } else {
+            sanitized[key] = sanitizeValue(value);
+        }
+    });
+    return sanitized;
+};
@@ -0,0 +1,80 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/// <reference types="node" />
+
+import { Headers, Response } from './types';
+
+/**
+ * Information about the request that failed
+ */
+export interface RestErrorInfo {
+    method?: string;
+    url?: string;
+    host?: string;
+    headers?: Headers;
+    body?: string;
+    cause?: Error;
+    timedOut?: boolean;
+    cancelled?: boolean;
+}
+
+/**
+ * An error that occurred while performing a REST request
+ */
+export class RestError extends Error {
+    constructor(code: number, msg: string, info?: RestErrorInfo);
+
+    name: 'RestError';
+    /** The HTTP status code of the error. Errors that occurred while trying to contact the server have a `500` code */
+    code: number;
+    /** The message that describes the error */
+    msg: string;
+    method?: string;
+    url?: string;
+    path?: string;
+    host?: string;
+    headers?: Headers;
+    body?: string;
+    cause?: Error;
+    timedOut: boolean;
+    cancelled: boolean;
+
+    isBadRequest(): boolean;
+    isUnauthorized(): boolean;
+    isForbidden(): boolean;
+    isNotFound(): boolean;
+    isServerError(): boolean;
+    isTransportError(): boolean;
+    isTimeout(): boolean;
+    isCancelled(): boolean;
+
+    /** Create an error for a request that could not be completed because the server could not be contacted */
+    static fromTransportError(err: Error, info?: RestErrorInfo): RestError;
+
+    /** Create an error for a request that was cancelled by the caller */
+    static fromCancellation(info?: RestErrorInfo): RestError;
+
+    /** Create an error for a response that indicates a failure */
+    static fromResponse(response: Response, body?: string | Buffer | null, msg?: string): RestError;
+
+    /** Create an error for a successful response whose body could not be decoded */
+    static fromInvalidBody(response: Response, body: string | Buffer | null | undefined, err: Error): RestError;
+}
+
+/**
+ * Extract the human-readable message from the body of an error response
+ */
+export function parseMessage(body: string | Buffer, headers?: Headers): string;
@@ -0,0 +1,222 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var url = require('url');
+var util = require('util');
+
+var Redact = require('./redact');
+
+/**
+ * An error that occurred while performing a REST request. In addition to the `code` and `msg` properties that the
+ * server uses to describe its errors, it holds information about the request that failed.
+ *
+ * @param  {Number}     code                The HTTP status code of the error. Errors that occurred while trying to contact the server will have a `500` code
+ * @param  {String}     msg                 The message that describes the error
+ * @param  {Object}     [info]              Information about the request that failed
+ * @param  {String}     [info.method]       The HTTP method of the request
+ * @param  {String}     [info.url]          The full URL of the request
+ * @param  {String}     [info.host]         The host of the tenant the request was made to. This will be the host header, if one was set
+ * @param  {Object}     [info.headers]      The headers of the response, if any
+ * @param  {String}     [info.body]         The raw body of the response, if any
+ * @param  {Error}      [info.cause]        The transport or file system error that caused the request to fail, if any
+ * @param  {Boolean}    [info.timedOut]     Whether or not the request failed because the server did not respond in time
+ * @param  {Boolean}    [info.cancelled]    Whether or not the request failed because it was cancelled by the caller
+ */
+var RestError = module.exports.RestError = function(code, msg, info) {
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, RestError);
+    }
+
+    info = info || {};
+
+    this.name = 'RestError';
+    this.code = code;
+    this.msg = msg;
+    this.message = util.format('%s: %s', code, msg);
+    this.method = info.method;
+    this.url = info.url;
+    this.path = info.url ? url.parse(info.url).pathname : undefined;
+    this.host = info.host || (info.url ? url.parse(info.url).host : undefined);
+    this.headers = info.headers;
+    this.body = info.body;
+    this.cause = info.cause;
+    this.timedOut = !!info.timedOut;
+    this.cancelled = !!info.cancelled;
+};
+util.inherits(RestError, Error);
+
+/**
+ * @return {Boolean}    Whether or not the server rejected the request as invalid
+ */
+RestError.prototype.isBadRequest = function() {
+    return (this.code === 400);
+};
+
+/**
+ * @return {Boolean}    Whether or not the request was not authorized
+ */
+RestError.prototype.isUnauthorized = function() {
+    return (this.code === 401);
+};
+
+/**
+ * @return {Boolean}    Whether or not access to the resource was forbidden
+ */
+RestError.prototype.isForbidden = function() {
+    return (this.code === 403);
+};
+
+/**
+ * @return {Boolean}    Whether or not the requested resource could not be found
+ */
+RestError.prototype.isNotFound = function() {
+    return (this.code === 404);
+};
+
+/**
+ * @return {Boolean}    Whether or not the server failed to handle the request, or could not be contacted at all
+ */
+RestError.prototype.isServerError = function() {
+    return (this.code >= 500);
+};
+
+/**
+ * @return {Boolean}    Whether or not the request failed outside of the server, e.g., because the server could not be contacted or a download could not be written to disk
+ */
+RestError.prototype.isTransportError = function() {
+    return !!this.cause;
+};
+
+/**
+ * @return {Boolean}    Whether or not the server did not respond in time
+ */
+RestError.prototype.isTimeout = function() {
+    return this.timedOut;
+};
+
+/**
+ * @return {Boolean}    Whether or not the request was cancelled by the caller
+ */
+RestError.prototype.isCancelled = function() {
+    return this.cancelled;
+};
+
+/**
+ * Create an error for a request that could not be completed because the server could not be contacted
+ *
+ * @param  {Error}      err             The error that was returned by the transport
+ * @param  {Object}     [info]          Information about the request that failed. See the `RestError` constructor for more information
+ * @return {RestError}                  The error describing the failed request. If the server did not respond in time, the error will have a `408` code
+ */
+RestError.fromTransportError = function(err, info) {
+    info = _.extend({}, info, {'cause': err});
+    if (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT') {
+        info.timedOut = true;
+        return new RestError(408, 'The server did not respond in time', info);
+    }
+
+    return new RestError(500, util.format('Something went wrong trying to contact the server: %s', err.message), info);
+};
+
+/**
+ * Create an error for a request that was cancelled by the caller
+ *
+ * @param  {Object}     [info]          Information about the request that was cancelled. See the `RestError` constructor for more information
+ * @return {RestError}                  The error describing the cancelled request. The error will have a `499` code
+ */
+RestError.fromCancellation = function(info) {
+    info = _.extend({}, info, {'cancelled': true});
+    return new RestError(499, 'The request was cancelled', info);
+};
+
+/**
+ * Create an error for a response that indicates a failure
+ *
+ * @param  {Response}       response    The response object that was returned by the transport
+ * @param  {String|Buffer}  [body]      The raw body of the response
+ * @param  {String}         [msg]       The message that describes the error. By default, the message the server sent in the response body will be used
+ * @return {RestError}                  The error describing the failed response
+ */
+RestError.fromResponse = function(response, body, msg) {
+    var request = response.request || {};
+    var requestHeaders = request.headers || {};
+    return new RestError(response.statusCode, msg || parseMessage(body, response.headers), {
+        'method': request.method,
+        'url': request.uri ? Redact.redactUrl(request.uri.href) : undefined,
+        'host': requestHeaders.host,
+        'headers': Redact.redactHeaders(response.headers),
+        'body': body
+    });
+};
+
+/**
+ * Create an error for a successful response whose body could not be decoded, e.g., because the server said it would
+ * send JSON but did not
+ *
+ * @param  {Response}       response    The response object that was returned by the transport
+ * @param  {String|Buffer}  [body]      The raw body of the response
+ * @param  {Error}          err         The error that occurred while decoding the body
+ * @return {RestError}                  The error describing the invalid response. The error will have a `500` code
+ */
+RestError.fromInvalidBody = function(response, body, err) {
+    var request = response.request || {};
+    var requestHeaders = request.headers || {};
+    return new RestError(500, util.format('The server sent a response that could not be decoded: %s', err.message), {
+        'method': request.method,
+        'url': request.uri ? Redact.redactUrl(request.uri.href) : undefined,
+        'host': requestHeaders.host,
+        'headers': Redact.redactHeaders(response.headers),
+        'body': body
+    });
+};
+
+/**
+ * Extract the human-readable message from the body of an error response. The server usually sends a plain text
+ * message, but intermediate proxies may respond with an HTML page and some endpoints respond with a JSON object
+ *
+ * @param  {String|Buffer}  body        The raw body of the response
+ * @param  {Object}         [headers]   The headers of the response
+ * @return {String}                     The message that describes the error
+ */
+var parseMessage = module.exports.parseMessage = function(body, headers) {
+    if (Buffer.isBuffer(body)) {
+        body = body.toString('utf8');
+    } else if (_.isObject(body)) {
+        return body.msg || body.message || JSON.stringify(body);
+    } else if (!_.isString(body)) {
+        return body;
+    }
+
+    var message = body.trim();
+    try {
+        var parsed = JSON.parse(message);
+        if (_.isObject(parsed)) {
+            return parsed.msg || parsed.message || message;
+        }
+    } catch (ex) {
+        /* This can be ignored, the message is not a JSON object */
+    }
+
+    var contentType = (headers && headers['content-type']) || '';
+    if (contentType.indexOf('html') !== -1 || /^<(!doctype|html)/i.test(message)) {
+        // Use the title of the page if there is one, otherwise fall back to the text in the page
+        var title = message.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        message = (title ? title[1] : message.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+    }
+
+    return message;
+};
@@ -0,0 +1,32 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/**
+ * A recorder that captures the traffic that is issued through the library in the HAR 1.2 format
+ */
+export interface HarRecorder {
+    start(): void;
+    stop(): void;
+    clear(): void;
+    /** Get the captured traffic as a HAR log */
+    toJSON(): { log: { version: string; creator: { name: string; version: string }; entries: any[]; [key: string]: any } };
+    /** Write the captured traffic to a file */
+    save(path: string, callback: (err?: Error | null) => void): void;
+}
+
+/**
+ * Create a recorder that captures all of the traffic that is issued through the library
+ */
+export function createRecorder(): HarRecorder;
@@ -0,0 +1,282 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var fs = require('fs');
+var http = require('http');
+var Path = require('path');
+var querystring = require('querystring');
+var Stream = require('stream').Stream;
+var url = require('url');
+
+var RestUtil = require('./util');
+
+var PACKAGE_VERSION = require('../package.json').version;
+
+/**
+ * Create a recorder that captures all of the traffic that is issued through the library in the HAR 1.2 format
+ * (http://www.softwareishard.com/blog/har-12-spec/). The resulting file can be opened in the developer tools of
+ * most browsers. Files that are uploaded are summarised by their name and size, the bodies of downloaded files are
+ * not captured. Requests that were answered by an interceptor (e.g., a cache hit, a dry run or a cassette replay)
+ * are captured with a comment that says so.
+ *
+ * Passwords, signatures, cookies and other sensitive values are redacted in the URLs, headers and the URL-encoded
+ * and JSON bodies of requests and responses before they're captured. See `lib/redact.js` for more information.
+ *
+ *     var recorder = Har.createRecorder();
+ *     recorder.start();
+ *     ...
+ *     recorder.stop();
+ *     recorder.save('/tmp/traffic.har', callback);
+ *
+ * @return {HarRecorder}    A recorder that can be used to capture the traffic
+ */
+var createRecorder = module.exports.createRecorder = function() {
+    var that = {};
+    var entries = [];
+
+    var onExchange = function(exchange) {
+        entries.push(_createEntry(exchange));
+    };
+
+    /**
+     * Start capturing traffic. Starting a recorder that has already been started has no effect
+     */
+    that.start = function() {
+        that.stop();
+        RestUtil.on('exchange', onExchange);
+    };
+
+    /**
+     * Stop capturing traffic. The traffic that has been captured so far is retained
+     */
+    that.stop = function() {
+        RestUtil.removeListener('exchange', onExchange);
+    };
+
+    /**
+     * Discard all of the traffic that has been captured so far
+     */
+    that.clear = function() {
+        entries = [];
+    };
+
+    /**
+     * @return {Object}     The captured traffic as a HAR log
+     */
+    that.toJSON = function() {
+        return {
+            'log': {
+                'version': '1.2',
+                'creator': {
+                    'name': 'oae-rest',
+                    'version': PACKAGE_VERSION
+                },
+                'pages': [],
+                'entries': entries.slice()
+            }
+        };
+    };
+
+    /**
+     * Write the captured traffic to a HAR file
+     *
+     * @param  {String}     path            The path of the file the traffic should be written to
+     * @param  {Function}   callback        Standard callback function
+     * @param  {Object}     callback.err    An error that occurred, if any
+     */
+    that.save = function(path, callback) {
+        fs.writeFile(path, JSON.stringify(that.toJSON(), null, 4), callback);
+    };
+
+    return that;
+};
+
+/**
+ * Create a HAR entry for a request that was made through the library
+ *
+ * @param  {Object}     exchange    The exchange that was emitted by `RestUtil`. See the `exchange` event in `lib/util.js` for more information
+ * @return {Object}                 The HAR entry describing the exchange
+ * @api private
+ */
+var _createEntry = function(exchange) {
+    var timings = exchange.timings;
+    var wait = (timings.response || timings.end) - timings.start;
+    var receive = timings.response ? timings.end - timings.response : 0;
+
+    var entry = {
+        'startedDateTime': new Date(timings.start).toISOString(),
+        'time': wait + receive,
+        'request': _createRequest(exchange),
+        'response': _createResponse(exchange),
+        'cache': {},
+        'timings': {
+            'blocked': -1,
+            'dns': -1,
+            'connect': -1,
+            'send': 0,
+            'wait': wait,
+            'receive': receive
+        }
+    };
+    if (exchange.response && exchange.response.intercepted) {
+        entry.comment = 'The response was provided by an interceptor rather than by the server';
+    }
+
+    return entry;
+};
+
+/**
+ * Create the request part of a HAR entry
+ *
+ * @param  {Object}     exchange    The exchange that was emitted by `RestUtil`
+ * @return {Object}                 The HAR request
+ * @api private
+ */
+var _createRequest = function(exchange) {
+    var req = exchange.request;
+    var requestUrl = req.url;
+    var headers = req.headers || {};
+
+    var harRequest = {
+        'method': req.method,
+        'url': requestUrl,
+        'httpVersion': 'HTTP/1.1',
+        'cookies': [],
+        'headers': _toNameValuePairs(headers),
+        'queryString': _toNameValuePairs(url.parse(requestUrl, true).query),
+        'headersSize': -1,
+        'bodySize': -1
+    };
+
+    if (exchange.multipart) {
+        // Summarise the parts rather than including the uploaded files
+        harRequest.postData = {
+            'mimeType': headers['content-type'] || 'multipart/form-data',
+            'params': _getMultipartParams(exchange.data),
+            'text': ''
+        };
+    } else if (req.body) {
+        var text = req.body.toString('utf8');
+        var mimeType = headers['content-type'] || 'application/x-www-form-urlencoded';
+        harRequest.bodySize = Buffer.byteLength(text);
+        harRequest.postData = {
+            'mimeType': mimeType,
+            'params': (mimeType.indexOf('application/x-www-form-urlencoded') === 0) ? _toNameValuePairs(querystring.parse(text)) : [],
+            'text': text
+        };
+    }
+
+    return harRequest;
+};
+
+/**
+ * Create the response part of a HAR entry
+ *
+ * @param  {Object}     exchange    The exchange that was emitted by `RestUtil`
+ * @return {Object}                 The HAR response. If no response was received, the status will be `0` and the error will be included as `_error`
+ * @api private
+ */
+var _createResponse = function(exchange) {
+    var response = exchange.response;
+    if (!response) {
+        return {
+            'status': 0,
+            'statusText': '',
+            'httpVersion': '',
+            'cookies': [],
+            'headers': [],
+            'content': {'size': 0, 'mimeType': 'x-unknown'},
+            'redirectURL': '',
+            'headersSize': -1,
+            'bodySize': -1,
+            '_error': exchange.err ? exchange.err.message : undefined
+        };
+    }
+
+    var content = {'mimeType': response.headers['content-type'] || 'x-unknown'};
+    if (Buffer.isBuffer(exchange.body) && RestUtil.getBodyType(response.headers) === 'binary') {
+        content.text = exchange.body.toString('base64');
+        content.encoding = 'base64';
+        content.size = exchange.body.length;
+    } else if (_.isString(exchange.body) || Buffer.isBuffer(exchange.body)) {
+        content.text = exchange.body.toString('utf8');
+        content.size = Buffer.byteLength(content.text);
+    } else {
+        content.size = exchange.bodySize || 0;
+        content.comment = 'The body of the response was not captured';
+    }
+
+    return {
+        'status': response.statusCode,
+        'statusText': http.STATUS_CODES[response.statusCode] || '',
+        'httpVersion': 'HTTP/' + (response.httpVersion || '1.1'),
+        'cookies': [],
+        'headers': _toNameValuePairs(response.headers),
+        'content': content,
+        'redirectURL': response.headers.location || '',
+        'headersSize': -1,
+        'bodySize': content.size
+    };
+};
+
+/**
+ * Summarise the parts of a multipart request. Files are described by their name and the number of bytes that
+ * were uploaded, other values are included as-is
+ *
+ * @param  {Object}     data    The resolved data of the request
+ * @return {Object[]}           The HAR params describing the parts
+ * @api private
+ */
+var _getMultipartParams = function(data) {
+    var params = [];
+    _.each(data, function(value, name) {
+        _.each(_.isArray(value) ? value : [value], function(item) {
+            if (_.isFunction(item)) {
+                // The file was never opened as the request was not sent
+                params.push({'name': name, 'fileName': ''});
+            } else if (item instanceof Stream) {
+                params.push({
+                    'name': name,
+                    'fileName': item.path ? Path.basename(item.path.toString()) : '',
+                    '_size': item.bytesRead
+                });
+            } else if (Buffer.isBuffer(item)) {
+                params.push({'name': name, 'fileName': '', '_size': item.length});
+            } else {
+                params.push({'name': name, 'value': String(item)});
+            }
+        });
+    });
+    return params;
+};
+
+/**
+ * Convert an object into the list of name-value pairs that HAR uses for headers and parameters. Values that are
+ * arrays result in a pair for each item
+ *
+ * @param  {Object}     obj     The object to convert
+ * @return {Object[]}           The name-value pairs
+ * @api private
+ */
+var _toNameValuePairs = function(obj) {
+    var pairs = [];
+    _.each(obj, function(value, name) {
+        _.each(_.isArray(value) ? value : [value], function(item) {
+            pairs.push({'name': name, 'value': String(item)});
+        });
+    });
+    return pairs;
+};
@@ -0,0 +1,251 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/// <reference types="node" />
+
+import { DryRun } from './dryrun';
+import { CookieJar, Transport } from './transport';
+import * as Types from './types';
+import RestUtil = require('./util');
+
+/**
+ * The options of a rest context. See `RestContext` in `lib/model.js` for a description of each option
+ */
+export interface RestContextOptions {
+    username?: string | null;
+    userPassword?: string | null;
+    hostHeader?: string;
+    refererHeader?: string;
+    additionalHeaders?: Types.Headers;
+    strictSSL?: boolean;
+    followRedirect?: boolean;
+    authStrategy?: 'local' | 'ldap';
+    autoReauthenticate?: boolean;
+    retry?: RestUtil.RetryPolicy | boolean | null;
+    timeout?: number;
+    maxConcurrency?: number | null;
+    requestsPerSecond?: number | null;
+    interceptors?: RestUtil.Interceptor[];
+    proxy?: string;
+    ca?: Array<string | Buffer>;
+    cert?: string | Buffer;
+    key?: string | Buffer;
+    passphrase?: string;
+    agent?: any;
+    transport?: Transport | null;
+    bodyEncoding?: 'form' | 'json';
+    dryRun?: DryRun | boolean | null;
+}
+
+/**
+ * The context with which the REST wrappers are invoked. It represents the tenant the requests are made to, as well as
+ * the credentials of the user performing them
+ */
+export interface RestContext {
+    host: string;
+    username?: string | null;
+    userPassword?: string | null;
+    hostHeader?: string;
+    refererHeader?: string;
+    additionalHeaders?: Types.Headers;
+    authStrategy: 'local' | 'ldap';
+    autoReauthenticate: boolean;
+    authenticator: ((restCtx: RestContext, callback: (err?: Error | null) => void) => void) | null;
+    cookieJar: CookieJar | null;
+    strictSSL: boolean;
+    followRedirect: boolean;
+    retry: RestUtil.RetryPolicy | boolean | null;
+    timeout: number;
+    maxConcurrency: number | null;
+    requestsPerSecond: number | null;
+    interceptors: RestUtil.Interceptor[];
+    proxy?: string;
+    ca?: Array<string | Buffer>;
+    cert?: string | Buffer;
+    key?: string | Buffer;
+    passphrase?: string;
+    agent?: any;
+    transport: Transport | null;
+    bodyEncoding: 'form' | 'json';
+    dryRun: DryRun | null;
+    /** The cancel token that was attached through `RestUtil.withRequestOptions`, if any */
+    cancelToken?: RestUtil.CancelToken;
+
+    /** Create a context that sends additional headers with each request. The new context has its own session */
+    withHeaders(headers: Types.Headers): RestContext;
+
+    /** Create a context for an anonymous user on the same tenant. The new context has its own session */
+    asAnonymous(): RestContext;
+
+    /** Create a context for a different user on the same tenant. The new context has its own session */
+    asUser(username: string, password: string): RestContext;
+
+    /** Create a context for the same user on a different tenant. The new context has its own session */
+    forTenant(hostHeader: string): RestContext;
+}
+
+export const RestContext: {
+    new (host: string, opts?: RestContextOptions): RestContext;
+    (host: string, opts?: RestContextOptions): RestContext;
+};
+
+/**
+ * The parts of a resource id (e.g., `c:cam:abc123`)
+ */
+export interface ParsedResourceId {
+    resourceType: string;
+    tenantAlias: string;
+    resourceId: string;
+}
+
+/**
+ * Split a resource id (e.g., `c:cam:abc123`) into its parts. Returns `null` if the id is not a valid resource id
+ */
+export function parseResourceId(id: string): ParsedResourceId | null;
+
+/**
+ * Hydrate the model for an object that was returned by the REST API, based on its `resourceType`. Arrays are
+ * hydrated item by item. Objects that are not a resource are returned as they are
+ */
+export function hydrate(restCtx: RestContext, data: Types.Content): Content;
+export function hydrate(restCtx: RestContext, data: Types.Discussion): Discussion;
+export function hydrate(restCtx: RestContext, data: Types.Folder): Folder;
+export function hydrate(restCtx: RestContext, data: Types.Group): Group;
+export function hydrate(restCtx: RestContext, data: Types.User): User;
+export function hydrate<T>(restCtx: RestContext, data: T[]): any[];
+export function hydrate<T>(restCtx: RestContext, data: T): any;
+
+/**
+ * A convenience method of a model or client. When the callback is omitted, a Promise is returned instead
+ */
+export interface ModelMethod<A extends any[], T> {
+    (...args: [...A, Types.Callback<T>]): void;
+    (...args: A): Promise<T>;
+}
+
+/**
+ * The accessors all models of resources have in common
+ */
+export interface ResourceModel {
+    /** Get the id of the resource within its tenant (e.g., `abc123` for `c:cam:abc123`) */
+    getResourceId(): string | null;
+    /** Get the alias of the tenant the resource belongs to */
+    getTenantAlias(): string | null;
+    getVisibility(): Types.Visibility | null;
+    /** Get the full URL of the profile page of the resource */
+    getProfileUrl(): string | null;
+    /** Get the full URL of the picture of a user or group, or of the preview of a content item or folder */
+    getPictureUrl(size?: 'small' | 'medium' | 'large' | 'thumbnail' | 'wide'): string | null;
+}
+
+/**
+ * A page of a listing whose resources have been hydrated
+ */
+export interface HydratedResults {
+    results: any[];
+    nextToken?: string | null;
+}
+
+export interface Content extends Types.Content, ResourceModel {
+    isManager: boolean;
+    canShare: boolean;
+    refresh: ModelMethod<[], Content>;
+    update: ModelMethod<[params: { [field: string]: any }], Content>;
+    delete: ModelMethod<[], any>;
+    share: ModelMethod<[principals: string | string[]], any>;
+    getMembers: ModelMethod<[start: string | null | undefined, limit: number | null | undefined], HydratedResults>;
+    updateMembers: ModelMethod<[updatedMembers: Types.MemberUpdates], any>;
+    getComments: ModelMethod<[start: string | null | undefined, limit: number | null | undefined], Types.PagedResults<Types.Comment>>;
+    createComment: ModelMethod<[body: string, replyTo: string | number | null | undefined], Types.Comment> & ModelMethod<[body: string], Types.Comment>;
+}
+
+export interface Discussion extends Types.Discussion, ResourceModel {
+    isManager: boolean;
+    canShare: boolean;
+    canPost: boolean;
+    refresh: ModelMethod<[], Discussion>;
+    update: ModelMethod<[profileFields: { [field: string]: any }], Discussion>;
+    delete: ModelMethod<[], any>;
+    share: ModelMethod<[principalIds: string | string[]], any>;
+    getMembers: ModelMethod<[start: string | null | undefined, limit: number | null | undefined], HydratedResults>;
+    updateMembers: ModelMethod<[memberUpdates: Types.MemberUpdates], any>;
+    getMessages: ModelMethod<[start: string | null | undefined, limit: number | null | undefined], Types.PagedResults<Types.Message>>;
+    createMessage: ModelMethod<[body: string, replyTo: string | number | null | undefined], Types.Message> & ModelMethod<[body: string], Types.Message>;
+}
+
+export interface Folder extends Types.Folder, ResourceModel {
+    isManager: boolean;
+    canShare: boolean;
+    canAddItem: boolean;
+    refresh: ModelMethod<[], Folder>;
+    update: ModelMethod<[updates: { [field: string]: any }], Folder>;
+    delete: ModelMethod<[deleteContent: boolean | null | undefined], any> & ModelMethod<[], any>;
+    share: ModelMethod<[principalIds: string | string[]], any>;
+    getMembers: ModelMethod<[start: string | null | undefined, limit: number | null | undefined], HydratedResults>;
+    updateMembers: ModelMethod<[memberUpdates: Types.MemberUpdates], any>;
+    getContentLibrary: ModelMethod<[start: string | null | undefined, limit: number | null | undefined], HydratedResults>;
+    addContent: ModelMethod<[contentIds: string | string[]], any>;
+    removeContent: ModelMethod<[contentIds: string | string[]], any>;
+}
+
+export interface Group extends Types.Group, ResourceModel {
+    isManager: boolean;
+    isMember: boolean;
+    canJoin: boolean;
+    refresh: ModelMethod<[], Group>;
+    update: ModelMethod<[profileFields: { [field: string]: any }], Group>;
+    delete: ModelMethod<[], any>;
+    join: ModelMethod<[], any>;
+    leave: ModelMethod<[], any>;
+    getMembers: ModelMethod<[start: string | null | undefined, limit: number | null | undefined], HydratedResults>;
+    setMembers: ModelMethod<[members: Types.MemberUpdates], any>;
+}
+
+export interface User extends Types.User, ResourceModel {
+    refresh: ModelMethod<[], User>;
+    update: ModelMethod<[params: { [field: string]: any }], User>;
+    follow: ModelMethod<[], any>;
+    unfollow: ModelMethod<[], any>;
+}
+
+export interface ActivityStream extends Types.ActivityStream {
+    /** Get the activities in this page of the stream, optionally only those of a certain type */
+    getActivities(activityType?: string): Types.Activity[];
+    /** Whether or not the stream holds more activities than the ones in this page */
+    hasMore(): boolean;
+}
+
+export interface SearchResult {
+    total: number;
+    results: any[];
+    /** Get the results of the search, optionally only those of a certain resource type */
+    getResults(resourceType?: string): any[];
+}
+
+/**
+ * The constructor of a model. Models can be created with or without `new`
+ */
+export interface ModelConstructor<D, M> {
+    new (restCtx: RestContext, data: D): M;
+    (restCtx: RestContext, data: D): M;
+}
+
+export const Content: ModelConstructor<Types.Content, Content>;
+export const Discussion: ModelConstructor<Types.Discussion, Discussion>;
+export const Folder: ModelConstructor<Types.Folder, Folder>;
+export const Group: ModelConstructor<Types.Group, Group>;
+export const User: ModelConstructor<Types.User, User>;
+export const ActivityStream: ModelConstructor<Types.ActivityStream, ActivityStream>;
+export const SearchResult: ModelConstructor<Types.SearchResult, SearchResult>;
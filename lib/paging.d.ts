@@ -0,0 +1,111 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestError } from './error';
+import { Callback } from './types';
+
+/**
+ * The options of an iterator over a paged listing
+ */
+export interface PageIteratorOptions {
+    /** The token of the page to start from. By default, the listing is iterated from the beginning */
+    start?: string | null;
+    /** The number of items that should be fetched per page. By default, the server decides */
+    limit?: number | null;
+    /** The maximum number of items to iterate over. By default, all items are iterated over */
+    maxItems?: number;
+}
+
+/**
+ * An iterator over all of the items in a paged listing, which can be used with `for await`
+ */
+export interface PageIterator<T = any> {
+    next(): Promise<IteratorResult<T, undefined>>;
+    return(): Promise<IteratorResult<T, undefined>>;
+    [Symbol.asyncIterator](): PageIterator<T>;
+}
+
+/**
+ * The function a page iterator fetches the pages of a listing with
+ */
+export type FetchPage<T = any> = (start: string | null | undefined, limit: number | null | undefined, callback: Callback<{ results?: T[]; items?: T[]; nextToken?: string | null }>) => void;
+
+/**
+ * Create an iterator over all of the items in a paged listing
+ */
+export function createPageIterator<T = any>(fetchPage: FetchPage<T>, opts?: PageIteratorOptions): PageIterator<T>;
+
+/**
+ * Gather all of the items of a paged listing. When no callback is provided, a Promise for the items is returned instead
+ */
+export function collectAll<T>(iterator: PageIterator<T>, opts: { maxItems?: number } | null | undefined, callback: (err: RestError | Error | null, items?: T[]) => void): void;
+export function collectAll<T>(iterator: PageIterator<T>, callback: (err: RestError | Error | null, items?: T[]) => void): void;
+export function collectAll<T>(iterator: PageIterator<T>, opts?: { maxItems?: number } | null): Promise<T[]>;
+
+/**
+ * The item type of the listing a paged REST wrapper returns
+ */
+type ListingItem<F> = F extends (...args: any[]) => any ? (Parameters<F> extends [...any[], Callback<infer P>] ? (P extends { results: Array<infer I> } ? I : P extends { items: Array<infer I> } ? I : any) : any) : any;
+
+/**
+ * The iterator function of a REST wrapper that takes `start` and `limit` parameters
+ */
+type ParamsIterator<F> = F extends (...args: [...infer A, string | null | undefined, number | null | undefined, Callback<any>]) => void ? (...args: [...A, PageIteratorOptions?]) => PageIterator<ListingItem<F>> : never;
+
+/**
+ * The iterator function of a REST wrapper that takes its paging parameters as part of an `opts` object
+ */
+type OptsIterator<F> = F extends (...args: [...infer A, infer O, Callback<any>]) => void ? (...args: [...A, (PageIteratorOptions & Omit<NonNullable<O>, 'start' | 'limit'>)?]) => PageIterator<ListingItem<F>> : never;
+
+/**
+ * The iterators over the paged listings of the REST API modules. See `lib/paging.js` for the wrappers that are included
+ */
+export interface Iterators<M extends { [name: string]: any }> {
+    Activity: {
+        getCurrentUserActivityStream: OptsIterator<M['Activity']['getCurrentUserActivityStream']>;
+        getActivityStream: OptsIterator<M['Activity']['getActivityStream']>;
+        getNotificationStream: OptsIterator<M['Activity']['getNotificationStream']>;
+    };
+    Content: {
+        getComments: ParamsIterator<M['Content']['getComments']>;
+        getLibrary: ParamsIterator<M['Content']['getLibrary']>;
+        getMembers: ParamsIterator<M['Content']['getMembers']>;
+        getRevisions: ParamsIterator<M['Content']['getRevisions']>;
+    };
+    Discussions: {
+        getDiscussionMembers: ParamsIterator<M['Discussions']['getDiscussionMembers']>;
+        getDiscussionsLibrary: ParamsIterator<M['Discussions']['getDiscussionsLibrary']>;
+        getMessages: ParamsIterator<M['Discussions']['getMessages']>;
+    };
+    Folders: {
+        getFolderContentLibrary: ParamsIterator<M['Folders']['getFolderContentLibrary']>;
+        getFolderMembers: ParamsIterator<M['Folders']['getFolderMembers']>;
+        getFoldersLibrary: ParamsIterator<M['Folders']['getFoldersLibrary']>;
+        getMessages: ParamsIterator<M['Folders']['getMessages']>;
+    };
+    Following: {
+        getFollowers: ParamsIterator<M['Following']['getFollowers']>;
+        getFollowing: ParamsIterator<M['Following']['getFollowing']>;
+    };
+    Group: {
+        getGroupMembers: ParamsIterator<M['Group']['getGroupMembers']>;
+        getMembershipsLibrary: ParamsIterator<M['Group']['getMembershipsLibrary']>;
+    };
+}
+
+/**
+ * Create iterators for all of the paged REST wrappers in a set of REST API modules
+ */
+export function createIterators<M extends { [name: string]: any }>(modules: M): Partial<Iterators<M>>;
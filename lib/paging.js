@@ -0,0 +1,273 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var util = require('util');
+
+/*!
+ * The REST wrappers that return a page of a listing, keyed by module name. Wrappers that take `start` and `limit`
+ * parameters are marked with `params`, wrappers that take them as part of an `opts` object are marked with `opts`
+ */
+var PAGED_FUNCTIONS = {
+    'Activity': {
+        'getCurrentUserActivityStream': 'opts',
+        'getActivityStream': 'opts',
+        'getNotificationStream': 'opts'
+    },
+    'Content': {
+        'getComments': 'params',
+        'getLibrary': 'params',
+        'getMembers': 'params',
+        'getRevisions': 'params'
+    },
+    'Discussions': {
+        'getDiscussionMembers': 'params',
+        'getDiscussionsLibrary': 'params',
+        'getMessages': 'params'
+    },
+    'Folders': {
+        'getFolderContentLibrary': 'params',
+        'getFolderMembers': 'params',
+        'getFoldersLibrary': 'params',
+        'getMessages': 'params'
+    },
+    'Following': {
+        'getFollowers': 'params',
+        'getFollowing': 'params'
+    },
+    'Group': {
+        'getGroupMembers': 'params',
+        'getMembershipsLibrary': 'params'
+    }
+};
+
+/*!
+ * The maximum number of items `collectAll` gathers when no other maximum is specified
+ */
+var DEFAULT_MAX_ITEMS = 10000;
+
+/**
+ * Create an iterator over all of the items in a paged listing. The pages are fetched one at a time as the items are
+ * consumed, following the `nextToken` of each page until the listing runs out. The iterator can be used with
+ * `for await`, or by calling its `next` function directly:
+ *
+ *     var libraryItems = RestAPI.iterators.Content.getLibrary(restCtx, principalId, {'limit': 50});
+ *     for await (var item of libraryItems) {
+ *         ...
+ *     }
+ *
+ * Note that this relies on the runtime providing a native `Promise` implementation.
+ *
+ * @param  {Function}   fetchPage                   The function that fetches a page of the listing
+ * @param  {String}     fetchPage.start             The token of the page that should be fetched. For the first page, this will be the `start` option
+ * @param  {Number}     fetchPage.limit             The maximum number of items that should be fetched
+ * @param  {Function}   fetchPage.callback          Standard callback function
+ * @param  {Object}     fetchPage.callback.err      An error that occurred, if any
+ * @param  {Object}     fetchPage.callback.page     The page of the listing. The items should be in its `results` or `items` property, and the token of the next page in its `nextToken` property
+ * @param  {Object}     [opts]                      Optional parameters for the iterator
+ * @param  {String}     [opts.start]                The token of the page to start from. By default, the listing is iterated from the beginning
+ * @param  {Number}     [opts.limit]                The number of items that should be fetched per page. By default, the server decides
+ * @param  {Number}     [opts.maxItems]             The maximum number of items to iterate over. By default, all items are iterated over
+ * @return {Iterator}                               An iterator whose `next` function returns a Promise for the next `{value, done}` result
+ */
+var createPageIterator = module.exports.createPageIterator = function(fetchPage, opts) {
+    opts = opts || {};
+
+    var that = {};
+
+    var items = [];
+    var start = opts.start || null;
+    var count = 0;
+    var exhausted = false;
+    var finished = false;
+
+    // Calls to `next` are handled one after the other, so a page is never fetched twice
+    var pending = Promise.resolve();
+
+    var nextResult = function() {
+        if (finished || (opts.maxItems && count >= opts.maxItems)) {
+            return finish();
+        } else if (!_.isEmpty(items)) {
+            count++;
+            return {'value': items.shift(), 'done': false};
+        } else if (exhausted) {
+            return finish();
+        }
+
+        return new Promise(function(resolve, reject) {
+            fetchPage(start, opts.limit, function(err, page) {
+                if (err) {
+                    finished = true;
+                    return reject(err);
+                }
+
+                page = page || {};
+                items = _.toArray(page.results || page.items);
+
+                // Stop when the listing runs out or the server keeps handing out the same page
+                var nextToken = page.nextToken;
+                exhausted = (_.isEmpty(items) || nextToken === null || nextToken === undefined || nextToken === start);
+                start = nextToken;
+                return resolve(nextResult());
+            });
+        });
+    };
+
+    var finish = function() {
+        finished = true;
+        items = [];
+        return {'value': undefined, 'done': true};
+    };
+
+    /**
+     * Get the next item of the listing
+     *
+     * @return {Promise}        A Promise for an object holding the next item as its `value`, and whether or not the listing has run out as `done`. The promise is rejected when a page could not be fetched, after which the iterator is done
+     */
+    that.next = function() {
+        pending = pending.then(nextResult, nextResult);
+        return pending;
+    };
+
+    /**
+     * Stop iterating over the listing. This is invoked automatically when breaking out of a `for await` loop
+     *
+     * @return {Promise}        A Promise for a result that indicates the iterator is done
+     */
+    that['return'] = function() {
+        return Promise.resolve(finish());
+    };
+
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+        that[Symbol.asyncIterator] = function() {
+            return that;
+        };
+    }
+
+    return that;
+};
+
+/**
+ * Gather all of the items of a paged listing. To protect against listings that are much larger than expected, the
+ * listing is only gathered up to a maximum number of items. When the listing holds more items, an error is returned.
+ *
+ * @param  {Iterator}   iterator            The iterator over the listing, as created by `createPageIterator`
+ * @param  {Object}     [opts]              Optional parameters for gathering the items
+ * @param  {Number}     [opts.maxItems]     The maximum number of items the listing can hold. Default: `10000`
+ * @param  {Function}   [callback]          Standard callback function. When no callback is provided, a Promise for the items is returned instead
+ * @param  {Object}     [callback.err]      An error that occurred, if any
+ * @param  {Object[]}   [callback.items]    All of the items of the listing
+ * @return {Promise}                        A Promise for all of the items of the listing, when no callback was provided
+ */
+var collectAll = module.exports.collectAll = function(iterator, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+    opts = opts || {};
+
+    if (!callback) {
+        return new Promise(function(resolve, reject) {
+            collectAll(iterator, opts, function(err, items) {
+                return err ? reject(err) : resolve(items);
+            });
+        });
+    }
+
+    var maxItems = opts.maxItems || DEFAULT_MAX_ITEMS;
+    var items = [];
+
+    // The callback is invoked outside of the promise chain, so errors it throws are not swallowed
+    var done = function(err) {
+        process.nextTick(function() {
+            return err ? callback(err) : callback(null, items);
+        });
+    };
+
+    var collectNext = function() {
+        iterator.next().then(function(result) {
+            if (result.done) {
+                return done();
+            } else if (items.length >= maxItems) {
+                iterator['return']();
+                return done(new Error(util.format('The listing holds more than the maximum of %d items', maxItems)));
+            }
+
+            items.push(result.value);
+            return collectNext();
+        }, done);
+    };
+
+    collectNext();
+};
+
+/**
+ * Create iterators for all of the paged REST wrappers in a set of REST API modules. Each iterator takes the same
+ * arguments as the wrapper it belongs to, except for the paging parameters and the callback. Instead, it takes an
+ * optional `opts` object with the options of `createPageIterator`. For wrappers that take an `opts` object
+ * themselves (e.g., `Activity.getActivityStream`), the other options are passed on to the wrapper.
+ *
+ *     RestAPI.iterators.Content.getMembers(restCtx, contentId, {'limit': 100})
+ *
+ * @param  {Object}     modules     An object where the keys are the module names (e.g., `Content`) and the values are the modules holding the REST wrappers
+ * @return {Object}                 An object with the module names as keys, whose values hold an iterator function for each paged REST wrapper in that module
+ */
+var createIterators = module.exports.createIterators = function(modules) {
+    var iterators = {};
+    _.each(PAGED_FUNCTIONS, function(fnNames, moduleName) {
+        if (!modules[moduleName]) {
+            return;
+        }
+
+        iterators[moduleName] = {};
+        _.each(fnNames, function(style, fnName) {
+            var fn = modules[moduleName][fnName];
+            if (_.isFunction(fn)) {
+                iterators[moduleName][fnName] = _createIterator(fn, style);
+            }
+        });
+    });
+    return iterators;
+};
+
+/**
+ * Create the iterator function for a paged REST wrapper
+ *
+ * @param  {Function}   fn          The paged REST wrapper
+ * @param  {String}     style       How the wrapper takes its paging parameters. One of `params` or `opts`
+ * @return {Function}               A function that takes the same arguments as `fn` without the paging parameters and callback, followed by the optional iterator `opts`, and returns an iterator over the listing
+ * @api private
+ */
+var _createIterator = function(fn, style) {
+    // The wrapper arguments that are not related to paging, i.e., the rest context and the id of the listing
+    var arity = Math.max(fn.length - ((style === 'opts') ? 2 : 3), 0);
+
+    return function() {
+        var args = _.first(arguments, arity);
+        while (args.length < arity) {
+            args.push(undefined);
+        }
+
+        var opts = arguments[arity] || {};
+        var requestOpts = _.omit(opts, 'start', 'limit', 'maxItems');
+        return createPageIterator(function(start, limit, callback) {
+            if (style === 'opts') {
+                return fn.apply(null, args.concat([_.extend({}, requestOpts, {'start': start, 'limit': limit}), callback]));
+            }
+
+            return fn.apply(null, args.concat([start, limit, callback]));
+        }, opts);
+    };
+};
@@ -0,0 +1,63 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { Callback, Response } from './types';
+
+/**
+ * The type of the body a REST wrapper passes to its callback
+ */
+type CallbackBody<F> = F extends (...args: any[]) => any ? (Parameters<F> extends [...any[], Callback<infer T>] ? T : any) : any;
+
+/**
+ * The arguments of a REST wrapper, without its callback
+ */
+type WrapperArgs<F> = F extends (...args: any[]) => any ? (Parameters<F> extends [...infer A, Callback<any>] ? A : never) : never;
+
+/**
+ * The Promise-returning variant of a REST wrapper
+ */
+export type Promisified<F> = (...args: WrapperArgs<F>) => Promise<CallbackBody<F>>;
+
+/**
+ * The Promise-returning variant of a REST wrapper that resolves with both the body and the response
+ */
+export type PromisifiedWithResponse<F> = (...args: WrapperArgs<F>) => Promise<{ body: CallbackBody<F>; response: Response }>;
+
+/**
+ * The Promise-returning variants of all of the functions in a set of REST API modules
+ */
+export type PromisifiedModules<M> = {
+    [K in keyof M]: { [F in keyof M[K]]: Promisified<M[K][F]> };
+};
+
+/**
+ * The Promise-returning variants of all of the functions in a set of REST API modules that resolve with both the body
+ * and the response
+ */
+export type PromisifiedModulesWithResponse<M> = {
+    [K in keyof M]: { [F in keyof M[K]]: PromisifiedWithResponse<M[K][F]> };
+};
+
+/**
+ * Create a Promise-returning variant of a REST wrapper function
+ */
+export function promisify<F extends (...args: any[]) => any>(fn: F, withResponse?: false): Promisified<F>;
+export function promisify<F extends (...args: any[]) => any>(fn: F, withResponse: true): PromisifiedWithResponse<F>;
+
+/**
+ * Create Promise-returning variants for all of the functions in a set of REST API modules
+ */
+export function promisifyModules<M>(modules: M, withResponse?: false): PromisifiedModules<M>;
+export function promisifyModules<M>(modules: M, withResponse: true): PromisifiedModulesWithResponse<M>;
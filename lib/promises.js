@@ -0,0 +1,77 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+
+/**
+ * Create a Promise-returning variant of a REST wrapper function. The wrapper is expected to take a standard callback
+ * as its last parameter. When the caller omits trailing optional arguments, they will be passed in as `undefined` so
+ * that the callback always ends up in the position the wrapper expects it.
+ *
+ * Note that this relies on the runtime providing a native `Promise` implementation.
+ *
+ * @param  {Function}   fn                  The REST wrapper function to promisify
+ * @param  {Boolean}    [withResponse]      Whether or not the promise should resolve with both the body and the response object. By default, the promise resolves with the body only
+ * @return {Function}                       A function that takes the same arguments as `fn` without the callback and returns a Promise. The promise is rejected with the error the wrapper returned and resolved with either the response body, or an object with a `body` and `response` key when `withResponse` is `true`
+ */
+var promisify = module.exports.promisify = function(fn, withResponse) {
+    var arity = Math.max(fn.length - 1, 0);
+
+    return function() {
+        var args = _.first(arguments, arity);
+        while (args.length < arity) {
+            args.push(undefined);
+        }
+
+        return new Promise(function(resolve, reject) {
+            args.push(function(err, body, response) {
+                if (err) {
+                    return reject(err);
+                } else if (withResponse) {
+                    return resolve({'body': body, 'response': response});
+                }
+
+                return resolve(body);
+            });
+
+            fn.apply(null, args);
+        });
+    };
+};
+
+/**
+ * Create Promise-returning variants for all of the functions in a set of REST API modules.
+ *
+ * @param  {Object}     modules             An object where the keys are the module names (e.g., `Content`) and the values are the modules holding the REST wrappers
+ * @param  {Boolean}    [withResponse]      Whether or not the promises should resolve with both the body and the response object. See `promisify` for more information
+ * @return {Object}                         An object with the same module names as keys, whose values hold a promisified variant of each REST wrapper in that module
+ */
+var promisifyModules = module.exports.promisifyModules = function(modules, withResponse) {
+    var promisified = {};
+    _.each(_.keys(modules), function(moduleName) {
+        var api = modules[moduleName];
+        if (!_.isObject(api) || _.isFunction(api)) {
+            return;
+        }
+
+        promisified[moduleName] = {};
+        _.each(_.keys(api), function(fnName) {
+            if (_.isFunction(api[fnName])) {
+                promisified[moduleName][fnName] = promisify(api[fnName], withResponse);
+            }
+        });
+    });
+    return promisified;
+};
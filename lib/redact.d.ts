@@ -0,0 +1,66 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/// <reference types="node" />
+
+import { RequestInfo } from './transport';
+import { RestContext } from './model';
+import { Headers, Response } from './types';
+import RestUtil = require('./util');
+
+/** The value that replaces the values that are redacted */
+export const REDACTED: string;
+
+/** Mark additional request parameters as sensitive */
+export function addFields(fields: string[]): void;
+
+/** Mark additional headers as sensitive */
+export function addHeaders(headers: string[]): void;
+
+/** Get the names of the sensitive request parameters, in lower case */
+export function getFields(): string[];
+
+/** Check whether or not the value of a request parameter should be redacted */
+export function isSensitiveField(name: string): boolean;
+
+/** Get a copy of a set of request parameters in which the sensitive values have been replaced */
+export function redactData<T>(data: T): T;
+
+/** Get a copy of a set of headers in which the sensitive values have been replaced */
+export function redactHeaders<T extends Headers | null | undefined>(headers: T): T;
+
+/** Get a copy of a list of raw headers in which the sensitive values have been replaced */
+export function redactRawHeaders<T extends string[] | null | undefined>(rawHeaders: T): T;
+
+/** Replace the values of the sensitive parameters in the query string of a URL */
+export function redactUrl<T extends string | null | undefined>(requestUrl: T): T;
+
+/** Replace the sensitive values in a URL-encoded or JSON request or response body */
+export function redactBody<T extends string | Buffer | null | undefined>(body: T, contentType?: string): T | string;
+
+/** Get a copy of the description of a request in which the sensitive values have been replaced */
+export function redactRequestInfo<T extends RequestInfo | null | undefined>(requestInfo: T): T;
+
+/** Replace the sensitive values in a URL-encoded or JSON response body. Bodies without a content type are returned as they are */
+export function redactResponseBody<T extends string | Buffer | null | undefined>(body: T, headers?: Headers | null): T | string;
+
+/** Get a view on a response in which the headers, raw headers, request headers and body have been redacted */
+export function redactResponse<T extends Response | null | undefined>(response: T): T;
+
+/** Get a view on a rest context in which the password, private key and cookie jar are not available */
+export function redactRestContext<T extends RestContext | null | undefined>(restCtx: T): T;
+
+/** Get a copy of an exchange in which the sensitive values have been replaced */
+export function redactExchange(exchange: RestUtil.Exchange): RestUtil.Exchange;
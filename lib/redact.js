@@ -0,0 +1,351 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * ### Redaction
+ *
+ * Credentials should never end up in the events that are emitted by `RestUtil`, nor in the files that are written by
+ * the recorders of the library (e.g., HAR files and cassettes). The functions in this module mask the values of the
+ * sensitive request parameters, response fields and headers before they are handed out. Applications can mark
+ * additional parameters and headers as sensitive through `addFields` and `addHeaders`.
+ */
+
+var _ = require('underscore');
+var url = require('url');
+
+/*!
+ * The value that replaces the values that are redacted
+ */
+var REDACTED = module.exports.REDACTED = '[redacted]';
+
+/*!
+ * The request parameters whose values are redacted, in lower case
+ */
+var _fields = ['password', 'oldpassword', 'newpassword', 'signature', 'secret'];
+
+/*!
+ * The headers whose values are redacted, in lower case
+ */
+var _headers = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+
+/**
+ * Mark additional request parameters as sensitive. Parameters are matched regardless of their case, and also when
+ * they're nested in an object
+ *
+ * @param  {String[]}   fields      The names of the parameters whose values should be redacted
+ */
+var addFields = module.exports.addFields = function(fields) {
+    _fields = _.union(_fields, _.invoke(fields, 'toLowerCase'));
+};
+
+/**
+ * Mark additional headers as sensitive. Headers are matched regardless of their case
+ *
+ * @param  {String[]}   headers     The names of the headers whose values should be redacted
+ */
+var addHeaders = module.exports.addHeaders = function(headers) {
+    _headers = _.union(_headers, _.invoke(headers, 'toLowerCase'));
+};
+
+/**
+ * Get the request parameters whose values are redacted
+ *
+ * @return {String[]}       The names of the sensitive parameters, in lower case
+ */
+var getFields = module.exports.getFields = function() {
+    return _.clone(_fields);
+};
+
+/**
+ * Check whether or not the value of a request parameter should be redacted
+ *
+ * @param  {String}     name    The name of the parameter
+ * @return {Boolean}            Whether or not the parameter is sensitive
+ */
+var isSensitiveField = module.exports.isSensitiveField = function(name) {
+    return _.contains(_fields, String(name).toLowerCase());
+};
+
+/**
+ * Redact the sensitive values in a set of request parameters. Nested objects and arrays are redacted as well. The
+ * provided data is not modified.
+ *
+ * @param  {Object}     [data]      The request parameters to redact
+ * @return {Object}                 A copy of the request parameters in which the sensitive values have been replaced
+ */
+var redactData = module.exports.redactData = function(data) {
+    if (_.isArray(data)) {
+        return _.map(data, redactData);
+    } else if (!_isPlainObject(data)) {
+        return data;
+    }
+
+    var redacted = {};
+    _.each(data, function(value, key) {
+        redacted[key] = (isSensitiveField(key) && value !== null && value !== undefined) ? REDACTED : redactData(value);
+    });
+    return redacted;
+};
+
+/**
+ * Redact the values of the sensitive headers in a set of headers. The provided headers are not modified
+ *
+ * @param  {Object}     [headers]   The headers to redact
+ * @return {Object}                 A copy of the headers in which the sensitive values have been replaced
+ */
+var redactHeaders = module.exports.redactHeaders = function(headers) {
+    if (!headers) {
+        return headers;
+    }
+
+    var redacted = {};
+    _.each(headers, function(value, name) {
+        redacted[name] = _.contains(_headers, name.toLowerCase()) ? REDACTED : value;
+    });
+    return redacted;
+};
+
+/**
+ * Redact the values of the sensitive headers in a list of raw headers, as provided by the `rawHeaders` of a node
+ * response. The provided list is not modified
+ *
+ * @param  {String[]}   [rawHeaders]    The raw headers to redact, as a flat list of alternating names and values
+ * @return {String[]}                   A copy of the raw headers in which the sensitive values have been replaced
+ */
+var redactRawHeaders = module.exports.redactRawHeaders = function(rawHeaders) {
+    if (!_.isArray(rawHeaders)) {
+        return rawHeaders;
+    }
+
+    return _.map(rawHeaders, function(value, i) {
+        var isValue = (i % 2 === 1);
+        return (isValue && _.contains(_headers, String(rawHeaders[i - 1]).toLowerCase())) ? REDACTED : value;
+    });
+};
+
+/**
+ * Redact the values of the sensitive parameters in the query string of a URL
+ *
+ * @param  {String}     [requestUrl]    The URL to redact
+ * @return {String}                     The URL in which the sensitive values have been replaced
+ */
+var redactUrl = module.exports.redactUrl = function(requestUrl) {
+    if (!_.isString(requestUrl) || requestUrl.indexOf('?') === -1) {
+        return requestUrl;
+    }
+
+    var parsedUrl = url.parse(requestUrl);
+    parsedUrl.search = '?' + _redactQueryString(parsedUrl.query);
+    return url.format(parsedUrl);
+};
+
+/**
+ * Redact the sensitive values in a raw request or response body. URL-encoded and JSON bodies are supported, other
+ * bodies are returned as they are
+ *
+ * @param  {String|Buffer}  [body]          The raw body
+ * @param  {String}         [contentType]   The content type of the body. Default: `application/x-www-form-urlencoded`
+ * @return {String|Buffer}                  The body in which the sensitive values have been replaced
+ */
+var redactBody = module.exports.redactBody = function(body, contentType) {
+    if (!body || (!_.isString(body) && !Buffer.isBuffer(body))) {
+        return body;
+    }
+
+    contentType = (contentType || 'application/x-www-form-urlencoded').toLowerCase();
+    if (contentType.indexOf('application/x-www-form-urlencoded') === 0) {
+        return _redactQueryString(body.toString('utf8'));
+    } else if (contentType.indexOf('json') !== -1) {
+        try {
+            return JSON.stringify(redactData(JSON.parse(body.toString('utf8'))));
+        } catch (ex) {
+            return body;
+        }
+    }
+
+    return body;
+};
+
+/**
+ * Redact the sensitive values in the description of a request that was sent, as returned by a transport
+ *
+ * @param  {Object}     [requestInfo]   The `method`, `url`, `headers` and `body` of the request
+ * @return {Object}                     A copy of the request description in which the sensitive values have been replaced
+ */
+var redactRequestInfo = module.exports.redactRequestInfo = function(requestInfo) {
+    if (!requestInfo) {
+        return requestInfo;
+    }
+
+    return _.extend({}, requestInfo, {
+        'url': redactUrl(requestInfo.url),
+        'headers': redactHeaders(requestInfo.headers),
+        'body': redactBody(requestInfo.body, _getContentType(requestInfo.headers))
+    });
+};
+
+/**
+ * Redact the sensitive values in a raw response body. Unlike request bodies, response bodies without a content type
+ * are returned as they are
+ *
+ * @param  {String|Buffer}  [body]          The raw response body
+ * @param  {Object}         [headers]       The headers of the response
+ * @return {String|Buffer}                  The response body in which the sensitive values have been replaced
+ */
+var redactResponseBody = module.exports.redactResponseBody = function(body, headers) {
+    var contentType = _getContentType(headers);
+    return contentType ? redactBody(body, contentType) : body;
+};
+
+/**
+ * Redact the sensitive values in a response, so it can be handed to the listeners of the events of `RestUtil`. The
+ * returned response is a view on the provided response: its `headers`, `rawHeaders`, `request` and raw `body` are
+ * replaced by redacted copies, all other properties and functions are those of the provided response. The provided
+ * response is not modified
+ *
+ * @param  {Response}   [response]      The response to redact
+ * @return {Response}                   A view on the response in which the sensitive values have been replaced
+ */
+var redactResponse = module.exports.redactResponse = function(response) {
+    if (!_.isObject(response)) {
+        return response;
+    }
+
+    var redacted = Object.create(response);
+    _defineValue(redacted, 'headers', redactHeaders(response.headers));
+    _defineValue(redacted, 'rawHeaders', redactRawHeaders(response.rawHeaders));
+    if (response.body !== undefined) {
+        _defineValue(redacted, 'body', redactResponseBody(response.body, response.headers));
+    }
+    if (response.request) {
+        var request = response.request;
+        _defineValue(redacted, 'request', {
+            'method': request.method,
+            'uri': request.uri ? url.parse(redactUrl(request.uri.href)) : request.uri,
+            'headers': redactHeaders(request.headers)
+        });
+    }
+
+    return redacted;
+};
+
+/**
+ * Redact the credentials in a rest context, so it can be handed to the listeners of the events of `RestUtil`. The
+ * returned context is a view on the provided context in which the password of the user, the private key, its
+ * passphrase and the sensitive additional headers are replaced and the cookie jar is not available. The provided
+ * context is not modified
+ *
+ * @param  {RestContext}    [restCtx]   The rest context to redact
+ * @return {RestContext}                A view on the rest context in which the credentials have been replaced
+ */
+var redactRestContext = module.exports.redactRestContext = function(restCtx) {
+    if (!_.isObject(restCtx)) {
+        return restCtx;
+    }
+
+    var redacted = Object.create(restCtx);
+    _.each(['userPassword', 'passphrase', 'key'], function(name) {
+        if (restCtx[name]) {
+            _defineValue(redacted, name, REDACTED);
+        }
+    });
+    if (restCtx.additionalHeaders) {
+        _defineValue(redacted, 'additionalHeaders', redactHeaders(restCtx.additionalHeaders));
+    }
+    _defineValue(redacted, 'cookieJar', null);
+    return redacted;
+};
+
+/**
+ * Redact the sensitive values in an exchange, so it can be emitted through the `exchange` event of `RestUtil`
+ *
+ * @param  {Object}     exchange    The exchange to redact. See the `exchange` event of `RestUtil` for more information
+ * @return {Object}                 A copy of the exchange in which the sensitive values have been replaced
+ */
+var redactExchange = module.exports.redactExchange = function(exchange) {
+    var redacted = _.extend({}, exchange, {
+        'request': redactRequestInfo(exchange.request),
+        'data': redactData(exchange.data)
+    });
+    if (exchange.response) {
+        redacted.response = redactResponse(exchange.response);
+        redacted.body = redactResponseBody(exchange.body, exchange.response.headers);
+    }
+
+    return redacted;
+};
+
+/**
+ * Redact the sensitive values in a URL-encoded string. Nested parameters (e.g., `user[password]`) are matched on
+ * their innermost name
+ *
+ * @param  {String}     [queryString]   The URL-encoded string to redact
+ * @return {String}                     The URL-encoded string in which the sensitive values have been replaced
+ * @api private
+ */
+var _redactQueryString = function(queryString) {
+    if (!queryString) {
+        return queryString || '';
+    }
+
+    return _.map(queryString.split('&'), function(pair) {
+        var name = pair.split('=')[0];
+        try {
+            name = decodeURIComponent(name.replace(/\+/g, ' '));
+        } catch (ex) {
+            /* This can be ignored, the name is matched as it is */
+        }
+
+        // Only the last part of a nested name identifies the parameter
+        name = _.last(name.replace(/\]/g, '').split('['));
+        return isSensitiveField(name) ? pair.split('=')[0] + '=' + encodeURIComponent(REDACTED) : pair;
+    }).join('&');
+};
+
+/**
+ * Get the content type from a set of headers
+ *
+ * @param  {Object}     [headers]   The headers to get the content type from
+ * @return {String}                 The content type, if any
+ * @api private
+ */
+var _getContentType = function(headers) {
+    headers = headers || {};
+    return headers['content-type'] || headers['Content-Type'];
+};
+
+/**
+ * Define an own, enumerable property on an object. Unlike an assignment, this does not invoke a setter the object
+ * inherits (e.g., the `headers` setter of node responses)
+ *
+ * @param  {Object}     obj         The object to define the property on
+ * @param  {String}     name        The name of the property
+ * @param  {Object}     value       The value of the property
+ * @api private
+ */
+var _defineValue = function(obj, name, value) {
+    Object.defineProperty(obj, name, {'value': value, 'enumerable': true, 'writable': true, 'configurable': true});
+};
+
+/**
+ * Check whether or not a value is a plain object, rather than a stream, buffer or other type of object
+ *
+ * @param  {Object}     value   The value to check
+ * @return {Boolean}            Whether or not the value is a plain object
+ * @api private
+ */
+var _isPlainObject = function(value) {
+    return (_.isObject(value) && !_.isFunction(value) && (value.constructor === Object || !value.constructor));
+};
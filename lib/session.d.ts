@@ -0,0 +1,52 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestError } from './error';
+import { RestContext } from './model';
+import { Callback, Me } from './types';
+
+/**
+ * The options with which a rest context is serialized
+ */
+export interface SerializeOptions {
+    /** Whether or not the password of the user should be included. Default: `false` */
+    includePassword?: boolean;
+}
+
+/**
+ * Serialize a rest context, including its session cookies, so it can be restored later through `deserialize`
+ */
+export function serialize(restCtx: RestContext, opts?: SerializeOptions): string;
+
+/**
+ * Restore a rest context that was serialized through `serialize`
+ */
+export function deserialize(serialized: string): RestContext;
+
+/**
+ * Check whether or not the session of a rest context is still valid, logging in again when it has expired
+ */
+export function validate(restCtx: RestContext, callback: Callback<Me>): void;
+
+/**
+ * Serialize a rest context and write it to a file
+ */
+export function save(restCtx: RestContext, path: string, opts: SerializeOptions | null | undefined, callback: (err?: Error | null) => void): void;
+export function save(restCtx: RestContext, path: string, callback: (err?: Error | null) => void): void;
+
+/**
+ * Restore a rest context from a file that was written by `save` and validate its session
+ */
+export function load(path: string, callback: (err: RestError | Error | null, restCtx?: RestContext, me?: Me) => void): void;
@@ -0,0 +1,204 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var fs = require('fs');
+
+var RestContext = require('./model').RestContext;
+var RestError = require('./error').RestError;
+var RestUtil = require('./util');
+var User = require('./api.user');
+
+/*!
+ * The version of the serialized format
+ */
+var VERSION = 1;
+
+/*!
+ * The options of a rest context that are included when it is serialized
+ */
+var SERIALIZED_OPTIONS = [
+    'hostHeader',
+    'refererHeader',
+    'additionalHeaders',
+    'username',
+    'authStrategy',
+    'autoReauthenticate',
+    'strictSSL',
+    'followRedirect',
+    'retry',
+    'timeout',
+    'maxConcurrency',
+    'requestsPerSecond',
+    'proxy',
+    'bodyEncoding'
+];
+
+/**
+ * Serialize a rest context, including its session cookies, so it can be restored later through `deserialize`.
+ * Interceptors, cancel tokens, agents, certificates and keys are not included. Contexts that were authenticated
+ * without a password (e.g., through `Admin.loginAsUser`) can be serialized, but will not be able to log in again
+ * once their session expires.
+ *
+ * Note that the serialized context grants access to the account of the user and should be stored accordingly.
+ *
+ * @param  {RestContext}    restCtx                     The rest context to serialize
+ * @param  {Object}         [opts]                      Optional parameters for the serialization
+ * @param  {Boolean}        [opts.includePassword]      Whether or not the password of the user should be included. Default: `false`
+ * @return {String}                                     The serialized rest context
+ */
+var serialize = module.exports.serialize = function(restCtx, opts) {
+    opts = opts || {};
+
+    var serialized = _.pick(restCtx, SERIALIZED_OPTIONS);
+    serialized.version = VERSION;
+    serialized.host = restCtx.host;
+    serialized.cookies = restCtx.cookieJar ? restCtx.cookieJar.getCookieString(restCtx.host + '/') : null;
+    if (opts.includePassword) {
+        serialized.userPassword = restCtx.userPassword;
+    }
+
+    return JSON.stringify(serialized);
+};
+
+/**
+ * Restore a rest context that was serialized through `serialize`. The session of the restored context is not
+ * checked, use `validate` to verify that it is still alive.
+ *
+ * @param  {String}         serialized      The serialized rest context
+ * @return {RestContext}                    The restored rest context
+ * @throws {Error}                          Thrown when the serialized context is invalid
+ */
+var deserialize = module.exports.deserialize = function(serialized) {
+    serialized = JSON.parse(serialized);
+    if (serialized.version !== VERSION || !serialized.host) {
+        throw new Error('The serialized rest context is invalid or was created by an incompatible version');
+    }
+
+    var restCtx = new RestContext(serialized.host, _.pick(serialized, SERIALIZED_OPTIONS, 'userPassword'));
+    if (_.isString(serialized.cookies)) {
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+        _.each(serialized.cookies.split(/;\s*/), function(cookie) {
+            if (cookie) {
+                restCtx.cookieJar.setCookie(cookie, serialized.host + '/');
+            }
+        });
+    }
+
+    return restCtx;
+};
+
+/**
+ * Verify that the session of a rest context is still alive. A context is expected to belong to a user when it has a
+ * username, an authenticator or session cookies, which is the case for contexts that were restored from a signed or
+ * impersonated session. When such a session has expired and the context holds the password of its user or an
+ * authenticator, the user will be logged in again. Note that authenticators cannot be serialized, so restored contexts
+ * will have to be given one again to be renewed.
+ *
+ * @param  {RestContext}    restCtx         The rest context to validate
+ * @param  {Function}       callback        Standard callback function
+ * @param  {RestError}      callback.err    An error that occurred, if any. When the session has expired and cannot be renewed, this will be a `401` error
+ * @param  {Object}         callback.me     The me feed of the user the session belongs to
+ */
+var validate = module.exports.validate = function(restCtx, callback) {
+    var canRenew = (restCtx.username && restCtx.userPassword) || _.isFunction(restCtx.authenticator);
+    var hasSession = restCtx.username || _.isFunction(restCtx.authenticator) || _hasCookies(restCtx);
+
+    User.getMe(restCtx, function(err, me) {
+        if (err) {
+            return callback(err);
+        } else if (!me.anon || !hasSession) {
+            // Anonymous contexts remain valid regardless of their session
+            return callback(null, me);
+        } else if (!canRenew) {
+            return callback(new RestError(401, 'The session has expired and cannot be renewed without a password or an authenticator', {
+                'method': 'GET',
+                'url': restCtx.host + '/api/me',
+                'host': restCtx.hostHeader
+            }));
+        }
+
+        // Log in again with a fresh session
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+        RestUtil.fillCookieJar(restCtx, function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            return User.getMe(restCtx, callback);
+        });
+    });
+};
+
+/**
+ * Whether the cookie jar of a rest context holds any cookies for its host
+ *
+ * @param  {RestContext}    restCtx     The rest context to check
+ * @return {Boolean}                    `true` if the context has cookies for its host
+ * @api private
+ */
+var _hasCookies = function(restCtx) {
+    return !!(restCtx.cookieJar && restCtx.cookieJar.getCookieString(restCtx.host + '/'));
+};
+
+/**
+ * Serialize a rest context to a file. The file will only be readable by its owner.
+ *
+ * @param  {RestContext}    restCtx         The rest context to save
+ * @param  {String}         path            The path of the file the rest context should be written to
+ * @param  {Object}         [opts]          Optional parameters for the serialization. See `serialize` for the available options
+ * @param  {Function}       callback        Standard callback function
+ * @param  {Object}         callback.err    An error that occurred, if any
+ */
+var save = module.exports.save = function(restCtx, path, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = null;
+    }
+
+    fs.writeFile(path, serialize(restCtx, opts), {'mode': parseInt('600', 8)}, callback);
+};
+
+/**
+ * Restore a rest context from a file that was written through `save` and verify that its session is still alive
+ *
+ * @param  {String}         path                The path of the file to restore the rest context from
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        An error that occurred, if any
+ * @param  {RestContext}    callback.restCtx    The restored rest context
+ * @param  {Object}         callback.me         The me feed of the user the session belongs to
+ */
+var load = module.exports.load = function(path, callback) {
+    fs.readFile(path, 'utf8', function(err, serialized) {
+        if (err) {
+            return callback(err);
+        }
+
+        var restCtx = null;
+        try {
+            restCtx = deserialize(serialized);
+        } catch (ex) {
+            return callback(ex);
+        }
+
+        validate(restCtx, function(err, me) {
+            if (err) {
+                return callback(err);
+            }
+
+            return callback(null, restCtx, me);
+        });
+    });
+};
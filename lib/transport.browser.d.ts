@@ -0,0 +1,29 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { Transport } from './transport';
+
+export { CookieJar, MultipartPart, RequestInfo, Transport, TransportHandle, TransportOptions, TransportStream } from './transport';
+
+/**
+ * Create the transport that is used when no other transport has been set
+ */
+export function createDefaultTransport(): Transport;
+
+/**
+ * Create a transport that performs the requests through the fetch API of the browser. This transport can not stream
+ * response bodies
+ */
+export function createFetchTransport(): Transport;
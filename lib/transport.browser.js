@@ -0,0 +1,206 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * The browser counterpart of `lib/transport.js`. Browser builds replace that module with this one through the
+ * `browser` field in `package.json`, so the request node module is not bundled.
+ */
+
+var _ = require('underscore');
+var events = require('events');
+var querystring = require('querystring');
+
+/*!
+ * The headers the browser does not allow scripts to set. The browser fills these in itself
+ */
+var FORBIDDEN_HEADERS = ['host', 'referer', 'content-length'];
+
+/**
+ * Create the transport that is used when no other transport has been set
+ *
+ * @return {Transport}      The transport
+ */
+var createDefaultTransport = module.exports.createDefaultTransport = function() {
+    return createFetchTransport();
+};
+
+/**
+ * Create a transport that performs the requests through the fetch API of the browser. The session is kept in the
+ * cookies of the browser, so requests are expected to be sent to the same origin as the page. Files can be uploaded
+ * by passing in a `File` or `Blob` (or a function that returns one) wherever the node version accepts a stream.
+ *
+ * Note that this transport can not stream response bodies, so `Content.download` is not available in the browser
+ *
+ * @return {Transport}      The transport
+ */
+var createFetchTransport = module.exports.createFetchTransport = function() {
+    var that = {};
+
+    /**
+     * The browser manages the session cookies itself, so the cookie jar only exposes the cookies that are
+     * visible to scripts
+     *
+     * @return {CookieJar}      A new cookie jar
+     */
+    that.createCookieJar = function() {
+        return {
+            'getCookieString': function() {
+                return (typeof document !== 'undefined') ? document.cookie : '';
+            },
+            'setCookie': function() {}
+        };
+    };
+
+    /**
+     * Send a request and buffer the response body. See `lib/transport.js` for more information
+     *
+     * @param  {Object}         opts                The request options
+     * @param  {Function}       callback            Invoked when the request completes
+     * @param  {Object}         callback.err        The transport error that occurred, if any
+     * @param  {Response}       callback.response   The response object, holding the `statusCode` and `headers` of the response
+     * @param  {Buffer}         callback.body       The raw response body
+     * @return {Object}                             The handle of the request
+     */
+    that.send = function(opts, callback) {
+        var requestInfo = _getRequestInfo(opts);
+        var controller = new AbortController();
+        var aborted = false;
+        var timedOut = false;
+        var timer = null;
+
+        var handle = new events.EventEmitter();
+        handle.abort = function() {
+            aborted = true;
+            clearTimeout(timer);
+            controller.abort();
+        };
+        handle.getRequestInfo = function() {
+            return requestInfo;
+        };
+
+        if (opts.timeout) {
+            timer = setTimeout(function() {
+                timedOut = true;
+                controller.abort();
+            }, opts.timeout);
+        }
+
+        var response = null;
+        fetch(requestInfo.url, {
+            'method': requestInfo.method,
+            'headers': requestInfo.headers,
+            'body': _getBody(opts),
+            'credentials': 'same-origin',
+            'redirect': (opts.followRedirect === false) ? 'manual' : 'follow',
+            'signal': controller.signal
+        }).then(function(fetchResponse) {
+            response = {
+                'statusCode': fetchResponse.status,
+                'headers': _getHeaders(fetchResponse.headers)
+            };
+            handle.emit('response', response);
+            return fetchResponse.arrayBuffer();
+        }).then(function(body) {
+            clearTimeout(timer);
+            return callback(null, response, Buffer.from(body));
+        }, function(err) {
+            clearTimeout(timer);
+
+            // The caller does not expect to hear back from requests it aborted itself
+            if (aborted) {
+                return;
+            } else if (timedOut) {
+                err = new Error('The request timed out');
+                err.code = 'ETIMEDOUT';
+            }
+
+            return callback(err);
+        });
+
+        return handle;
+    };
+
+    return that;
+};
+
+/**
+ * Get the information about what will be sent for a request
+ *
+ * @param  {Object}     opts    The request options
+ * @return {Object}             The `method`, `url`, `headers` and `body` of the request. For multipart requests, the body will be `null`
+ * @api private
+ */
+var _getRequestInfo = function(opts) {
+    var url = opts.url;
+    if (!_.isEmpty(opts.qs)) {
+        url += ((url.indexOf('?') === -1) ? '?' : '&') + querystring.stringify(opts.qs);
+    }
+
+    var headers = _.omit(opts.headers || {}, FORBIDDEN_HEADERS);
+    var body = opts.body || null;
+    if (opts.form) {
+        headers['content-type'] = 'application/x-www-form-urlencoded';
+        body = querystring.stringify(opts.form);
+    }
+
+    return {
+        'method': opts.method || 'GET',
+        'url': url,
+        'headers': headers,
+        'body': body
+    };
+};
+
+/**
+ * Get the body that should be passed to fetch for a request
+ *
+ * @param  {Object}             opts    The request options
+ * @return {String|FormData}            The body of the request, or `null` if the request has no body
+ * @api private
+ */
+var _getBody = function(opts) {
+    if (opts.form) {
+        return querystring.stringify(opts.form);
+    } else if (!opts.multipart) {
+        return opts.body || null;
+    }
+
+    var formData = new FormData();
+    _.each(opts.multipart, function(part) {
+        if (part.value instanceof Blob) {
+            formData.append(part.name, part.value, part.value.name);
+        } else if (Buffer.isBuffer(part.value)) {
+            formData.append(part.name, new Blob([part.value]));
+        } else {
+            formData.append(part.name, String(part.value));
+        }
+    });
+    return formData;
+};
+
+/**
+ * Convert the headers of a fetch response to a plain object
+ *
+ * @param  {Headers}    headers     The headers of the fetch response
+ * @return {Object}                 The headers, keyed by their lower-cased name
+ * @api private
+ */
+var _getHeaders = function(headers) {
+    var result = {};
+    headers.forEach(function(value, name) {
+        result[name.toLowerCase()] = value;
+    });
+    return result;
+};
@@ -0,0 +1,106 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+import { Headers, Response } from './types';
+
+/**
+ * The cookie jar that holds the session of a rest context
+ */
+export interface CookieJar {
+    getCookieString(url: string): string;
+    setCookie(cookie: string, url: string): any;
+}
+
+/**
+ * A part of a multipart request body
+ */
+export interface MultipartPart {
+    name: string;
+    value: string | Buffer | NodeJS.ReadableStream | Blob;
+}
+
+/**
+ * The options a transport is asked to send a request with. See `lib/transport.js` for more information
+ */
+export interface TransportOptions {
+    method: string;
+    url: string;
+    headers?: Headers;
+    qs?: { [key: string]: any };
+    form?: { [key: string]: any };
+    body?: string;
+    multipart?: MultipartPart[];
+    jar?: CookieJar;
+    timeout?: number;
+    followRedirect?: boolean;
+    strictSSL?: boolean;
+    proxy?: string;
+    ca?: Array<string | Buffer>;
+    cert?: string | Buffer;
+    key?: string | Buffer;
+    agentOptions?: { [key: string]: any };
+    agent?: any;
+    [key: string]: any;
+}
+
+/**
+ * The `method`, `url`, `headers` and `body` of a request that was actually sent
+ */
+export interface RequestInfo {
+    method: string;
+    url: string;
+    headers: Headers;
+    body?: string | Buffer | null;
+}
+
+/**
+ * The handle of a request that was sent through a transport
+ */
+export interface TransportHandle {
+    abort(): void;
+    getRequestInfo(): RequestInfo;
+    on?(event: 'response', listener: (response: Response) => void): any;
+}
+
+/**
+ * The stream of a response body that is streamed through a transport
+ */
+export interface TransportStream extends NodeJS.ReadableStream {
+    abort(): void;
+    getRequestInfo(): RequestInfo;
+}
+
+/**
+ * A transport performs the actual HTTP requests on behalf of the library
+ */
+export interface Transport {
+    createCookieJar(): CookieJar;
+    send(opts: TransportOptions, callback: (err: Error | null, response: Response, body: Buffer) => void): TransportHandle;
+    stream?(opts: TransportOptions): TransportStream;
+}
+
+/**
+ * Create the transport that is used when no other transport has been set
+ */
+export function createDefaultTransport(): Transport;
+
+/**
+ * Create the transport that performs the requests through the request node module
+ */
+export function createRequestTransport(): Transport;
@@ -0,0 +1,228 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * ### Transports
+ *
+ * A transport performs the actual HTTP requests on behalf of the library. A different transport can be used for all
+ * requests through `RestUtil.setTransport`, or for the requests of a single context through the `transport` option
+ * of `RestContext`. A transport is an object with the following functions:
+ *
+ * * `createCookieJar()`: Create a cookie jar that holds the session of a rest context. The jar should have a
+ *   `getCookieString(url)` and a `setCookie(cookie, url)` function
+ *
+ * * `send(opts, callback)`: Send a request and buffer the response body. The following options are provided:
+ *     * `method`, `url` and `headers`: The HTTP method, the full URL and the headers of the request
+ *     * `qs`: An object whose values should be appended to the query string, if any
+ *     * `form`: An object whose values should be sent as a URL-encoded body, if any
+ *     * `body`: A string that should be sent as the body, if any. The `content-type` header describes its format
+ *     * `multipart`: An array of parts that should be sent as a multipart body, if any. Each part has a `name` and a
+ *       `value`, which is either a string, a buffer or a readable stream
+ *     * `jar`: The cookie jar that holds the session of the rest context, if any
+ *     * `timeout`, `followRedirect`, `strictSSL`, `proxy`, `ca`, `cert`, `key`, `agentOptions` and `agent`: The
+ *       connection options of the rest context. See `RestContext` for more information
+ *
+ *   The callback should be invoked with an error (if the server could not be contacted), the response and the raw
+ *   response body as a buffer. It can be invoked before `send` returns, as the request module does for invalid URLs. The body is decoded based on the content type of the response afterwards. The response should have at least a `statusCode` and `headers`. The function should
+ *   return a handle with an `abort()` and a `getRequestInfo()` function, where the latter returns the `method`, `url`,
+ *   `headers` and `body` that were actually sent. If the handle is an event emitter, it should emit a `response`
+ *   event as soon as the response headers have been received
+ *
+ * * `stream(opts)`: Send a request and stream the response body. The same options as for `send` are provided. The
+ *   function should return a readable stream with an `abort()` and a `getRequestInfo()` function. The stream should
+ *   emit a `response` event with the response as soon as the response headers have been received, and an `error`
+ *   event if the server could not be contacted. Errors should not be emitted before the stream has been returned
+ */
+
+var _ = require('underscore');
+var events = require('events');
+var PassThrough = require('stream').PassThrough;
+var request = require('request');
+var url = require('url');
+
+/**
+ * Create the transport that is used when no other transport has been set. In browser builds, this module is replaced
+ * by `lib/transport.browser.js`, which uses fetch instead
+ *
+ * @return {Transport}      The transport
+ */
+var createDefaultTransport = module.exports.createDefaultTransport = function() {
+    return createRequestTransport();
+};
+
+/**
+ * Create the default transport, which performs the requests through the request node module.
+ *
+ * The request module tunnels HTTPS requests through a proxy with an agent of its own, which only takes the `ca` and
+ * `strictSSL` options into account. HTTPS requests through a proxy that specify a client certificate, a private key
+ * (or its passphrase) or an agent fail with an error rather than silently leaving these options out
+ *
+ * @return {Transport}      The transport
+ */
+var createRequestTransport = module.exports.createRequestTransport = function() {
+    var that = {};
+
+    /**
+     * @return {CookieJar}      A new cookie jar
+     */
+    that.createCookieJar = function() {
+        return request.jar();
+    };
+
+    /**
+     * Send a request and buffer the response body. See the transport description above for more information
+     *
+     * @param  {Object}         opts                The request options
+     * @param  {Function}       callback            Invoked when the request completes
+     * @param  {Object}         callback.err        The transport error that occurred, if any
+     * @param  {Response}       callback.response   The response object that was returned by the request node module
+     * @param  {Buffer}         callback.body       The raw response body
+     * @return {Object}                             The handle of the request
+     */
+    that.send = function(opts, callback) {
+        var err = _getUnsupportedOptionsError(opts);
+        if (err) {
+            process.nextTick(function() {
+                return callback(err);
+            });
+            return _createFailedRequest(new events.EventEmitter(), opts);
+        }
+
+        // The body is not decoded by the request module, so binary responses are not mangled
+        var req = request(_.extend(_.omit(opts, 'multipart'), {'encoding': null}), callback);
+
+        // We append our data in a multi-part way. That way we can support buffer/streams as well
+        if (opts.multipart) {
+            var form = req.form();
+            _.each(opts.multipart, function(part) {
+                form.append(part.name, part.value);
+            });
+        }
+
+        var handle = new events.EventEmitter();
+        handle.abort = function() {
+            req.abort();
+        };
+        handle.getRequestInfo = _.partial(_getRequestInfo, req);
+        req.on('response', function(response) {
+            handle.emit('response', response);
+        });
+        return handle;
+    };
+
+    /**
+     * Send a request and stream the response body. See the transport description above for more information
+     *
+     * @param  {Object}     opts    The request options
+     * @return {Stream}             The stream of the response body
+     */
+    that.stream = function(opts) {
+        var err = _getUnsupportedOptionsError(opts);
+        if (err) {
+            return _createFailedStream(opts, err);
+        }
+
+        var req = null;
+        try {
+            req = request(opts);
+        } catch (ex) {
+            // The request module throws for invalid URLs when nobody listens for its errors yet
+            return _createFailedStream(opts, ex);
+        }
+
+        req.getRequestInfo = _.partial(_getRequestInfo, req);
+        return req;
+    };
+
+    return that;
+};
+
+/**
+ * Get the information about what was actually sent for a request
+ *
+ * @param  {Request}    req     The request object of the request node module
+ * @return {Object}             The `method`, `url`, `headers` and `body` of the request
+ * @api private
+ */
+var _getRequestInfo = function(req) {
+    return {
+        'method': req.method,
+        'url': req.uri.href,
+        'headers': req.headers,
+        'body': req.body
+    };
+};
+
+/**
+ * Check whether the request module honours all of the connection options of a request. See `createRequestTransport`
+ * for more information
+ *
+ * @param  {Object}     opts    The request options
+ * @return {Error}              The error that describes the options that cannot be honoured, if any
+ * @api private
+ */
+var _getUnsupportedOptionsError = function(opts) {
+    if (!opts.proxy || url.parse(opts.url).protocol !== 'https:') {
+        return null;
+    }
+
+    var unsupported = _.filter(['cert', 'key', 'agentOptions', 'agent'], function(name) {
+        return !!opts[name];
+    });
+    if (_.isEmpty(unsupported)) {
+        return null;
+    }
+
+    var err = new Error('A client certificate or agent cannot be used for HTTPS requests through a proxy (' + unsupported.join(', ') + ')');
+    err.code = 'EPROXYOPTIONS';
+    return err;
+};
+
+/**
+ * Turn an event emitter or stream into the handle of a request that failed before it was sent
+ *
+ * @param  {EventEmitter}   handle      The event emitter or stream to turn into a handle
+ * @param  {Object}         opts        The request options
+ * @return {EventEmitter}               The handle of the request. Aborting it has no effect
+ * @api private
+ */
+var _createFailedRequest = function(handle, opts) {
+    handle.abort = function() {};
+    handle.getRequestInfo = function() {
+        return {
+            'method': opts.method,
+            'url': opts.url,
+            'headers': opts.headers || {},
+            'body': undefined
+        };
+    };
+    return handle;
+};
+
+/**
+ * Create the stream of a request that failed before it was sent. The error is emitted once the stream has been returned
+ *
+ * @param  {Object}     opts    The request options
+ * @param  {Error}      err     The error that prevented the request from being sent
+ * @return {Stream}             The stream of the request
+ * @api private
+ */
+var _createFailedStream = function(opts, err) {
+    var stream = _createFailedRequest(new PassThrough(), opts);
+    process.nextTick(function() {
+        stream.emit('error', err);
+    });
+    return stream;
+};
@@ -0,0 +1,303 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * The shapes of the objects that are sent and returned by the REST API. These only exist as type declarations, see
+ * the JSDoc of the REST wrappers for more information about them.
+ */
+
+/// <reference types="node" />
+
+import { RestError } from './error';
+
+/**
+ * The callback that is passed into the REST wrappers. When the request failed, `err` describes the failure and the
+ * body and response are not set
+ */
+export type Callback<T = any> = (err: RestError | null, body: T, response: Response) => void;
+
+/**
+ * The headers of a request or response, keyed by their lower-cased name
+ */
+export interface Headers {
+    [name: string]: string | string[] | undefined;
+}
+
+/**
+ * The response object that was returned by the transport
+ */
+export interface Response {
+    statusCode: number;
+    headers: Headers;
+    /** Whether or not the response was produced by an interceptor rather than the server */
+    intercepted?: boolean;
+    [key: string]: any;
+}
+
+/**
+ * A readable stream that points to the body of a file. In browser builds, a `File` or `Blob` is used instead
+ */
+export type FileBody = NodeJS.ReadableStream | Blob;
+
+/**
+ * A function that returns the body of a file to upload. It is invoked again when an upload is retried
+ */
+export type FileGenerator = () => FileBody;
+
+export type Visibility = 'public' | 'loggedin' | 'private';
+
+export type Joinable = 'yes' | 'no' | 'request';
+
+/**
+ * The member updates of a resource, keyed by principal id. Use `false` to remove a member
+ */
+export interface MemberUpdates {
+    [principalId: string]: string | false;
+}
+
+/**
+ * The area of a picture that should be cropped out
+ */
+export interface SelectedArea {
+    x: number;
+    y: number;
+    width: number;
+    height?: number;
+}
+
+/**
+ * A page of a listing. Pass the `nextToken` in as the `start` parameter to get the next page
+ */
+export interface PagedResults<T> {
+    results: T[];
+    nextToken?: string | null;
+}
+
+/**
+ * The basic information of the tenant a resource belongs to
+ */
+export interface TenantSummary {
+    alias: string;
+    displayName: string;
+}
+
+/**
+ * The properties all resources (users, groups, content items, discussions and folders) have in common
+ */
+export interface Resource {
+    id: string;
+    resourceType: string;
+    tenant: TenantSummary;
+    displayName: string;
+    visibility: Visibility;
+    description?: string;
+    profilePath?: string;
+    created?: number | string;
+    lastModified?: number | string;
+}
+
+/**
+ * The picture of a user or group. The URLs are relative to the tenant
+ */
+export interface Picture {
+    small?: string;
+    medium?: string;
+    large?: string;
+}
+
+/**
+ * The previews of a content item or folder. The URLs are relative to the tenant
+ */
+export interface Previews {
+    status?: 'pending' | 'done' | 'error' | 'ignored';
+    thumbnailUrl?: string;
+    wideUrl?: string;
+    smallUrl?: string;
+    mediumUrl?: string;
+    largeUrl?: string;
+    total?: number;
+}
+
+export interface User extends Resource {
+    resourceType: 'user';
+    email?: string;
+    locale?: string;
+    timezone?: string;
+    publicAlias?: string;
+    picture?: Picture;
+    isGlobalAdmin?: boolean;
+    isTenantAdmin?: boolean;
+    acceptedTC?: number;
+}
+
+/**
+ * The me feed of the user in context. Anonymous users only have the `anon` and `tenant` properties
+ */
+export interface Me extends Partial<User> {
+    anon: boolean;
+    tenant: TenantSummary;
+    locale?: string;
+    needsToAcceptTC?: boolean;
+    [key: string]: any;
+}
+
+export interface Group extends Resource {
+    resourceType: 'group';
+    joinable: Joinable;
+    picture?: Picture;
+    createdBy?: User | string;
+    isManager?: boolean;
+    isMember?: boolean;
+    canJoin?: boolean;
+}
+
+export interface Content extends Resource {
+    resourceType: 'content';
+    resourceSubType: 'file' | 'link' | 'collabdoc';
+    createdBy: User | string;
+    latestRevisionId?: string;
+    previews?: Previews;
+    isManager?: boolean;
+    canShare?: boolean;
+    isEditor?: boolean;
+    link?: string;
+    filename?: string;
+    mime?: string;
+    size?: number;
+    downloadPath?: string;
+}
+
+export interface Revision {
+    revisionId: string;
+    contentId: string;
+    created: number | string;
+    createdBy: User | string;
+    previews?: Previews;
+    filename?: string;
+    mime?: string;
+    size?: number;
+    etherpadHtml?: string;
+    downloadPath?: string;
+}
+
+export interface Discussion extends Resource {
+    resourceType: 'discussion';
+    createdBy: User | string;
+    isManager?: boolean;
+    canShare?: boolean;
+    canPost?: boolean;
+}
+
+export interface Folder extends Resource {
+    resourceType: 'folder';
+    groupId?: string;
+    createdBy: User | string;
+    previews?: Previews;
+    canManage?: boolean;
+    canShare?: boolean;
+    canAddItem?: boolean;
+}
+
+/**
+ * A message in a discussion or folder, or a comment on a content item
+ */
+export interface Message {
+    id: string;
+    messageBoxId: string;
+    threadKey: string;
+    body: string;
+    createdBy: User;
+    created: number | string;
+    level: number;
+    replyTo?: string;
+    deleted?: number | string;
+}
+
+export type Comment = Message;
+
+/**
+ * A member of a content item, discussion or folder, with its role
+ */
+export interface Member {
+    profile: User | Group;
+    role: string;
+}
+
+/**
+ * An entity (actor, object or target) of an activity
+ */
+export interface ActivityEntity {
+    objectType: string;
+    id?: string;
+    'oae:id'?: string;
+    displayName?: string;
+    url?: string;
+    'oae:collection'?: ActivityEntity[];
+    [key: string]: any;
+}
+
+export interface Activity {
+    'oae:activityType': string;
+    'oae:activityId'?: string;
+    verb: string;
+    published: number;
+    actor: ActivityEntity;
+    object?: ActivityEntity;
+    target?: ActivityEntity;
+    [key: string]: any;
+}
+
+export interface ActivityStream {
+    items: Activity[];
+    nextToken?: string | null;
+}
+
+export interface SearchResult {
+    total: number;
+    results: Array<User | Group | Content | Discussion | Folder>;
+}
+
+export interface Tenant {
+    alias: string;
+    displayName: string;
+    host: string;
+    active?: boolean;
+    deleted?: boolean;
+    isGlobalAdminServer?: boolean;
+    isPrivate?: boolean;
+    emailDomains?: string[];
+    countryCode?: string;
+}
+
+export interface TenantNetwork {
+    id: string;
+    displayName: string;
+    tenants?: Tenant[];
+}
+
+export interface OAuthClient {
+    id: string;
+    displayName: string;
+    secret: string;
+    userId: string;
+}
+
+/**
+ * The information that is needed to perform a signed authentication request
+ */
+export interface SignedRequestInfo {
+    url: string;
+    body: { [key: string]: any };
+}
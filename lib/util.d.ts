@@ -0,0 +1,240 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+import { RestError } from './error';
+import { RestContext } from './model';
+import { RequestInfo, Transport } from './transport';
+import { Callback, Headers, Response } from './types';
+
+declare namespace RestUtil {
+    /**
+     * The policy with which failed requests are retried. See `RestUtil.request` for a description of each option
+     */
+    interface RetryPolicy {
+        maxAttempts?: number;
+        minDelay?: number;
+        maxDelay?: number;
+        factor?: number;
+        jitter?: boolean;
+        methods?: string[];
+        statusCodes?: number[];
+        errorCodes?: string[];
+    }
+
+    /**
+     * A token that can be used to cancel one or more requests. It emits a `cancel` event when it gets cancelled
+     */
+    interface CancelToken extends EventEmitter {
+        isCancelled: boolean;
+        cancel(): void;
+    }
+
+    /**
+     * The options of a request made through `RestUtil.request`
+     */
+    interface RequestOptions {
+        method: string;
+        url: string;
+        headers?: Headers;
+        retry?: RetryPolicy | boolean | null;
+        timeout?: number;
+        cancelToken?: CancelToken;
+        maxConcurrency?: number | null;
+        requestsPerSecond?: number | null;
+        restCtx?: RestContext;
+        transport?: Transport | null;
+        bodyEncoding?: 'form' | 'json';
+        [key: string]: any;
+    }
+
+    /**
+     * A request that is passed through the request interceptors
+     */
+    interface InterceptedRequest {
+        restCtx?: RestContext;
+        opts: RequestOptions;
+        data: { [key: string]: any };
+        /** Set this to respond to the request without sending it */
+        response?: {
+            statusCode: number;
+            headers?: Headers;
+            body?: string | Buffer;
+        };
+    }
+
+    /**
+     * A completed request that is passed through the response interceptors
+     */
+    interface InterceptedResponse {
+        restCtx?: RestContext;
+        opts: RequestOptions;
+        data: { [key: string]: any };
+        err?: RestError | null;
+        body?: any;
+        response?: Response;
+    }
+
+    /**
+     * An interceptor that applies to requests. See `RestUtil.addInterceptor` for more information
+     */
+    interface Interceptor {
+        request?(req: InterceptedRequest, callback: (err?: Error | null) => void): void;
+        response?(res: InterceptedResponse, callback: (err?: Error | null) => void): void;
+    }
+
+    /**
+     * An HTTP request attempt that completed, as emitted through the `exchange` event
+     */
+    interface Exchange {
+        request: RequestInfo;
+        data: { [key: string]: any };
+        multipart: boolean;
+        err?: RestError | null;
+        response?: Response;
+        body?: Buffer | string;
+        bodySize?: number;
+        bytesSent: number;
+        bytesReceived: number;
+        timings: {
+            start: number;
+            response?: number;
+            end: number;
+        };
+    }
+
+    /**
+     * A request that will be retried, as emitted through the `retry` event
+     */
+    interface RetriedRequest {
+        method: string;
+        url: string;
+        headers: Headers;
+    }
+
+    /**
+     * A request that is being traced, as emitted through the `spanStart` and `spanEnd` events
+     */
+    interface Span {
+        correlationId?: string;
+        method: string;
+        url: string;
+        startTime: number;
+        endTime?: number;
+        duration?: number;
+        statusCode?: number;
+        err?: RestError | null;
+        bytesSent?: number;
+        bytesReceived?: number;
+        retries?: number;
+    }
+
+    /**
+     * The options that determine how a rest context connects to the server
+     */
+    interface ConnectionOptions {
+        proxy?: string;
+        ca?: Array<string | Buffer>;
+        cert?: string | Buffer;
+        key?: string | Buffer;
+        agentOptions?: { passphrase: string };
+        agent?: any;
+    }
+
+    /**
+     * The `RestUtil` event emitter. See `lib/util.js` for a description of the events
+     */
+    interface Emitter extends EventEmitter {
+        on(event: 'error', listener: (err: RestError, body?: any, response?: Response) => void): this;
+        on(event: 'request', listener: (restCtx: RestContext, url: string, method: string, data: { [key: string]: any }) => void): this;
+        on(event: 'response', listener: (body: any, response: Response) => void): this;
+        on(event: 'reauthenticate', listener: (restCtx: RestContext, url: string, method: string) => void): this;
+        on(event: 'retry', listener: (err: RestError, attempt: number, delay: number, request: RetriedRequest) => void): this;
+        on(event: 'exchange', listener: (exchange: Exchange) => void): this;
+        on(event: 'spanStart', listener: (span: Span) => void): this;
+        on(event: 'spanEnd', listener: (span: Span) => void): this;
+        on(event: 'queue', listener: (host: string, depth: number, inFlight: number) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+        once(event: 'error', listener: (err: RestError, body?: any, response?: Response) => void): this;
+        once(event: 'request', listener: (restCtx: RestContext, url: string, method: string, data: { [key: string]: any }) => void): this;
+        once(event: 'response', listener: (body: any, response: Response) => void): this;
+        once(event: 'reauthenticate', listener: (restCtx: RestContext, url: string, method: string) => void): this;
+        once(event: 'retry', listener: (err: RestError, attempt: number, delay: number, request: RetriedRequest) => void): this;
+        once(event: 'exchange', listener: (exchange: Exchange) => void): this;
+        once(event: 'spanStart', listener: (span: Span) => void): this;
+        once(event: 'spanEnd', listener: (span: Span) => void): this;
+        once(event: 'queue', listener: (host: string, depth: number, inFlight: number) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+        /** The retry policy that is used when a rest context enables retries without specifying all of the options */
+        DEFAULT_RETRY_POLICY: Required<RetryPolicy>;
+
+        /** The header that holds the id with which a request can be correlated to the server logs */
+        CORRELATION_ID_HEADER: string;
+
+        /** Encode a URL part. Unlike the native function, `null` and `undefined` are encoded as an empty string */
+        encodeURIComponent(uriComponent: string | null | undefined): string;
+
+        /** Set the transport that performs the requests of all contexts that don't have a transport of their own */
+        setTransport(transport?: Transport | null): void;
+
+        /** Get the transport that should be used for the requests made with a rest context */
+        getTransport(restCtx?: RestContext): Transport;
+
+        /** Create a token that can be used to cancel one or more requests */
+        createCancelToken(): CancelToken;
+
+        /** Derive a rest context that uses different options for its requests, but shares its session with the original context */
+        withRequestOptions(restCtx: RestContext, opts: { timeout?: number; cancelToken?: CancelToken; [key: string]: any }): RestContext;
+
+        /** Perform a REST request, logging the context in first if needed */
+        RestRequest(restCtx: RestContext, url: string, method: string, data: { [key: string]: any } | null | undefined, callback: Callback): void;
+
+        /** Log a rest context in, so its cookie jar holds a session */
+        fillCookieJar(restCtx: RestContext, callback: (err?: RestError | null) => void): void;
+
+        /** Get the options that determine how a rest context connects to the server */
+        getTransportOptions(restCtx: RestContext): ConnectionOptions;
+
+        /** Generate a random id that can be used to correlate a request with the server logs */
+        generateCorrelationId(): string;
+
+        /** Determine how the body of a response should be decoded, based on its content type */
+        getBodyType(headers?: Headers): 'json' | 'text' | 'binary' | null;
+
+        /** Convert a string to a buffer */
+        toBuffer(data: string | Buffer, encoding?: BufferEncoding): Buffer;
+
+        /** Decode the raw body of a response based on its content type */
+        decodeBody(headers: Headers | undefined, body: string | Buffer | undefined): any;
+
+        /** Add an interceptor that applies to all requests */
+        addInterceptor(interceptor: Interceptor): void;
+
+        /** Remove an interceptor that was added through `addInterceptor` */
+        removeInterceptor(interceptor: Interceptor): void;
+
+        /** Perform an HTTP request, passing it through the interceptors and retrying it when it fails */
+        request(opts: RequestOptions, data: { [key: string]: any } | null | undefined, callback?: Callback): void;
+    }
+}
+
+declare const RestUtil: RestUtil.Emitter;
+
+export = RestUtil;
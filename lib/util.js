@@ -14,19 +14,38 @@
  */
 
 var _ = require('underscore');
+var crypto = require('crypto');
 var events = require('events');
-var request = require('request');
+var querystring = require('querystring');
 var Stream = require('stream').Stream;
+var tls = require('tls');
+var url = require('url');
 var util = require('util');
 
+var Redact = require('./redact');
+var RestError = require('./error').RestError;
+var Transport = require('./transport');
+
 /**
  * ### Events
  *
  * The `RestUtil` emits the following events:
  *
- * * `error(err, [body, response])`: An error occurred with the HTTP request. `err` is the error, the body is the body of the response (if applicable), and the response is the response object (if applicable)
+ * * `error(err, [body, response])`: An error occurred with the HTTP request. `err` is the `RestError` describing the failure, the body is the body of the response (if applicable), and the response is the response object (if applicable)
  * * `request(restCtx, url, method, data)`: A request was sent. `restCtx` is the RestContext, `url` is the url of the request, `method` is the HTTP method, and `data` is the data that was sent (either in query string or POST body)
  * * `response(body, response)`: A successful response was received from the server. `body` is the response body and `response` is the express Response object
+ * * `reauthenticate(restCtx, url, method)`: The session of an authenticated context had expired. The context has been logged in again and the request to `url` will be replayed
+ * * `retry(err, attempt, delay, request)`: A failed request will be retried. `err` is the error of the failed attempt, `attempt` is the number of attempts made so far, `delay` is the number of milliseconds before the next attempt and `request` holds the `method`, `url` and `headers` of the request
+ * * `exchange(exchange)`: An HTTP request attempt completed, either successfully or not. `exchange` holds the `request` that was sent (its `method`, `url`, `headers` and `body`), the resolved request `data`, whether or not the request was sent as `multipart`, the `err` that occurred (if any), the `response` object and raw `body` (if any) and the `timings` of the request. The timings hold the `start`, `response` and `end` timestamps in milliseconds. The number of `bytesSent` and `bytesReceived` are included as well. Requests that were answered by an interceptor (e.g., a cache hit or a dry run) are included as well, their response has its `intercepted` property set to `true`. For file downloads, the body is not included and `bodySize` holds the number of bytes that were received instead. See `lib/har.js` for a consumer of this event
+ * * `spanStart(span)`: A request is about to be sent. `span` holds the `correlationId` of the request (if any), its `method`, `url` and `startTime`
+ * * `spanEnd(span)`: A request has completed, after any retries. In addition to the properties that were available when the span started, `span` holds the `endTime`, the `duration` in milliseconds, the `statusCode` of the response (if any), the `err` that occurred (if any), the number of `bytesSent` and `bytesReceived` over all attempts and the number of `retries`
+ * * `queue(host, depth, inFlight)`: The request queue of a host whose requests are being limited has changed. `host` is the host the requests are sent to, `depth` is the number of requests waiting to be sent and `inFlight` is the number of requests that have been sent but not yet completed
+ *
+ * Passwords, signatures, cookies and other sensitive values are redacted in the request data, URLs, headers and
+ * response bodies that are passed to the listeners of these events. The rest contexts and responses that are passed to
+ * the listeners are redacted views on the actual ones: the password, private key and cookie jar of a context are not
+ * available, and the headers, raw headers, request headers and body of a response are redacted. See `lib/redact.js`
+ * for more information.
  */
 var RestUtil = module.exports = new events.EventEmitter();
 var emitter = RestUtil;
@@ -43,11 +62,95 @@ module.exports.encodeURIComponent = function(uriComponent) {
     return uriComponent === null ? '' : encodeURIComponent(uriComponent);
 };
 
+/**
+ * The URLs that are used to establish a session. Requests to these URLs never trigger a re-authentication
+ */
+var AUTHENTICATION_URLS = ['/api/auth/login', '/api/auth/ldap', '/api/auth/signed'];
+
+/**
+ * The re-authentications that are currently in progress. Each entry holds the `restCtx` that is being re-authenticated and
+ * the `callbacks` that should be invoked once its session has been re-established
+ */
+var _pendingReauthentications = [];
+
+/*!
+ * The transport that is used for the requests of contexts that do not specify their own transport
+ */
+var _transport = Transport.createDefaultTransport();
+
+/**
+ * Set the transport that should be used for all requests, except for those made with a context that specifies its
+ * own transport. See `lib/transport.js` for the functions a transport should provide.
+ *
+ * @param  {Transport}  [transport]     The transport to use. When no transport is provided, the default transport will be used again
+ */
+var setTransport = module.exports.setTransport = function(transport) {
+    _transport = transport || Transport.createDefaultTransport();
+};
+
+/**
+ * Get the transport that should be used for the requests made with a rest context
+ *
+ * @param  {RestContext}    [restCtx]   The rest context the requests are made with
+ * @return {Transport}                  The transport of the rest context if it has one, the global transport otherwise
+ */
+var getTransport = module.exports.getTransport = function(restCtx) {
+    return (restCtx && restCtx.transport) || _transport;
+};
+
+/**
+ * Create a token that can be used to cancel one or more requests. A token can be attached to a rest context
+ * through `withRequestOptions`, after which all requests made with that context can be aborted by calling
+ * `cancel` on the token. Requests that are cancelled fail with a `RestError` whose `isCancelled` method
+ * returns `true`.
+ *
+ * @return {CancelToken}    A token with a `cancel` method and an `isCancelled` property. The token will emit a `cancel` event when it gets cancelled
+ */
+var createCancelToken = module.exports.createCancelToken = function() {
+    var token = new events.EventEmitter();
+    token.setMaxListeners(0);
+    token.isCancelled = false;
+    token.cancel = function() {
+        if (!token.isCancelled) {
+            token.isCancelled = true;
+            token.emit('cancel');
+        }
+    };
+    return token;
+};
+
+/**
+ * Derive a rest context that uses different options for the requests that are made with it. The derived context
+ * shares its session with the original context, so logging in or out through either context affects both.
+ *
+ * @param  {RestContext}    restCtx                 The rest context to derive the new context from
+ * @param  {Object}         opts                    The options that should be overridden. Besides the options below, any of the fields of the rest context (e.g., `additionalHeaders`) can be overridden
+ * @param  {Number}         [opts.timeout]          The number of milliseconds to wait for the server to respond before a request fails with a timeout error. Use `0` to wait indefinitely
+ * @param  {CancelToken}    [opts.cancelToken]      A token that can be used to abort the requests made with the derived context. See `createCancelToken` for more information
+ * @return {RestContext}                            The derived rest context
+ */
+var withRequestOptions = module.exports.withRequestOptions = function(restCtx, opts) {
+    var derivedCtx = Object.create(restCtx);
+    Object.defineProperty(derivedCtx, 'cookieJar', {
+        'enumerable': true,
+        'get': function() {
+            return restCtx.cookieJar;
+        },
+        'set': function(cookieJar) {
+            restCtx.cookieJar = cookieJar;
+        }
+    });
+    return _.extend(derivedCtx, opts);
+};
+
 /**
  * Function that will perform a REST request using the Node.js request module. It will check whether
  * or not the request should be authenticated, for which it will check the presence of a Cookie Jar
  * for that user. If no cookie jar exists, the user will be logged in first. After that, the actual
- * request will be made by the internal _RestRequest function
+ * request will be made by the internal _RestRequest function.
+ *
+ * When a request on an authenticated context fails because its session has expired, the context will
+ * be logged in again and the request will be replayed once.
  *
  * @param  {RestContext}    restCtx             Standard REST Context object that contains the current tenant URL and the current user credentials
  * @param  {String}         url                 The URL of the REST endpoint that should be called
@@ -55,17 +158,17 @@ module.exports.encodeURIComponent = function(uriComponent) {
  * @param  {Object}         data                The form data that should be passed into the request [optional]
  * @param  {Function}       callback            Standard callback function
  * @param  {Object}         callback.err        Error object containing the error code and message
- * @param  {String|Object}  callback.body       The response body received from the request. If this is JSON, a parsed JSON object will be returned, otherwise the response will be returned as a string
- * @param  {Response}       callback.response   The response object that was returned by the node module requestjs.
+ * @param  {String|Object}  callback.body       The response body received from the request. The body is decoded based on the content type of the response. See `decodeBody` for more information
+ * @param  {Response}       callback.response   The response object that was returned by the transport
  */
 var RestRequest = module.exports.RestRequest = function(restCtx, url, method, data, callback) {
     // If we already have a cookieJar, we can perform the request directly
     if (restCtx.cookieJar) {
-        return _RestRequest(restCtx, url, method, data, callback);
+        return _ReauthenticatingRestRequest(restCtx, url, method, data, callback);
     }
 
     // Otherwise we create a new one
-    restCtx.cookieJar = request.jar();
+    restCtx.cookieJar = getTransport(restCtx).createCookieJar();
 
     // Fill the new cookie jar
     fillCookieJar(restCtx, function(err) {
@@ -73,7 +176,7 @@ var RestRequest = module.exports.RestRequest = function(restCtx, url, method, da
             return callback(err);
         }
 
-        return _RestRequest(restCtx, url, method, data, callback);
+        return _ReauthenticatingRestRequest(restCtx, url, method, data, callback);
     });
 };
 
@@ -85,18 +188,187 @@ var RestRequest = module.exports.RestRequest = function(restCtx, url, method, da
  * @param  {Object}          callback.err    Standard error object (if any.)
  */
 var fillCookieJar = module.exports.fillCookieJar = function(restCtx, callback) {
+    // Contexts that were not authenticated with a username and password (e.g., through signed authentication)
+    // know how to authenticate themselves
+    if (_.isFunction(restCtx.authenticator)) {
+        return restCtx.authenticator(restCtx, callback);
+    }
+
     // If no user is specified, there is no point in doing a login request.
     if (!restCtx.username) {
         return callback();
     }
 
     // Log the user in
-    _RestRequest(restCtx, '/api/auth/login', 'POST', {
+    var loginUrl = (restCtx.authStrategy === 'ldap') ? '/api/auth/ldap' : '/api/auth/login';
+    _RestRequest(restCtx, loginUrl, 'POST', {
         'username': restCtx.username,
         'password': restCtx.userPassword
     }, callback);
 };
 
+/**
+ * Get the options for the request module that determine how a rest context connects to the server
+ *
+ * @param  {RestContext}    restCtx     The rest context whose connection options to get
+ * @return {Object}                     The `proxy`, `ca`, `cert`, `key`, `agentOptions` and `agent` options that should be passed to the request module, as far as they apply to the context. See `RestContext` for more information
+ */
+var getTransportOptions = module.exports.getTransportOptions = function(restCtx) {
+    var opts = {};
+    if (restCtx.proxy) {
+        opts.proxy = restCtx.proxy;
+    }
+
+    // The certificate authorities of the context are trusted in addition to the default ones. Runtimes before node
+    // 12.3 don't expose the default ones, in which case only the certificate authorities of the context are trusted
+    if (restCtx.ca) {
+        opts.ca = _.flatten([tls.rootCertificates || [], restCtx.ca]);
+    }
+
+    if (restCtx.cert && restCtx.key) {
+        opts.cert = restCtx.cert;
+        opts.key = restCtx.key;
+        if (restCtx.passphrase) {
+            opts.agentOptions = {'passphrase': restCtx.passphrase};
+        }
+    }
+
+    if (restCtx.agent) {
+        opts.agent = restCtx.agent;
+    }
+
+    return opts;
+};
+
+/**
+ * Internal function that will perform a REST request and replay it once when it failed because the session
+ * of the authenticated context expired
+ *
+ * @param  {RestContext}    restCtx             Standard REST Context object that contains the current tenant URL and the current user credentials
+ * @param  {String}         url                 The URL of the REST endpoint that should be called
+ * @param  {String}         method              The HTTP method that should be used for the request (i.e. GET or POST)
+ * @param  {Object}         data                The form data that should be passed into the request [optional]
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Object}         callback.err        Error object containing the error code and message
+ * @param  {String|Object}  callback.body       The response body received from the request
+ * @param  {Response}       callback.response   The response object that was returned by the transport
+ * @api private
+ */
+var _ReauthenticatingRestRequest = function(restCtx, url, method, data, callback) {
+    var cookieJar = restCtx.cookieJar;
+    _RestRequest(restCtx, url, method, data, function(err, body, response) {
+        if (!err || err.code !== 401 || !_canReauthenticate(restCtx, url)) {
+            return callback(err, body, response);
+        }
+
+        var replay = function(reauthErr) {
+            if (reauthErr) {
+                return callback(reauthErr);
+            }
+
+            emitter.emit('reauthenticate', Redact.redactRestContext(restCtx), url, method);
+            return _RestRequest(restCtx, url, method, data, callback);
+        };
+
+        // When another request logged the context in again while this one was in flight, the request only needs to
+        // be replayed with the new session
+        if (restCtx.cookieJar !== cookieJar) {
+            return _awaitReauthentication(restCtx, replay);
+        }
+
+        // A 401 can also mean that the user simply doesn't have access, so only log in again when the server no longer
+        // recognizes the session
+        _isSessionExpired(restCtx, function(isExpired) {
+            if (restCtx.cookieJar !== cookieJar) {
+                return _awaitReauthentication(restCtx, replay);
+            } else if (!isExpired) {
+                return callback(err, body, response);
+            }
+
+            return _reauthenticate(restCtx, replay);
+        });
+    });
+};
+
+/**
+ * Whether or not a failed request on a context can be recovered from by logging the context in again
+ *
+ * @param  {RestContext}    restCtx     Standard REST Context object that contains the current tenant URL and the current user credentials
+ * @param  {String}         url         The URL of the REST endpoint that was called
+ * @return {Boolean}                    `true` if the context should be re-authenticated when its session has expired
+ * @api private
+ */
+var _canReauthenticate = function(restCtx, url) {
+    if (restCtx.autoReauthenticate === false || _.contains(AUTHENTICATION_URLS, url)) {
+        return false;
+    }
+
+    return !!(restCtx.username || _.isFunction(restCtx.authenticator));
+};
+
+/**
+ * Check whether the server still recognizes the session of a context
+ *
+ * @param  {RestContext}    restCtx             Standard REST Context object that contains the current tenant URL and the current user credentials
+ * @param  {Function}       callback            Standard callback function
+ * @param  {Boolean}        callback.isExpired  `true` if the server considers the context to be anonymous
+ * @api private
+ */
+var _isSessionExpired = function(restCtx, callback) {
+    _RestRequest(restCtx, '/api/me', 'GET', null, function(err, me) {
+        return callback(!err && _.isObject(me) && me.anon === true);
+    });
+};
+
+/**
+ * Log a context in again with a new cookie jar. When the context is already being re-authenticated, the callback
+ * will be invoked when that re-authentication completes rather than logging in a second time
+ *
+ * @param  {RestContext}    restCtx         Standard REST Context object that contains the current tenant URL and the current user credentials
+ * @param  {Function}       callback        Standard callback function
+ * @param  {Object}         callback.err    An error that occurred, if any
+ * @api private
+ */
+var _reauthenticate = function(restCtx, callback) {
+    var pending = _.find(_pendingReauthentications, function(pending) {
+        return (pending.restCtx === restCtx);
+    });
+    if (pending) {
+        return pending.callbacks.push(callback);
+    }
+
+    pending = {'restCtx': restCtx, 'callbacks': [callback]};
+    _pendingReauthentications.push(pending);
+
+    restCtx.cookieJar = getTransport(restCtx).createCookieJar();
+    fillCookieJar(restCtx, function(err) {
+        _pendingReauthentications = _.without(_pendingReauthentications, pending);
+        _.each(pending.callbacks, function(callback) {
+            callback(err);
+        });
+    });
+};
+
+/**
+ * Wait for the re-authentication of a context to complete. When the context is not being re-authenticated, the
+ * callback is invoked immediately
+ *
+ * @param  {RestContext}    restCtx         Standard REST Context object that contains the current tenant URL and the current user credentials
+ * @param  {Function}       callback        Standard callback function
+ * @param  {Object}         callback.err    An error that occurred while re-authenticating the context, if any
+ * @api private
+ */
+var _awaitReauthentication = function(restCtx, callback) {
+    var pending = _.find(_pendingReauthentications, function(pending) {
+        return (pending.restCtx === restCtx);
+    });
+    if (pending) {
+        return pending.callbacks.push(callback);
+    }
+
+    return callback();
+};
+
 /**
  * Internal Function that will perform a REST request. If no user is provided, the request will be done anonymously
  *
@@ -106,11 +378,16 @@ var fillCookieJar = module.exports.fillCookieJar = function(restCtx, callback) {
  * @param  {Object}         data                The form data that should be passed into the request [optional]
  * @param  {Function}       callback            Standard callback function
  * @param  {Object}         callback.err        Error object containing the error code and message
- * @param  {String|Object}  callback.response   The response received from the request. If this is JSON, a parsed JSON object will be returned, otherwise the response will be returned as a string
+ * @param  {String|Object}  callback.response   The response received from the request. The body is decoded based on the content type of the response. See `decodeBody` for more information
  * @api private
  */
 var _RestRequest = function(restCtx, url, method, data, callback) {
-    module.exports.emit('request', restCtx, url, method, data);
+    module.exports.emit('request', Redact.redactRestContext(restCtx), url, method, Redact.redactData(data));
+
+    // Logging in does not modify anything on the server, so it should happen even during a dry run
+    if (restCtx.dryRun && _.contains(AUTHENTICATION_URLS, url)) {
+        restCtx = withRequestOptions(restCtx, {'dryRun': null});
+    }
 
     var requestOpts = {
         'url': restCtx.host + url,
@@ -118,13 +395,27 @@ var _RestRequest = function(restCtx, url, method, data, callback) {
         'jar': restCtx.cookieJar,
         'strictSSL': restCtx.strictSSL,
         'followRedirect': restCtx.followRedirect,
+        'retry': restCtx.retry,
+        'timeout': restCtx.timeout,
+        'cancelToken': restCtx.cancelToken,
+        'maxConcurrency': restCtx.maxConcurrency,
+        'requestsPerSecond': restCtx.requestsPerSecond,
+        'restCtx': restCtx,
+        'transport': restCtx.transport,
+        'bodyEncoding': restCtx.bodyEncoding,
         'headers': {}
     };
+    _.extend(requestOpts, getTransportOptions(restCtx));
 
     if (_.isObject(restCtx.additionalHeaders)) {
         requestOpts.headers = _.extend(requestOpts.headers, restCtx.additionalHeaders);
     }
 
+    // Tag the request so it can be found in the server logs, unless the caller provided its own correlation id
+    if (!requestOpts.headers[CORRELATION_ID_HEADER]) {
+        requestOpts.headers[CORRELATION_ID_HEADER] = generateCorrelationId();
+    }
+
     var referer = restCtx.host + '/';
     if (restCtx.hostHeader) {
         // Set the host header so the app server can determine the tenant
@@ -144,20 +435,558 @@ var _RestRequest = function(restCtx, url, method, data, callback) {
     return module.exports.request(requestOpts, data, callback);
 };
 
+/**
+ * The retry policy that is used when a RestContext enables retries without specifying all of the options
+ */
+var DEFAULT_RETRY_POLICY = module.exports.DEFAULT_RETRY_POLICY = {
+    'maxAttempts': 3,
+    'minDelay': 100,
+    'maxDelay': 5000,
+    'factor': 2,
+    'jitter': true,
+    'methods': ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    'statusCodes': [429, 502, 503, 504],
+    'errorCodes': ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH']
+};
+
+/*!
+ * The header that holds the id with which a request can be correlated to the server logs
+ */
+var CORRELATION_ID_HEADER = module.exports.CORRELATION_ID_HEADER = 'x-correlation-id';
+
+/**
+ * Generate a random id that can be used to correlate a request with the server logs. The Web Crypto API is used when
+ * it's available so the browser build doesn't need to bundle the `crypto` module of node
+ *
+ * @return {String}     A random (version 4) UUID
+ */
+var generateCorrelationId = module.exports.generateCorrelationId = function() {
+    var webCrypto = global.crypto;
+    if (webCrypto && _.isFunction(webCrypto.randomUUID)) {
+        return webCrypto.randomUUID();
+    }
+
+    var bytes = _getRandomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    var hex = _.map(bytes, function(byte) {
+        return (byte < 16 ? '0' : '') + byte.toString(16);
+    }).join('');
+    return util.format('%s-%s-%s-%s-%s', hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20));
+};
+
+/**
+ * Get a number of cryptographically strong random bytes. Older browsers that don't implement the Web Crypto API fall
+ * back to `Math.random`, which is good enough for correlation ids
+ *
+ * @param  {Number}     size    The number of bytes to generate
+ * @return {Number[]}           The random bytes
+ * @api private
+ */
+var _getRandomBytes = function(size) {
+    if (_.isFunction(crypto.randomBytes)) {
+        return _.toArray(crypto.randomBytes(size));
+    }
+
+    var webCrypto = global.crypto;
+    if (webCrypto && _.isFunction(webCrypto.getRandomValues)) {
+        return _.toArray(webCrypto.getRandomValues(new Uint8Array(size)));
+    }
+
+    return _.times(size, function() {
+        return Math.floor(Math.random() * 256);
+    });
+};
+
+/*!
+ * The content types that hold text, in addition to the `text/*` and `+xml` content types
+ */
+var TEXT_CONTENT_TYPES = ['application/javascript', 'application/x-www-form-urlencoded', 'application/xml'];
+
+/*!
+ * The charsets that are known by a different name in node
+ */
+var CHARSET_ALIASES = {
+    'iso-8859-1': 'latin1',
+    'us-ascii': 'ascii',
+    'utf-16le': 'utf16le'
+};
+
+/**
+ * Determine how the body of a response should be decoded, based on its content type
+ *
+ * @param  {Object}     [headers]   The headers of the response
+ * @return {String}                 One of `json`, `text` or `binary`. If the response has no content type, this will be `null`
+ */
+var getBodyType = module.exports.getBodyType = function(headers) {
+    var contentType = headers && headers['content-type'];
+    if (!contentType) {
+        return null;
+    }
+
+    var mimeType = contentType.split(';')[0].trim().toLowerCase();
+    if (mimeType === 'application/json' || /\+json$/.test(mimeType)) {
+        return 'json';
+    } else if (/^text\//.test(mimeType) || /\+xml$/.test(mimeType) || _.contains(TEXT_CONTENT_TYPES, mimeType)) {
+        return 'text';
+    }
+
+    return 'binary';
+};
+
+/**
+ * Convert a string to a buffer. `Buffer.from` is used where the runtime provides it, as the `Buffer` constructor has
+ * been deprecated in later versions of node
+ *
+ * @param  {String|Buffer}  data            The data to convert
+ * @param  {String}         [encoding]      The encoding of the string. Defaults to `utf8`
+ * @return {Buffer}                         A buffer holding the data
+ */
+var toBuffer = module.exports.toBuffer = function(data, encoding) {
+    // Node versions before 4.5 either lack `Buffer.from` or inherit a broken one from `Uint8Array`
+    if (_.isFunction(Buffer.from) && Buffer.from !== Uint8Array.from) {
+        return Buffer.from(data, encoding);
+    }
+
+    return new Buffer(data, encoding);
+};
+
+/**
+ * Decode the raw body of a response based on its content type. JSON bodies are parsed, text bodies are returned as a
+ * string and all other bodies are returned as a buffer. When the response has no content type, the body is parsed if
+ * it is JSON and returned as a string otherwise.
+ *
+ * @param  {Object}                 [headers]   The headers of the response
+ * @param  {String|Buffer}          [body]      The raw body of the response
+ * @return {Object|String|Buffer}               The decoded body. An empty body that is not binary is returned as an empty string
+ * @throws {SyntaxError}                        Thrown when the response is said to be JSON, but its body can not be parsed
+ */
+var decodeBody = module.exports.decodeBody = function(headers, body) {
+    var type = getBodyType(headers);
+    if (type === 'binary') {
+        return Buffer.isBuffer(body) ? body : toBuffer(body || '');
+    }
+
+    var text = _toText(headers, body);
+    if (type === 'text' || !text) {
+        return text;
+    } else if (type === 'json') {
+        return JSON.parse(text);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (ex) {
+        return text;
+    }
+};
+
+/*!
+ * The interceptors that apply to all requests, in the order in which they were added
+ */
+var _interceptors = [];
+
+/**
+ * Add an interceptor that applies to all requests made through `RestRequest` and `request`. An interceptor is an
+ * object with an optional `request` and an optional `response` function:
+ *
+ * * `request(req, callback)`: Invoked before a request is sent. `req` holds the `restCtx` the request is made with (if any), the `opts` that will be sent to the transport and the request `data`. These can be modified in place. Passing an error to the callback rejects the request without sending it. Setting `req.response` to an object with a `statusCode`, `headers` and raw `body` responds to the request without sending it. The resulting response object will have its `intercepted` property set to `true`
+ * * `response(res, callback)`: Invoked when a request completes. `res` holds the `restCtx`, the request `opts` and `data`, the `err` that occurred (if any), the parsed response `body` and the `response` object. These can be modified in place, e.g., to normalise the body or to turn a response into an error by setting `res.err`. Passing an error to the callback rejects the response
+ *
+ * Global interceptors run before the interceptors of a rest context (see the `interceptors` option of `RestContext`).
+ * Request interceptors run in the order in which they were added, response interceptors run in reverse order.
+ *
+ * @param  {Object}     interceptor     The interceptor to add
+ */
+var addInterceptor = module.exports.addInterceptor = function(interceptor) {
+    _interceptors.push(interceptor);
+};
+
+/**
+ * Remove an interceptor that was added through `addInterceptor`
+ *
+ * @param  {Object}     interceptor     The interceptor to remove
+ */
+var removeInterceptor = module.exports.removeInterceptor = function(interceptor) {
+    _interceptors = _.without(_interceptors, interceptor);
+};
+
 /**
  * Perform an HTTP request, automatically handling whether or not it should be multipart.
  *
- * @param  {Object}         opts                The opts that would normally be sent to the request module
- * @param  {Object}         data                The request data (e.g., query string values or request body)
- * @param  {Function}       callback            Invoked when the process completes
- * @param  {Object}         callback.err        An error that occurred, if any
- * @param  {String|Object}  callback.body       The response body received from the request. If this is JSON, a parsed JSON object will be returned, otherwise the response will be returned as a string
- * @param  {Response}       callback.response   The response object that was returned by the request node module
+ * Before the request is sent, it is passed through the request interceptors. Once it completes, the outcome is
+ * passed through the response interceptors. See `addInterceptor` for more information.
+ *
+ * If a retry policy is specified, failed attempts that are deemed retryable will be retried with an exponential
+ * backoff. Any stream generator functions in `data` will be invoked again for every attempt, which means multipart
+ * uploads can be retried as long as they are specified as generator functions rather than as open streams.
+ *
+ * @param  {Object}         opts                        The opts that would normally be sent to the request module
+ * @param  {Object|Boolean} [opts.retry]                The retry policy to apply to this request. When `true` is provided, the `DEFAULT_RETRY_POLICY` will be used. By default, requests are not retried
+ * @param  {Number}         [opts.retry.maxAttempts]    The maximum number of times the request should be attempted, including the initial attempt
+ * @param  {Number}         [opts.retry.minDelay]       The number of milliseconds to wait before the first retry
+ * @param  {Number}         [opts.retry.maxDelay]       The maximum number of milliseconds to wait in between 2 attempts
+ * @param  {Number}         [opts.retry.factor]         The factor with which the delay grows after each attempt
+ * @param  {Boolean}        [opts.retry.jitter]         Whether or not the delay should be randomized to avoid many clients retrying at the same time
+ * @param  {String[]}       [opts.retry.methods]        The HTTP methods that can be retried. By default, only idempotent methods are retried
+ * @param  {Number[]}       [opts.retry.statusCodes]    The response status codes that should be retried
+ * @param  {String[]}       [opts.retry.errorCodes]     The transport error codes (e.g., `ECONNRESET`) that should be retried
+ * @param  {Number}         [opts.timeout]              The number of milliseconds to wait for the server to respond before the request fails with a timeout error
+ * @param  {CancelToken}    [opts.cancelToken]          A token that can be used to abort the request. See `createCancelToken` for more information
+ * @param  {Number}         [opts.maxConcurrency]       The maximum number of requests that can be in flight at the same time to the host of this request. If the limit has been reached, the request will be queued
+ * @param  {Number}         [opts.requestsPerSecond]    The maximum number of requests per second that can be sent to the host of this request. If the budget has been used up, the request will be queued
+ * @param  {RestContext}    [opts.restCtx]              The rest context the request is made with. Its interceptors and dry run will be applied to the request
+ * @param  {Transport}      [opts.transport]            The transport that should perform the request. By default, the global transport is used. See `setTransport` for more information
+ * @param  {String}         [opts.bodyEncoding]         How the data of a request that is not a `GET` request should be sent. One of `form` (URL-encoded) or `json`. Requests that upload a file are always sent as multipart. Default: `form`
+ * @param  {Object}         data                        The request data (e.g., query string values or request body)
+ * @param  {Function}       callback                    Invoked when the process completes
+ * @param  {RestError}      callback.err                An error that occurred, if any
+ * @param  {String|Object}  callback.body               The response body received from the request. The body is decoded based on the content type of the response. See `decodeBody` for more information
+ * @param  {Response}       callback.response           The response object that was returned by the transport
  */
 module.exports.request = function(opts, data, callback) {
-    data = data || {};
     callback = callback || function() {};
 
+    var restCtx = opts.restCtx;
+    var interceptors = _interceptors.concat((restCtx && restCtx.interceptors) || []);
+
+    // The dry run of a context gets the final say on whether or not a request is sent
+    if (restCtx && restCtx.dryRun) {
+        interceptors.push(restCtx.dryRun);
+    }
+    var req = {
+        'restCtx': restCtx,
+        'opts': _.omit(opts, 'restCtx'),
+        'data': data || {}
+    };
+
+    _runInterceptors(interceptors, 'request', req, function(err) {
+        if (err) {
+            emitter.emit('error', err);
+            return callback(err);
+        }
+
+        // An interceptor can respond to the request itself, in which case it is not sent
+        var send = _requestWithRetries;
+        if (req.response) {
+            send = _.partial(_respondWith, req.response);
+        }
+
+        var span = {
+            'correlationId': req.opts.headers && req.opts.headers[CORRELATION_ID_HEADER],
+            'method': req.opts.method,
+            'url': Redact.redactUrl(req.opts.url),
+            'startTime': Date.now()
+        };
+        emitter.emit('spanStart', span);
+
+        send(req.opts, req.data, function(err, body, response, stats) {
+            stats = stats || {'attempts': 0, 'bytesSent': 0, 'bytesReceived': 0};
+            span.endTime = Date.now();
+            span.duration = span.endTime - span.startTime;
+            span.statusCode = response ? response.statusCode : undefined;
+            span.err = err;
+            span.bytesSent = stats.bytesSent;
+            span.bytesReceived = stats.bytesReceived;
+            span.retries = Math.max(stats.attempts - 1, 0);
+            emitter.emit('spanEnd', span);
+
+            var res = {
+                'restCtx': restCtx,
+                'opts': req.opts,
+                'data': req.data,
+                'err': err,
+                'body': body,
+                'response': response
+            };
+
+            _runInterceptors(interceptors.slice().reverse(), 'response', res, function(err) {
+                err = err || res.err;
+                if (err) {
+                    emitter.emit('error', err, _redactResponseBody(res.body, res.response), Redact.redactResponse(res.response));
+                    return callback(err);
+                }
+
+                emitter.emit('response', _redactResponseBody(res.body, res.response), Redact.redactResponse(res.response));
+                return callback(null, res.body, res.response);
+            });
+        });
+    });
+};
+
+/**
+ * Redact the sensitive values in a response body, so it can be handed to the listeners of the events of `RestUtil`
+ *
+ * @param  {Object|String|Buffer}   [body]          The body of the response. This is either the decoded JSON body or the raw body
+ * @param  {Response}               [response]      The response object
+ * @return {Object|String|Buffer}                   A copy of the body in which the sensitive values have been replaced
+ * @api private
+ */
+var _redactResponseBody = function(body, response) {
+    if (_.isString(body) || Buffer.isBuffer(body)) {
+        return Redact.redactResponseBody(body, response && response.headers);
+    }
+
+    return Redact.redactData(body);
+};
+
+/**
+ * Complete a request with a response that was provided by a request interceptor rather than by the server
+ *
+ * @param  {Object}         res                 The response that was provided by the interceptor
+ * @param  {Number}         res.statusCode      The status code of the response
+ * @param  {Object}         [res.headers]       The headers of the response
+ * @param  {String|Buffer}  [res.body]          The raw body of the response
+ * @param  {Object}         opts                The opts that would normally be sent to the request module
+ * @param  {Object}         data                The request data
+ * @param  {Function}       callback            Invoked with the outcome of the request. See `_requestWithRetries` for the parameters
+ * @api private
+ */
+var _respondWith = function(res, opts, data, callback) {
+    var timings = {'start': Date.now(), 'response': null, 'end': null};
+    var requestInfo = _getInterceptedRequestInfo(opts, data);
+    var response = {
+        'statusCode': res.statusCode,
+        'headers': res.headers || {},
+        'httpVersion': '1.1',
+        'body': res.body,
+        'intercepted': true,
+        'request': {
+            'method': requestInfo.method,
+            'uri': url.parse(Redact.redactUrl(requestInfo.url)),
+            'headers': Redact.redactHeaders(requestInfo.headers)
+        }
+    };
+
+    process.nextTick(function() {
+        timings.response = timings.end = Date.now();
+        emitter.emit('exchange', Redact.redactExchange({
+            'request': requestInfo,
+            'data': data,
+            'multipart': !!requestInfo.multipart,
+            'err': null,
+            'response': response,
+            'body': res.body,
+            'bytesSent': 0,
+            'bytesReceived': _getByteLength(res.body),
+            'timings': timings
+        }));
+
+        var decoded = _decodeResponse(response, res.body);
+        return callback(decoded.err, decoded.body, response);
+    });
+};
+
+/**
+ * Describe a request that was answered by an interceptor the way a transport would have sent it. Values that are
+ * not specified are left out, the data of `GET` requests is appended to the URL and the data of other requests is
+ * encoded as their body. Requests that upload a file are marked as `multipart` and don't get a body
+ *
+ * @param  {Object}     opts    The opts that would normally be sent to the request module
+ * @param  {Object}     data    The request data
+ * @return {Object}             The `method`, `url`, `headers` and `body` of the request, and whether or not it would have been sent as `multipart`
+ * @api private
+ */
+var _getInterceptedRequestInfo = function(opts, data) {
+    var requestInfo = {'method': opts.method, 'url': opts.url, 'headers': _.extend({}, opts.headers), 'body': undefined};
+
+    var params = {};
+    _.each(data, function(value, key) {
+        if (_.isFunction(value) || _isFile(value) || (_.isArray(value) && _.any(value, _isFile))) {
+            requestInfo.multipart = true;
+        } else if (value !== null && value !== undefined) {
+            params[key] = value;
+        }
+    });
+
+    if (_.isEmpty(params) || requestInfo.multipart) {
+        return requestInfo;
+    } else if (opts.method === 'GET') {
+        requestInfo.url += (requestInfo.url.indexOf('?') === -1 ? '?' : '&') + querystring.stringify(params);
+    } else if (opts.bodyEncoding === 'json') {
+        requestInfo.headers['content-type'] = 'application/json';
+        requestInfo.body = JSON.stringify(params);
+    } else {
+        requestInfo.headers['content-type'] = 'application/x-www-form-urlencoded';
+        requestInfo.body = querystring.stringify(params);
+    }
+
+    return requestInfo;
+};
+
+/**
+ * Decode the body of a response, or create the error that describes the response if it indicates a failure
+ *
+ * @param  {Response}       response    The response object
+ * @param  {String|Buffer}  [body]      The raw body of the response
+ * @return {Object}                     An object holding the `err` that describes the failed response, if any, and the decoded `body`. See `decodeBody` for more information. The body of a response that can't be decoded or indicates a failure is returned as a string, unless it is binary
+ * @api private
+ */
+var _decodeResponse = function(response, body) {
+    if (response.statusCode >= 400) {
+        body = (getBodyType(response.headers) === 'binary') ? body : _toText(response.headers, body);
+        return {'err': RestError.fromResponse(response, body), 'body': body};
+    }
+
+    try {
+        return {'err': null, 'body': decodeBody(response.headers, body)};
+    } catch (ex) {
+        body = _toText(response.headers, body);
+        return {'err': RestError.fromInvalidBody(response, body, ex), 'body': body};
+    }
+};
+
+/**
+ * Pass a request or its outcome through a set of interceptors, one after the other
+ *
+ * @param  {Object[]}   interceptors    The interceptors to run
+ * @param  {String}     phase           The interceptor function to invoke. One of `request` or `response`
+ * @param  {Object}     obj             The request or response object that is passed to each interceptor
+ * @param  {Function}   callback        Invoked when all interceptors have run or when one of them failed
+ * @param  {Object}     callback.err    The error an interceptor passed back, if any
+ * @api private
+ */
+var _runInterceptors = function(interceptors, phase, obj, callback) {
+    if (_.isEmpty(interceptors)) {
+        return callback();
+    }
+
+    var interceptor = interceptors[0];
+    if (!_.isFunction(interceptor[phase])) {
+        return _runInterceptors(_.rest(interceptors), phase, obj, callback);
+    }
+
+    interceptor[phase](obj, function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        return _runInterceptors(_.rest(interceptors), phase, obj, callback);
+    });
+};
+
+/**
+ * Perform an HTTP request, retrying it according to its retry policy
+ *
+ * @param  {Object}         opts                The opts that would normally be sent to the request module. See `request` for the additional options that are supported
+ * @param  {Object}         data                The request data (e.g., query string values or request body)
+ * @param  {Function}       callback            Invoked when the last attempt completes
+ * @param  {RestError}      callback.err        An error that occurred, if any
+ * @param  {String|Object}  callback.body       The response body received from the request. The body is decoded based on the content type of the response. See `decodeBody` for more information. When the request failed, this will be the raw response body, if any
+ * @param  {Response}       callback.response   The response object that was returned by the transport, if any
+ * @param  {Object}         callback.stats      The number of `attempts` that were made and the total number of `bytesSent` and `bytesReceived` over all attempts
+ * @api private
+ */
+var _requestWithRetries = function(opts, data, callback) {
+    var retryPolicy = _getRetryPolicy(opts.retry, data);
+    var cancelToken = opts.cancelToken;
+    var transport = opts.transport || _transport;
+    var limits = _.pick(opts, 'maxConcurrency', 'requestsPerSecond');
+    opts = _.omit(opts, 'retry', 'cancelToken', 'transport', 'maxConcurrency', 'requestsPerSecond');
+
+    var attempt = 0;
+    var stats = {'attempts': 0, 'bytesSent': 0, 'bytesReceived': 0};
+    var onCancelled = function() {
+        return callback(RestError.fromCancellation(_getRequestInfo(opts)), null, null, stats);
+    };
+
+    var onAttemptComplete = function(err, response, body) {
+        if (err && !(err instanceof RestError)) {
+            err = RestError.fromTransportError(err, _getRequestInfo(opts));
+        } else if (!err) {
+            var decoded = _decodeResponse(response, body);
+            err = decoded.err;
+            body = decoded.body;
+        }
+
+        var delay = _getRetryDelay(retryPolicy, opts, attempt, err);
+        if (delay !== null) {
+            emitter.emit('retry', err, attempt, delay, {
+                'method': opts.method,
+                'url': Redact.redactUrl(opts.url),
+                'headers': Redact.redactHeaders(opts.headers)
+            });
+            return _wait(delay, cancelToken, doAttempt);
+        }
+
+        return callback(err, body, response, stats);
+    };
+
+    var doAttempt = function() {
+        attempt++;
+
+        if (cancelToken && cancelToken.isCancelled) {
+            return onCancelled();
+        }
+
+        // Wait until the request is allowed to be sent if the requests to its host are being limited
+        _acquireSlot(_getHostKey(opts), limits, cancelToken, function(cancelled, release) {
+            if (cancelled) {
+                return onCancelled();
+            }
+
+            // Every attempt works on its own copy of the options and data as they get modified while the request is being
+            // prepared. This also ensures that the stream generators are invoked again when retrying
+            _request(transport, _.clone(opts), _.clone(data), cancelToken, function(err, response, body, exchange) {
+                release();
+
+                stats.attempts = attempt;
+                stats.bytesSent += exchange.bytesSent;
+                stats.bytesReceived += exchange.bytesReceived;
+                return onAttemptComplete(err, response, body);
+            });
+        });
+    };
+
+    doAttempt();
+};
+
+/**
+ * Perform a single HTTP request attempt, automatically handling whether or not it should be multipart.
+ *
+ * @param  {Transport}      transport           The transport that should perform the request
+ * @param  {Object}         opts                The opts that would normally be sent to the request module
+ * @param  {Object}         data                The request data (e.g., query string values or request body). Note that this object will be modified
+ * @param  {CancelToken}    [cancelToken]       A token that can be used to abort the request
+ * @param  {Function}       callback            Invoked when the request completes
+ * @param  {Object}         callback.err        The transport error that occurred, if any. If the request was cancelled, this will be a `RestError`
+ * @param  {Response}       callback.response   The response object that was returned by the transport
+ * @param  {Buffer}         callback.body       The raw response body
+ * @param  {Object}         callback.exchange   The exchange that was emitted through the `exchange` event for this attempt
+ * @api private
+ */
+var _request = function(transport, opts, data, cancelToken, callback) {
+    var req = null;
+    var timings = {'start': Date.now(), 'response': null, 'end': null};
+    callback = _.once(_.wrap(callback, function(callback, err, response, body) {
+        timings.end = Date.now();
+        var requestInfo = req.getRequestInfo();
+        if (response) {
+            // Transports are only required to provide the status code and headers of the response
+            response.body = (response.body !== undefined) ? response.body : body;
+            response.request = response.request || {
+                'method': requestInfo.method,
+                'uri': url.parse(Redact.redactUrl(requestInfo.url)),
+                'headers': Redact.redactHeaders(requestInfo.headers)
+            };
+        }
+
+        var exchange = {
+            'request': requestInfo,
+            'data': data,
+            'multipart': hasStream,
+            'err': err,
+            'response': response,
+            'body': body,
+            'bytesSent': _getBytesSent(requestInfo, streams),
+            'bytesReceived': _getByteLength(body),
+            'timings': timings
+        };
+        emitter.emit('exchange', Redact.redactExchange(exchange));
+        return callback(err, response, body, exchange);
+    }));
+
     /*!
      * Expand values and check if we're uploading a file (a stream value). Since:
      *
@@ -167,22 +996,22 @@ module.exports.request = function(opts, data, callback) {
      * ... we allow a function to be sent in which opens the stream only in the 'tick' that
      * the request will be sent. This avoids the possibility of missing some 'data' callbacks
      * from the file stream.
+     *
+     * In the browser, files are passed in as a `File` or `Blob` rather than a stream
      */
-    var hasStream = false;
+    var streams = [];
     _.each(data, function(value, key) {
         if (_.isArray(value)) {
             // For an array, resolve all inner values and reassign it to the data array
             value = _.map(value, function(innerValue) {
                 if (_.isFunction(innerValue)) {
                     innerValue = innerValue();
-                    if (innerValue instanceof Stream) {
-                        hasStream = true;
-                    }
-
-                    return innerValue;
-                } else {
-                    return innerValue;
                 }
+                if (_isFile(innerValue)) {
+                    streams.push(innerValue);
+                }
+
+                return innerValue;
             });
 
             data[key] = value;
@@ -190,20 +1019,29 @@ module.exports.request = function(opts, data, callback) {
             // Invoke any values that are functions in order to resolve the returned value
             // for the request
             value = value();
-            if (value instanceof Stream) {
-                hasStream = true;
+            if (_isFile(value)) {
+                streams.push(value);
             }
 
             data[key] = value;
-        } else if (value instanceof Stream) {
-            hasStream = true;
+        } else if (_isFile(value)) {
+            streams.push(value);
         }
     });
+    var hasStream = !_.isEmpty(streams);
+
+    // JSON can represent all values, so only the unspecified ones are left out. Nested values are sent as they are
+    var isJson = (opts.bodyEncoding === 'json' && !hasStream && opts.method !== 'GET');
+    delete opts.bodyEncoding;
 
     // Sanitize the parameters to not include null / unspecified values
     _.each(data, function(value, key) {
         if (value === null || value === undefined) {
             delete data[key];
+        } else if (_.isArray(value) && isJson) {
+            data[key] = _.reject(value, function(innerValue) {
+                return (innerValue === null || innerValue === undefined);
+            });
         } else if (_.isArray(value)) {
             // Filter out unspecified items from the parameter array, and remove it if it is empty
             value = _.compact(value);
@@ -218,54 +1056,362 @@ module.exports.request = function(opts, data, callback) {
     if (!_.isEmpty(data)) {
         if (opts.method === 'GET') {
             opts.qs = data;
+        } else if (isJson) {
+            opts.headers = _.extend({}, opts.headers, {'content-type': 'application/json'});
+            opts.body = JSON.stringify(data);
         } else if (!hasStream && opts.method !== 'GET') {
             opts.form = data;
+        } else {
+            opts.multipart = _getMultipartParts(data);
         }
     }
 
-    var req = request(opts, function(err, response, body) {
-        if (err) {
-            emitter.emit('error', err);
-            return callback({'code': 500, 'msg': util.format('Something went wrong trying to contact the server:\n%s\n%s', err.message, err.stack)});
-        } else if (response.statusCode >= 400) {
-            err = {'code': response.statusCode, 'msg': body};
-            emitter.emit('error', err, body, response);
-            return callback(err);
+    var onCancel = function() {
+        req.abort();
+
+        // Close any files that were being uploaded
+        _.each(streams, function(stream) {
+            if (_.isFunction(stream.destroy)) {
+                stream.destroy();
+            }
+        });
+
+        return callback(RestError.fromCancellation(_getRequestInfo(opts)));
+    };
+
+    var onComplete = function(err, response, body) {
+        if (cancelToken) {
+            cancelToken.removeListener('cancel', onCancel);
         }
 
-        // Check if the response body is JSON
-        try {
-            body = JSON.parse(body);
-        } catch (ex) {
-            /* This can be ignored, response is not a JSON object */
+        return callback(err, response, body);
+    };
+
+    req = transport.send(opts, function(err, response, body) {
+        // Transports can complete a request before they return its handle, e.g., the request module does so for
+        // invalid URLs. The request is only completed once its handle is available
+        if (!req) {
+            return process.nextTick(function() {
+                return onComplete(err, response, body);
+            });
         }
 
-        emitter.emit('response', body, response);
-        return callback(null, body, response);
+        return onComplete(err, response, body);
     });
+    if (_.isFunction(req.on)) {
+        req.on('response', function() {
+            timings.response = Date.now();
+        });
+    }
+
+    if (cancelToken) {
+        cancelToken.once('cancel', onCancel);
+    }
+};
 
-    if (hasStream) {
-        // We append our data in a multi-part way.
-        // That way we can support buffer/streams as well.
-        var form = req.form();
-        _.each(data, function(value, key) {
-            // If we're sending parts which have the same name, we have to unroll them
-            // before appending them to the form
-            if (_.isArray(value)) {
-                _.each(value, function(innerValue) {
-                    // Stringify Booleans when uploading files
-                    if (_.isBoolean(value)) {
-                        form.append(key, innerValue.toString());
-                    } else {
-                        form.append(key, innerValue);
-                    }
-                });
+/**
+ * Get the parts of a multipart request
+ *
+ * @param  {Object}     data    The resolved request data
+ * @return {Object[]}           The parts of the request. Each part has a `name` and a `value`
+ * @api private
+ */
+var _getMultipartParts = function(data) {
+    var parts = [];
+    _.each(data, function(value, key) {
+        // If we're sending parts which have the same name, we have to unroll them
+        // before appending them to the form
+        _.each(_.isArray(value) ? value : [value], function(innerValue) {
             // Stringify Booleans when uploading files
-            } else if (_.isBoolean(value)) {
-                form.append(key, value.toString());
-            } else {
-                form.append(key, value);
+            if (_.isBoolean(innerValue)) {
+                innerValue = innerValue.toString();
             }
+
+            parts.push({'name': key, 'value': innerValue});
         });
+    });
+    return parts;
+};
+
+/**
+ * Get the retry policy that should be applied to a request
+ *
+ * @param  {Object|Boolean}     retry   The retry policy that was specified for the request. See `request` for the available options
+ * @param  {Object}             data    The request data
+ * @return {Object}                     The full retry policy to apply to the request, or `null` if the request should not be retried
+ * @api private
+ */
+var _getRetryPolicy = function(retry, data) {
+    if (!retry) {
+        return null;
+    }
+
+    // Streams that were not specified through a generator function can only be consumed once, so the request can't be retried
+    var hasOpenStream = _.some(data, function(value) {
+        return (value instanceof Stream) || (_.isArray(value) && _.some(value, function(innerValue) {
+            return (innerValue instanceof Stream);
+        }));
+    });
+    if (hasOpenStream) {
+        return null;
+    }
+
+    return _.defaults(_.isObject(retry) ? _.clone(retry) : {}, DEFAULT_RETRY_POLICY);
+};
+
+/**
+ * Determine how long to wait before retrying a failed attempt
+ *
+ * @param  {Object}     retryPolicy     The retry policy that applies to the request, if any
+ * @param  {Object}     opts            The options of the request
+ * @param  {Number}     attempt         The number of attempts that have been made so far
+ * @param  {RestError}  [err]           The error of the last attempt, if any
+ * @return {Number}                     The number of milliseconds to wait before the next attempt, or `null` if the request should not be retried
+ * @api private
+ */
+var _getRetryDelay = function(retryPolicy, opts, attempt, err) {
+    if (!err || !retryPolicy || attempt >= retryPolicy.maxAttempts) {
+        return null;
+    } else if (!_.contains(retryPolicy.methods, (opts.method || 'GET').toUpperCase())) {
+        return null;
+    } else if (err.cause && !_.contains(retryPolicy.errorCodes, err.cause.code)) {
+        return null;
+    } else if (!err.cause && !_.contains(retryPolicy.statusCodes, err.code)) {
+        return null;
+    }
+
+    var delay = Math.min(retryPolicy.maxDelay, retryPolicy.minDelay * Math.pow(retryPolicy.factor, attempt - 1));
+    if (retryPolicy.jitter) {
+        // Wait at least half of the delay so retries don't immediately follow up on each other
+        delay = (delay / 2) + (Math.random() * delay / 2);
+    }
+
+    // Honour the delay the server asked for, if any
+    var retryAfter = err.headers && parseInt(err.headers['retry-after'], 10);
+    if (retryAfter > 0) {
+        delay = Math.max(delay, Math.min(retryPolicy.maxDelay, retryAfter * 1000));
+    }
+
+    return Math.round(delay);
+};
+
+/*!
+ * The pools that keep track of the requests to the hosts whose requests are being limited, keyed by host
+ */
+var _pools = {};
+
+/**
+ * Get the key of the pool that the requests with the given options belong to. Requests that are sent to the
+ * same tenant share a pool, even if they are sent through different rest contexts.
+ *
+ * @param  {Object}     opts    The opts that would normally be sent to the request module
+ * @return {String}             The key of the pool. This is the host header of the request if one was set, otherwise the host of its URL
+ * @api private
+ */
+var _getHostKey = function(opts) {
+    return (opts.headers && opts.headers.host) || url.parse(opts.url).host;
+};
+
+/**
+ * Wait until a request is allowed to be sent to a host. When no limits are specified, the request is allowed
+ * to be sent immediately. Otherwise the request is queued until both the concurrency and rate limits of the
+ * host allow it to be sent. When the same host is used with different limits, the most recent limits apply.
+ *
+ * @param  {String}         hostKey                     The key of the pool the request belongs to
+ * @param  {Object}         limits                      The limits that apply to the host
+ * @param  {Number}         [limits.maxConcurrency]     The maximum number of requests that can be in flight at the same time
+ * @param  {Number}         [limits.requestsPerSecond]  The maximum number of requests that can be sent per second
+ * @param  {CancelToken}    [cancelToken]               A token that removes the request from the queue when it gets cancelled
+ * @param  {Function}       callback                    Invoked when the request can be sent or when it was cancelled while queued
+ * @param  {Boolean}        callback.cancelled          Whether or not the request was cancelled while queued
+ * @param  {Function}       callback.release            Must be invoked when the request completes so the next queued request can be sent
+ * @api private
+ */
+var _acquireSlot = function(hostKey, limits, cancelToken, callback) {
+    if (!limits.maxConcurrency && !limits.requestsPerSecond) {
+        return callback(false, function() {});
+    }
+
+    var pool = _pools[hostKey] = _pools[hostKey] || {
+        'hostKey': hostKey,
+        'queue': [],
+        'inFlight': 0,
+        'nextStart': 0,
+        'timer': null
+    };
+    pool.maxConcurrency = limits.maxConcurrency;
+    pool.requestsPerSecond = limits.requestsPerSecond;
+
+    var entry = {'callback': callback, 'cancelToken': cancelToken, 'onCancel': null};
+    if (cancelToken) {
+        entry.onCancel = function() {
+            pool.queue = _.without(pool.queue, entry);
+            emitter.emit('queue', hostKey, pool.queue.length, pool.inFlight);
+            return callback(true);
+        };
+        cancelToken.once('cancel', entry.onCancel);
+    }
+
+    pool.queue.push(entry);
+    emitter.emit('queue', hostKey, pool.queue.length, pool.inFlight);
+    _drainPool(pool);
+};
+
+/**
+ * Send as many queued requests of a pool as its limits allow. When the rate limit prevents the next request from
+ * being sent, the pool will be drained again as soon as it is allowed to be sent.
+ *
+ * @param  {Object}     pool    The pool to drain
+ * @api private
+ */
+var _drainPool = function(pool) {
+    while (!_.isEmpty(pool.queue)) {
+        if (pool.maxConcurrency && pool.inFlight >= pool.maxConcurrency) {
+            return;
+        }
+
+        // Requests are spread out evenly over each second rather than being sent in bursts
+        var now = Date.now();
+        if (pool.requestsPerSecond) {
+            if (pool.nextStart > now) {
+                if (!pool.timer) {
+                    pool.timer = setTimeout(function() {
+                        pool.timer = null;
+                        _drainPool(pool);
+                    }, pool.nextStart - now);
+                }
+                return;
+            }
+
+            pool.nextStart = now + (1000 / pool.requestsPerSecond);
+        }
+
+        var entry = pool.queue.shift();
+        if (entry.cancelToken) {
+            entry.cancelToken.removeListener('cancel', entry.onCancel);
+        }
+
+        pool.inFlight++;
+        emitter.emit('queue', pool.hostKey, pool.queue.length, pool.inFlight);
+        entry.callback(false, _.once(function() {
+            pool.inFlight--;
+            emitter.emit('queue', pool.hostKey, pool.queue.length, pool.inFlight);
+            _drainPool(pool);
+        }));
+    }
+};
+
+/**
+ * Get the number of bytes that were sent in the body of a request
+ *
+ * @param  {Object}     requestInfo     The information about what was sent, as returned by the transport
+ * @param  {Stream[]}   streams         The files that were uploaded in the request, if any. In the browser, these are blobs
+ * @return {Number}                     The number of bytes in the body of the request. For multipart requests, only the size of the uploaded files is taken into account
+ * @api private
+ */
+var _getBytesSent = function(requestInfo, streams) {
+    if (!_.isEmpty(streams)) {
+        return _.reduce(streams, function(bytesSent, stream) {
+            // Streams keep track of how much of the file has been read, blobs know their size upfront
+            return bytesSent + (stream.bytesRead || stream.size || 0);
+        }, 0);
+    }
+
+    return _getByteLength(requestInfo.body);
+};
+
+/**
+ * Check whether or not a request value is a file that should be uploaded
+ *
+ * @param  {Object}     value   The request value to check
+ * @return {Boolean}            Whether or not the value is a stream or, in the browser, a `Blob` (e.g., a `File`)
+ * @api private
+ */
+var _isFile = function(value) {
+    return (value instanceof Stream) || (typeof Blob !== 'undefined' && value instanceof Blob);
+};
+
+/**
+ * Get the number of bytes in a string or buffer
+ *
+ * @param  {String|Buffer}  [value]     The value to measure
+ * @return {Number}                     The number of bytes in the value. If no value is provided, this will be `0`
+ * @api private
+ */
+var _getByteLength = function(value) {
+    if (Buffer.isBuffer(value)) {
+        return value.length;
+    } else if (_.isString(value)) {
+        return Buffer.byteLength(value);
+    }
+
+    return 0;
+};
+
+/**
+ * Convert a raw response body to a string, using the charset of the response if it specifies one
+ *
+ * @param  {Object}         [headers]   The headers of the response
+ * @param  {String|Buffer}  [body]      The raw body of the response
+ * @return {String}                     The body as a string. If the response has no body, this will be an empty string
+ * @api private
+ */
+var _toText = function(headers, body) {
+    if (!Buffer.isBuffer(body)) {
+        return (body === null || body === undefined) ? '' : String(body);
+    }
+
+    var charset = /;\s*charset="?([^";]+)/i.exec((headers && headers['content-type']) || '');
+    var encoding = charset ? charset[1].toLowerCase() : 'utf8';
+    encoding = CHARSET_ALIASES[encoding] || encoding;
+    return body.toString(Buffer.isEncoding(encoding) ? encoding : 'utf8');
+};
+
+/**
+ * Get the information about a request that is used to describe it in errors
+ *
+ * @param  {Object}     opts    The opts that would normally be sent to the request module
+ * @return {Object}             An object holding the `method`, `url` and `host` of the request
+ * @api private
+ */
+var _getRequestInfo = function(opts) {
+    return {
+        'method': opts.method,
+        'url': opts.url,
+        'host': opts.headers && opts.headers.host
+    };
+};
+
+/**
+ * Wait for a number of milliseconds before invoking a function. When the provided cancel token has been cancelled
+ * already or gets cancelled while waiting, the function will be invoked immediately
+ *
+ * @param  {Number}         delay           The number of milliseconds to wait
+ * @param  {CancelToken}    [cancelToken]   A token that cuts the wait short when it gets cancelled
+ * @param  {Function}       fn              The function to invoke
+ * @api private
+ */
+var _wait = function(delay, cancelToken, fn) {
+    // The token may have been cancelled by a listener of the `retry` event
+    if (cancelToken && cancelToken.isCancelled) {
+        return fn();
+    }
+
+    var timer = null;
+    var onCancel = function() {
+        clearTimeout(timer);
+        return fn();
+    };
+
+    timer = setTimeout(function() {
+        if (cancelToken) {
+            cancelToken.removeListener('cancel', onCancel);
+        }
+
+        return fn();
+    }, delay);
+
+    if (cancelToken) {
+        cancelToken.once('cancel', onCancel);
     }
 };
@@ -0,0 +1,83 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+import { RestError } from './error';
+
+/** The visibilities a resource can have */
+export const VISIBILITIES: string[];
+
+/** The messages for the arguments that are validated by many of the wrappers */
+export const MESSAGES: {
+    CLIENT_ID: string;
+    CONTENT_ID: string;
+    CONTENT_IDS: string;
+    DISCUSSION_ID: string;
+    FOLDER_ID: string;
+    GROUP_ID: string;
+    LIMIT: string;
+    MEMBER_UPDATES: string;
+    MESSAGE_CREATED: string;
+    MODULE_TYPE: string;
+    PRINCIPAL_ID: string;
+    PRINCIPAL_IDS: string;
+    REVISION_ID: string;
+    SELECTED_AREA: string;
+    SIZE: string;
+    TENANT_ALIAS: string;
+    TENANT_NETWORK_ID: string;
+    USER_ID: string;
+    USERNAME: string;
+    VISIBILITY: string;
+};
+
+/**
+ * The error that is recorded when a check fails
+ */
+export interface CheckError {
+    code?: number;
+    msg?: string;
+}
+
+/**
+ * A chain of checks on a single value. Only the first failing check of a chain is recorded
+ */
+export interface Check {
+    notNull(): Check;
+    notEmpty(): Check;
+    isIn(values: any[]): Check;
+    isObject(): Check;
+    isArray(): Check;
+    isStringOrArray(): Check;
+    isValidVisibility(): Check;
+    isValidMemberUpdates(roles: string[]): Check;
+    isValidLimit(): Check;
+    isValidSelectedArea(): Check;
+}
+
+/**
+ * A validator that collects the errors of the checks that are performed through it
+ */
+export interface Validator {
+    check(value: any, error?: CheckError | string): Check;
+    hasErrors(): boolean;
+    getErrors(): RestError[];
+    getFirstError(): RestError | null;
+    callbackWithFirstError(callback: (err: RestError | null) => void): void;
+}
+
+export const Validator: {
+    new (): Validator;
+    (): Validator;
+};
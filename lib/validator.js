@@ -0,0 +1,344 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * ### Validation
+ *
+ * The REST wrappers validate their arguments before sending a request, so that a missing id fails fast rather than
+ * turning into a request to a URL such as `/api/content/`. Errors are returned in the same shape the server uses for
+ * its validation errors, i.e. a `RestError` with a `400` code and a message that describes the problem.
+ *
+ * The validator mirrors the one that is used by the OAE server:
+ *
+ *     var validator = new Validator();
+ *     validator.check(contentId, MESSAGES.CONTENT_ID).notEmpty();
+ *     validator.check(limit).isValidLimit();
+ *     if (validator.hasErrors()) {
+ *         return validator.callbackWithFirstError(callback);
+ *     }
+ *
+ * Other than `notNull`, `notEmpty` and `isValidMemberUpdates`, the checks let `null` and `undefined` values through, as
+ * the parameters they apply to are optional for most wrappers. Only the first failing check of each chain is recorded.
+ * The checks that are specific to OAE come with a message of their own. These messages and those for the ids that many
+ * wrappers require can be found in `MESSAGES`.
+ */
+
+var _ = require('underscore');
+
+var RestError = require('./error').RestError;
+
+/*!
+ * The visibilities a resource can have
+ */
+var VISIBILITIES = module.exports.VISIBILITIES = ['public', 'loggedin', 'private'];
+
+/*!
+ * The messages for the arguments that are validated by many of the wrappers
+ */
+var MESSAGES = module.exports.MESSAGES = {
+    'CLIENT_ID': 'A client id must be provided',
+    'CONTENT_ID': 'A content id must be provided',
+    'CONTENT_IDS': 'At least one content id must be provided',
+    'DISCUSSION_ID': 'A discussion id must be provided',
+    'FOLDER_ID': 'A folder id must be provided',
+    'GROUP_ID': 'A group id must be provided',
+    'LIMIT': 'The limit must be a positive integer',
+    'MEMBER_UPDATES': 'The member updates must be provided as an object',
+    'MESSAGE_CREATED': 'The creation timestamp of the message must be provided',
+    'MODULE_TYPE': 'A module type must be provided',
+    'PRINCIPAL_ID': 'A principal id must be provided',
+    'PRINCIPAL_IDS': 'At least one principal id must be provided',
+    'REVISION_ID': 'A revision id must be provided',
+    'SELECTED_AREA': 'A valid area to crop must be provided. It needs x and y coordinates of 0 or more and a positive width',
+    'SIZE': 'Missing size parameter',
+    'TENANT_ALIAS': 'A tenant alias must be provided',
+    'TENANT_NETWORK_ID': 'A tenant network id must be provided',
+    'USER_ID': 'A user id must be provided',
+    'USERNAME': 'A username must be provided',
+    'VISIBILITY': 'An invalid visibility has been provided. Must be one of: ' + VISIBILITIES.join(', ')
+};
+
+/**
+ * A validator that collects the errors of the checks that are performed through it
+ */
+var Validator = module.exports.Validator = function() {
+    if (!(this instanceof Validator)) {
+        return new Validator();
+    }
+
+    this._errors = [];
+};
+
+/**
+ * Start a chain of checks on a value
+ *
+ * @param  {Object}         value           The value to check
+ * @param  {Object|String}  [error]         The error that should be recorded when one of the checks fails, or only its message
+ * @param  {Number}         [error.code]    The HTTP status code of the error. Default: `400`
+ * @param  {String}         [error.msg]     The message that describes the error. Default: the message of the check that failed, or `Invalid value`
+ * @return {Check}                          The chain of checks on the value
+ */
+Validator.prototype.check = function(value, error) {
+    return new Check(this, value, error);
+};
+
+/**
+ * Whether or not any of the checks has failed
+ *
+ * @return {Boolean}    `true` if one or more checks have failed
+ */
+Validator.prototype.hasErrors = function() {
+    return !_.isEmpty(this._errors);
+};
+
+/**
+ * Get the errors of all of the checks that have failed
+ *
+ * @return {RestError[]}    The errors of the failed checks, in the order in which the checks were performed
+ */
+Validator.prototype.getErrors = function() {
+    return _.clone(this._errors);
+};
+
+/**
+ * Get the error of the first check that has failed
+ *
+ * @return {RestError}      The error of the first failed check, or `null` if all checks have passed
+ */
+Validator.prototype.getFirstError = function() {
+    return _.first(this._errors) || null;
+};
+
+/**
+ * Invoke a callback with the error of the first check that has failed. The callback is invoked in a later tick, so
+ * the wrappers call back asynchronously whether or not their arguments are valid
+ *
+ * @param  {Function}   callback        Standard callback function
+ * @param  {RestError}  callback.err    The error of the first failed check, or `null` if all checks have passed
+ */
+Validator.prototype.callbackWithFirstError = function(callback) {
+    var err = this.getFirstError();
+    process.nextTick(function() {
+        return callback(err);
+    });
+};
+
+/**
+ * A chain of checks on a single value. The chain is created by `Validator.check`
+ *
+ * @param  {Validator}  validator       The validator the errors should be recorded in
+ * @param  {Object}     value           The value to check
+ * @param  {Object}     [error]         The error that should be recorded when one of the checks fails
+ * @api private
+ */
+var Check = function(validator, value, error) {
+    if (_.isString(error)) {
+        error = {'msg': error};
+    }
+    error = error || {};
+
+    this._validator = validator;
+    this._value = value;
+    this._code = error.code || 400;
+    this._msg = error.msg;
+    this._failed = false;
+};
+
+/**
+ * Check that the value is neither `null` nor `undefined`
+ *
+ * @return {Check}      The chain of checks
+ */
+Check.prototype.notNull = function() {
+    return this._assert(!_isMissing(this._value));
+};
+
+/**
+ * Check that the value is provided and is not an empty or blank string, nor an empty array
+ *
+ * @return {Check}      The chain of checks
+ */
+Check.prototype.notEmpty = function() {
+    var value = this._value;
+    if (_.isString(value)) {
+        return this._assert(value.trim() !== '');
+    } else if (_.isArray(value)) {
+        return this._assert(!_.isEmpty(value));
+    }
+
+    return this._assert(!_isMissing(value));
+};
+
+/**
+ * Check that the value is one of a set of allowed values
+ *
+ * @param  {Array}      values      The allowed values
+ * @return {Check}                  The chain of checks
+ */
+Check.prototype.isIn = function(values) {
+    return this._assert(_isMissing(this._value) || _.contains(values, this._value));
+};
+
+/**
+ * Check that the value is a plain object
+ *
+ * @return {Check}      The chain of checks
+ */
+Check.prototype.isObject = function() {
+    return this._assert(_isMissing(this._value) || (_.isObject(this._value) && !_.isArray(this._value) && !_.isFunction(this._value)));
+};
+
+/**
+ * Check that the value is an array
+ *
+ * @return {Check}      The chain of checks
+ */
+Check.prototype.isArray = function() {
+    return this._assert(_isMissing(this._value) || _.isArray(this._value));
+};
+
+/**
+ * Check that the value is a single string or an array, e.g. one id or a list of ids
+ *
+ * @return {Check}      The chain of checks
+ */
+Check.prototype.isStringOrArray = function() {
+    return this._assert(_isMissing(this._value) || _.isString(this._value) || _.isArray(this._value));
+};
+
+/**
+ * Check that the value is a visibility a resource can have. See `VISIBILITIES`
+ *
+ * @return {Check}      The chain of checks
+ */
+Check.prototype.isValidVisibility = function() {
+    var passed = (_isMissing(this._value) || _.contains(VISIBILITIES, this._value));
+    return this._assert(passed, MESSAGES.VISIBILITY);
+};
+
+/**
+ * Check that the value holds the role changes for the members of a resource, keyed by the ids of the members. Each
+ * role change is either one of the roles of the resource, or `false` to remove the member. As the role changes are
+ * required, a missing value fails this check
+ *
+ * @param  {String[]}   roles       The roles the members of the resource can have
+ * @return {Check}                  The chain of checks
+ */
+Check.prototype.isValidMemberUpdates = function(roles) {
+    var memberUpdates = this._value;
+    if (!_.isObject(memberUpdates) || _.isArray(memberUpdates) || _.isFunction(memberUpdates)) {
+        return this._assert(false, MESSAGES.MEMBER_UPDATES);
+    }
+
+    var passed = _.every(memberUpdates, function(role) {
+        return _isRoleChange(role, roles);
+    });
+    return this._assert(passed, _getRoleChangeMessage(roles));
+};
+
+/**
+ * Check that the value is a valid number of items to fetch per page, i.e. a positive integer
+ *
+ * @return {Check}      The chain of checks
+ */
+Check.prototype.isValidLimit = function() {
+    var passed = (_isMissing(this._value) || (_isInteger(this._value) && Number(this._value) > 0));
+    return this._assert(passed, MESSAGES.LIMIT);
+};
+
+/**
+ * Check that the value is an area of a picture that can be cropped, i.e. an object with non-negative integer `x` and
+ * `y` coordinates and a positive integer `width`
+ *
+ * @return {Check}      The chain of checks
+ */
+Check.prototype.isValidSelectedArea = function() {
+    var area = this._value;
+    if (_isMissing(area)) {
+        return this;
+    }
+
+    var passed = (_.isObject(area) &&
+                  _isInteger(area.x) && Number(area.x) >= 0 &&
+                  _isInteger(area.y) && Number(area.y) >= 0 &&
+                  _isInteger(area.width) && Number(area.width) > 0);
+    return this._assert(passed, MESSAGES.SELECTED_AREA);
+};
+
+/**
+ * Record the error of the chain when a check has failed. Only the first failing check of a chain is recorded
+ *
+ * @param  {Boolean}    passed          Whether or not the check has passed
+ * @param  {String}     [defaultMsg]    The message of the check, which is used when no message was provided for the chain
+ * @return {Check}                      The chain of checks
+ * @api private
+ */
+Check.prototype._assert = function(passed, defaultMsg) {
+    if (!passed && !this._failed) {
+        this._failed = true;
+        this._validator._errors.push(new RestError(this._code, this._msg || defaultMsg || 'Invalid value'));
+    }
+
+    return this;
+};
+
+/**
+ * Whether or not a value is `null` or `undefined`
+ *
+ * @param  {Object}     value   The value to check
+ * @return {Boolean}            Whether or not the value is missing
+ * @api private
+ */
+var _isMissing = function(value) {
+    return (value === null || value === undefined);
+};
+
+/**
+ * Whether or not a value is a role change for a member of a resource
+ *
+ * @param  {Object}     value   The value to check
+ * @param  {String[]}   roles   The roles the members of the resource can have
+ * @return {Boolean}            Whether or not the value is one of the roles or `false`
+ * @api private
+ */
+var _isRoleChange = function(value, roles) {
+    return (value === false || _.contains(roles, value));
+};
+
+/**
+ * Get the message that describes an invalid role change
+ *
+ * @param  {String[]}   roles   The roles the members of the resource can have
+ * @return {String}             The message of the error
+ * @api private
+ */
+var _getRoleChangeMessage = function(roles) {
+    return 'An invalid role has been provided. Must be one of: ' + roles.join(', ') + ' or false';
+};
+
+/**
+ * Whether or not a value is an integer, or a string that holds one
+ *
+ * @param  {Object}     value   The value to check
+ * @return {Boolean}            Whether or not the value is an integer
+ * @api private
+ */
+var _isInteger = function(value) {
+    if (_.isNumber(value)) {
+        return (isFinite(value) && Math.floor(value) === value);
+    }
+
+    return (_.isString(value) && /^-?\d+$/.test(value.trim()));
+};
@@ -0,0 +1,125 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var Browser = require('../lib/browser');
+var Content = require('../lib/api.content');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+var Transport = require('../lib/transport.browser');
+
+// The fetch transport relies on the fetch API, which is only available in recent versions of node
+var describeWithFetch = (typeof fetch === 'function') ? describe : describe.skip;
+
+describe('Browser', function() {
+
+    it('verify the browser build leaves out the functions that need a file system', function() {
+        assert.ok(_.isFunction(Browser.Content.getLibrary));
+        assert.ok(!Browser.Content.download);
+        assert.ok(_.isFunction(Browser.Session.serialize));
+        assert.ok(!Browser.Session.save);
+        assert.ok(!Browser.Session.load);
+        assert.strictEqual(Browser.Transport, require('../lib/transport'));
+    });
+
+    describeWithFetch('Fetch transport', function() {
+
+        var server = null;
+        var restCtx = null;
+
+        before(function(callback) {
+            TestUtil.createServer({
+                'GET /api/search/general': function(req, res) {
+                    return TestUtil.sendJSON(res, 200, {'results': [], 'url': req.url});
+                },
+                'POST /api/group/create': function(req, res) {
+                    return TestUtil.sendJSON(res, 201, {
+                        'contentType': req.headers['content-type'],
+                        'displayName': req.form.displayName
+                    });
+                },
+                'POST /api/content/create': function(req, res) {
+                    return TestUtil.sendJSON(res, 201, {
+                        'contentType': req.headers['content-type'],
+                        'body': req.body
+                    });
+                },
+                'GET /api/slow': function(req, res) {
+                    setTimeout(function() {
+                        return TestUtil.sendJSON(res, 200, {});
+                    }, 500);
+                }
+            }, function(_server) {
+                server = _server;
+                restCtx = new RestContext(server.host, {'transport': Transport.createFetchTransport()});
+                restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+                return callback();
+            });
+        });
+
+        after(function(callback) {
+            // Fetch keeps its connections alive, which would keep the server from closing
+            server.close(callback);
+            server.closeAllConnections();
+        });
+
+        it('verify GET requests send their data as a query string', function(callback) {
+            RestUtil.RestRequest(restCtx, '/api/search/general', 'GET', {'q': 'oae', 'limit': 10}, function(err, body, response) {
+                assert.ok(!err);
+                assert.strictEqual(response.statusCode, 200);
+                assert.strictEqual(response.headers['content-type'], 'application/json');
+                assert.strictEqual(body.url, '/api/search/general?q=oae&limit=10');
+                return callback();
+            });
+        });
+
+        it('verify other requests send their data as a form', function(callback) {
+            RestUtil.RestRequest(restCtx, '/api/group/create', 'POST', {'displayName': 'Group'}, function(err, body, response) {
+                assert.ok(!err);
+                assert.strictEqual(response.statusCode, 201);
+                assert.strictEqual(body.contentType, 'application/x-www-form-urlencoded');
+                assert.strictEqual(body.displayName, 'Group');
+                return callback();
+            });
+        });
+
+        it('verify files can be uploaded as a blob', function(callback) {
+            var fileGenerator = function() {
+                return new Blob(['file contents']);
+            };
+
+            Content.createFile(restCtx, 'File', null, 'public', fileGenerator, null, null, null, function(err, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.contentType.indexOf('multipart/form-data'), 0);
+                assert.notStrictEqual(body.body.indexOf('file contents'), -1);
+                assert.notStrictEqual(body.body.indexOf('name="displayName"'), -1);
+                return callback();
+            });
+        });
+
+        it('verify requests time out', function(callback) {
+            var slowCtx = new RestContext(server.host, {'transport': Transport.createFetchTransport(), 'timeout': 50});
+            slowCtx.cookieJar = RestUtil.getTransport(slowCtx).createCookieJar();
+            RestUtil.RestRequest(slowCtx, '/api/slow', 'GET', null, function(err) {
+                assert.strictEqual(err.code, 408);
+                assert.ok(err.isTimeout());
+                return callback();
+            });
+        });
+    });
+});
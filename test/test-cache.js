@@ -0,0 +1,178 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var assert = require('assert');
+
+var Cache = require('../lib/cache');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Cache', function() {
+
+    var server = null;
+
+    // The current version of the resources on the server and the conditional headers of the requests it received
+    var version = 1;
+    var conditions = [];
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/etag': function(req, res) {
+                var etag = '"v' + version + '"';
+                conditions.push(req.headers['if-none-match'] || null);
+                if (req.headers['if-none-match'] === etag) {
+                    return TestUtil.sendJSON(res, 304, undefined, {'etag': etag});
+                }
+
+                return TestUtil.sendJSON(res, 200, {'version': version}, {'etag': etag});
+            },
+            'GET /api/modified': function(req, res) {
+                var lastModified = new Date(Date.UTC(2014, 0, version)).toUTCString();
+                conditions.push(req.headers['if-modified-since'] || null);
+                if (req.headers['if-modified-since'] === lastModified) {
+                    return TestUtil.sendJSON(res, 304, undefined, {'last-modified': lastModified});
+                }
+
+                return TestUtil.sendJSON(res, 200, {'version': version}, {'last-modified': lastModified});
+            },
+            'GET /api/nostore': function(req, res) {
+                conditions.push(req.headers['if-none-match'] || null);
+                return TestUtil.sendJSON(res, 200, {'version': version}, {'etag': '"v' + version + '"', 'cache-control': 'no-store'});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+        version = 1;
+        conditions = [];
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Get a resource from the test server
+     *
+     * @param  {RestContext}    restCtx             The rest context to make the request with
+     * @param  {String}         path                The path of the resource
+     * @param  {Number}         expectedVersion     The version of the resource that should be returned
+     * @param  {Function}       callback            Invoked when the resource has been retrieved
+     * @param  {Response}       callback.response   The response object of the request
+     */
+    var assertGetVersion = function(restCtx, path, expectedVersion, callback) {
+        RestUtil.RestRequest(restCtx, path, 'GET', null, function(err, body, response) {
+            assert.ok(!err);
+            assert.deepEqual(body, {'version': expectedVersion});
+            return callback(response);
+        });
+    };
+
+    it('verify responses with an ETag are revalidated and served from the cache when they have not changed', function(callback) {
+        var cache = Cache.createCache();
+        var restCtx = new RestContext(server.host, {'interceptors': [cache]});
+        assertGetVersion(restCtx, '/api/etag', 1, function(response) {
+            assert.strictEqual(response.statusCode, 200);
+            assert.strictEqual(cache.size(), 1);
+
+            assertGetVersion(restCtx, '/api/etag', 1, function(response) {
+                assert.strictEqual(response.statusCode, 304);
+                assert.deepEqual(conditions, [null, '"v1"']);
+
+                // Changed resources are returned and cached again
+                version = 2;
+                assertGetVersion(restCtx, '/api/etag', 2, function(response) {
+                    assert.strictEqual(response.statusCode, 200);
+                    assertGetVersion(restCtx, '/api/etag', 2, function(response) {
+                        assert.strictEqual(response.statusCode, 304);
+                        assert.deepEqual(conditions, [null, '"v1"', '"v1"', '"v2"']);
+                        return callback();
+                    });
+                });
+            });
+        });
+    });
+
+    it('verify responses with a Last-Modified date are revalidated and served from the cache when they have not changed', function(callback) {
+        var restCtx = new RestContext(server.host, {'interceptors': [Cache.createCache()]});
+        assertGetVersion(restCtx, '/api/modified', 1, function() {
+            assertGetVersion(restCtx, '/api/modified', 1, function(response) {
+                assert.strictEqual(response.statusCode, 304);
+                assert.deepEqual(conditions, [null, 'Wed, 01 Jan 2014 00:00:00 GMT']);
+                return callback();
+            });
+        });
+    });
+
+    it('verify fresh responses are served without contacting the server', function(callback) {
+        var restCtx = new RestContext(server.host, {'interceptors': [Cache.createCache({'ttl': 60000})]});
+        assertGetVersion(restCtx, '/api/etag', 1, function() {
+            version = 2;
+            assertGetVersion(restCtx, '/api/etag', 1, function() {
+                assert.strictEqual(TestUtil.countRequests(server, 'GET /api/etag'), 1);
+                return callback();
+            });
+        });
+    });
+
+    it('verify responses are cached per user', function(callback) {
+        var cache = Cache.createCache();
+        var anonymousCtx = new RestContext(server.host, {'interceptors': [cache]});
+        assertGetVersion(anonymousCtx, '/api/etag', 1, function() {
+            var otherCtx = new RestContext(server.host, {'interceptors': [cache], 'username': 'janedoe', 'autoReauthenticate': false});
+            // Don't log the other context in, the test server doesn't know about users
+            otherCtx.cookieJar = RestUtil.getTransport(otherCtx).createCookieJar();
+            assertGetVersion(otherCtx, '/api/etag', 1, function() {
+                assert.deepEqual(conditions, [null, null]);
+                assert.strictEqual(cache.size(), 2);
+                return callback();
+            });
+        });
+    });
+
+    it('verify responses that should not be stored are not cached', function(callback) {
+        var cache = Cache.createCache();
+        var restCtx = new RestContext(server.host, {'interceptors': [cache]});
+        assertGetVersion(restCtx, '/api/nostore', 1, function() {
+            assertGetVersion(restCtx, '/api/nostore', 1, function() {
+                assert.deepEqual(conditions, [null, null]);
+                assert.strictEqual(cache.size(), 0);
+                return callback();
+            });
+        });
+    });
+
+    it('verify invalidated responses are no longer revalidated', function(callback) {
+        var cache = Cache.createCache();
+        var restCtx = new RestContext(server.host, {'interceptors': [cache]});
+        assertGetVersion(restCtx, '/api/etag', 1, function() {
+            assertGetVersion(restCtx, '/api/modified', 1, function() {
+                cache.invalidate('/api/etag');
+                assert.strictEqual(cache.size(), 1);
+
+                assertGetVersion(restCtx, '/api/etag', 1, function(response) {
+                    assert.strictEqual(response.statusCode, 200);
+                    assert.deepEqual(conditions, [null, null, null]);
+                    return callback();
+                });
+            });
+        });
+    });
+});
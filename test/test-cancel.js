@@ -0,0 +1,138 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Timeouts and cancellation', function() {
+
+    var server = null;
+    var restCtx = null;
+
+    // The responses that are being held back by the slow resource
+    var pending = [];
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/slow': function(req, res) {
+                var timeout = setTimeout(function() {
+                    return TestUtil.sendJSON(res, 200, {'ok': true});
+                }, 200);
+                pending.push(timeout);
+                res.on('close', function() {
+                    clearTimeout(timeout);
+                });
+            },
+            'GET /api/unavailable': function(req, res) {
+                return TestUtil.sendJSON(res, 503, {'msg': 'Unavailable'});
+            }
+        }, function(_server) {
+            server = _server;
+            restCtx = new RestContext(server.host);
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+    });
+
+    after(function(callback) {
+        _.each(pending, clearTimeout);
+        server.close(callback);
+    });
+
+    it('verify requests fail with a timeout error when the server does not respond in time', function(callback) {
+        var timeoutCtx = RestUtil.withRequestOptions(restCtx, {'timeout': 50});
+        var start = Date.now();
+        RestUtil.RestRequest(timeoutCtx, '/api/slow', 'GET', null, function(err) {
+            assert.strictEqual(err.code, 408);
+            assert.ok(err.isTimeout());
+            assert.ok(!err.isCancelled());
+            assert.ok(Date.now() - start < 200);
+            return callback();
+        });
+    });
+
+    it('verify requests succeed when the server responds within the timeout', function(callback) {
+        var timeoutCtx = RestUtil.withRequestOptions(restCtx, {'timeout': 1000});
+        RestUtil.RestRequest(timeoutCtx, '/api/slow', 'GET', null, function(err, body) {
+            assert.ok(!err);
+            assert.deepEqual(body, {'ok': true});
+            return callback();
+        });
+    });
+
+    it('verify requests in flight can be cancelled', function(callback) {
+        var cancelToken = RestUtil.createCancelToken();
+        var cancelCtx = RestUtil.withRequestOptions(restCtx, {'cancelToken': cancelToken});
+        RestUtil.RestRequest(cancelCtx, '/api/slow', 'GET', null, function(err) {
+            assert.strictEqual(err.code, 499);
+            assert.ok(err.isCancelled());
+            assert.ok(!err.isTimeout());
+            assert.strictEqual(err.method, 'GET');
+            assert.strictEqual(err.url, server.host + '/api/slow');
+            return callback();
+        });
+
+        setTimeout(cancelToken.cancel, 20);
+    });
+
+    it('verify requests made with a cancelled token are never sent', function(callback) {
+        var cancelToken = RestUtil.createCancelToken();
+        cancelToken.cancel();
+
+        var cancelCtx = RestUtil.withRequestOptions(restCtx, {'cancelToken': cancelToken});
+        RestUtil.RestRequest(cancelCtx, '/api/slow', 'GET', null, function(err) {
+            assert.ok(err.isCancelled());
+            assert.deepEqual(server.requests, []);
+            return callback();
+        });
+    });
+
+    it('verify requests that are waiting for a retry can be cancelled', function(callback) {
+        var cancelToken = RestUtil.createCancelToken();
+        var cancelCtx = RestUtil.withRequestOptions(restCtx, {
+            'cancelToken': cancelToken,
+            'retry': {'maxAttempts': 3, 'minDelay': 10000, 'jitter': false}
+        });
+        RestUtil.once('retry', function() {
+            cancelToken.cancel();
+        });
+
+        RestUtil.RestRequest(cancelCtx, '/api/unavailable', 'GET', null, function(err) {
+            assert.ok(err.isCancelled());
+            assert.strictEqual(TestUtil.countRequests(server, 'GET /api/unavailable'), 1);
+            return callback();
+        });
+    });
+
+    it('verify cancelling a token does not affect the original context', function(callback) {
+        var cancelToken = RestUtil.createCancelToken();
+        RestUtil.withRequestOptions(restCtx, {'cancelToken': cancelToken});
+        cancelToken.cancel();
+
+        assert.ok(!restCtx.cancelToken);
+        RestUtil.RestRequest(restCtx, '/api/unavailable', 'GET', null, function(err) {
+            assert.strictEqual(err.code, 503);
+            assert.ok(!err.isCancelled());
+            return callback();
+        });
+    });
+});
@@ -0,0 +1,193 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Cassette = require('../lib/cassette');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Cassettes', function() {
+
+    var server = null;
+    var fixturePath = null;
+    var counter = 0;
+
+    // A PNG signature, which isn't valid UTF-8
+    var PICTURE = RestUtil.toBuffer('89504e470d0a1a0a', 'hex');
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/counter': function(req, res) {
+                counter++;
+                return TestUtil.sendJSON(res, 200, {'counter': counter});
+            },
+            'POST /api/group/create': function(req, res) {
+                return TestUtil.sendJSON(res, 201, {'displayName': req.form.displayName});
+            },
+            'GET /api/picture': function(req, res) {
+                res.writeHead(200, {'content-type': 'image/png'});
+                res.end(PICTURE);
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+        counter = 0;
+        fixturePath = path.join(os.tmpdir(), 'oae-rest-cassette-' + Date.now() + '.json');
+    });
+
+    afterEach(function() {
+        if (fs.existsSync(fixturePath)) {
+            fs.unlinkSync(fixturePath);
+        }
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Record a set of requests to the fixture file of the test
+     *
+     * @param  {RestContext}    restCtx     The rest context to make the requests with
+     * @param  {Object[]}       requests    The `url`, `method` and `data` of the requests to record, in order
+     * @param  {Function}       callback    Invoked when the requests have been recorded
+     */
+    var record = function(restCtx, requests, callback) {
+        var cassette = Cassette.createCassette(fixturePath, {'mode': 'record'});
+        cassette.start(function(err) {
+            assert.ok(!err);
+
+            var makeRequest = function(i) {
+                if (i === requests.length) {
+                    return cassette.stop(function(err) {
+                        assert.ok(!err);
+                        return callback();
+                    });
+                }
+
+                RestUtil.RestRequest(restCtx, requests[i].url, requests[i].method, requests[i].data, function(err) {
+                    assert.ok(!err);
+                    return makeRequest(i + 1);
+                });
+            };
+            makeRequest(0);
+        });
+    };
+
+    it('verify recorded responses are replayed without contacting the server', function(callback) {
+        var restCtx = new RestContext(server.host);
+        record(restCtx, [
+            {'url': '/api/counter', 'method': 'GET'},
+            {'url': '/api/group/create', 'method': 'POST', 'data': {'displayName': 'Group'}}
+        ], function() {
+            server.requests = [];
+
+            var cassette = Cassette.createCassette(fixturePath);
+            cassette.start(function(err) {
+                assert.ok(!err);
+                RestUtil.RestRequest(restCtx, '/api/counter', 'GET', null, function(err, body, response) {
+                    assert.ok(!err);
+                    assert.deepEqual(body, {'counter': 1});
+                    assert.ok(response.intercepted);
+
+                    RestUtil.RestRequest(restCtx, '/api/group/create', 'POST', {'displayName': 'Group'}, function(err, body, response) {
+                        assert.ok(!err);
+                        assert.deepEqual(body, {'displayName': 'Group'});
+                        assert.strictEqual(response.statusCode, 201);
+                        assert.deepEqual(server.requests, []);
+                        cassette.stop(callback);
+                    });
+                });
+            });
+        });
+    });
+
+    it('verify repeated requests are replayed in the order in which they were recorded', function(callback) {
+        var restCtx = new RestContext(server.host);
+        record(restCtx, [{'url': '/api/counter', 'method': 'GET'}, {'url': '/api/counter', 'method': 'GET'}], function() {
+            var cassette = Cassette.createCassette(fixturePath);
+            cassette.start(function(err) {
+                assert.ok(!err);
+                RestUtil.RestRequest(restCtx, '/api/counter', 'GET', null, function(err, first) {
+                    RestUtil.RestRequest(restCtx, '/api/counter', 'GET', null, function(err, second) {
+                        RestUtil.RestRequest(restCtx, '/api/counter', 'GET', null, function(err, third) {
+                            assert.deepEqual([first, second, third], [{'counter': 1}, {'counter': 2}, {'counter': 2}]);
+                            cassette.stop(callback);
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('verify requests that were not recorded fail', function(callback) {
+        var restCtx = new RestContext(server.host);
+        record(restCtx, [{'url': '/api/group/create', 'method': 'POST', 'data': {'displayName': 'Group'}}], function() {
+            var cassette = Cassette.createCassette(fixturePath);
+            cassette.start(function(err) {
+                assert.ok(!err);
+                RestUtil.RestRequest(restCtx, '/api/group/create', 'POST', {'displayName': 'Other group'}, function(err) {
+                    assert.strictEqual(err.code, 500);
+                    assert.strictEqual(cassette.unmatched.length, 1);
+                    assert.deepEqual(cassette.unmatched[0].body, {'displayName': 'Other group'});
+
+                    // Requests can be matched on fewer parts
+                    cassette.match = ['method', 'path'];
+                    RestUtil.RestRequest(restCtx, '/api/group/create', 'POST', {'displayName': 'Other group'}, function(err, body) {
+                        assert.ok(!err);
+                        assert.deepEqual(body, {'displayName': 'Group'});
+                        cassette.stop(callback);
+                    });
+                });
+            });
+        });
+    });
+
+    it('verify binary responses are recorded and replayed', function(callback) {
+        var restCtx = new RestContext(server.host);
+        record(restCtx, [{'url': '/api/picture', 'method': 'GET'}], function() {
+            var fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+            assert.strictEqual(fixture.interactions[0].response.bodyEncoding, 'base64');
+
+            var cassette = Cassette.createCassette(fixturePath);
+            cassette.start(function(err) {
+                assert.ok(!err);
+                RestUtil.RestRequest(restCtx, '/api/picture', 'GET', null, function(err, body) {
+                    assert.ok(!err);
+                    assert.ok(Buffer.isBuffer(body));
+                    assert.strictEqual(body.toString('hex'), PICTURE.toString('hex'));
+                    cassette.stop(callback);
+                });
+            });
+        });
+    });
+
+    it('verify starting a cassette without a fixture file in replay mode fails', function(callback) {
+        Cassette.createCassette(fixturePath).start(function(err) {
+            assert.strictEqual(err.code, 'ENOENT');
+            return callback();
+        });
+    });
+});
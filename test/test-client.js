@@ -0,0 +1,133 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var url = require('url');
+
+var Client = require('../lib/client');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Client', function() {
+
+    var server = null;
+    var client = null;
+
+    /*!
+     * Respond with the form data the server received, so the tests can verify what was sent
+     */
+    var echo = function(req, res) {
+        return TestUtil.sendJSON(res, 200, req.form);
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/me': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {'id': 'u:cam:abc', 'displayName': 'User'});
+            },
+            'POST /api/content/c%3Acam%3Aabc/share': echo,
+            'POST /api/content/c%3Acam%3Aabc/members': echo,
+            'GET /api/group/g%3Acam%3Aabc/members': function(req, res) {
+                var start = url.parse(req.url, true).query.start;
+                if (!start) {
+                    return TestUtil.sendJSON(res, 200, {'results': [{'profile': {'id': 'u:cam:abc'}, 'role': 'manager'}], 'nextToken': 'u:cam:abc'});
+                }
+
+                return TestUtil.sendJSON(res, 200, {'results': [{'profile': {'id': 'u:cam:def'}, 'role': 'member'}], 'nextToken': null});
+            },
+            'DELETE /api/folder/f%3Acam%3Aabc': echo,
+            'POST /api/discussion/d%3Acam%3Aabc/messages': echo,
+            'GET /api/user/u%3Acam%3Adef': function(req, res) {
+                return TestUtil.sendJSON(res, 404, {'msg': 'Not found'});
+            }
+        }, function(_server) {
+            server = _server;
+
+            var restCtx = new RestContext(server.host);
+            restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+            client = Client.createClient(restCtx);
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    it('verify the client returns a promise when no callback is provided', function(callback) {
+        client.me(function(err, me) {
+            assert.ok(!err);
+            assert.strictEqual(me.id, 'u:cam:abc');
+
+            client.me().then(function(me) {
+                assert.strictEqual(me.displayName, 'User');
+                return client.user('u:cam:def').get();
+            }).then(function() {
+                return callback(new Error('Expected the user not to be found'));
+            }, function(err) {
+                assert.strictEqual(err.code, 404);
+                return callback();
+            });
+        });
+    });
+
+    it('verify content handles delegate to the REST wrappers', function(callback) {
+        var content = client.content('c:cam:abc');
+        assert.strictEqual(content.id, 'c:cam:abc');
+        content.share(['u:cam:abc', 'u:cam:def'], function(err, body) {
+            assert.ok(!err);
+            assert.deepEqual(body, {'viewers[0]': 'u:cam:abc', 'viewers[1]': 'u:cam:def'});
+
+            content.members().set({'u:cam:abc': 'manager', 'u:cam:def': false}).then(function(body) {
+                assert.deepEqual(body, {'u:cam:abc': 'manager', 'u:cam:def': 'false'});
+                assert.deepEqual(server.requests, ['POST /api/content/c%3Acam%3Aabc/share', 'POST /api/content/c%3Acam%3Aabc/members']);
+                return callback();
+            }).catch(callback);
+        });
+    });
+
+    it('verify the members of a group can be listed', function(callback) {
+        var members = client.group('g:cam:abc').members();
+        members.list(null, 1, function(err, page) {
+            assert.ok(!err);
+            assert.strictEqual(page.nextToken, 'u:cam:abc');
+
+            members.collectAll().then(function(members) {
+                assert.deepEqual(_.pluck(members, 'role'), ['manager', 'member']);
+                assert.strictEqual(TestUtil.countRequests(server, 'GET /api/group/g%3Acam%3Aabc/members'), 3);
+                return callback();
+            }).catch(callback);
+        });
+    });
+
+    it('verify optional parameters that precede the callback can be left out', function(callback) {
+        client.folder('f:cam:abc')['delete'](function(err, body) {
+            assert.ok(!err);
+            assert.deepEqual(body, {'deleteContent': 'false'});
+
+            client.discussion('d:cam:abc').post('Hello!', function(err, body) {
+                assert.ok(!err);
+                assert.deepEqual(body, {'body': 'Hello!'});
+                return callback();
+            });
+        });
+    });
+});
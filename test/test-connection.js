@@ -0,0 +1,118 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var tls = require('tls');
+
+var Content = require('../lib/api.content');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Connection options', function() {
+
+    var proxy = null;
+    var proxied = [];
+
+    before(function(callback) {
+        // The test server acts as a proxy for plain HTTP requests, which are sent to it with their full URL
+        TestUtil.createServer({
+            'GET /api/me': function(req, res) {
+                proxied.push({'url': req.url, 'host': req.headers.host});
+                return TestUtil.sendJSON(res, 200, {'anon': true});
+            }
+        }, function(_proxy) {
+            proxy = _proxy;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        proxy.requests = [];
+        proxied = [];
+    });
+
+    after(function(callback) {
+        proxy.close(callback);
+    });
+
+    it('verify the certificate authorities of a context are trusted in addition to the default ones where possible', function() {
+        var opts = RestUtil.getTransportOptions(new RestContext('https://oae.example.com', {'ca': ['my-ca']}));
+        assert.strictEqual(_.last(opts.ca), 'my-ca');
+        if (tls.rootCertificates) {
+            assert.strictEqual(opts.ca.length, tls.rootCertificates.length + 1);
+        } else {
+            // Runtimes before node 12.3 don't expose their default certificate authorities
+            assert.deepEqual(opts.ca, ['my-ca']);
+        }
+
+        assert.ok(!RestUtil.getTransportOptions(new RestContext('https://oae.example.com')).ca);
+    });
+
+    it('verify client certificates are only used together with their key', function() {
+        var opts = RestUtil.getTransportOptions(new RestContext('https://oae.example.com', {'cert': 'cert', 'key': 'key', 'passphrase': 'secret'}));
+        assert.strictEqual(opts.cert, 'cert');
+        assert.strictEqual(opts.key, 'key');
+        assert.deepEqual(opts.agentOptions, {'passphrase': 'secret'});
+
+        opts = RestUtil.getTransportOptions(new RestContext('https://oae.example.com', {'cert': 'cert'}));
+        assert.ok(!opts.cert);
+    });
+
+    it('verify HTTP requests are sent through a proxy', function(callback) {
+        var agent = new http.Agent();
+        var restCtx = new RestContext('http://oae.example.com', {'proxy': proxy.host, 'agent': agent});
+        RestUtil.RestRequest(restCtx, '/api/me', 'GET', null, function(err, me) {
+            assert.ok(!err);
+            assert.ok(me.anon);
+            assert.deepEqual(proxied, [{'url': 'http://oae.example.com/api/me', 'host': 'oae.example.com'}]);
+            return callback();
+        });
+    });
+
+    it('verify HTTPS requests through a proxy fail when they use a client certificate or agent', function(callback) {
+        var restCtx = new RestContext('https://oae.example.com', {'proxy': proxy.host, 'cert': 'cert', 'key': 'key'});
+        RestUtil.RestRequest(restCtx, '/api/me', 'GET', null, function(err) {
+            assert.strictEqual(err.code, 500);
+            assert.strictEqual(err.cause.code, 'EPROXYOPTIONS');
+            assert.strictEqual(err.url, 'https://oae.example.com/api/me');
+
+            restCtx = new RestContext('https://oae.example.com', {'proxy': proxy.host, 'agent': new http.Agent()});
+            RestUtil.RestRequest(restCtx, '/api/me', 'GET', null, function(err) {
+                assert.strictEqual(err.cause.code, 'EPROXYOPTIONS');
+                assert.deepEqual(proxy.requests, []);
+                return callback();
+            });
+        });
+    });
+
+    it('verify HTTPS downloads through a proxy fail when they use a client certificate', function(callback) {
+        var filePath = path.join(os.tmpdir(), 'oae-rest-download-' + Date.now());
+        var restCtx = new RestContext('https://oae.example.com', {'proxy': proxy.host, 'cert': 'cert', 'key': 'key'});
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+        Content.download(restCtx, 'c:cam:abc', null, filePath, function(err) {
+            assert.strictEqual(err.code, 500);
+            assert.strictEqual(err.cause.code, 'EPROXYOPTIONS');
+            fs.unlink(filePath, function() {
+                return callback();
+            });
+        });
+    });
+});
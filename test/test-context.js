@@ -0,0 +1,156 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var Authentication = require('../lib/api.authentication');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Rest contexts', function() {
+
+    var server = null;
+
+    // The sessions the server knows about, keyed by their id, and the headers of the requests it received
+    var sessions = {};
+    var received = [];
+
+    /*!
+     * Get the user of the session the request was made with, if any
+     */
+    var getUser = function(req) {
+        var match = (req.headers.cookie || '').match(/sid=(\w+)/);
+        return match ? sessions[match[1]] : null;
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'POST /api/auth/login': function(req, res) {
+                var sessionId = _.uniqueId('session');
+                sessions[sessionId] = req.form.username;
+                return TestUtil.sendJSON(res, 200, {'id': req.form.username}, {'set-cookie': 'sid=' + sessionId + '; Path=/'});
+            },
+            'GET /api/me': function(req, res) {
+                received.push(req.headers);
+                var user = getUser(req);
+                return TestUtil.sendJSON(res, 200, user ? {'id': user} : {'anon': true});
+            },
+            'GET /api/auth/shibboleth/sp/callback': function(req, res) {
+                received.push(req.headers);
+                return TestUtil.sendJSON(res, 200, {});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+        sessions = {};
+        received = [];
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Get the me feed of a rest context
+     *
+     * @param  {RestContext}    restCtx         The rest context to get the me feed for
+     * @param  {Function}       callback        Standard callback function
+     * @param  {Object}         callback.me     The me feed
+     */
+    var getMe = function(restCtx, callback) {
+        RestUtil.RestRequest(restCtx, '/api/me', 'GET', null, function(err, me) {
+            assert.ok(!err);
+            return callback(me);
+        });
+    };
+
+    it('verify derived contexts have their own session', function(callback) {
+        var restCtx = new RestContext(server.host, {'username': 'janedoe', 'userPassword': 'password', 'timeout': 5000});
+        getMe(restCtx, function(me) {
+            assert.strictEqual(me.id, 'janedoe');
+
+            var otherCtx = restCtx.asUser('johndoe', 'password');
+            assert.strictEqual(otherCtx.timeout, 5000);
+            getMe(otherCtx, function(me) {
+                assert.strictEqual(me.id, 'johndoe');
+                getMe(restCtx.asAnonymous(), function(me) {
+                    assert.ok(me.anon);
+
+                    // The original context is still logged in as its own user
+                    getMe(restCtx, function(me) {
+                        assert.strictEqual(me.id, 'janedoe');
+                        assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 2);
+                        return callback();
+                    });
+                });
+            });
+        });
+    });
+
+    it('verify derived contexts can send additional headers or target another tenant', function(callback) {
+        var restCtx = new RestContext(server.host, {'additionalHeaders': {'x-first': 'first'}});
+        getMe(restCtx.withHeaders({'x-second': 'second'}), function() {
+            assert.strictEqual(received[0]['x-first'], 'first');
+            assert.strictEqual(received[0]['x-second'], 'second');
+            assert.deepEqual(restCtx.additionalHeaders, {'x-first': 'first'});
+
+            getMe(restCtx.forTenant('cam.oae.com'), function() {
+                assert.strictEqual(received[1].host, 'cam.oae.com');
+                assert.strictEqual(received[1].referer, 'http://cam.oae.com/');
+                assert.ok(!restCtx.hostHeader);
+                return callback();
+            });
+        });
+    });
+
+    it('verify contexts derived with other request options share their session', function(callback) {
+        var restCtx = new RestContext(server.host, {'username': 'janedoe', 'userPassword': 'password'});
+        var derivedCtx = RestUtil.withRequestOptions(restCtx, {'timeout': 5000});
+        assert.strictEqual(derivedCtx.timeout, 5000);
+        assert.strictEqual(restCtx.timeout, 60000);
+
+        getMe(derivedCtx, function(me) {
+            assert.strictEqual(me.id, 'janedoe');
+            assert.ok(restCtx.cookieJar);
+            getMe(restCtx, function(me) {
+                assert.strictEqual(me.id, 'janedoe');
+                assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 1);
+                return callback();
+            });
+        });
+    });
+
+    it('verify the Shibboleth attributes are only sent with the callback request', function(callback) {
+        var restCtx = new RestContext(server.host, {'additionalHeaders': {'x-first': 'first'}});
+        Authentication.shibbolethSPCallback(restCtx, {'eppn': 'janedoe@example.com'}, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(received[0].eppn, 'janedoe@example.com');
+            assert.strictEqual(received[0]['x-first'], 'first');
+            assert.deepEqual(restCtx.additionalHeaders, {'x-first': 'first'});
+
+            getMe(restCtx, function() {
+                assert.ok(!received[1].eppn);
+                return callback();
+            });
+        });
+    });
+});
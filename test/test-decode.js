@@ -0,0 +1,116 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var assert = require('assert');
+
+var RestAPI = require('../lib/api');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Response decoding', function() {
+
+    var server = null;
+    var restCtx = null;
+
+    // A PNG signature, which isn't valid UTF-8
+    var PICTURE = RestUtil.toBuffer('89504e470d0a1a0a0000000d49484452', 'hex');
+
+    /*!
+     * Create a handler that sends a raw body with a content type
+     */
+    var send = function(contentType, body) {
+        return function(req, res) {
+            res.writeHead(200, contentType ? {'content-type': contentType} : {});
+            res.end(body);
+        };
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/user/u%3Acam%3Aabc': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {'id': 'u:cam:abc', 'picture': {'medium': '/api/download/picture'}});
+            },
+            'GET /api/download/picture': send('image/png', PICTURE),
+            'GET /api/json': send('application/json; charset=utf-8', '{"displayName":"Jane"}'),
+            'GET /api/vnd': send('application/vnd.oae+json', '{"displayName":"Jane"}'),
+            'GET /api/invalid': send('application/json', '<html>Bad gateway</html>'),
+            'GET /api/text': send('text/plain', '{"displayName":"Jane"}'),
+            'GET /api/latin1': send('text/plain; charset=ISO-8859-1', RestUtil.toBuffer('René', 'binary')),
+            'GET /api/untyped': send(null, '{"displayName":"Jane"}'),
+            'GET /api/untyped/text': send(null, 'OK')
+        }, function(_server) {
+            server = _server;
+            restCtx = new RestContext(server.host);
+            return callback();
+        });
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Get a resource from the test server and verify its decoded body
+     *
+     * @param  {String}     path        The path of the resource
+     * @param  {Object}     expected    The body the resource should be decoded into
+     * @param  {Function}   callback    Invoked when the body has been verified
+     */
+    var assertBody = function(path, expected, callback) {
+        RestUtil.RestRequest(restCtx, path, 'GET', null, function(err, body) {
+            assert.ok(!err);
+            assert.deepEqual(body, expected);
+            assert.strictEqual(typeof body, typeof expected);
+            return callback();
+        });
+    };
+
+    it('verify binary responses are returned as a buffer', function(callback) {
+        RestAPI.User.downloadPicture(restCtx, 'u:cam:abc', 'medium', function(err, body) {
+            assert.ok(!err);
+            assert.ok(Buffer.isBuffer(body));
+            assert.strictEqual(body.toString('hex'), PICTURE.toString('hex'));
+            return callback();
+        });
+    });
+
+    it('verify JSON responses are parsed', function(callback) {
+        assertBody('/api/json', {'displayName': 'Jane'}, function() {
+            assertBody('/api/vnd', {'displayName': 'Jane'}, callback);
+        });
+    });
+
+    it('verify text responses are returned as a string in their character set', function(callback) {
+        assertBody('/api/text', '{"displayName":"Jane"}', function() {
+            assertBody('/api/latin1', 'René', callback);
+        });
+    });
+
+    it('verify responses without a content type are parsed when they hold JSON', function(callback) {
+        assertBody('/api/untyped', {'displayName': 'Jane'}, function() {
+            assertBody('/api/untyped/text', 'OK', callback);
+        });
+    });
+
+    it('verify JSON responses that cannot be parsed return an error', function(callback) {
+        RestUtil.RestRequest(restCtx, '/api/invalid', 'GET', null, function(err) {
+            assert.strictEqual(err.code, 500);
+            assert.ok(/could not be decoded/.test(err.msg));
+            assert.strictEqual(err.body, '<html>Bad gateway</html>');
+            return callback();
+        });
+    });
+});
@@ -0,0 +1,156 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var fs = require('fs');
+
+var Config = require('../lib/api.config');
+var DryRun = require('../lib/dryrun');
+var Group = require('../lib/api.group');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Dry runs', function() {
+
+    var server = null;
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'POST /api/auth/login': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {'id': 'u:cam:abc'}, {'set-cookie': 'connect.sid=abc; Path=/'});
+            },
+            'GET /api/group/g%3Acam%3Aabc': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {'id': 'g:cam:abc', 'cookie': req.headers.cookie});
+            },
+            'DELETE /api/group/g%3Acam%3Aabc': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {});
+            },
+            'POST /api/config/cam/clear': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    it('verify requests that would modify something are logged rather than sent', function(callback) {
+        var logged = [];
+        var dryRun = DryRun.createDryRun({
+            'log': function(line) {
+                logged.push(line);
+            }
+        });
+        var restCtx = new RestContext(server.host, {'dryRun': dryRun});
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+
+        Group.getGroup(restCtx, 'g:cam:abc', function(err, group) {
+            assert.ok(!err);
+            assert.strictEqual(group.id, 'g:cam:abc');
+
+            Group.deleteGroup(restCtx, 'g:cam:abc', function(err, body, response) {
+                assert.ok(!err);
+                assert.deepEqual(body, {});
+                assert.strictEqual(response.statusCode, 200);
+                assert.strictEqual(response.headers['x-dry-run'], 'true');
+                assert.deepEqual(server.requests, ['GET /api/group/g%3Acam%3Aabc']);
+
+                assert.strictEqual(dryRun.mutations.length, 1);
+                assert.strictEqual(dryRun.mutations[0].method, 'DELETE');
+                assert.strictEqual(dryRun.mutations[0].url, server.host + '/api/group/g%3Acam%3Aabc');
+                assert.strictEqual(logged.length, 1);
+                assert.strictEqual(logged[0], '[dry run] DELETE ' + server.host + '/api/group/g%3Acam%3Aabc {}');
+                return callback();
+            });
+        });
+    });
+
+    it('verify the logged data is sanitized', function(callback) {
+        var dryRun = DryRun.createDryRun({'log': null});
+        var restCtx = new RestContext(server.host, {'dryRun': dryRun});
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+
+        var data = {
+            'displayName': 'Group',
+            'password': 'secret',
+            'description': null,
+            'members': ['u:cam:abc', null],
+            'file': function() {
+                return fs.createReadStream(__filename);
+            }
+        };
+        RestUtil.RestRequest(restCtx, '/api/group/create', 'POST', data, function(err) {
+            assert.ok(!err);
+            assert.deepEqual(server.requests, []);
+            assert.deepEqual(dryRun.mutations[0].data, {
+                'displayName': 'Group',
+                'password': '[redacted]',
+                'members': ['u:cam:abc'],
+                'file': '[file]'
+            });
+            return callback();
+        });
+    });
+
+    it('verify requests that log a context in are still sent', function(callback) {
+        var restCtx = new RestContext(server.host, {'username': 'user', 'userPassword': 'password', 'dryRun': true});
+        Group.getGroup(restCtx, 'g:cam:abc', function(err, group) {
+            assert.ok(!err);
+            assert.strictEqual(group.cookie, 'connect.sid=abc');
+            assert.deepEqual(server.requests, ['POST /api/auth/login', 'GET /api/group/g%3Acam%3Aabc']);
+            assert.strictEqual(restCtx.dryRun.mutations.length, 0);
+            return callback();
+        });
+    });
+
+    it('verify the report summarizes the requests that were not sent', function(callback) {
+        var dryRun = DryRun.createDryRun({'log': null});
+        var restCtx = new RestContext(server.host, {'dryRun': dryRun});
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+
+        assert.strictEqual(dryRun.formatReport(), 'Dry run: 0 request(s) were not sent');
+        Config.clearConfig(restCtx, 'cam', ['oae-authentication/twitter/enabled'], function(err) {
+            assert.ok(!err);
+            Group.deleteGroup(restCtx, 'g:cam:abc', function(err) {
+                assert.ok(!err);
+                assert.deepEqual(server.requests, []);
+
+                var report = dryRun.getReport();
+                assert.strictEqual(report.total, 2);
+                assert.deepEqual(report.methods, {'POST': 1, 'DELETE': 1});
+                assert.deepEqual(report.mutations[0].data, {'configFields': ['oae-authentication/twitter/enabled']});
+
+                var lines = dryRun.formatReport().split('\n');
+                assert.strictEqual(lines[0], 'Dry run: 2 request(s) were not sent (1 POST, 1 DELETE)');
+                assert.strictEqual(lines[1], '  POST ' + server.host + '/api/config/cam/clear {"configFields":["oae-authentication/twitter/enabled"]}');
+                assert.strictEqual(lines[2], '  DELETE ' + server.host + '/api/group/g%3Acam%3Aabc {}');
+
+                dryRun.clear();
+                assert.strictEqual(dryRun.getReport().total, 0);
+                return callback();
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var RestAPI = require('../lib/api');
+var RestContext = require('../lib/model').RestContext;
+var RestError = require('../lib/error').RestError;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Errors', function() {
+
+    var server = null;
+    var restCtx = null;
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/content/c%3Acam%3Aabc': function(req, res) {
+                res.writeHead(404, {'content-type': 'text/plain'});
+                res.end('Could not find content item c:cam:abc');
+            },
+            'GET /api/content/c%3Acam%3Adef/download': function(req, res) {
+                res.writeHead(200, {'content-type': 'text/plain'});
+                res.end('The body of the file');
+            }
+        }, function(_server) {
+            server = _server;
+            restCtx = new RestContext(server.host);
+            return callback();
+        });
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    it('verify failed responses are returned as a RestError that describes the request', function(callback) {
+        RestAPI.Content.getContent(restCtx, 'c:cam:abc', function(err) {
+            assert.ok(err instanceof RestError);
+            assert.ok(err instanceof Error);
+            assert.strictEqual(err.code, 404);
+            assert.strictEqual(err.msg, 'Could not find content item c:cam:abc');
+            assert.strictEqual(err.method, 'GET');
+            assert.strictEqual(err.url, server.host + '/api/content/c%3Acam%3Aabc');
+            assert.strictEqual(err.path, '/api/content/c%3Acam%3Aabc');
+            assert.strictEqual(err.host, server.host.replace('http://', ''));
+            assert.strictEqual(err.headers['content-type'], 'text/plain');
+            assert.strictEqual(err.body, 'Could not find content item c:cam:abc');
+            assert.ok(err.isNotFound());
+            assert.ok(!err.isServerError());
+            assert.ok(!err.isTransportError());
+            return callback();
+        });
+    });
+
+    it('verify requests to a server that cannot be contacted return a RestError with the cause', function(callback) {
+        // Find a port nobody is listening on
+        TestUtil.createServer({}, function(closedServer) {
+            closedServer.close(function() {
+                RestAPI.Content.getContent(new RestContext(closedServer.host), 'c:cam:abc', function(err) {
+                    assert.ok(err instanceof RestError);
+                    assert.strictEqual(err.code, 500);
+                    assert.strictEqual(err.method, 'GET');
+                    assert.strictEqual(err.cause.code, 'ECONNREFUSED');
+                    assert.ok(err.isServerError());
+                    assert.ok(err.isTransportError());
+                    return callback();
+                });
+            });
+        });
+    });
+
+    it('verify downloads that cannot be written to disk return a RestError with the cause', function(callback) {
+        var filePath = path.join(os.tmpdir(), 'oae-rest-missing-' + Date.now(), 'file.txt');
+        RestAPI.Content.download(restCtx, 'c:cam:def', null, filePath, function(err) {
+            assert.ok(err instanceof RestError);
+            assert.strictEqual(err.code, 500);
+            assert.strictEqual(err.cause.code, 'ENOENT');
+            assert.strictEqual(err.url, server.host + '/api/content/c%3Acam%3Adef/download');
+            assert.ok(err.isTransportError());
+            return callback();
+        });
+    });
+
+    it('verify failed downloads return a RestError', function(callback) {
+        var filePath = path.join(os.tmpdir(), 'oae-rest-download-' + Date.now());
+        RestAPI.Content.download(restCtx, 'c:cam:abc', null, filePath, function(err) {
+            assert.ok(err instanceof RestError);
+            assert.strictEqual(err.code, 404);
+            assert.strictEqual(err.method, 'GET');
+            fs.unlink(filePath, function() {
+                return callback();
+            });
+        });
+    });
+
+    it('verify failed requests are emitted as RestError objects', function(callback) {
+        var emitted = null;
+        var onError = function(err) {
+            emitted = err;
+        };
+
+        RestUtil.on('error', onError);
+        RestAPI.Content.getContent(restCtx, 'c:cam:abc', function(err) {
+            RestUtil.removeListener('error', onError);
+            assert.ok(emitted instanceof RestError);
+            assert.strictEqual(emitted.code, 404);
+            assert.strictEqual(emitted.url, err.url);
+            return callback();
+        });
+    });
+});
@@ -0,0 +1,164 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Cache = require('../lib/cache');
+var DryRun = require('../lib/dryrun');
+var Har = require('../lib/har');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('HAR', function() {
+
+    var server = null;
+    var recorder = null;
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/me': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {'anon': true}, {'etag': '"me"'});
+            },
+            'POST /api/group/create': function(req, res) {
+                return TestUtil.sendJSON(res, 201, {'id': 'g:cam:abc'});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+        recorder = Har.createRecorder();
+        recorder.start();
+    });
+
+    afterEach(function() {
+        recorder.stop();
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Get the value of a name-value pair in a HAR list
+     *
+     * @param  {Object[]}   pairs   The name-value pairs
+     * @param  {String}     name    The name of the pair
+     * @return {String}             The value of the pair, if any
+     */
+    var getValue = function(pairs, name) {
+        var pair = _.findWhere(pairs, {'name': name});
+        return pair ? pair.value : undefined;
+    };
+
+    it('verify requests and responses are captured', function(callback) {
+        var restCtx = new RestContext(server.host);
+        RestUtil.RestRequest(restCtx, '/api/group/create', 'POST', {'displayName': 'Group', 'visibility': 'public'}, function(err) {
+            assert.ok(!err);
+
+            var har = recorder.toJSON();
+            assert.strictEqual(har.log.version, '1.2');
+            assert.strictEqual(har.log.creator.name, 'oae-rest');
+            assert.strictEqual(har.log.entries.length, 1);
+
+            var entry = har.log.entries[0];
+            assert.ok(!entry.comment);
+            assert.strictEqual(entry.request.method, 'POST');
+            assert.strictEqual(entry.request.url, server.host + '/api/group/create');
+            assert.strictEqual(entry.request.postData.mimeType.indexOf('application/x-www-form-urlencoded'), 0);
+            assert.strictEqual(getValue(entry.request.postData.params, 'displayName'), 'Group');
+            assert.strictEqual(entry.response.status, 201);
+            assert.strictEqual(entry.response.statusText, 'Created');
+            assert.strictEqual(entry.response.httpVersion, 'HTTP/1.1');
+            assert.strictEqual(entry.response.content.mimeType, 'application/json');
+            assert.deepEqual(JSON.parse(entry.response.content.text), {'id': 'g:cam:abc'});
+            assert.ok(entry.time >= 0);
+            return callback();
+        });
+    });
+
+    it('verify responses that were provided by an interceptor are captured', function(callback) {
+        var cache = Cache.createCache({'ttl': 60000});
+        var restCtx = new RestContext(server.host, {'interceptors': [cache]});
+        RestUtil.RestRequest(restCtx, '/api/me', 'GET', {'limit': 10}, function(err) {
+            assert.ok(!err);
+            RestUtil.RestRequest(restCtx, '/api/me', 'GET', {'limit': 10}, function(err, body) {
+                assert.ok(!err);
+                assert.deepEqual(body, {'anon': true});
+                assert.strictEqual(TestUtil.countRequests(server, 'GET /api/me'), 1);
+
+                var entries = recorder.toJSON().log.entries;
+                assert.strictEqual(entries.length, 2);
+                assert.ok(!entries[0].comment);
+                assert.ok(entries[1].comment);
+                assert.strictEqual(entries[1].request.url, server.host + '/api/me?limit=10');
+                assert.strictEqual(getValue(entries[1].request.queryString, 'limit'), '10');
+                assert.strictEqual(entries[1].response.status, 200);
+                assert.strictEqual(entries[1].response.httpVersion, 'HTTP/1.1');
+                assert.deepEqual(JSON.parse(entries[1].response.content.text), {'anon': true});
+                return callback();
+            });
+        });
+    });
+
+    it('verify requests that were not sent during a dry run are captured', function(callback) {
+        var restCtx = new RestContext(server.host, {'dryRun': DryRun.createDryRun({'log': null})});
+        RestUtil.RestRequest(restCtx, '/api/group/create', 'POST', {'displayName': 'Group', 'description': null}, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(TestUtil.countRequests(server, 'POST /api/group/create'), 0);
+
+            var entries = recorder.toJSON().log.entries;
+            assert.strictEqual(entries.length, 1);
+            assert.ok(entries[0].comment);
+            assert.strictEqual(entries[0].request.postData.text, 'displayName=Group');
+            assert.strictEqual(getValue(entries[0].response.headers, 'x-dry-run'), 'true');
+            return callback();
+        });
+    });
+
+    it('verify traffic is only captured while the recorder is started and can be saved', function(callback) {
+        var restCtx = new RestContext(server.host);
+        recorder.stop();
+        RestUtil.RestRequest(restCtx, '/api/me', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(recorder.toJSON().log.entries.length, 0);
+
+            recorder.start();
+            RestUtil.RestRequest(restCtx, '/api/me', 'GET', null, function(err) {
+                assert.ok(!err);
+
+                var harPath = path.join(os.tmpdir(), 'oae-rest-' + Date.now() + '.har');
+                recorder.save(harPath, function(err) {
+                    assert.ok(!err);
+                    var har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+                    fs.unlinkSync(harPath);
+                    assert.strictEqual(har.log.entries.length, 1);
+
+                    recorder.clear();
+                    assert.strictEqual(recorder.toJSON().log.entries.length, 0);
+                    return callback();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,210 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var url = require('url');
+
+var RestContext = require('../lib/model').RestContext;
+var RestError = require('../lib/error').RestError;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Interceptors', function() {
+
+    var server = null;
+    var received = null;
+
+    // The global interceptors that were added by a test
+    var globalInterceptors = [];
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/echo': function(req, res) {
+                received = {'headers': req.headers, 'query': url.parse(req.url, true).query};
+                return TestUtil.sendJSON(res, 200, {'ok': true});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+        received = null;
+    });
+
+    afterEach(function() {
+        _.each(globalInterceptors, RestUtil.removeInterceptor);
+        globalInterceptors = [];
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Add a global interceptor that is removed again when the test completes
+     *
+     * @param  {Object}     interceptor     The interceptor to add
+     */
+    var addInterceptor = function(interceptor) {
+        globalInterceptors.push(interceptor);
+        RestUtil.addInterceptor(interceptor);
+    };
+
+    /**
+     * Create an interceptor that records when its functions are invoked
+     *
+     * @param  {String}     name        The name under which the interceptor records its invocations
+     * @param  {String[]}   calls       The list to record the invocations in
+     * @return {Object}                 The interceptor
+     */
+    var createRecordingInterceptor = function(name, calls) {
+        return {
+            'request': function(req, callback) {
+                calls.push(name + ':request');
+                return callback();
+            },
+            'response': function(res, callback) {
+                calls.push(name + ':response');
+                return callback();
+            }
+        };
+    };
+
+    it('verify request interceptors can modify the request before it is sent', function(callback) {
+        var restCtx = new RestContext(server.host, {
+            'interceptors': [{
+                'request': function(req, callback) {
+                    assert.strictEqual(req.restCtx, restCtx);
+                    assert.strictEqual(req.opts.method, 'GET');
+                    req.opts.headers['x-tenant'] = 'cam';
+                    req.data.limit = 10;
+                    return callback();
+                }
+            }]
+        });
+
+        RestUtil.RestRequest(restCtx, '/api/echo', 'GET', {'start': 'abc'}, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(received.headers['x-tenant'], 'cam');
+            assert.deepEqual(received.query, {'start': 'abc', 'limit': '10'});
+            return callback();
+        });
+    });
+
+    it('verify global request interceptors run first and response interceptors run in reverse order', function(callback) {
+        var calls = [];
+        addInterceptor(createRecordingInterceptor('global', calls));
+        var restCtx = new RestContext(server.host, {
+            'interceptors': [createRecordingInterceptor('first', calls), createRecordingInterceptor('second', calls)]
+        });
+
+        RestUtil.RestRequest(restCtx, '/api/echo', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.deepEqual(calls, [
+                'global:request',
+                'first:request',
+                'second:request',
+                'second:response',
+                'first:response',
+                'global:response'
+            ]);
+            return callback();
+        });
+    });
+
+    it('verify request interceptors can reject a request without sending it', function(callback) {
+        var restCtx = new RestContext(server.host, {
+            'interceptors': [{
+                'request': function(req, callback) {
+                    return callback(new RestError(400, 'Rejected'));
+                }
+            }]
+        });
+
+        RestUtil.RestRequest(restCtx, '/api/echo', 'GET', null, function(err) {
+            assert.strictEqual(err.code, 400);
+            assert.strictEqual(err.msg, 'Rejected');
+            assert.deepEqual(server.requests, []);
+            return callback();
+        });
+    });
+
+    it('verify request interceptors can respond to a request without sending it', function(callback) {
+        var restCtx = new RestContext(server.host, {
+            'interceptors': [{
+                'request': function(req, callback) {
+                    req.response = {'statusCode': 200, 'headers': {'content-type': 'application/json'}, 'body': '{"cached":true}'};
+                    return callback();
+                }
+            }]
+        });
+
+        RestUtil.RestRequest(restCtx, '/api/echo', 'GET', null, function(err, body, response) {
+            assert.ok(!err);
+            assert.deepEqual(body, {'cached': true});
+            assert.strictEqual(response.statusCode, 200);
+            assert.strictEqual(response.intercepted, true);
+            assert.deepEqual(server.requests, []);
+            return callback();
+        });
+    });
+
+    it('verify response interceptors can modify the outcome of a request', function(callback) {
+        var restCtx = new RestContext(server.host, {
+            'interceptors': [{
+                'response': function(res, callback) {
+                    assert.strictEqual(res.restCtx, restCtx);
+                    assert.strictEqual(res.response.statusCode, 200);
+                    res.body = _.extend({'normalised': true}, res.body);
+                    return callback();
+                }
+            }]
+        });
+
+        RestUtil.RestRequest(restCtx, '/api/echo', 'GET', null, function(err, body) {
+            assert.ok(!err);
+            assert.deepEqual(body, {'ok': true, 'normalised': true});
+
+            // Setting an error turns the response into a failure
+            restCtx.interceptors = [{
+                'response': function(res, callback) {
+                    res.err = new RestError(409, 'Conflict');
+                    return callback();
+                }
+            }];
+            RestUtil.RestRequest(restCtx, '/api/echo', 'GET', null, function(err) {
+                assert.strictEqual(err.code, 409);
+                return callback();
+            });
+        });
+    });
+
+    it('verify removed interceptors no longer apply', function(callback) {
+        var calls = [];
+        var interceptor = createRecordingInterceptor('global', calls);
+        RestUtil.addInterceptor(interceptor);
+        RestUtil.removeInterceptor(interceptor);
+
+        RestUtil.RestRequest(new RestContext(server.host), '/api/echo', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.deepEqual(calls, []);
+            return callback();
+        });
+    });
+});
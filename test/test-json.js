@@ -0,0 +1,144 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var fs = require('fs');
+
+var Config = require('../lib/api.config');
+var Content = require('../lib/api.content');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('JSON bodies', function() {
+
+    var server = null;
+
+    /*!
+     * Respond with what the server received, so the tests can verify how the data was encoded
+     */
+    var echo = function(req, res) {
+        return TestUtil.sendJSON(res, 200, {
+            'url': req.url,
+            'contentType': req.headers['content-type'],
+            'body': req.body
+        });
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'POST /api/config/cam': echo,
+            'POST /api/content/c%3Acam%3Aabc/members': echo,
+            'POST /api/content/create': echo,
+            'GET /api/search/general': echo
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Create a rest context for the test server that doesn't need to log in
+     *
+     * @param  {Object}         [opts]      The options of the rest context
+     * @return {RestContext}                The rest context
+     */
+    var createRestContext = function(opts) {
+        var restCtx = new RestContext(server.host, opts);
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+        return restCtx;
+    };
+
+    it('verify contexts can send their data as JSON', function(callback) {
+        var restCtx = createRestContext({'bodyEncoding': 'json'});
+        var update = {
+            'oae-authentication/twitter/enabled': false,
+            'oae-principals/recaptcha': {'enabled': true, 'publicKey': null},
+            'oae-content/tags': ['a', null, 'b'],
+            'oae-content/unset': undefined
+        };
+        Config.updateConfig(restCtx, 'cam', update, function(err, body) {
+            assert.ok(!err);
+            assert.strictEqual(body.contentType, 'application/json');
+            assert.deepEqual(JSON.parse(body.body), {
+                'oae-authentication/twitter/enabled': false,
+                'oae-principals/recaptcha': {'enabled': true, 'publicKey': null},
+                'oae-content/tags': ['a', 'b']
+            });
+            return callback();
+        });
+    });
+
+    it('verify individual requests can send their data as JSON', function(callback) {
+        var restCtx = createRestContext();
+        var jsonRestCtx = RestUtil.withRequestOptions(restCtx, {'bodyEncoding': 'json'});
+        Content.updateMembers(jsonRestCtx, 'c:cam:abc', {'u:cam:abc': 'manager', 'u:cam:def': false}, function(err, body) {
+            assert.ok(!err);
+            assert.strictEqual(body.contentType, 'application/json');
+            assert.deepEqual(JSON.parse(body.body), {'u:cam:abc': 'manager', 'u:cam:def': false});
+
+            // The original context still sends its data as a form
+            Content.updateMembers(restCtx, 'c:cam:abc', {'u:cam:abc': 'manager', 'u:cam:def': false}, function(err, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.contentType.indexOf('application/x-www-form-urlencoded'), 0);
+                assert.strictEqual(body.body, 'u%3Acam%3Aabc=manager&u%3Acam%3Adef=false');
+                return callback();
+            });
+        });
+    });
+
+    it('verify the exchange holds the JSON body that was sent', function(callback) {
+        var exchanges = [];
+        var onExchange = function(exchange) {
+            exchanges.push(exchange);
+        };
+
+        RestUtil.on('exchange', onExchange);
+        var restCtx = createRestContext({'bodyEncoding': 'json'});
+        Config.updateConfig(restCtx, 'cam', {'oae-principals/user/displayName': 'User', 'enabled': true}, function(err) {
+            RestUtil.removeListener('exchange', onExchange);
+            assert.ok(!err);
+            assert.strictEqual(exchanges.length, 1);
+            assert.strictEqual(exchanges[0].request.headers['content-type'], 'application/json');
+            assert.deepEqual(JSON.parse(exchanges[0].request.body), {'oae-principals/user/displayName': 'User', 'enabled': true});
+            return callback();
+        });
+    });
+
+    it('verify GET requests and file uploads are not sent as JSON', function(callback) {
+        var restCtx = createRestContext({'bodyEncoding': 'json'});
+        RestUtil.RestRequest(restCtx, '/api/search/general', 'GET', {'q': 'oae', 'limit': 10}, function(err, body) {
+            assert.ok(!err);
+            assert.strictEqual(body.url, '/api/search/general?q=oae&limit=10');
+            assert.strictEqual(body.body, '');
+
+            var fileGenerator = function() {
+                return fs.createReadStream(__filename);
+            };
+            Content.createFile(restCtx, 'File', null, 'public', fileGenerator, ['u:cam:abc'], null, null, function(err, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.contentType.indexOf('multipart/form-data'), 0);
+                assert.notStrictEqual(body.body.indexOf('name="managers"'), -1);
+                assert.notStrictEqual(body.body.indexOf('Apereo Foundation'), -1);
+                return callback();
+            });
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var Model = require('../lib/model');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Models', function() {
+
+    var server = null;
+    var restCtx = null;
+
+    /*!
+     * The content item the server returns
+     */
+    var content = {
+        'id': 'c:cam:abc',
+        'resourceType': 'content',
+        'displayName': 'Content',
+        'visibility': 'public',
+        'profilePath': '/content/cam/abc',
+        'previews': {'thumbnailUrl': '/api/download/thumbnail', 'wideUrl': 'http://cdn.example.com/wide'},
+        'isManager': true
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/content/c%3Acam%3Aabc': function(req, res) {
+                return TestUtil.sendJSON(res, 200, content);
+            },
+            'POST /api/content/c%3Acam%3Aabc': function(req, res) {
+                return TestUtil.sendJSON(res, 200, _.extend({}, content, req.form));
+            },
+            'GET /api/content/c%3Acam%3Aabc/members': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {
+                    'results': [{'profile': {'id': 'u:cam:abc', 'resourceType': 'user', 'displayName': 'User'}, 'role': 'manager'}],
+                    'nextToken': null
+                });
+            },
+            'POST /api/group/g%3Acam%3Aabc/join': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {});
+            }
+        }, function(_server) {
+            server = _server;
+            restCtx = new RestContext(server.host);
+            restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+            return callback();
+        });
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    it('verify objects are hydrated into the model of their resource type', function() {
+        var models = Model.hydrate(restCtx, [
+            content,
+            {'id': 'g:cam:abc', 'resourceType': 'group', 'isMember': true, 'canJoin': 'yes'},
+            {'id': 'u:cam:abc', 'resourceType': 'user'},
+            {'id': 'x:cam:abc', 'resourceType': 'unknown'},
+            null
+        ]);
+
+        assert.strictEqual(models[0].displayName, 'Content');
+        assert.ok(models[0].isManager);
+        assert.ok(!models[0].canShare);
+        assert.ok(_.isFunction(models[0].share));
+
+        assert.ok(models[1].isMember);
+        assert.ok(!models[1].canJoin);
+        assert.ok(_.isFunction(models[1].join));
+        assert.ok(_.isFunction(models[2].follow));
+        assert.deepEqual(models[3], {'id': 'x:cam:abc', 'resourceType': 'unknown'});
+        assert.strictEqual(models[4], null);
+
+        // The data the model was hydrated from is not modified
+        assert.ok(!content.share);
+    });
+
+    it('verify the accessors of a model', function() {
+        var model = Model.hydrate(restCtx, content);
+        assert.strictEqual(model.getResourceId(), 'abc');
+        assert.strictEqual(model.getTenantAlias(), 'cam');
+        assert.strictEqual(model.getVisibility(), 'public');
+        assert.strictEqual(model.getProfileUrl(), server.host + '/content/cam/abc');
+        assert.strictEqual(model.getPictureUrl('thumbnail'), server.host + '/api/download/thumbnail');
+        assert.strictEqual(model.getPictureUrl('wide'), 'http://cdn.example.com/wide');
+        assert.strictEqual(model.getPictureUrl(), null);
+
+        var user = Model.hydrate(restCtx, {'id': 'u:cam:a:b', 'resourceType': 'user', 'tenant': {'alias': 'oae'}, 'picture': {'medium': '/api/download/medium'}});
+        assert.strictEqual(user.getResourceId(), 'a:b');
+        assert.strictEqual(user.getTenantAlias(), 'oae');
+        assert.strictEqual(user.getVisibility(), null);
+        assert.strictEqual(user.getProfileUrl(), null);
+        assert.strictEqual(user.getPictureUrl(), server.host + '/api/download/medium');
+
+        assert.deepEqual(Model.parseResourceId('c:cam:abc'), {'resourceType': 'c', 'tenantAlias': 'cam', 'resourceId': 'abc'});
+        assert.strictEqual(Model.parseResourceId('abc'), null);
+        assert.strictEqual(Model.parseResourceId(null), null);
+    });
+
+    it('verify the convenience methods of a model call the REST API', function(callback) {
+        var model = Model.hydrate(restCtx, {'id': 'c:cam:abc', 'resourceType': 'content'});
+        model.refresh(function(err, refreshed) {
+            assert.ok(!err);
+            assert.strictEqual(refreshed.displayName, 'Content');
+            assert.ok(_.isFunction(refreshed.getPictureUrl));
+
+            model.getMembers(null, 10, function(err, members) {
+                assert.ok(!err);
+                assert.strictEqual(members.results[0].role, 'manager');
+                assert.strictEqual(members.results[0].profile.getResourceId(), 'abc');
+                assert.ok(_.isFunction(members.results[0].profile.follow));
+
+                model.update({'displayName': 'Updated'}).then(function(updated) {
+                    assert.strictEqual(updated.displayName, 'Updated');
+                    assert.ok(_.isFunction(updated.refresh));
+                    return Model.hydrate(restCtx, {'id': 'g:cam:abc', 'resourceType': 'group'}).join();
+                }).then(function() {
+                    assert.strictEqual(TestUtil.countRequests(server, 'POST /api/group/g%3Acam%3Aabc/join'), 1);
+                    return callback();
+                }).catch(callback);
+            });
+        });
+    });
+
+    it('verify activity streams and search results', function() {
+        var stream = Model.ActivityStream(restCtx, {
+            'items': [{'oae:activityType': 'content-create'}, {'oae:activityType': 'content-share'}],
+            'nextToken': '123'
+        });
+        assert.strictEqual(stream.getActivities().length, 2);
+        assert.deepEqual(stream.getActivities('content-share'), [{'oae:activityType': 'content-share'}]);
+        assert.ok(stream.hasMore());
+        assert.ok(!Model.ActivityStream(restCtx, {'items': [], 'nextToken': null}).hasMore());
+
+        var searchResult = Model.SearchResult(restCtx, {'results': [content, {'id': 'u:cam:abc', 'resourceType': 'user'}]});
+        assert.strictEqual(searchResult.total, 0);
+        assert.strictEqual(searchResult.getResults().length, 2);
+        assert.strictEqual(searchResult.getResults('user').length, 1);
+        assert.ok(_.isFunction(searchResult.getResults('content')[0].share));
+    });
+});
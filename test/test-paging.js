@@ -0,0 +1,154 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var url = require('url');
+
+var Paging = require('../lib/paging');
+var RestAPI = require('../lib/api');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Paging', function() {
+
+    var server = null;
+    var restCtx = null;
+
+    /**
+     * Create a request handler that pages through a listing of items. The id of the last item of a page is used as the
+     * token of the next page
+     *
+     * @param  {String}     property    The property of the response the items should be returned in
+     * @param  {Number}     total       The number of items in the listing
+     * @return {Function}               The request handler
+     */
+    var createListing = function(property, total) {
+        var ids = _.map(_.range(total), function(i) {
+            return 'item' + i;
+        });
+
+        return function(req, res) {
+            var query = url.parse(req.url, true).query;
+            var limit = parseInt(query.limit, 10) || 10;
+            var start = query.start ? _.indexOf(ids, query.start) + 1 : 0;
+            var page = ids.slice(start, start + limit);
+
+            var body = {'nextToken': (start + limit < total) ? _.last(page) : null};
+            body[property] = _.map(page, function(id) {
+                return {'id': id};
+            });
+            return TestUtil.sendJSON(res, 200, body);
+        };
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/activity': createListing('items', 7),
+            'GET /api/content/library/u%3Acam%3Aabc': createListing('results', 5),
+            'GET /api/following/u%3Acam%3Aabc/followers': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {'results': [{'id': 'u:cam:def'}], 'nextToken': 'same'});
+            },
+            'GET /api/group/g%3Acam%3Aabc/members': function(req, res) {
+                return TestUtil.sendJSON(res, 401, {'msg': 'Unauthorized'});
+            }
+        }, function(_server) {
+            server = _server;
+            restCtx = new RestContext(server.host);
+            restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Get the ids of a set of items
+     *
+     * @param  {Object[]}   items   The items to get the ids of
+     * @return {String[]}           The ids of the items
+     */
+    var getIds = function(items) {
+        return _.pluck(items, 'id');
+    };
+
+    it('verify the activity stream of the current user can be iterated over', function(callback) {
+        var iterator = RestAPI.iterators.Activity.getCurrentUserActivityStream(restCtx, {'limit': 3});
+        Paging.collectAll(iterator, function(err, activities) {
+            assert.ok(!err);
+            assert.deepEqual(getIds(activities), ['item0', 'item1', 'item2', 'item3', 'item4', 'item5', 'item6']);
+            assert.strictEqual(TestUtil.countRequests(server, 'GET /api/activity'), 3);
+            return callback();
+        });
+    });
+
+    it('verify pages are only fetched as the items are consumed', function(callback) {
+        var iterator = RestAPI.iterators.Content.getLibrary(restCtx, 'u:cam:abc', {'limit': 2, 'start': 'item0'});
+        iterator.next().then(function(result) {
+            assert.deepEqual(result, {'value': {'id': 'item1'}, 'done': false});
+            return iterator.next();
+        }).then(function(result) {
+            assert.strictEqual(result.value.id, 'item2');
+            assert.strictEqual(server.requests.length, 1);
+            return iterator['return']();
+        }).then(function(result) {
+            assert.ok(result.done);
+            return iterator.next();
+        }).then(function(result) {
+            assert.ok(result.done);
+            assert.strictEqual(server.requests.length, 1);
+            return callback();
+        }).catch(callback);
+    });
+
+    it('verify iterating stops when the server keeps handing out the same page or the maximum is reached', function(callback) {
+        Paging.collectAll(RestAPI.iterators.Following.getFollowers(restCtx, 'u:cam:abc'), function(err, followers) {
+            assert.ok(!err);
+            assert.deepEqual(getIds(followers), ['u:cam:def', 'u:cam:def']);
+            assert.strictEqual(TestUtil.countRequests(server, 'GET /api/following/u%3Acam%3Aabc/followers'), 2);
+
+            Paging.collectAll(RestAPI.iterators.Content.getLibrary(restCtx, 'u:cam:abc', {'maxItems': 3})).then(function(items) {
+                assert.deepEqual(getIds(items), ['item0', 'item1', 'item2']);
+
+                return Paging.collectAll(RestAPI.iterators.Content.getLibrary(restCtx, 'u:cam:abc'), {'maxItems': 3});
+            }).then(function() {
+                return callback(new Error('Expected the listing to hold too many items'));
+            }, function(err) {
+                assert.strictEqual(err.message, 'The listing holds more than the maximum of 3 items');
+                return callback();
+            });
+        });
+    });
+
+    it('verify errors that occur while fetching a page end the iteration', function(callback) {
+        var iterator = RestAPI.iterators.Group.getGroupMembers(restCtx, 'g:cam:abc');
+        Paging.collectAll(iterator, function(err, members) {
+            assert.strictEqual(err.code, 401);
+            assert.ok(!members);
+
+            iterator.next().then(function(result) {
+                assert.ok(result.done);
+                return callback();
+            });
+        });
+    });
+});
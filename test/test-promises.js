@@ -0,0 +1,81 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var assert = require('assert');
+var url = require('url');
+
+var RestAPI = require('../lib/api');
+var RestContext = require('../lib/model').RestContext;
+var TestUtil = require('./util');
+
+describe('Promises', function() {
+
+    var server = null;
+    var restCtx = null;
+    var query = null;
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/content/c%3Acam%3Aabc': function(req, res) {
+                return TestUtil.sendJSON(res, 200, {'id': 'c:cam:abc'});
+            },
+            'GET /api/content/c%3Acam%3Aabc/members': function(req, res) {
+                query = url.parse(req.url, true).query;
+                return TestUtil.sendJSON(res, 200, {'results': [], 'nextToken': null});
+            }
+        }, function(_server) {
+            server = _server;
+            restCtx = new RestContext(server.host);
+            return callback();
+        });
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    it('verify promises resolve with the response body', function(callback) {
+        RestAPI.promises.Content.getContent(restCtx, 'c:cam:abc').then(function(content) {
+            assert.deepEqual(content, {'id': 'c:cam:abc'});
+            return callback();
+        }).catch(callback);
+    });
+
+    it('verify promises resolve with the body and the response when the response is requested', function(callback) {
+        RestAPI.promises.withResponse.Content.getContent(restCtx, 'c:cam:abc').then(function(result) {
+            assert.deepEqual(result.body, {'id': 'c:cam:abc'});
+            assert.strictEqual(result.response.statusCode, 200);
+            return callback();
+        }).catch(callback);
+    });
+
+    it('verify promises are rejected with the error of the request', function(callback) {
+        RestAPI.promises.Content.getContent(restCtx, 'c:cam:def').then(function() {
+            return callback(new Error('Expected the promise to be rejected'));
+        }, function(err) {
+            assert.ok(err instanceof RestAPI.RestError);
+            assert.strictEqual(err.code, 404);
+            return callback();
+        });
+    });
+
+    it('verify trailing optional arguments can be omitted', function(callback) {
+        RestAPI.promises.Content.getMembers(restCtx, 'c:cam:abc').then(function(members) {
+            assert.deepEqual(members.results, []);
+            assert.deepEqual(query, {});
+            return callback();
+        }).catch(callback);
+    });
+});
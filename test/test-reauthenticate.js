@@ -0,0 +1,191 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Re-authentication', function() {
+
+    var server = null;
+
+    // The sessions the server knows about, keyed by their id
+    var sessions = {};
+    var reauthentications = [];
+
+    /*!
+     * Keep track of the re-authentications that are announced through the `reauthenticate` event
+     */
+    var onReauthenticate = function(restCtx, url, method) {
+        reauthentications.push({'username': restCtx.username, 'url': url, 'method': method});
+    };
+
+    /*!
+     * Get the user of the session the request was made with, if any
+     */
+    var getUser = function(req) {
+        var match = (req.headers.cookie || '').match(/sid=(\w+)/);
+        return match ? sessions[match[1]] : null;
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'POST /api/auth/login': function(req, res) {
+                if (req.form.password !== 'password') {
+                    return TestUtil.sendJSON(res, 401, {'msg': 'Invalid credentials'});
+                }
+
+                var sessionId = _.uniqueId('session');
+                sessions[sessionId] = req.form.username;
+                return TestUtil.sendJSON(res, 200, {'id': req.form.username}, {'set-cookie': 'sid=' + sessionId + '; Path=/'});
+            },
+            'GET /api/me': function(req, res) {
+                var user = getUser(req);
+                return TestUtil.sendJSON(res, 200, user ? {'id': user} : {'anon': true});
+            },
+            'GET /api/private': function(req, res) {
+                var user = getUser(req);
+                return user ? TestUtil.sendJSON(res, 200, {'user': user}) : TestUtil.sendJSON(res, 401, {'msg': 'Not logged in'});
+            },
+            'GET /api/forbidden': function(req, res) {
+                return TestUtil.sendJSON(res, 401, {'msg': 'Not allowed'});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+        sessions = {};
+        reauthentications = [];
+        RestUtil.on('reauthenticate', onReauthenticate);
+    });
+
+    afterEach(function() {
+        RestUtil.removeListener('reauthenticate', onReauthenticate);
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Create a rest context for a user of the test server that has been logged in
+     *
+     * @param  {Object}         [opts]              Additional options for the rest context
+     * @param  {Function}       callback            Standard callback function
+     * @param  {RestContext}    callback.restCtx    The logged in rest context
+     */
+    var createLoggedInContext = function(opts, callback) {
+        var restCtx = new RestContext(server.host, _.extend({'username': 'janedoe', 'userPassword': 'password'}, opts));
+        RestUtil.RestRequest(restCtx, '/api/private', 'GET', null, function(err, body) {
+            assert.ok(!err);
+            assert.strictEqual(body.user, 'janedoe');
+            return callback(restCtx);
+        });
+    };
+
+    it('verify a context is logged in again and the request is replayed when its session expires', function(callback) {
+        createLoggedInContext(null, function(restCtx) {
+            // Expire all sessions
+            sessions = {};
+
+            RestUtil.RestRequest(restCtx, '/api/private', 'GET', null, function(err, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.user, 'janedoe');
+                assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 2);
+                assert.strictEqual(TestUtil.countRequests(server, 'GET /api/private'), 3);
+                assert.deepEqual(reauthentications, [{'username': 'janedoe', 'url': '/api/private', 'method': 'GET'}]);
+                return callback();
+            });
+        });
+    });
+
+    it('verify concurrent requests share a single re-authentication', function(callback) {
+        createLoggedInContext(null, function(restCtx) {
+            sessions = {};
+
+            var done = _.after(3, function() {
+                assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 2);
+                assert.strictEqual(reauthentications.length, 3);
+                return callback();
+            });
+            _.times(3, function() {
+                RestUtil.RestRequest(restCtx, '/api/private', 'GET', null, function(err, body) {
+                    assert.ok(!err);
+                    assert.strictEqual(body.user, 'janedoe');
+                    return done();
+                });
+            });
+        });
+    });
+
+    it('verify a context is not logged in again when the user is not allowed to access a resource', function(callback) {
+        createLoggedInContext(null, function(restCtx) {
+            RestUtil.RestRequest(restCtx, '/api/forbidden', 'GET', null, function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.code, 401);
+                assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 1);
+                assert.strictEqual(reauthentications.length, 0);
+                return callback();
+            });
+        });
+    });
+
+    it('verify a context is not logged in again when re-authentication has been disabled', function(callback) {
+        createLoggedInContext({'autoReauthenticate': false}, function(restCtx) {
+            sessions = {};
+
+            RestUtil.RestRequest(restCtx, '/api/private', 'GET', null, function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.code, 401);
+                assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 1);
+                assert.strictEqual(reauthentications.length, 0);
+                return callback();
+            });
+        });
+    });
+
+    it('verify the error of a failed re-authentication is returned', function(callback) {
+        createLoggedInContext(null, function(restCtx) {
+            sessions = {};
+            restCtx.userPassword = 'wrong';
+
+            RestUtil.RestRequest(restCtx, '/api/private', 'GET', null, function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.code, 401);
+                assert.strictEqual(err.msg, 'Invalid credentials');
+                assert.strictEqual(TestUtil.countRequests(server, 'GET /api/private'), 2);
+                assert.strictEqual(reauthentications.length, 0);
+                return callback();
+            });
+        });
+    });
+
+    it('verify anonymous contexts are never logged in', function(callback) {
+        RestUtil.RestRequest(new RestContext(server.host), '/api/private', 'GET', null, function(err) {
+            assert.ok(err);
+            assert.strictEqual(err.code, 401);
+            assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 0);
+            assert.strictEqual(TestUtil.countRequests(server, 'GET /api/me'), 0);
+            return callback();
+        });
+    });
+});
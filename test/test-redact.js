@@ -0,0 +1,146 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Cassette = require('../lib/cassette');
+var Har = require('../lib/har');
+var OAuth = require('../lib/api.oauth');
+var Redact = require('../lib/redact');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Redaction', function() {
+
+    var server = null;
+    var restCtx = null;
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'POST /api/auth/oauth/clients/u%3Acam%3Aabc': function(req, res) {
+                return TestUtil.sendJSON(res, 201, {'id': 'client', 'displayName': req.form.displayName, 'secret': 'TOPSECRET'});
+            },
+            'GET /api/auth/signed': function(req, res) {
+                res.writeHead(200, {'content-type': 'application/x-www-form-urlencoded'});
+                res.end('userId=u%3Acam%3Aabc&expires=1000&signature=SIGNED');
+            },
+            'GET /api/auth/failed': function(req, res) {
+                return TestUtil.sendJSON(res, 400, {'msg': 'Invalid signature', 'signature': 'SIGNED'});
+            }
+        }, function(_server) {
+            server = _server;
+            restCtx = new RestContext(server.host);
+            restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+            return callback();
+        });
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    it('verify response bodies are redacted in the events', function(callback) {
+        var events = [];
+        var onResponse = function(body, response) {
+            events.push({'name': 'response', 'body': body, 'response': response});
+        };
+        var onExchange = function(exchange) {
+            events.push({'name': 'exchange', 'body': exchange.body, 'response': exchange.response});
+        };
+        var onError = function(err, body, response) {
+            events.push({'name': 'error', 'body': body, 'response': response});
+        };
+
+        RestUtil.on('response', onResponse);
+        RestUtil.on('exchange', onExchange);
+        RestUtil.on('error', onError);
+        OAuth.createClient(restCtx, 'u:cam:abc', 'Client', function(err, client) {
+            assert.ok(!err);
+
+            // The caller still gets the actual response
+            assert.strictEqual(client.secret, 'TOPSECRET');
+
+            RestUtil.RestRequest(restCtx, '/api/auth/failed', 'GET', null, function(err) {
+                RestUtil.removeListener('response', onResponse);
+                RestUtil.removeListener('exchange', onExchange);
+                RestUtil.removeListener('error', onError);
+                assert.strictEqual(err.code, 400);
+
+                var exchanges = _.where(events, {'name': 'exchange'});
+                assert.strictEqual(exchanges.length, 2);
+                assert.deepEqual(JSON.parse(exchanges[0].body), {'id': 'client', 'displayName': 'Client', 'secret': Redact.REDACTED});
+                assert.deepEqual(JSON.parse(exchanges[0].response.body), {'id': 'client', 'displayName': 'Client', 'secret': Redact.REDACTED});
+
+                var response = _.findWhere(events, {'name': 'response'});
+                assert.deepEqual(response.body, {'id': 'client', 'displayName': 'Client', 'secret': Redact.REDACTED});
+                assert.deepEqual(JSON.parse(response.response.body), {'id': 'client', 'displayName': 'Client', 'secret': Redact.REDACTED});
+
+                var error = _.findWhere(events, {'name': 'error'});
+                assert.strictEqual(JSON.stringify(error).indexOf('SIGNED'), -1);
+                return callback();
+            });
+        });
+    });
+
+    it('verify response bodies are redacted in HAR files', function(callback) {
+        var recorder = Har.createRecorder();
+        recorder.start();
+        OAuth.createClient(restCtx, 'u:cam:abc', 'Client', function(err) {
+            assert.ok(!err);
+            RestUtil.RestRequest(restCtx, '/api/auth/signed', 'GET', null, function(err, body) {
+                recorder.stop();
+                assert.ok(!err);
+                assert.strictEqual(body, 'userId=u%3Acam%3Aabc&expires=1000&signature=SIGNED');
+
+                var entries = recorder.toJSON().log.entries;
+                assert.strictEqual(entries.length, 2);
+                assert.deepEqual(JSON.parse(entries[0].response.content.text), {'id': 'client', 'displayName': 'Client', 'secret': Redact.REDACTED});
+                assert.strictEqual(entries[1].response.content.text, 'userId=u%3Acam%3Aabc&expires=1000&signature=' + encodeURIComponent(Redact.REDACTED));
+                return callback();
+            });
+        });
+    });
+
+    it('verify response bodies are redacted in cassettes', function(callback) {
+        var fixturePath = path.join(os.tmpdir(), 'oae-rest-redact-' + Date.now() + '.json');
+        var cassette = Cassette.createCassette(fixturePath, {'mode': 'record'});
+        cassette.start(function(err) {
+            assert.ok(!err);
+            OAuth.createClient(restCtx, 'u:cam:abc', 'Client', function(err) {
+                assert.ok(!err);
+                cassette.stop(function(err) {
+                    assert.ok(!err);
+
+                    var fixture = fs.readFileSync(fixturePath, 'utf8');
+                    fs.unlinkSync(fixturePath);
+                    assert.strictEqual(fixture.indexOf('TOPSECRET'), -1);
+                    assert.notStrictEqual(fixture.indexOf(Redact.REDACTED), -1);
+                    return callback();
+                });
+            });
+        });
+    });
+
+    it('verify response bodies without a content type are not redacted', function() {
+        assert.strictEqual(Redact.redactResponseBody('password=secret', {}), 'password=secret');
+        assert.strictEqual(Redact.redactResponseBody('password=secret', {'content-type': 'text/plain'}), 'password=secret');
+        assert.strictEqual(Redact.redactResponseBody('{"password":"secret"}', {'content-type': 'application/json; charset=utf-8'}), '{"password":"[redacted]"}');
+    });
+});
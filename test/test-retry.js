@@ -0,0 +1,187 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Retries', function() {
+
+    var server = null;
+    var failures = 0;
+    var retries = [];
+
+    /*!
+     * Keep track of the retries that are announced through the `retry` event
+     */
+    var onRetry = function(err, attempt, delay, request) {
+        retries.push({'code': err.code, 'attempt': attempt, 'delay': delay, 'method': request.method});
+    };
+
+    /*!
+     * Respond with a `503` for as long as there are failures left, and with a `200` afterwards
+     */
+    var flaky = function(req, res) {
+        if (failures > 0) {
+            failures--;
+            return TestUtil.sendJSON(res, 503, {'msg': 'Unavailable'});
+        }
+
+        return TestUtil.sendJSON(res, 200, {'ok': true});
+    };
+
+    /*!
+     * Respond with a `503` that asks the client to come back in a second for as long as there are failures left
+     */
+    var busy = function(req, res) {
+        if (failures > 0) {
+            failures--;
+            return TestUtil.sendJSON(res, 503, {'msg': 'Unavailable'}, {'retry-after': '1'});
+        }
+
+        return TestUtil.sendJSON(res, 200, {'ok': true});
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({'GET /api/flaky': flaky, 'POST /api/flaky': flaky, 'GET /api/busy': busy}, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+        failures = 0;
+        retries = [];
+        RestUtil.on('retry', onRetry);
+    });
+
+    afterEach(function() {
+        RestUtil.removeListener('retry', onRetry);
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Create an anonymous rest context for the test server
+     *
+     * @param  {Object}         [retry]     The retry policy of the context
+     * @return {RestContext}                The rest context
+     */
+    var createRestContext = function(retry) {
+        return new RestContext(server.host, {'retry': retry});
+    };
+
+    it('verify failed requests are retried with an exponential backoff until they succeed', function(callback) {
+        failures = 2;
+        var restCtx = createRestContext({'maxAttempts': 3, 'minDelay': 10, 'maxDelay': 100, 'factor': 3, 'jitter': false});
+        RestUtil.RestRequest(restCtx, '/api/flaky', 'GET', null, function(err, body) {
+            assert.ok(!err);
+            assert.deepEqual(body, {'ok': true});
+            assert.strictEqual(TestUtil.countRequests(server, 'GET /api/flaky'), 3);
+            assert.deepEqual(retries, [
+                {'code': 503, 'attempt': 1, 'delay': 10, 'method': 'GET'},
+                {'code': 503, 'attempt': 2, 'delay': 30, 'method': 'GET'}
+            ]);
+            return callback();
+        });
+    });
+
+    it('verify the delay between attempts does not exceed the maximum delay', function(callback) {
+        failures = 3;
+        var restCtx = createRestContext({'maxAttempts': 4, 'minDelay': 10, 'maxDelay': 15, 'factor': 2, 'jitter': false});
+        RestUtil.RestRequest(restCtx, '/api/flaky', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.deepEqual(_.pluck(retries, 'delay'), [10, 15, 15]);
+            return callback();
+        });
+    });
+
+    it('verify jitter keeps the delay between half of and the full backoff', function(callback) {
+        failures = 1;
+        var restCtx = createRestContext({'maxAttempts': 2, 'minDelay': 40, 'maxDelay': 100, 'factor': 2, 'jitter': true});
+        RestUtil.RestRequest(restCtx, '/api/flaky', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(retries.length, 1);
+            assert.ok(retries[0].delay >= 20 && retries[0].delay <= 40);
+            return callback();
+        });
+    });
+
+    it('verify the request fails once the maximum number of attempts has been made', function(callback) {
+        failures = 5;
+        var restCtx = createRestContext({'maxAttempts': 2, 'minDelay': 5, 'maxDelay': 5, 'jitter': false});
+        RestUtil.RestRequest(restCtx, '/api/flaky', 'GET', null, function(err) {
+            assert.ok(err);
+            assert.strictEqual(err.code, 503);
+            assert.strictEqual(TestUtil.countRequests(server, 'GET /api/flaky'), 2);
+            assert.strictEqual(retries.length, 1);
+            return callback();
+        });
+    });
+
+    it('verify the Retry-After header of the server is honoured up to the maximum delay', function(callback) {
+        failures = 1;
+        var restCtx = createRestContext({'maxAttempts': 2, 'minDelay': 5, 'maxDelay': 50, 'jitter': false});
+        RestUtil.RestRequest(restCtx, '/api/busy', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(retries.length, 1);
+            assert.strictEqual(retries[0].delay, 50);
+            return callback();
+        });
+    });
+
+    it('verify requests that are not idempotent are not retried', function(callback) {
+        failures = 1;
+        var restCtx = createRestContext(true);
+        RestUtil.RestRequest(restCtx, '/api/flaky', 'POST', {'a': 'b'}, function(err) {
+            assert.ok(err);
+            assert.strictEqual(err.code, 503);
+            assert.strictEqual(TestUtil.countRequests(server, 'POST /api/flaky'), 1);
+            assert.strictEqual(retries.length, 0);
+            return callback();
+        });
+    });
+
+    it('verify requests are not retried without a retry policy', function(callback) {
+        failures = 1;
+        RestUtil.RestRequest(createRestContext(null), '/api/flaky', 'GET', null, function(err) {
+            assert.ok(err);
+            assert.strictEqual(err.code, 503);
+            assert.strictEqual(TestUtil.countRequests(server, 'GET /api/flaky'), 1);
+            return callback();
+        });
+    });
+
+    it('verify requests that fail because the server cannot be reached are retried', function(callback) {
+        // Grab a port nobody is listening on by starting and immediately stopping a server
+        TestUtil.createServer({}, function(deadServer) {
+            deadServer.close(function() {
+                var restCtx = new RestContext(deadServer.host, {'retry': {'maxAttempts': 2, 'minDelay': 5, 'jitter': false}});
+                RestUtil.RestRequest(restCtx, '/api/flaky', 'GET', null, function(err) {
+                    assert.ok(err);
+                    assert.ok(err.isTransportError());
+                    assert.strictEqual(retries.length, 1);
+                    return callback();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var Session = require('../lib/session');
+var TestUtil = require('./util');
+
+describe('Sessions', function() {
+
+    var server = null;
+    var sessionPath = null;
+
+    // The sessions the server knows about, keyed by their id
+    var sessions = {};
+
+    /*!
+     * Get the user of the session the request was made with, if any
+     */
+    var getUser = function(req) {
+        var match = (req.headers.cookie || '').match(/sid=(\w+)/);
+        return match ? sessions[match[1]] : null;
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'POST /api/auth/login': function(req, res) {
+                if (req.form.password !== 'password') {
+                    return TestUtil.sendJSON(res, 401, {'msg': 'Invalid credentials'});
+                }
+
+                var sessionId = _.uniqueId('session');
+                sessions[sessionId] = req.form.username;
+                return TestUtil.sendJSON(res, 200, {'id': req.form.username}, {'set-cookie': 'sid=' + sessionId + '; Path=/'});
+            },
+            'GET /api/me': function(req, res) {
+                var user = getUser(req);
+                return TestUtil.sendJSON(res, 200, user ? {'id': user} : {'anon': true});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+        sessions = {};
+        sessionPath = path.join(os.tmpdir(), 'oae-rest-session-' + Date.now() + '.json');
+    });
+
+    afterEach(function() {
+        if (fs.existsSync(sessionPath)) {
+            fs.unlinkSync(sessionPath);
+        }
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Create a rest context for a user of the test server that has been logged in
+     *
+     * @param  {Function}       callback            Standard callback function
+     * @param  {RestContext}    callback.restCtx    The logged in rest context
+     */
+    var createLoggedInContext = function(callback) {
+        var restCtx = new RestContext(server.host, {'username': 'janedoe', 'userPassword': 'password', 'timeout': 5000});
+        RestUtil.RestRequest(restCtx, '/api/me', 'GET', null, function(err, me) {
+            assert.ok(!err);
+            assert.strictEqual(me.id, 'janedoe');
+            return callback(restCtx);
+        });
+    };
+
+    it('verify serialized contexts are restored with their session and options', function(callback) {
+        createLoggedInContext(function(restCtx) {
+            var serialized = Session.serialize(restCtx);
+            assert.strictEqual(JSON.parse(serialized).userPassword, undefined);
+            assert.strictEqual(JSON.parse(Session.serialize(restCtx, {'includePassword': true})).userPassword, 'password');
+
+            var restoredCtx = Session.deserialize(serialized);
+            assert.strictEqual(restoredCtx.host, server.host);
+            assert.strictEqual(restoredCtx.username, 'janedoe');
+            assert.strictEqual(restoredCtx.timeout, 5000);
+            assert.ok(!restoredCtx.userPassword);
+
+            Session.validate(restoredCtx, function(err, me) {
+                assert.ok(!err);
+                assert.strictEqual(me.id, 'janedoe');
+                assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 1);
+                return callback();
+            });
+        });
+    });
+
+    it('verify invalid serialized contexts are rejected', function() {
+        assert.throws(function() {
+            Session.deserialize(JSON.stringify({'version': 0, 'host': server.host}));
+        });
+        assert.throws(function() {
+            Session.deserialize('not json');
+        });
+    });
+
+    it('verify contexts can be saved to and loaded from a file without options', function(callback) {
+        createLoggedInContext(function(restCtx) {
+            Session.save(restCtx, sessionPath, function(err) {
+                assert.ok(!err);
+                if (process.platform !== 'win32') {
+                    assert.strictEqual(fs.statSync(sessionPath).mode & parseInt('777', 8), parseInt('600', 8));
+                }
+
+                Session.load(sessionPath, function(err, restoredCtx, me) {
+                    assert.ok(!err);
+                    assert.strictEqual(restoredCtx.username, 'janedoe');
+                    assert.strictEqual(me.id, 'janedoe');
+                    return callback();
+                });
+            });
+        });
+    });
+
+    it('verify expired sessions are renewed when the password is available', function(callback) {
+        createLoggedInContext(function(restCtx) {
+            Session.save(restCtx, sessionPath, {'includePassword': true}, function(err) {
+                assert.ok(!err);
+
+                // Expire all sessions
+                sessions = {};
+                Session.load(sessionPath, function(err, restoredCtx, me) {
+                    assert.ok(!err);
+                    assert.strictEqual(me.id, 'janedoe');
+                    assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 2);
+                    return callback();
+                });
+            });
+        });
+    });
+
+    it('verify expired sessions that cannot be renewed are reported', function(callback) {
+        createLoggedInContext(function(restCtx) {
+            var serialized = Session.serialize(restCtx);
+
+            // Expire all sessions
+            sessions = {};
+            Session.validate(Session.deserialize(serialized), function(err) {
+                assert.strictEqual(err.code, 401);
+                assert.strictEqual(TestUtil.countRequests(server, 'POST /api/auth/login'), 1);
+                return callback();
+            });
+        });
+    });
+
+    it('verify anonymous contexts remain valid', function(callback) {
+        Session.validate(Session.deserialize(Session.serialize(new RestContext(server.host))), function(err, me) {
+            assert.ok(!err);
+            assert.ok(me.anon);
+            return callback();
+        });
+    });
+});
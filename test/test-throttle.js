@@ -0,0 +1,130 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Request limits', function() {
+
+    var server = null;
+
+    // The requests that are being handled by the server and the most that were handled at the same time
+    var inFlight = 0;
+    var maxInFlight = 0;
+
+    // The times at which the server received the requests
+    var arrivals = [];
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/slow': function(req, res) {
+                arrivals.push(Date.now());
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                setTimeout(function() {
+                    inFlight--;
+                    return TestUtil.sendJSON(res, 200, {'ok': true});
+                }, 30);
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        inFlight = 0;
+        maxInFlight = 0;
+        arrivals = [];
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Send a number of requests at the same time
+     *
+     * @param  {RestContext[]}  restCtxs        The rest contexts to send the requests with. The requests are spread over the contexts in turn
+     * @param  {Number}         numRequests     The number of requests to send
+     * @param  {Function}       callback        Invoked when all of the requests have succeeded
+     */
+    var sendRequests = function(restCtxs, numRequests, callback) {
+        var done = _.after(numRequests, callback);
+        _.times(numRequests, function(i) {
+            RestUtil.RestRequest(restCtxs[i % restCtxs.length], '/api/slow', 'GET', null, function(err, body) {
+                assert.ok(!err);
+                assert.deepEqual(body, {'ok': true});
+                return done();
+            });
+        });
+    };
+
+    it('verify no more requests than the maximum concurrency are in flight at the same time', function(callback) {
+        var depths = [];
+        var onQueue = function(host, depth, inFlight) {
+            depths.push(depth);
+            assert.ok(inFlight <= 2);
+        };
+        RestUtil.on('queue', onQueue);
+
+        sendRequests([new RestContext(server.host, {'maxConcurrency': 2})], 5, function() {
+            RestUtil.removeListener('queue', onQueue);
+            assert.strictEqual(maxInFlight, 2);
+            assert.strictEqual(_.max(depths), 3);
+            assert.strictEqual(_.last(depths), 0);
+            return callback();
+        });
+    });
+
+    it('verify the maximum concurrency is shared by all contexts of a host', function(callback) {
+        var restCtxs = [
+            new RestContext(server.host, {'maxConcurrency': 1}),
+            new RestContext(server.host, {'maxConcurrency': 1})
+        ];
+        sendRequests(restCtxs, 4, function() {
+            assert.strictEqual(maxInFlight, 1);
+            return callback();
+        });
+    });
+
+    it('verify requests are spread out evenly when the number of requests per second is limited', function(callback) {
+        sendRequests([new RestContext(server.host, {'requestsPerSecond': 20})], 4, function() {
+            assert.strictEqual(arrivals.length, 4);
+            _.each(_.rest(arrivals), function(arrival, i) {
+                // The requests should be 50 milliseconds apart, give or take the accuracy of the timers
+                assert.ok(arrival - arrivals[i] >= 40, 'Requests were sent ' + (arrival - arrivals[i]) + 'ms apart');
+            });
+            return callback();
+        });
+    });
+
+    it('verify requests are not queued when no limits are specified', function(callback) {
+        var onQueue = function() {
+            assert.fail('No requests should have been queued');
+        };
+        RestUtil.on('queue', onQueue);
+
+        sendRequests([new RestContext(server.host)], 3, function() {
+            RestUtil.removeListener('queue', onQueue);
+            assert.strictEqual(maxInFlight, 3);
+            return callback();
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+
+describe('Tracing', function() {
+
+    var server = null;
+    var correlationIds = [];
+    var failures = 0;
+
+    // The spans that were emitted by the current test
+    var started = [];
+    var ended = [];
+
+    var onSpanStart = function(span) {
+        started.push(span);
+    };
+
+    var onSpanEnd = function(span) {
+        ended.push(span);
+    };
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'GET /api/flaky': function(req, res) {
+                correlationIds.push(req.headers['x-correlation-id']);
+                if (failures > 0) {
+                    failures--;
+                    return TestUtil.sendJSON(res, 503, {'msg': 'Unavailable'});
+                }
+
+                return TestUtil.sendJSON(res, 200, {'ok': true});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        correlationIds = [];
+        failures = 0;
+        started = [];
+        ended = [];
+        RestUtil.on('spanStart', onSpanStart);
+        RestUtil.on('spanEnd', onSpanEnd);
+    });
+
+    afterEach(function() {
+        RestUtil.removeListener('spanStart', onSpanStart);
+        RestUtil.removeListener('spanEnd', onSpanEnd);
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    it('verify requests are tagged with a correlation id and traced with spans', function(callback) {
+        RestUtil.RestRequest(new RestContext(server.host), '/api/flaky', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(correlationIds.length, 1);
+            assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(correlationIds[0]));
+
+            assert.strictEqual(started.length, 1);
+            assert.strictEqual(ended.length, 1);
+            assert.strictEqual(started[0].correlationId, correlationIds[0]);
+            assert.strictEqual(started[0].method, 'GET');
+            assert.strictEqual(started[0].url, server.host + '/api/flaky');
+
+            var span = ended[0];
+            assert.strictEqual(span.correlationId, correlationIds[0]);
+            assert.strictEqual(span.statusCode, 200);
+            assert.ok(!span.err);
+            assert.strictEqual(span.retries, 0);
+            assert.strictEqual(span.duration, span.endTime - span.startTime);
+            assert.strictEqual(span.bytesReceived, JSON.stringify({'ok': true}).length);
+            return callback();
+        });
+    });
+
+    it('verify retries keep the correlation id of the request and are counted in its span', function(callback) {
+        failures = 2;
+        var restCtx = new RestContext(server.host, {'retry': {'maxAttempts': 3, 'minDelay': 1, 'jitter': false}});
+        RestUtil.RestRequest(restCtx, '/api/flaky', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(correlationIds.length, 3);
+            assert.strictEqual(correlationIds[1], correlationIds[0]);
+            assert.strictEqual(correlationIds[2], correlationIds[0]);
+            assert.strictEqual(ended.length, 1);
+            assert.strictEqual(ended[0].retries, 2);
+            return callback();
+        });
+    });
+
+    it('verify failed requests end their span with the error', function(callback) {
+        failures = 1;
+        RestUtil.RestRequest(new RestContext(server.host), '/api/flaky', 'GET', null, function(err) {
+            assert.strictEqual(err.code, 503);
+            assert.strictEqual(ended[0].statusCode, 503);
+            assert.strictEqual(ended[0].err, err);
+            return callback();
+        });
+    });
+
+    it('verify correlation ids provided by the caller are used', function(callback) {
+        var restCtx = new RestContext(server.host, {'additionalHeaders': {'x-correlation-id': 'my-correlation-id'}});
+        RestUtil.RestRequest(restCtx, '/api/flaky', 'GET', null, function(err) {
+            assert.ok(!err);
+            assert.deepEqual(correlationIds, ['my-correlation-id']);
+            assert.strictEqual(ended[0].correlationId, 'my-correlation-id');
+            return callback();
+        });
+    });
+
+    it('verify correlation ids are unique', function() {
+        var ids = [];
+        for (var i = 0; i < 100; i++) {
+            ids.push(RestUtil.generateCorrelationId());
+        }
+
+        assert.strictEqual(_.uniq(ids).length, 100);
+    });
+});
@@ -0,0 +1,178 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var events = require('events');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Content = require('../lib/api.content');
+var RestContext = require('../lib/model').RestContext;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+var Transport = require('../lib/transport');
+
+describe('Transports', function() {
+
+    var server = null;
+
+    before(function(callback) {
+        TestUtil.createServer({
+            'POST /api/group/create': function(req, res) {
+                return TestUtil.sendJSON(res, 201, {'displayName': req.form.displayName});
+            }
+        }, function(_server) {
+            server = _server;
+            return callback();
+        });
+    });
+
+    afterEach(function() {
+        RestUtil.setTransport();
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Create a transport that responds to all requests without contacting a server
+     *
+     * @param  {Object[]}   sent            The list the options of the requests that are sent should be recorded in
+     * @param  {Boolean}    [synchronous]   Whether or not the transport should complete the requests before it returns their handle
+     * @return {Transport}                  The transport
+     */
+    var createTransport = function(sent, synchronous) {
+        var defaultTransport = Transport.createRequestTransport();
+        return {
+            'createCookieJar': defaultTransport.createCookieJar,
+            'send': function(opts, callback) {
+                sent.push(opts);
+                var respond = function() {
+                    return callback(null, {'statusCode': 200, 'headers': {'content-type': 'application/json'}}, RestUtil.toBuffer('{"ok":true}'));
+                };
+
+                if (synchronous) {
+                    respond();
+                } else {
+                    setTimeout(respond, 0);
+                }
+
+                var handle = new events.EventEmitter();
+                handle.abort = function() {};
+                handle.getRequestInfo = function() {
+                    return {'method': opts.method, 'url': opts.url, 'headers': opts.headers, 'body': opts.body};
+                };
+                return handle;
+            }
+        };
+    };
+
+    it('verify requests are sent through the transport of their context or the global transport', function(callback) {
+        var contextRequests = [];
+        var globalRequests = [];
+        RestUtil.setTransport(createTransport(globalRequests));
+
+        var restCtx = new RestContext('http://oae.example.com', {'transport': createTransport(contextRequests), 'bodyEncoding': 'json'});
+        RestUtil.RestRequest(restCtx, '/api/group/create', 'POST', {'displayName': 'Group'}, function(err, body, response) {
+            assert.ok(!err);
+            assert.deepEqual(body, {'ok': true});
+            assert.strictEqual(response.statusCode, 200);
+            assert.strictEqual(response.request.method, 'POST');
+            assert.strictEqual(contextRequests.length, 1);
+            assert.strictEqual(contextRequests[0].url, 'http://oae.example.com/api/group/create');
+            assert.strictEqual(contextRequests[0].body, '{"displayName":"Group"}');
+            assert.strictEqual(contextRequests[0].headers['content-type'], 'application/json');
+
+            RestUtil.RestRequest(new RestContext('http://oae.example.com'), '/api/me', 'GET', {'limit': 10}, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(contextRequests.length, 1);
+                assert.strictEqual(globalRequests.length, 1);
+                assert.deepEqual(globalRequests[0].qs, {'limit': 10});
+                return callback();
+            });
+        });
+    });
+
+    it('verify transports can complete a request before they return its handle', function(callback) {
+        var exchanges = [];
+        var onExchange = function(exchange) {
+            exchanges.push(exchange);
+        };
+
+        RestUtil.on('exchange', onExchange);
+        var restCtx = new RestContext('http://oae.example.com', {'transport': createTransport([], true)});
+        var returned = false;
+        RestUtil.RestRequest(restCtx, '/api/me', 'GET', null, function(err, body) {
+            RestUtil.removeListener('exchange', onExchange);
+            assert.ok(returned);
+            assert.ok(!err);
+            assert.deepEqual(body, {'ok': true});
+            assert.strictEqual(exchanges.length, 1);
+            assert.strictEqual(exchanges[0].request.url, 'http://oae.example.com/api/me');
+            return callback();
+        });
+        returned = true;
+    });
+
+    it('verify requests to a host without a protocol fail with an error', function(callback) {
+        var returned = false;
+        RestUtil.RestRequest(new RestContext('localhost:9'), '/api/me', 'GET', null, function(err) {
+            assert.ok(returned);
+            assert.strictEqual(err.code, 500);
+            assert.ok(err.isTransportError());
+            return callback();
+        });
+        returned = true;
+    });
+
+    it('verify downloads from a host without a protocol fail with an error', function(callback) {
+        var restCtx = new RestContext('localhost:9');
+        restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+
+        var downloadPath = path.join(os.tmpdir(), 'oae-rest-transport-' + Date.now());
+        Content.download(restCtx, 'c:cam:abc', 'rev-cam-abc', downloadPath, function(err) {
+            assert.strictEqual(err.code, 500);
+            assert.ok(err.isTransportError());
+            fs.unlink(downloadPath, function() {
+                return callback();
+            });
+        });
+    });
+
+    it('verify the default transport sends requests through the request module', function(callback) {
+        var transport = Transport.createDefaultTransport();
+        var handle = transport.send({
+            'method': 'POST',
+            'url': server.host + '/api/group/create',
+            'headers': {'x-test': 'test'},
+            'form': {'displayName': 'Group'}
+        }, function(err, response, body) {
+            assert.ok(!err);
+            assert.strictEqual(response.statusCode, 201);
+            assert.ok(Buffer.isBuffer(body));
+            assert.deepEqual(JSON.parse(body.toString()), {'displayName': 'Group'});
+
+            var requestInfo = handle.getRequestInfo();
+            assert.strictEqual(requestInfo.method, 'POST');
+            assert.strictEqual(requestInfo.url, server.host + '/api/group/create');
+            assert.strictEqual(requestInfo.headers['x-test'], 'test');
+            assert.strictEqual(String(requestInfo.body), 'displayName=Group');
+            return callback();
+        });
+    });
+});
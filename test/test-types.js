@@ -0,0 +1,86 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var RestAPI = require('../lib/api');
+
+/*!
+ * The declarations are type-checked by `npm run typecheck`. These tests verify they cover everything the library
+ * exports, as the type-check can not detect functions that were left out
+ */
+describe('Type declarations', function() {
+
+    var libDir = path.join(__dirname, '..', 'lib');
+
+    /**
+     * Read the declarations that belong to a module
+     *
+     * @param  {String}     name    The name of the module, e.g., `api.content`
+     * @return {String}             The contents of the declaration file of the module
+     */
+    var readDeclarations = function(name) {
+        return fs.readFileSync(path.join(libDir, name + '.d.ts'), 'utf8');
+    };
+
+    /**
+     * Get the names that are exported by a declaration file
+     *
+     * @param  {String}     declarations    The contents of the declaration file
+     * @return {String[]}                   The names of the exported functions, constants and modules
+     */
+    var getDeclaredNames = function(declarations) {
+        var names = [];
+        _.each(declarations.match(/^export (function|const|class) \w+/mg), function(declaration) {
+            names.push(_.last(declaration.split(' ')));
+        });
+        _.each(declarations.match(/^export \{[^}]*\}/mg), function(declaration) {
+            names = names.concat(declaration.replace(/^export \{|\}$/g, '').split(/\s*,\s*/));
+        });
+        return _.compact(_.invoke(names, 'trim'));
+    };
+
+    it('verify all of the REST wrappers are declared', function() {
+        var apiModules = _.filter(fs.readdirSync(libDir), function(fileName) {
+            return /^api\.\w+\.js$/.test(fileName);
+        });
+        assert.ok(apiModules.length > 0);
+
+        _.each(apiModules, function(fileName) {
+            var name = path.basename(fileName, '.js');
+            var exported = _.functions(require(path.join(libDir, fileName)));
+            var declared = getDeclaredNames(readDeclarations(name));
+            assert.deepEqual(_.difference(exported, declared), [], 'Undeclared functions in ' + fileName);
+            assert.deepEqual(_.difference(declared, exported), [], 'Declared functions that do not exist in ' + fileName);
+        });
+    });
+
+    it('verify all of the exports of the entry point are declared', function() {
+        var declared = getDeclaredNames(readDeclarations('api'));
+        assert.deepEqual(_.difference(_.keys(RestAPI), declared), []);
+    });
+
+    it('verify all of the iterators are declared', function() {
+        var declarations = readDeclarations('paging');
+        _.each(RestAPI.iterators, function(iterators, moduleName) {
+            _.each(iterators, function(iterator, fnName) {
+                assert.notStrictEqual(declarations.indexOf('M[\'' + moduleName + '\'][\'' + fnName + '\']'), -1, 'Undeclared iterator ' + moduleName + '.' + fnName);
+            });
+        });
+    });
+});
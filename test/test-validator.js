@@ -0,0 +1,129 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var assert = require('assert');
+
+var Content = require('../lib/api.content');
+var Crop = require('../lib/api.crop');
+var Group = require('../lib/api.group');
+var RestAPI = require('../lib/api');
+var RestContext = require('../lib/model').RestContext;
+var RestError = require('../lib/error').RestError;
+var RestUtil = require('../lib/util');
+var TestUtil = require('./util');
+var User = require('../lib/api.user');
+var MESSAGES = require('../lib/validator').MESSAGES;
+var Validator = require('../lib/validator').Validator;
+
+describe('Validation', function() {
+
+    var server = null;
+    var restCtx = null;
+
+    before(function(callback) {
+        TestUtil.createServer({}, function(_server) {
+            server = _server;
+            restCtx = new RestContext(server.host);
+            restCtx.cookieJar = RestUtil.getTransport(restCtx).createCookieJar();
+            return callback();
+        });
+    });
+
+    beforeEach(function() {
+        server.requests = [];
+    });
+
+    after(function(callback) {
+        server.close(callback);
+    });
+
+    /**
+     * Invoke a REST wrapper with invalid arguments and verify it fails asynchronously, without sending a request
+     *
+     * @param  {Function}   fn          The REST wrapper to invoke
+     * @param  {Array}      args        The arguments to invoke the wrapper with, without the callback
+     * @param  {String}     msg         The message the wrapper is expected to fail with
+     * @param  {Function}   callback    Invoked when the wrapper has failed as expected
+     */
+    var assertInvalid = function(fn, args, msg, callback) {
+        var returned = false;
+        fn.apply(null, args.concat([function(err) {
+            assert.ok(returned);
+            assert.ok(err instanceof RestError);
+            assert.strictEqual(err.code, 400);
+            assert.strictEqual(err.msg, msg);
+            assert.deepEqual(server.requests, []);
+            return callback();
+        }]));
+        returned = true;
+    };
+
+    it('verify missing ids fail asynchronously without sending a request', function(callback) {
+        assertInvalid(Content.getContent, [restCtx, null], MESSAGES.CONTENT_ID, function() {
+            assertInvalid(User.downloadPicture, [restCtx, 'u:cam:abc', null], MESSAGES.SIZE, callback);
+        });
+    });
+
+    it('verify visibilities, roles, limits and crop areas are validated', function(callback) {
+        assertInvalid(Group.createGroup, [restCtx, 'Group', null, 'secret', false, null, null], MESSAGES.VISIBILITY, function() {
+            var roleMessage = 'An invalid role has been provided. Must be one of: manager, editor, viewer or false';
+            assertInvalid(Content.updateMembers, [restCtx, 'c:cam:abc', {'u:cam:abc': 'owner'}], roleMessage, function() {
+                assertInvalid(Content.updateMembers, [restCtx, 'c:cam:abc', null], MESSAGES.MEMBER_UPDATES, function() {
+                    assertInvalid(Content.getLibrary, [restCtx, 'u:cam:abc', null, 0], MESSAGES.LIMIT, function() {
+                        assertInvalid(Crop.cropPicture, [restCtx, 'u:cam:abc', {'x': 0, 'y': -1, 'width': 10}], MESSAGES.SELECTED_AREA, callback);
+                    });
+                });
+            });
+        });
+    });
+
+    it('verify validation errors reject the promises of the wrappers', function(callback) {
+        RestAPI.promises.Content.getContent(restCtx, '').then(function() {
+            return callback(new Error('Expected the content id to be rejected'));
+        }, function(err) {
+            assert.strictEqual(err.code, 400);
+            assert.strictEqual(err.msg, MESSAGES.CONTENT_ID);
+            return callback();
+        });
+    });
+
+    it('verify only the first failing check of a chain is recorded', function(callback) {
+        var validator = new Validator();
+        validator.check(null, 'A value must be provided').notNull().notEmpty();
+        validator.check('private').isValidVisibility();
+        validator.check(1.5, {'code': 422}).isValidLimit();
+        validator.check({'u:cam:abc': false}).isValidMemberUpdates(['manager', 'member']);
+        assert.ok(validator.hasErrors());
+
+        var errors = validator.getErrors();
+        assert.strictEqual(errors.length, 2);
+        assert.strictEqual(errors[0].msg, 'A value must be provided');
+        assert.strictEqual(errors[1].code, 422);
+        assert.strictEqual(errors[1].msg, MESSAGES.LIMIT);
+
+        var returned = false;
+        validator.callbackWithFirstError(function(err) {
+            assert.ok(returned);
+            assert.strictEqual(err, errors[0]);
+
+            new Validator().callbackWithFirstError(function(err) {
+                assert.strictEqual(err, null);
+                return callback();
+            });
+        });
+        returned = true;
+    });
+});
@@ -0,0 +1,34 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * Exercises the type declarations of the browser build of the library
+ */
+
+import RestAPI = require('../../lib/browser');
+
+var restCtx = new RestAPI.RestContext('https://cam.oae.com');
+
+RestAPI.Content.getContent(restCtx, 'c:cam:abc', function(err, content) {
+    var contentId: string = content.id;
+});
+
+// @ts-expect-error Downloading a file is not available in browser builds
+RestAPI.Content.download(restCtx, 'c:cam:abc', null, '/tmp/file', function() {});
+
+// @ts-expect-error Saving a session to a file is not available in browser builds
+RestAPI.Session.save(restCtx, '/tmp/session.json', null, function() {});
+
+var transport = RestAPI.Transport.createFetchTransport();
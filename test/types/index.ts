@@ -0,0 +1,182 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * Exercises the type declarations of the library. This file is only type-checked, never executed, so that changes to
+ * the REST wrappers that are not reflected in `lib/*.d.ts` break `npm test`.
+ */
+
+import RestAPI = require('../../lib/api');
+import RestUtil = require('../../lib/util');
+
+var restCtx: RestAPI.RestContext = new RestAPI.Model.RestContext('http://cam.oae.com', {
+    'username': 'janedoe',
+    'userPassword': 'foo',
+    'hostHeader': 'cam.oae.com',
+    'retry': {'maxAttempts': 3},
+    'timeout': 10000,
+    'bodyEncoding': 'json',
+    'interceptors': [RestAPI.Cache.createCache({'ttl': 1000})]
+});
+var anonCtx: RestAPI.RestContext = RestAPI.Model.RestContext('http://cam.oae.com').asAnonymous();
+
+// Callback-based wrappers
+RestAPI.Content.getContent(restCtx, 'c:cam:abc', function(err, content, response) {
+    if (err) {
+        var code: number = err.code;
+        var msg: string = err.msg;
+        return;
+    }
+
+    var contentId: string = content.id;
+    var resourceSubType: string = content.resourceSubType;
+    var statusCode: number = response.statusCode;
+});
+
+RestAPI.Content.createLink(restCtx, 'Google', null, 'public', 'http://www.google.com', [], [], [], function(err, link) {
+    var linkId: string = link.id;
+});
+
+RestAPI.Content.getRevisions(restCtx, 'c:cam:abc', null, 10, function(err, revisions) {
+    var revisionId: string = revisions.results[0].revisionId;
+    var nextToken: string | null | undefined = revisions.nextToken;
+});
+
+RestAPI.Group.createGroup(restCtx, 'Group', null, 'private', 'request', null, null, function(err, group) {
+    var groupId: string = group.id;
+});
+
+RestAPI.Discussions.getDiscussion(restCtx, 'd:cam:abc', function(err, discussion) {
+    var displayName: string = discussion.displayName;
+});
+
+RestAPI.Folders.getFolder(restCtx, 'f:cam:abc', function(err, folder) {
+    var folderId: string = folder.id;
+});
+
+RestAPI.User.getMe(anonCtx, function(err, me) {
+    var anon: boolean | undefined = me.anon;
+});
+
+RestAPI.Tenants.getTenant(restCtx, 'cam', function(err, tenant) {
+    var alias: string = tenant.alias;
+});
+
+RestAPI.Activity.getActivityStream(restCtx, 'u:cam:abc', {'limit': 10}, function(err, stream) {
+    var items: RestAPI.Types.Activity[] = stream.items;
+});
+
+RestAPI.Search.search(restCtx, 'general', null, {'q': 'foo'}, function(err, result) {
+    var total: number = result.total;
+});
+
+RestAPI.OAuth.createClient(restCtx, 'u:cam:abc', 'Client', function(err, client) {
+    var secret: string = client.secret;
+});
+
+// @ts-expect-error The content id is required
+RestAPI.Content.getContent(restCtx, function() {});
+
+// Promises
+async function usePromises(): Promise<void> {
+    var content: RestAPI.Types.Content = await RestAPI.promises.Content.getContent(restCtx, 'c:cam:abc');
+    var members = await RestAPI.promises.Content.getMembers(restCtx, content.id, null, 10);
+    var role: string = members.results[0].role;
+
+    var withResponse = await RestAPI.promises.withResponse.User.getUser(restCtx, 'u:cam:abc');
+    var userId: string = withResponse.body.id;
+    var statusCode: number = withResponse.response.statusCode;
+
+    // @ts-expect-error Promises resolve with the type of the response body rather than `any`
+    var notAGroup: number = await RestAPI.promises.Group.getGroup(restCtx, 'g:cam:abc');
+
+    // @ts-expect-error Promise variants don't take a callback
+    RestAPI.promises.Content.getContent(restCtx, 'c:cam:abc', function() {});
+
+    // Iterators
+    for await (var item of RestAPI.iterators.Content.getLibrary(restCtx, 'u:cam:abc', {'limit': 50})) {
+        var itemId: string = item.id;
+    }
+
+    for await (var member of RestAPI.iterators.Discussions.getDiscussionMembers(restCtx, 'd:cam:abc')) {
+        // @ts-expect-error Iterators yield the type of the items in the listing rather than `any`
+        var notAMember: number = member;
+    }
+
+    var activities = await RestAPI.Paging.collectAll(RestAPI.iterators.Activity.getActivityStream(restCtx, 'u:cam:abc', {'format': 'internal'}));
+    var currentUserActivities = await RestAPI.Paging.collectAll(RestAPI.iterators.Activity.getCurrentUserActivityStream(restCtx, {'limit': 25}));
+    var groups: RestAPI.Types.Group[] = await RestAPI.Paging.collectAll(RestAPI.iterators.Group.getMembershipsLibrary(restCtx, 'u:cam:abc'), {'maxItems': 100});
+
+    // Client
+    var client = RestAPI.Client.createClient(restCtx);
+    var clientContent: RestAPI.Types.Content = await client.content('c:cam:abc').get();
+    client.content('c:cam:abc').share(['u:cam:def'], function(err) {});
+    var comments: RestAPI.Types.Comment[] = await client.content('c:cam:abc').comments().collectAll();
+    var followers: RestAPI.Types.User[] = await client.user('u:cam:abc').followers().collectAll({'maxItems': 10});
+    await client.folder('f:cam:abc').delete(true);
+    client.folder('f:cam:abc').delete(function(err) {});
+    var posted: RestAPI.Types.Message = await client.discussion('d:cam:abc').post('Hello!');
+    client.content('c:cam:abc').comments().post('Hello!', function(err, comment) {});
+
+    // Models
+    var model = RestAPI.Model.Content(restCtx, content);
+    var canShare: boolean = model.canShare;
+    var profileUrl: string | null = model.getProfileUrl();
+    var refreshed: RestAPI.Model.Content = await model.refresh();
+    var hydrated: RestAPI.Model.Group = RestAPI.Model.hydrate(restCtx, groups[0]);
+    var parsed = RestAPI.Model.parseResourceId('c:cam:abc');
+    var folder: RestAPI.Types.Folder = await client.folder('f:cam:abc').get();
+    RestAPI.Model.Folder(restCtx, folder).delete(function(err) {});
+    RestAPI.Model.Content(restCtx, content).createComment('Hello!', function(err, comment) {});
+}
+
+// Errors
+RestAPI.User.getUser(restCtx, 'u:cam:abc', function(err) {
+    if (err && err instanceof RestAPI.RestError && err.isNotFound()) {
+        var method: string | undefined = err.method;
+    }
+});
+
+// Events
+RestUtil.on('error', function(err) {
+    var code: number = err.code;
+});
+RestUtil.on('request', function(restCtx, requestUrl, method, data) {
+    var host: string = restCtx.host;
+});
+RestUtil.on('exchange', function(exchange) {
+    var duration: number = exchange.timings.end - exchange.timings.start;
+});
+
+// Recording, dry runs and sessions
+var recorder = RestAPI.Har.createRecorder();
+recorder.start();
+recorder.save('/tmp/out.har', function(err) {});
+
+var cassette = RestAPI.Cassette.createCassette('/tmp/cassette.json', {'mode': 'replay', 'match': ['method', 'path']});
+cassette.start(function(err) {});
+
+var dryRun = RestAPI.DryRun.createDryRun();
+var dryRunCtx = new RestAPI.Model.RestContext('http://cam.oae.com', {'dryRun': dryRun});
+var total: number = dryRun.getReport().total;
+
+var serialized: string = RestAPI.Session.serialize(restCtx, {'includePassword': true});
+RestAPI.Session.save(restCtx, '/tmp/session.json', {'includePassword': true}, function(err) {});
+RestAPI.Session.save(restCtx, '/tmp/session.json', function(err) {});
+RestAPI.Session.load('/tmp/session.json', function(err, restoredCtx, me) {});
+
+var redacted: string = RestAPI.Redact.redactUrl('http://cam.oae.com/api/auth/login?password=foo');
+var redactedBody: string = RestAPI.Redact.redactResponseBody('{"secret":"foo"}', {'content-type': 'application/json'});
+var transport: RestAPI.Transport.Transport = RestAPI.Transport.createRequestTransport();
@@ -0,0 +1,95 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+/*!
+ * Utilities for the tests that exercise the library against a local HTTP server, rather than against a live OAE
+ * instance.
+ */
+
+var _ = require('underscore');
+var http = require('http');
+var querystring = require('querystring');
+var url = require('url');
+
+var RestUtil = require('../lib/util');
+
+// Failed requests are emitted as `error` events, which would throw if nobody listened for them
+RestUtil.on('error', function() {});
+
+/**
+ * Start an HTTP server on a random port that responds to requests with the provided handlers. Requests for which
+ * there is no handler get a `404` response.
+ *
+ * @param  {Object}     handlers            The functions that handle the requests, keyed by `<METHOD> <path>` (e.g., `GET /api/me`). Each handler is invoked with the request and the response. The raw body of the request is available as `req.body` and its form data as `req.form`
+ * @param  {Function}   callback            Standard callback function
+ * @param  {Server}     callback.server     The started server. Its URL is available as `server.host` and the `<METHOD> <path>` of all of the requests it received as `server.requests`
+ */
+var createServer = module.exports.createServer = function(handlers, callback) {
+    var server = http.createServer(function(req, res) {
+        var chunks = [];
+        req.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            var key = req.method + ' ' + url.parse(req.url).pathname;
+            server.requests.push(key);
+
+            req.body = Buffer.concat(chunks).toString();
+            req.form = querystring.parse(req.body);
+            if (!_.has(handlers, key)) {
+                return sendJSON(res, 404, {'msg': 'Not found'});
+            }
+
+            return handlers[key](req, res);
+        });
+    });
+
+    server.requests = [];
+    server.listen(0, '127.0.0.1', function() {
+        server.host = 'http://127.0.0.1:' + server.address().port;
+        return callback(server);
+    });
+};
+
+/**
+ * Send a JSON response
+ *
+ * @param  {Response}   res             The response to send
+ * @param  {Number}     statusCode      The status code of the response
+ * @param  {Object}     [body]          The object to send as the body of the response. When omitted, the response won't have a body
+ * @param  {Object}     [headers]       Additional headers for the response
+ */
+var sendJSON = module.exports.sendJSON = function(res, statusCode, body, headers) {
+    headers = _.extend({}, headers);
+    if (body !== undefined) {
+        headers['content-type'] = 'application/json';
+    }
+
+    res.writeHead(statusCode, headers);
+    res.end(body !== undefined ? JSON.stringify(body) : undefined);
+};
+
+/**
+ * Count the requests a server received for a resource
+ *
+ * @param  {Server}     server      The server that received the requests
+ * @param  {String}     key         The `<METHOD> <path>` of the requests to count
+ * @return {Number}                 The number of requests the server received for the resource
+ */
+var countRequests = module.exports.countRequests = function(server, key) {
+    return _.filter(server.requests, function(request) {
+        return (request === key);
+    }).length;
+};